@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Daily course allocation status job: activates scheduled allocations whose start date
+ * has been reached and completes active ones whose end date has passed. Run it once a
+ * day, e.g. from cron. It exits with a non-zero code if any allocation failed to update.
+ */
+require('dotenv').config();
+
+const { sequelize } = require('../src/models');
+const { applyScheduledTransitions } = require('../src/services/courseStatusService');
+
+applyScheduledTransitions()
+  .then(async (summary) => {
+    console.log(`Course allocation statuses updated: ${summary.activated} activated, ${summary.completed} completed, ${summary.failed} failed`);
+    await sequelize.close();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error('Course allocation status update failed:', error);
+    process.exit(1);
+  });
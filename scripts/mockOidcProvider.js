@@ -0,0 +1,148 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Authorization codes are single-use and short-lived, as with a real provider
+const CODE_TTL = 60 * 1000; // 1 minute
+
+/**
+ * Minimal OpenID Connect provider for local development and tests.
+ * It signs ID tokens with a throwaway RSA key and logs in whoever the
+ * authorization request names in login_hint, without asking for a password.
+ * Never expose it outside a development machine.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - Client id the provider accepts
+ * @param {string} options.clientSecret - Client secret the provider accepts
+ * @param {Object} options.users - Extra claims per email address, e.g. { 'a@b.edu': { groups: ['staff'] } }
+ */
+function createMockOidcProvider({ clientId = 'course-management', clientSecret = 'mock-secret', users = {} } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+  const app = express();
+  let issuer = null;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const email = String(loginHint || Object.keys(users)[0] || 'user@example.edu').toLowerCase();
+    const claims = {
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: true,
+      ...(users[email] || {})
+    };
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims, nonce, redirectUri, codeChallenge, expiresAt: Date.now() + CODE_TTL });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(302, target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const [basicId, basicSecret] = Buffer.from((req.get('Authorization') || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':');
+    const requestClientId = req.body.client_id || basicId;
+    const requestClientSecret = req.body.client_secret || basicSecret;
+
+    if (requestClientId !== clientId || requestClientSecret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return {
+    app,
+
+    // Start listening; port 0 picks a free port. Resolves with the issuer URL and a close function.
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve) => {
+        const server = app.listen(port, host, () => {
+          issuer = `http://${host}:${server.address().port}`;
+          resolve({
+            issuer,
+            close: () => new Promise((done) => {
+              server.closeAllConnections();
+              server.close(() => done());
+            })
+          });
+        });
+      });
+    }
+  };
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const provider = createMockOidcProvider({
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    users: process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : {}
+  });
+
+  provider.listen(parseInt(process.env.MOCK_OIDC_PORT) || 9400).then(({ issuer }) => {
+    console.log(`Mock OpenID Connect provider running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
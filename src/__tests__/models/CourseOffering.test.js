@@ -87,7 +87,6 @@ describe('CourseOffering Model', () => {
         maxEnrollment: 30,
         currentEnrollment: 0,
         status: 'draft',
-        schedule: 'Mon/Wed/Fri 10:00-12:00',
         location: 'Online Platform',
         notes: 'Course notes'
       }
@@ -185,7 +185,8 @@ describe('Manager Model', () => {
       const module = await Module.create({
         code: 'CS101',
         name: 'Intro to CS',
-        credits: 3
+        credits: 3,
+        department: 'IT'
       });
 
       const cohort = await Cohort.create({
@@ -217,11 +218,22 @@ describe('Manager Model', () => {
       });
     });
 
-    test('canManageCourse should check permissions', () => {
+    test('canManageCourse should check permissions', async () => {
+      await courseOffering.reload({ include: ['module'] });
+
       expect(adminManager.canManageCourse(courseOffering)).toBe(true);
       expect(standardManager.canManageCourse(courseOffering)).toBe(true);
     });
 
+    test('canManageCourse should limit non-admin managers to their department', async () => {
+      await courseOffering.reload({ include: ['module'] });
+      await courseOffering.module.update({ department: 'Business' });
+
+      expect(adminManager.canManageCourse(courseOffering)).toBe(true);
+      expect(standardManager.canManageCourse(courseOffering)).toBe(false);
+      expect(standardManager.canManageCourse({ module: null })).toBe(false);
+    });
+
     test('getPermissions should return correct permissions', () => {
       const standardPermissions = standardManager.getPermissions();
       expect(standardPermissions).toContain('read_course_allocations');
@@ -238,8 +250,41 @@ describe('Manager Model', () => {
       expect(adminPermissions).toContain('delete_course_allocations');
       expect(adminPermissions).toContain('manage_all_activities');
       expect(adminPermissions).toContain('manage_users');
+      expect(adminPermissions).toContain('manage_modes');
+      expect(adminPermissions).toContain('view_audit_logs');
       
     });
+
+    test('senior managers should get department-level permissions', async () => {
+      const seniorUser = await User.create({
+        email: 'senior@test.com',
+        password: 'password123',
+        firstName: 'Senior',
+        lastName: 'Manager',
+        role: 'manager'
+      });
+
+      const seniorManager = await Manager.create({
+        userId: seniorUser.id,
+        department: 'Computer Science',
+        employeeId: 'MGR_SENIOR',
+        accessLevel: 'senior'
+      });
+
+      expect(seniorManager.accessLevel).toBe('senior');
+      expect(seniorManager.hasPermission('update_course_allocations')).toBe(true);
+      expect(seniorManager.hasPermission('manage_cohorts')).toBe(true);
+      expect(seniorManager.hasPermission('delete_course_allocations')).toBe(false);
+      expect(seniorManager.hasPermission('manage_users')).toBe(false);
+      expect(seniorManager.hasPermission('view_audit_logs')).toBe(false);
+    });
+
+    test('hasPermission should match getPermissions', () => {
+      expect(standardManager.hasPermission('create_course_allocations')).toBe(true);
+      expect(standardManager.hasPermission('update_course_allocations')).toBe(false);
+      expect(standardManager.hasPermission('manage_cohorts')).toBe(false);
+      expect(adminManager.hasPermission('delete_course_allocations')).toBe(true);
+    });
   });
 
   describe('Class Methods', () => {
@@ -0,0 +1,100 @@
+const { sequelize, User, RefreshToken } = require('../../models');
+
+describe('RefreshToken Model', () => {
+  let testUser;
+
+  const createToken = (overrides = {}) => RefreshToken.create({
+    userId: testUser.id,
+    jti: `jti-${Math.random().toString(36).substr(2, 9)}`,
+    familyId: 'family-1',
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    testUser = await User.create({
+      email: 'student@test.com',
+      password: 'password123',
+      firstName: 'Test',
+      lastName: 'Student',
+      role: 'student'
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Creation and Validation', () => {
+    test('should create refresh token with valid data', async () => {
+      const token = await createToken({ jti: 'jti-1' });
+
+      expect(token.userId).toBe(testUser.id);
+      expect(token.jti).toBe('jti-1');
+      expect(token.familyId).toBe('family-1');
+      expect(token.usedAt).toBeNull();
+      expect(token.revokedAt).toBeNull();
+    });
+
+    test('should enforce unique jti', async () => {
+      await createToken({ jti: 'jti-1' });
+      await expect(createToken({ jti: 'jti-1' })).rejects.toThrow();
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('isUsable should be true for a fresh token', async () => {
+      const token = await createToken();
+      expect(token.isUsable()).toBe(true);
+    });
+
+    test('isUsable should be false once used, revoked or expired', async () => {
+      const used = await createToken({ usedAt: new Date() });
+      const revoked = await createToken({ revokedAt: new Date() });
+      const expired = await createToken({ expiresAt: new Date(Date.now() - 1000) });
+
+      expect(used.isUsable()).toBe(false);
+      expect(revoked.isUsable()).toBe(false);
+      expect(expired.isExpired()).toBe(true);
+      expect(expired.isUsable()).toBe(false);
+    });
+  });
+
+  describe('Class Methods', () => {
+    test('revokeFamily should revoke only tokens in that family', async () => {
+      await createToken({ familyId: 'family-1' });
+      await createToken({ familyId: 'family-1' });
+      const other = await createToken({ familyId: 'family-2' });
+
+      await RefreshToken.revokeFamily('family-1', 'reuse_detected');
+
+      const revoked = await RefreshToken.findAll({ where: { familyId: 'family-1' } });
+      revoked.forEach(token => {
+        expect(token.revokedAt).not.toBeNull();
+        expect(token.revokedReason).toBe('reuse_detected');
+      });
+
+      await other.reload();
+      expect(other.revokedAt).toBeNull();
+    });
+
+    test('revokeAllForUser should revoke every family of the user', async () => {
+      await createToken({ familyId: 'family-1' });
+      await createToken({ familyId: 'family-2' });
+
+      await RefreshToken.revokeAllForUser(testUser.id, 'password_changed');
+
+      const active = await RefreshToken.count({ where: { userId: testUser.id, revokedAt: null } });
+      expect(active).toBe(0);
+    });
+
+    test('should cascade delete on user deletion', async () => {
+      const token = await createToken();
+      await testUser.destroy();
+
+      expect(await RefreshToken.findByPk(token.id)).toBeNull();
+    });
+  });
+});
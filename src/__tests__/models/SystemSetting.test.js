@@ -0,0 +1,26 @@
+const { sequelize, SystemSetting } = require('../../models');
+
+describe('SystemSetting Model', () => {
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Class Methods', () => {
+    test('getValue should return the default for a missing key', async () => {
+      expect(await SystemSetting.getValue('missing', false)).toBe(false);
+    });
+
+    test('setValue should create and then update a setting', async () => {
+      await SystemSetting.setValue('two_factor_required_for_admins', true);
+      expect(await SystemSetting.getValue('two_factor_required_for_admins')).toBe(true);
+
+      await SystemSetting.setValue('two_factor_required_for_admins', false);
+      expect(await SystemSetting.getValue('two_factor_required_for_admins')).toBe(false);
+      expect(await SystemSetting.count()).toBe(1);
+    });
+  });
+});
@@ -169,6 +169,27 @@ describe('User Model', () => {
       expect(user.lastLogin).toBeInstanceOf(Date);
       expect(user.lastLogin.getTime()).toBeCloseTo(Date.now(), -2);
     });
+
+    it('should start unverified and mark email as verified', async () => {
+      expect(user.isEmailVerified).toBe(false);
+      expect(user.emailVerifiedAt).toBeFalsy();
+
+      await user.markEmailVerified();
+      await user.reload();
+
+      expect(user.isEmailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    });
+
+    it('should report whether the account is locked', async () => {
+      expect(user.isLocked()).toBe(false);
+
+      user.lockedUntil = new Date(Date.now() + 60 * 1000);
+      expect(user.isLocked()).toBe(true);
+
+      user.lockedUntil = new Date(Date.now() - 60 * 1000);
+      expect(user.isLocked()).toBe(false);
+    });
   });
 
   describe('User Class Methods', () => {
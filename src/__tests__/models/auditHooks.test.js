@@ -0,0 +1,44 @@
+const { User, Cohort } = require('../../models');
+const { getInstanceChanges } = require('../../models/auditHooks');
+
+describe('Audit Hooks', () => {
+  afterAll(async () => {
+    await User.sequelize.close();
+  });
+
+  describe('getInstanceChanges', () => {
+    it('should record every field of a created record, redacting credentials', () => {
+      const user = User.build({ id: 1, email: 'jane@example.com', password: 'Secret123', firstName: 'Jane', lastName: 'Doe', role: 'student' });
+
+      const changes = getInstanceChanges('create', user);
+
+      expect(changes.email).toEqual({ before: null, after: 'jane@example.com' });
+      expect(changes.password).toEqual({ before: null, after: '[REDACTED]' });
+      expect(changes).not.toHaveProperty('createdAt');
+    });
+
+    it('should record only changed fields on update', () => {
+      const cohort = Cohort.build({ id: 3, name: 'Intake', maxCapacity: 30 }, { isNewRecord: false, raw: true });
+      cohort.set('maxCapacity', 40);
+
+      expect(getInstanceChanges('update', cohort)).toEqual({
+        maxCapacity: { before: 30, after: 40 }
+      });
+    });
+
+    it('should ignore updates to bookkeeping fields', () => {
+      const user = User.build({ id: 1, email: 'jane@example.com' }, { isNewRecord: false, raw: true });
+      user.set('lastLogin', new Date());
+
+      expect(getInstanceChanges('update', user)).toEqual({});
+    });
+
+    it('should record the final values of a deleted record', () => {
+      const cohort = Cohort.build({ id: 3, name: 'Intake' }, { isNewRecord: false, raw: true });
+
+      const changes = getInstanceChanges('delete', cohort);
+
+      expect(changes.name).toEqual({ before: 'Intake', after: null });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  API_KEY_PREFIX,
+  MAX_API_KEY_LIFETIME_DAYS,
+  hashApiKey,
+  isApiKey,
+  getRequiredScope,
+  resolveExpiry
+} = require('../../services/apiKeyService');
+
+describe('API Key Service', () => {
+  const days = (count) => count * 24 * 60 * 60 * 1000;
+
+  describe('isApiKey', () => {
+    it('should recognise API keys by their prefix', () => {
+      expect(isApiKey(`${API_KEY_PREFIX}0123456789ab_secret`)).toBe(true);
+    });
+
+    it('should not treat JWTs or missing values as API keys', () => {
+      expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.payload.signature')).toBe(false);
+      expect(isApiKey(undefined)).toBe(false);
+    });
+  });
+
+  describe('hashApiKey', () => {
+    it('should hash keys deterministically without exposing them', () => {
+      const key = `${API_KEY_PREFIX}0123456789ab_secret`;
+      expect(hashApiKey(key)).toBe(hashApiKey(key));
+      expect(hashApiKey(key)).toHaveLength(64);
+      expect(hashApiKey(key)).not.toContain('secret');
+    });
+  });
+
+  describe('getRequiredScope', () => {
+    it('should require read scope for safe methods', () => {
+      expect(getRequiredScope('course_allocations', 'GET')).toBe('course_allocations:read');
+      expect(getRequiredScope('activities', 'head')).toBe('activities:read');
+    });
+
+    it('should require write scope for mutating methods', () => {
+      expect(getRequiredScope('course_allocations', 'POST')).toBe('course_allocations:write');
+      expect(getRequiredScope('activities', 'PUT')).toBe('activities:write');
+      expect(getRequiredScope('activities', 'DELETE')).toBe('activities:write');
+    });
+  });
+
+  describe('resolveExpiry', () => {
+    it('should default to 90 days', () => {
+      const expiry = resolveExpiry();
+      expect(expiry.getTime() - Date.now()).toBeGreaterThan(days(89));
+      expect(expiry.getTime() - Date.now()).toBeLessThanOrEqual(days(90));
+    });
+
+    it('should accept a future date within the maximum lifetime', () => {
+      const requested = new Date(Date.now() + days(30));
+      expect(resolveExpiry(requested.toISOString()).getTime()).toBe(requested.getTime());
+    });
+
+    it('should reject past dates', () => {
+      expect(() => resolveExpiry(new Date(Date.now() - 1000).toISOString())).toThrow('future date');
+    });
+
+    it('should reject lifetimes above the maximum', () => {
+      const tooLate = new Date(Date.now() + days(MAX_API_KEY_LIFETIME_DAYS + 1));
+      expect(() => resolveExpiry(tooLate.toISOString())).toThrow(`${MAX_API_KEY_LIFETIME_DAYS} days`);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const {
+  buildInvitedProfile,
+  getSelfEditableProfileData,
+  getAdminEditableProfileData
+} = require('../../services/authService');
+
+describe('Auth Service', () => {
+  describe('buildInvitedProfile', () => {
+    const invitation = { role: 'manager', profileData: { department: 'Science', employeeId: 'MGR001' } };
+
+    it('should ignore an invitee trying to raise their access level', () => {
+      const profile = buildInvitedProfile(invitation, { accessLevel: 'admin', office: 'B12' });
+
+      expect(profile).toEqual({ department: 'Science', employeeId: 'MGR001', office: 'B12' });
+      expect(profile).not.toHaveProperty('accessLevel');
+    });
+
+    it('should keep the invitation\'s fields over the invitee\'s', () => {
+      expect(buildInvitedProfile(
+        { role: 'manager', profileData: { department: 'Science', employeeId: 'MGR001', accessLevel: 'standard', office: 'A1' } },
+        { department: 'Mathematics', employeeId: 'MGR999', accessLevel: 'admin', office: 'B12' }
+      )).toEqual({ department: 'Science', employeeId: 'MGR001', accessLevel: 'standard', office: 'A1' });
+    });
+
+    it('should not let a student invitee choose their cohort', () => {
+      expect(buildInvitedProfile(
+        { role: 'student', profileData: { studentId: 'STU001', cohortId: 1 } },
+        { cohortId: 2, program: 'Software Engineering' }
+      )).toEqual({ studentId: 'STU001', cohortId: 1, program: 'Software Engineering' });
+    });
+  });
+
+  describe('getSelfEditableProfileData', () => {
+    it('should accept fields users can change on their own profile', () => {
+      expect(getSelfEditableProfileData('manager', { phoneNumber: '+250788000000', office: 'B12' }))
+        .toEqual({ phoneNumber: '+250788000000', office: 'B12' });
+      expect(getSelfEditableProfileData('student', undefined)).toEqual({});
+    });
+
+    it('should reject a manager raising their own access level', () => {
+      expect(() => getSelfEditableProfileData('manager', { office: 'B12', accessLevel: 'admin' }))
+        .toThrow(expect.objectContaining({
+          message: 'Profile fields cannot be changed',
+          errors: [{ field: 'profileData.accessLevel', message: 'accessLevel cannot be changed on your own profile' }]
+        }));
+    });
+
+    it('should reject a manager moving themselves to another department', () => {
+      expect(() => getSelfEditableProfileData('manager', { department: 'Mathematics' })).toThrow('Profile fields cannot be changed');
+      expect(() => getSelfEditableProfileData('manager', { employeeId: 'MGR999' })).toThrow('Profile fields cannot be changed');
+      expect(() => getSelfEditableProfileData('facilitator', { employeeId: 'FAC999' })).toThrow('Profile fields cannot be changed');
+    });
+
+    it('should reject fields other roles control', () => {
+      expect(() => getSelfEditableProfileData('facilitator', { maxCourseLoad: 10 })).toThrow('Profile fields cannot be changed');
+      expect(() => getSelfEditableProfileData('student', { cohortId: 2 })).toThrow('Profile fields cannot be changed');
+    });
+  });
+
+  describe('getAdminEditableProfileData', () => {
+    it('should accept fields users cannot change themselves', () => {
+      expect(getAdminEditableProfileData('manager', { department: 'Mathematics', accessLevel: 'senior', office: 'B12' }))
+        .toEqual({ department: 'Mathematics', accessLevel: 'senior', office: 'B12' });
+      expect(getAdminEditableProfileData('student', { cohortId: 2, emergencyContact: 'Jane Doe' }))
+        .toEqual({ cohortId: 2, emergencyContact: 'Jane Doe' });
+    });
+
+    it('should reject fields that are not part of the role profile', () => {
+      expect(() => getAdminEditableProfileData('manager', { cohortId: 2 }))
+        .toThrow(expect.objectContaining({
+          errors: [{ field: 'profileData.cohortId', message: 'cohortId is not a manager profile field' }]
+        }));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { CourseOffering, ActivityTracker, Module, Cohort } = require('../../models');
+const { SCHEDULE_INCLUDES } = require('../../services/scheduleService');
+const { buildOfferingEvents, buildDeadlineEvents } = require('../../services/calendarFeedService');
+
+// An offering loaded as the feed loads it
+const buildOffering = (values = {}) => CourseOffering.build({
+  id: 5,
+  moduleId: 1,
+  cohortId: 1,
+  classId: 1,
+  modeId: 1,
+  facilitatorId: 2,
+  startDate: '2025-03-03',
+  endDate: '2025-03-16',
+  location: 'Room 101',
+  sessions: [],
+  scheduleExceptions: [],
+  ...values
+}, {
+  include: [
+    ...SCHEDULE_INCLUDES,
+    { model: Module, as: 'module' },
+    { model: Cohort, as: 'cohort' }
+  ]
+});
+
+describe('Calendar Feed Service', () => {
+  describe('buildOfferingEvents', () => {
+    it('should create an event for every date a weekly session runs, in UTC', () => {
+      const events = buildOfferingEvents(buildOffering({
+        module: { id: 1, code: 'CS101', name: 'Intro to Programming' },
+        cohort: { id: 1, name: 'Cohort 2025' },
+        sessions: [{ id: 9, courseOfferingId: 5, weekday: 'monday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'Africa/Kigali' }]
+      }));
+
+      expect(events).toEqual([
+        expect.objectContaining({
+          uid: expect.stringMatching(/^session-9-2025-03-03@/),
+          start: new Date('2025-03-03T08:00:00Z'),
+          end: new Date('2025-03-03T10:00:00Z'),
+          summary: 'CS101 Intro to Programming',
+          description: 'Cohort: Cohort 2025',
+          location: 'Room 101'
+        }),
+        expect.objectContaining({ uid: expect.stringMatching(/^session-9-2025-03-10@/), start: new Date('2025-03-10T08:00:00Z') })
+      ]);
+    });
+
+    it('should skip cancelled dates and add make-up sessions', () => {
+      const events = buildOfferingEvents(buildOffering({
+        sessions: [{ id: 9, courseOfferingId: 5, weekday: 'monday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'UTC' }],
+        scheduleExceptions: [
+          { id: 1, courseOfferingId: 5, date: '2025-03-10', type: 'cancelled' },
+          { id: 2, courseOfferingId: 5, date: '2025-03-12', type: 'makeup', startTime: '14:00:00', endTime: '16:00:00', timezone: 'UTC', location: 'Lab 2' }
+        ]
+      }));
+
+      expect(events.map(event => [event.uid.split('@')[0], event.start.toISOString(), event.location])).toEqual([
+        ['session-9-2025-03-03', '2025-03-03T10:00:00.000Z', 'Room 101'],
+        ['makeup-2-2025-03-12', '2025-03-12T14:00:00.000Z', 'Lab 2']
+      ]);
+      expect(events[1].summary).toMatch(/make-up session/);
+    });
+
+    it('should show an offering without sessions as an all-day event over its dates', () => {
+      expect(buildOfferingEvents(buildOffering())).toEqual([
+        expect.objectContaining({ uid: expect.stringMatching(/^course-allocation-5@/), start: '2025-03-03', end: '2025-03-16', allDay: true })
+      ]);
+    });
+  });
+
+  describe('buildDeadlineEvents', () => {
+    it('should add an all-day event on each activity log deadline', () => {
+      const offering = buildOffering({ module: { id: 1, code: 'CS101', name: 'Intro to Programming' } });
+      const activity = ActivityTracker.build({ id: 3, allocationId: 5, facilitatorId: 2, weekNumber: 2 });
+      const deadline = activity.getDeadline();
+
+      const [event] = buildDeadlineEvents([activity], [offering]);
+
+      expect(event).toEqual(expect.objectContaining({
+        uid: expect.stringMatching(/^activity-log-3@/),
+        allDay: true,
+        summary: 'Activity log due: CS101 Intro to Programming, week 2'
+      }));
+      expect(event.start).toBe([
+        deadline.getFullYear(),
+        String(deadline.getMonth() + 1).padStart(2, '0'),
+        String(deadline.getDate()).padStart(2, '0')
+      ].join('-'));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { getAllocationKey, buildRolloverPlan, findCloneConflicts } = require('../../services/courseRolloverService');
+
+const springClass = { id: 1, startDate: '2025-01-20', endDate: '2025-05-20' };
+const summerClass = { id: 2, startDate: '2025-06-02', endDate: '2025-09-26' };
+
+// A source allocation as previewRollover loads it, with its class and schedule
+const offering = (id, overrides = {}) => ({
+  id,
+  moduleId: id,
+  cohortId: 1,
+  classId: 1,
+  modeId: 1,
+  facilitatorId: 3,
+  maxEnrollment: 30,
+  location: 'Room 101',
+  notes: null,
+  startDate: '2025-01-27',
+  endDate: '2025-05-16',
+  class: springClass,
+  schedule: {
+    sessions: [{ id: 9, courseOfferingId: id, weekday: 'tuesday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'UTC', location: null }],
+    exceptions: [{ id: 4, date: '2025-04-08', type: 'cancelled' }]
+  },
+  ...overrides
+});
+
+describe('Course Rollover Service', () => {
+  describe('buildRolloverPlan', () => {
+    it('should clone into the target class as unassigned drafts, shifting dates to its start', () => {
+      const { allocations, skipped } = buildRolloverPlan({
+        offerings: [offering(1)],
+        target: { classId: 2 },
+        targetClass: summerClass,
+        existingKeys: new Set()
+      });
+
+      expect(skipped).toEqual([]);
+      expect(allocations).toEqual([expect.objectContaining({
+        sourceId: 1,
+        moduleId: 1,
+        cohortId: 1,
+        classId: 2,
+        modeId: 1,
+        facilitatorId: null,
+        maxEnrollment: 30,
+        location: 'Room 101',
+        startDate: '2025-06-09',
+        endDate: '2025-09-26',
+        warnings: []
+      })]);
+    });
+
+    it('should copy weekly sessions but not date-specific exceptions', () => {
+      const { allocations } = buildRolloverPlan({
+        offerings: [offering(1)],
+        target: { classId: 2 },
+        targetClass: summerClass,
+        existingKeys: new Set()
+      });
+
+      expect(allocations[0].schedule).toEqual({
+        sessions: [{ weekday: 'tuesday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'UTC', location: null }],
+        exceptions: []
+      });
+    });
+
+    it('should keep facilitators when asked', () => {
+      const { allocations } = buildRolloverPlan({
+        offerings: [offering(1)],
+        target: { classId: 2 },
+        targetClass: summerClass,
+        existingKeys: new Set(),
+        keepFacilitators: true
+      });
+
+      expect(allocations[0].facilitatorId).toBe(3);
+    });
+
+    it('should keep dates when only the cohort changes', () => {
+      const { allocations } = buildRolloverPlan({
+        offerings: [offering(1)],
+        target: { cohortId: 2 },
+        existingKeys: new Set()
+      });
+
+      expect(allocations[0]).toEqual(expect.objectContaining({ cohortId: 2, classId: 1, startDate: '2025-01-27', endDate: '2025-05-16' }));
+    });
+
+    it('should skip allocations that already exist, repeat within the rollover or do not move', () => {
+      const { allocations, skipped } = buildRolloverPlan({
+        offerings: [
+          offering(1),
+          offering(2),
+          offering(3, { moduleId: 2, cohortId: 5 }),
+          offering(4, { classId: 2, class: summerClass })
+        ],
+        target: { classId: 2, cohortId: 1 },
+        targetClass: summerClass,
+        existingKeys: new Set([getAllocationKey({ moduleId: 1, cohortId: 1, classId: 2 })])
+      });
+
+      expect(allocations.map(allocation => allocation.sourceId)).toEqual([2]);
+      expect(skipped.map(skip => [skip.sourceId, skip.reason])).toEqual([
+        [1, 'A course allocation already exists for this module, cohort and class'],
+        [3, 'Another allocation in this rollover already creates this module, cohort and class'],
+        [4, 'The target is the same module, cohort and class as the source']
+      ]);
+    });
+
+    it('should warn when a shifted allocation ends after the target class', () => {
+      const shortClass = { ...summerClass, endDate: '2025-09-01' };
+      const { allocations } = buildRolloverPlan({
+        offerings: [offering(1)],
+        target: { classId: 2 },
+        targetClass: shortClass,
+        existingKeys: new Set()
+      });
+
+      expect(allocations[0].warnings).toEqual(['Ends on 2025-09-26, after the target class ends on 2025-09-01']);
+    });
+  });
+
+  describe('findCloneConflicts', () => {
+    // A clone's plan as buildSchedulePlan would return it
+    const plan = (facilitatorId, startTime, endTime) => ({
+      id: null,
+      facilitatorId,
+      modeType: 'in-person',
+      location: 'Room 101',
+      startDate: '2025-06-09',
+      endDate: '2025-09-19',
+      sessions: [{ weekday: 'tuesday', startTime, endTime, timezone: 'UTC', location: null }],
+      exceptions: []
+    });
+
+    it('should report clashes with earlier clones by their source allocation', () => {
+      const conflicts = findCloneConflicts(plan(3, '11:00:00', '13:00:00'), [
+        { sourceId: 1, plan: plan(3, '10:00:00', '12:00:00') },
+        { sourceId: 2, plan: plan(null, '14:00:00', '16:00:00') }
+      ]);
+
+      expect(conflicts.map(conflict => [conflict.type, conflict.sourceId])).toEqual([['facilitator', 1], ['room', 1]]);
+    });
+
+    it('should not report clones whose facilitator was removed', () => {
+      const conflicts = findCloneConflicts(
+        { ...plan(3, '10:00:00', '12:00:00'), modeType: 'online' },
+        [{ sourceId: 1, plan: plan(null, '10:00:00', '12:00:00') }]
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+  });
+});
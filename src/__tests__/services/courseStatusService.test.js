@@ -0,0 +1,84 @@
+const {
+  STATUS_ACTIONS,
+  getTransitionErrors,
+  getAutomaticActions
+} = require('../../services/courseStatusService');
+
+const offering = (overrides = {}) => ({
+  id: 1,
+  status: 'draft',
+  facilitatorId: 3,
+  startDate: '2025-01-20',
+  endDate: '2025-05-20',
+  ...overrides
+});
+
+const fields = errors => errors.map(error => error.field);
+
+describe('Course Status Service', () => {
+  describe('STATUS_ACTIONS', () => {
+    it('should not allow leaving completed or cancelled', () => {
+      const sources = Object.values(STATUS_ACTIONS).flatMap(({ from }) => from);
+      expect(sources).not.toContain('completed');
+      expect(sources).not.toContain('cancelled');
+    });
+  });
+
+  describe('getTransitionErrors', () => {
+    const today = '2025-01-10';
+
+    it('should schedule an offering with a facilitator and dates', () => {
+      expect(getTransitionErrors(offering(), 'schedule', { today })).toEqual([]);
+    });
+
+    it('should not schedule without a facilitator or dates', () => {
+      const errors = getTransitionErrors(offering({ facilitatorId: null, endDate: null }), 'schedule', { today });
+      expect(fields(errors)).toEqual(['facilitatorId', 'startDate']);
+    });
+
+    it('should not schedule an offering that has already ended', () => {
+      const errors = getTransitionErrors(offering(), 'schedule', { today: '2025-06-01' });
+      expect(fields(errors)).toEqual(['endDate']);
+    });
+
+    it('should only activate from the start date', () => {
+      expect(fields(getTransitionErrors(offering(), 'activate', { today }))).toEqual(['startDate']);
+      expect(getTransitionErrors(offering(), 'activate', { today: '2025-01-20' })).toEqual([]);
+    });
+
+    it('should accept dates from the database as Date objects', () => {
+      const fromDatabase = offering({ startDate: new Date('2025-01-20'), endDate: new Date('2025-05-20') });
+      expect(getTransitionErrors(fromDatabase, 'activate', { today: '2025-01-20' })).toEqual([]);
+    });
+
+    it('should not complete an offering that has not started', () => {
+      expect(fields(getTransitionErrors(offering(), 'complete', { today }))).toEqual(['startDate']);
+    });
+
+    it('should require a reason to cancel', () => {
+      expect(fields(getTransitionErrors(offering(), 'cancel', { reason: '  ', today }))).toEqual(['reason']);
+      expect(getTransitionErrors(offering(), 'cancel', { reason: 'Low enrolment', today })).toEqual([]);
+    });
+  });
+
+  describe('getAutomaticActions', () => {
+    it('should activate a scheduled offering on its start date', () => {
+      expect(getAutomaticActions(offering({ status: 'scheduled' }), '2025-01-20')).toEqual(['activate']);
+      expect(getAutomaticActions(offering({ status: 'scheduled' }), '2025-01-19')).toEqual([]);
+    });
+
+    it('should complete an active offering the day after its end date', () => {
+      expect(getAutomaticActions(offering({ status: 'active' }), '2025-05-20')).toEqual([]);
+      expect(getAutomaticActions(offering({ status: 'active' }), '2025-05-21')).toEqual(['complete']);
+    });
+
+    it('should activate and complete a scheduled offering that has already ended', () => {
+      expect(getAutomaticActions(offering({ status: 'scheduled' }), '2025-06-01')).toEqual(['activate', 'complete']);
+    });
+
+    it('should leave draft offerings and scheduled offerings without a facilitator alone', () => {
+      expect(getAutomaticActions(offering(), '2025-06-01')).toEqual([]);
+      expect(getAutomaticActions(offering({ status: 'scheduled', facilitatorId: null }), '2025-06-01')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { Op } = require('sequelize');
+const { getModuleScope, getAllocationScope, restrictToScope, assertCanManageCourse, assertCanManageActivity } = require('../../services/departmentScopeService');
+
+describe('Department Scope Service', () => {
+  const manager = (accessLevel, department = 'Computer Science') => ({
+    accessLevel,
+    department,
+    canManageCourse(courseOffering) {
+      if (accessLevel === 'admin') return true;
+      return Boolean(courseOffering.module) && courseOffering.module.department === department;
+    }
+  });
+
+  describe('getModuleScope', () => {
+    it('should not restrict requests without a manager profile', async () => {
+      expect(await getModuleScope(undefined)).toBeNull();
+    });
+
+    it('should not restrict admin managers', async () => {
+      expect(await getModuleScope(manager('admin'))).toBeNull();
+    });
+
+    it('should select the modules of the manager department in SQL', async () => {
+      const scope = await getModuleScope(manager('standard', " Computer Science's "));
+
+      expect(scope.val).toBe("(SELECT id FROM modules WHERE LOWER(TRIM(department)) = 'computer science\\'s')");
+    });
+
+    it('should give managers without a department an empty scope', async () => {
+      expect(await getModuleScope(manager('standard', null))).toEqual([]);
+      expect(await getAllocationScope(manager('standard', '  '))).toEqual([]);
+    });
+  });
+
+  describe('getAllocationScope', () => {
+    it('should select the allocations of the department modules in SQL', async () => {
+      const scope = await getAllocationScope(manager('senior', 'Business'));
+
+      expect(scope.val).toBe(
+        "(SELECT id FROM course_offerings WHERE moduleId IN (SELECT id FROM modules WHERE LOWER(TRIM(department)) = 'business'))"
+      );
+    });
+
+    it('should not restrict admin managers', async () => {
+      expect(await getAllocationScope(manager('admin'))).toBeNull();
+    });
+  });
+
+  describe('restrictToScope', () => {
+    it('should leave the where clause unchanged for a null scope', () => {
+      const where = { status: 'active' };
+      expect(restrictToScope(where, 'moduleId', null)).toBe(where);
+    });
+
+    it('should combine the where clause with the scope', () => {
+      const where = { moduleId: 3 };
+      const scoped = restrictToScope(where, 'moduleId', [1, 2]);
+
+      expect(scoped[Op.and]).toEqual([where, { moduleId: { [Op.in]: [1, 2] } }]);
+    });
+  });
+
+  describe('assertCanManageCourse', () => {
+    const allocation = { moduleId: 1, module: { department: 'Computer Science' } };
+
+    it('should allow managers in the module department', async () => {
+      await expect(assertCanManageCourse(manager('standard'), allocation)).resolves.toBeUndefined();
+    });
+
+    it('should reject managers from another department', async () => {
+      await expect(assertCanManageCourse(manager('senior', 'Business'), allocation))
+        .rejects.toThrow('You can only access course allocations for modules in your department');
+    });
+
+    it('should skip the check for non-managers', async () => {
+      await expect(assertCanManageCourse(undefined, allocation)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('assertCanManageActivity', () => {
+    it('should check the loaded allocation of the activity', async () => {
+      const activity = { allocationId: 1, allocation: { moduleId: 1, module: { department: 'Business' } } };
+
+      await expect(assertCanManageActivity(manager('standard'), activity))
+        .rejects.toThrow('You can only access course allocations for modules in your department');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  getEnrollmentError,
+  getEnrollmentStatus,
+  getPromotions,
+  getWaitlistPositions
+} = require('../../services/enrollmentService');
+
+const offering = (overrides = {}) => ({ id: 1, isActive: true, status: 'scheduled', maxEnrollment: 2, ...overrides });
+
+const waitlisted = (id, waitlistedAt, courseOfferingId = 1) => ({ id, courseOfferingId, status: 'waitlisted', waitlistedAt: new Date(waitlistedAt) });
+
+describe('Enrollment Service', () => {
+  describe('getEnrollmentError', () => {
+    it('should let students enroll in scheduled allocations only', () => {
+      expect(getEnrollmentError(offering())).toBeNull();
+      expect(getEnrollmentError(offering({ status: 'active' }))).toBe('Enrollment is not open for a course allocation that is active');
+      expect(getEnrollmentError(offering({ status: 'draft' }))).toBe('Enrollment is not open for a course allocation that is draft');
+    });
+
+    it('should let managers add students once teaching has started', () => {
+      expect(getEnrollmentError(offering({ status: 'active' }), { byManager: true })).toBeNull();
+      expect(getEnrollmentError(offering({ status: 'completed' }), { byManager: true })).not.toBeNull();
+    });
+
+    it('should not enroll in inactive allocations', () => {
+      expect(getEnrollmentError(offering({ isActive: false }), { byManager: true })).toBe('Enrollment is not open for a course allocation that is inactive');
+    });
+  });
+
+  describe('getEnrollmentStatus', () => {
+    it('should waitlist students once the allocation is full', () => {
+      expect(getEnrollmentStatus(offering(), 1)).toBe('enrolled');
+      expect(getEnrollmentStatus(offering(), 2)).toBe('waitlisted');
+    });
+
+    it('should always enroll when there is no maximum', () => {
+      expect(getEnrollmentStatus(offering({ maxEnrollment: null }), 500)).toBe('enrolled');
+    });
+  });
+
+  describe('getPromotions', () => {
+    const waitlist = [
+      waitlisted(7, '2025-01-03T09:00:00Z'),
+      waitlisted(5, '2025-01-02T09:00:00Z'),
+      waitlisted(6, '2025-01-02T09:00:00Z')
+    ];
+
+    it('should promote the longest waiting students into the free places', () => {
+      expect(getPromotions(offering({ maxEnrollment: 4 }), 2, waitlist).map(enrollment => enrollment.id)).toEqual([5, 6]);
+    });
+
+    it('should promote nobody when the allocation is still full', () => {
+      expect(getPromotions(offering(), 2, waitlist)).toEqual([]);
+      expect(getPromotions(offering(), 3, waitlist)).toEqual([]);
+    });
+
+    it('should promote everyone when there is no maximum', () => {
+      expect(getPromotions(offering({ maxEnrollment: null }), 10, waitlist)).toHaveLength(3);
+    });
+  });
+
+  describe('getWaitlistPositions', () => {
+    it('should number each allocation\'s waitlist from 1 in joining order', () => {
+      const positions = getWaitlistPositions([
+        waitlisted(7, '2025-01-03T09:00:00Z'),
+        waitlisted(5, '2025-01-02T09:00:00Z'),
+        waitlisted(8, '2025-01-01T09:00:00Z', 2)
+      ]);
+
+      expect([...positions.entries()]).toEqual([[5, 1], [7, 2], [8, 1]]);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const {
+  getSpecializationMatch,
+  getQualificationLevel,
+  scoreCandidate,
+  buildProposal
+} = require('../../services/facilitatorRecommendationService');
+
+const facilitator = (id, overrides = {}) => ({
+  id,
+  specialization: 'Computer Science',
+  qualification: 'PhD in Computer Science',
+  experience: 10,
+  isAvailable: true,
+  maxCourseLoad: 4,
+  ...overrides
+});
+
+const csModule = { id: 1, code: 'CS201', name: 'Data Structures and Algorithms', department: 'Computer Science' };
+
+// A schedule plan as buildSchedulePlan would return it
+const plan = (id, sessions = [], overrides = {}) => ({
+  id,
+  facilitatorId: null,
+  modeType: 'online',
+  location: null,
+  startDate: '2025-01-20',
+  endDate: '2025-05-20',
+  sessions,
+  exceptions: [],
+  ...overrides
+});
+
+const tuesdayMorning = [{ weekday: 'tuesday', startTime: '10:00', endTime: '12:00', timezone: 'UTC' }];
+
+describe('Facilitator Recommendation Service', () => {
+  describe('getSpecializationMatch', () => {
+    it('should fully match the module department', () => {
+      expect(getSpecializationMatch('Computer Science', csModule)).toBe(1);
+    });
+
+    it('should partly match shared subject words in the department or name', () => {
+      expect(getSpecializationMatch('English Literature', { name: 'Academic Writing', department: 'English' })).toBe(0.5);
+      expect(getSpecializationMatch('Algorithms', csModule)).toBe(1);
+    });
+
+    it('should not match unrelated subjects or missing values', () => {
+      expect(getSpecializationMatch('Business Management', csModule)).toBe(0);
+      expect(getSpecializationMatch('', csModule)).toBe(0);
+      expect(getSpecializationMatch('Computer Science', null)).toBe(0);
+    });
+  });
+
+  describe('getQualificationLevel', () => {
+    it('should rank doctorates above master\'s and bachelor\'s degrees', () => {
+      expect(getQualificationLevel('PhD in Mathematics')).toBe(1);
+      expect(getQualificationLevel('MBA')).toBe(0.75);
+      expect(getQualificationLevel('Master in Software Engineering')).toBe(0.75);
+      expect(getQualificationLevel('BSc Computer Science')).toBe(0.5);
+      expect(getQualificationLevel('Teaching certificate')).toBe(0.25);
+      expect(getQualificationLevel(null)).toBe(0);
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    it('should give full marks to an idle, matching, experienced doctor', () => {
+      const result = scoreCandidate({ facilitator: facilitator(1), module: csModule, currentLoad: 0 });
+
+      expect(result).toEqual({
+        score: 100,
+        breakdown: { specialization: 40, load: 30, experience: 15, qualification: 15 },
+        eligible: true,
+        reasons: []
+      });
+    });
+
+    it('should score spare capacity and cap experience', () => {
+      const result = scoreCandidate({
+        facilitator: facilitator(1, { experience: 25, qualification: 'MSc', maxCourseLoad: 4 }),
+        module: csModule,
+        currentLoad: 3
+      });
+
+      expect(result.breakdown).toEqual({ specialization: 40, load: 7.5, experience: 15, qualification: 11.25 });
+      expect(result.score).toBe(73.75);
+    });
+
+    it('should explain why a facilitator is not eligible', () => {
+      const result = scoreCandidate({
+        facilitator: facilitator(1, { isAvailable: false, maxCourseLoad: 2 }),
+        module: csModule,
+        currentLoad: 2,
+        conflicts: [{ type: 'facilitator' }]
+      });
+
+      expect(result.eligible).toBe(false);
+      expect(result.reasons).toEqual([
+        'Facilitator is not available',
+        'Facilitator is at maximum course load (2/2)',
+        'Facilitator teaches 1 overlapping session'
+      ]);
+    });
+  });
+
+  describe('buildProposal', () => {
+    it('should spread allocations across equally suited facilitators', () => {
+      const allocations = [1, 2].map(id => ({ id, module: csModule }));
+      const { assignments, unassigned } = buildProposal({
+        allocations,
+        plans: new Map(allocations.map(allocation => [allocation.id, plan(allocation.id)])),
+        facilitators: [{ facilitator: facilitator(1), currentLoad: 0 }, { facilitator: facilitator(2), currentLoad: 0 }],
+        teachingPlans: new Map()
+      });
+
+      expect(assignments.map(assignment => [assignment.allocationId, assignment.facilitatorId, assignment.projectedLoad])).toEqual([
+        [1, 1, 1],
+        [2, 2, 1]
+      ]);
+      expect(unassigned).toEqual([]);
+    });
+
+    it('should not double-book a facilitator within the proposal or with existing teaching', () => {
+      const allocations = [1, 2].map(id => ({ id, module: csModule }));
+      const { assignments, unassigned } = buildProposal({
+        allocations,
+        plans: new Map(allocations.map(allocation => [allocation.id, plan(allocation.id, tuesdayMorning)])),
+        facilitators: [{ facilitator: facilitator(1), currentLoad: 1 }, { facilitator: facilitator(2), currentLoad: 3 }],
+        teachingPlans: new Map([[1, [plan(9, tuesdayMorning, { facilitatorId: 1 })]]])
+      });
+
+      expect(assignments.map(assignment => assignment.facilitatorId)).toEqual([2]);
+      expect(unassigned).toEqual([expect.objectContaining({ allocation: allocations[1] })]);
+    });
+
+    it('should fill the allocation with the fewest candidates first', () => {
+      const wednesdayMorning = [{ weekday: 'wednesday', startTime: '10:00', endTime: '12:00', timezone: 'UTC' }];
+      const allocations = [1, 2].map(id => ({ id, module: csModule }));
+      const { assignments, unassigned } = buildProposal({
+        allocations,
+        plans: new Map([[1, plan(1, wednesdayMorning)], [2, plan(2, tuesdayMorning)]]),
+        // Only facilitator 1 is free on Tuesday mornings, so allocation 2 must go to them
+        facilitators: [
+          { facilitator: facilitator(1, { maxCourseLoad: 1 }), currentLoad: 0 },
+          { facilitator: facilitator(2, { maxCourseLoad: 2 }), currentLoad: 1 }
+        ],
+        teachingPlans: new Map([[2, [plan(9, tuesdayMorning, { facilitatorId: 2 })]]])
+      });
+
+      expect(assignments.map(assignment => [assignment.allocationId, assignment.facilitatorId])).toEqual([[1, 2], [2, 1]]);
+      expect(unassigned).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { canImpersonate, stopImpersonation } = require('../../services/impersonationService');
+
+describe('Impersonation Service', () => {
+  const buildUser = (overrides = {}) => ({
+    id: 1,
+    role: 'manager',
+    isActive: true,
+    managerProfile: { accessLevel: 'admin' },
+    ...overrides
+  });
+
+  describe('canImpersonate', () => {
+    it('should allow active admin managers', () => {
+      expect(canImpersonate(buildUser())).toBe(true);
+    });
+
+    it('should reject managers below admin level', () => {
+      expect(canImpersonate(buildUser({ managerProfile: { accessLevel: 'senior' } }))).toBe(false);
+      expect(canImpersonate(buildUser({ managerProfile: { accessLevel: 'standard' } }))).toBe(false);
+    });
+
+    it('should reject deactivated admins', () => {
+      expect(canImpersonate(buildUser({ isActive: false }))).toBe(false);
+    });
+
+    it('should reject other roles and missing users', () => {
+      expect(canImpersonate(buildUser({ role: 'facilitator', managerProfile: null }))).toBe(false);
+      expect(canImpersonate(null)).toBe(false);
+    });
+  });
+
+  describe('stopImpersonation', () => {
+    it('should reject tokens that are not impersonation tokens', async () => {
+      await expect(stopImpersonation({ id: 5, jti: 'abc' }, '127.0.0.1'))
+        .rejects.toThrow('not using an impersonation token');
+    });
+  });
+});
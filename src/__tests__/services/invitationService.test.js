@@ -0,0 +1,43 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { pickProfileFields, createInvitation } = require('../../services/invitationService');
+
+describe('Invitation Service', () => {
+  const inviter = { id: 1, firstName: 'Ada', lastName: 'Admin' };
+
+  describe('pickProfileFields', () => {
+    it('should keep only the fields the role accepts', () => {
+      expect(pickProfileFields('facilitator', {
+        employeeId: 'FAC001',
+        specialization: 'Mathematics',
+        department: 'Science',
+        studentId: 'STU001'
+      })).toEqual({ employeeId: 'FAC001', specialization: 'Mathematics' });
+    });
+
+    it('should drop empty values', () => {
+      expect(pickProfileFields('manager', { department: 'Science', employeeId: '', office: null }))
+        .toEqual({ department: 'Science' });
+    });
+  });
+
+  describe('createInvitation', () => {
+    it('should require the profile fields register requires for the role', async () => {
+      await expect(createInvitation(inviter, {
+        email: 'new.manager@example.com',
+        role: 'manager',
+        profileData: { department: 'Science' }
+      })).rejects.toThrow('Manager requires department and employeeId');
+    });
+
+    it('should reject invalid prefilled values', async () => {
+      await expect(createInvitation(inviter, {
+        email: 'new.manager@example.com',
+        role: 'manager',
+        profileData: { department: 'Science', employeeId: 'MGR001', accessLevel: 'superuser' }
+      })).rejects.toThrow('Invalid profile data');
+    });
+  });
+});
@@ -0,0 +1,35 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { LOCKOUT_THRESHOLD, getLockoutDuration } = require('../../services/loginSecurityService');
+
+describe('Login Security Service', () => {
+  const minutes = (count) => count * 60 * 1000;
+
+  describe('getLockoutDuration', () => {
+    it('should not lock below the threshold', () => {
+      for (let attempts = 0; attempts < LOCKOUT_THRESHOLD; attempts++) {
+        expect(getLockoutDuration(attempts)).toBe(0);
+      }
+    });
+
+    it('should lock for 15 minutes at the threshold', () => {
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD)).toBe(minutes(15));
+    });
+
+    it('should only lock when another full set of failures is reached', () => {
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD + 1)).toBe(0);
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD * 2 - 1)).toBe(0);
+    });
+
+    it('should double the lock for each repeated lockout', () => {
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD * 2)).toBe(minutes(30));
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD * 3)).toBe(minutes(60));
+    });
+
+    it('should cap the lock at 24 hours', () => {
+      expect(getLockoutDuration(LOCKOUT_THRESHOLD * 20)).toBe(minutes(24 * 60));
+    });
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { createMockOidcProvider } = require('../../../scripts/mockOidcProvider');
+const {
+  getCodeChallenge,
+  getClaim,
+  resolveRole,
+  buildProvisioningData,
+  createAuthorizationRequest,
+  redeemAuthorizationCode,
+  clearProviderCache
+} = require('../../services/oidcService');
+
+const REDIRECT_URI = 'http://localhost:3000/sso/callback';
+
+const baseConfig = {
+  roleClaim: 'groups',
+  roleMapping: { staff: 'facilitator', learners: 'student', admins: 'manager' },
+  defaultRole: '',
+  profileClaims: { facilitator: { employeeId: 'employee_id' } },
+  profileDefaults: { facilitator: { department: 'Computing' } }
+};
+
+describe('OIDC Service', () => {
+  let provider;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    provider = await createMockOidcProvider({
+      users: { 'grace@example.edu': { given_name: 'Grace', family_name: 'Hopper', groups: ['staff'] } }
+    }).listen();
+
+    Object.assign(process.env, {
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: 'course-management',
+      OIDC_CLIENT_SECRET: 'mock-secret',
+      OIDC_REDIRECT_URI: REDIRECT_URI
+    });
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    clearProviderCache();
+    await provider.close();
+  });
+
+  // Follow the provider's redirect back to our callback and read the code and state from it
+  async function authorize(loginHint) {
+    const { authorizationUrl, state } = await createAuthorizationRequest({ loginHint });
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+
+    expect(callback.origin + callback.pathname).toBe(REDIRECT_URI);
+    expect(callback.searchParams.get('state')).toBe(state);
+
+    return { code: callback.searchParams.get('code'), state };
+  }
+
+  describe('createAuthorizationRequest', () => {
+    it('should build a PKCE authorization URL from the discovery document', async () => {
+      const { authorizationUrl, state } = await createAuthorizationRequest({ loginHint: 'grace@example.edu' });
+      const url = new URL(authorizationUrl);
+
+      expect(url.origin + url.pathname).toBe(`${provider.issuer}/authorize`);
+      expect(url.searchParams.get('client_id')).toBe('course-management');
+      expect(url.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+      expect(url.searchParams.get('state')).toBe(state);
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('login_hint')).toBe('grace@example.edu');
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+    });
+
+    it('should refuse when single sign-on is not configured', async () => {
+      const issuer = process.env.OIDC_ISSUER;
+      delete process.env.OIDC_ISSUER;
+
+      try {
+        await expect(createAuthorizationRequest()).rejects.toThrow('Single sign-on is not configured');
+      } finally {
+        process.env.OIDC_ISSUER = issuer;
+      }
+    });
+  });
+
+  describe('redeemAuthorizationCode', () => {
+    it('should return the verified ID token claims', async () => {
+      const { code, state } = await authorize('grace@example.edu');
+      const claims = await redeemAuthorizationCode(code, state);
+
+      expect(claims).toMatchObject({
+        iss: provider.issuer,
+        aud: 'course-management',
+        email: 'grace@example.edu',
+        email_verified: true,
+        given_name: 'Grace',
+        groups: ['staff']
+      });
+    });
+
+    it('should reject a state that has already been used', async () => {
+      const { code, state } = await authorize('grace@example.edu');
+      await redeemAuthorizationCode(code, state);
+
+      await expect(redeemAuthorizationCode(code, state)).rejects.toThrow('Invalid or expired single sign-on request');
+    });
+
+    it('should reject an unknown state', async () => {
+      const { code } = await authorize('grace@example.edu');
+
+      await expect(redeemAuthorizationCode(code, 'not-a-real-state')).rejects.toThrow('Invalid or expired single sign-on request');
+    });
+
+    it('should reject a code the provider does not recognise', async () => {
+      const { state } = await createAuthorizationRequest();
+
+      await expect(redeemAuthorizationCode('bogus', state)).rejects.toThrow('Identity provider rejected the login: invalid_grant');
+    });
+  });
+
+  describe('getCodeChallenge', () => {
+    it('should match the RFC 7636 S256 example', () => {
+      expect(getCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+        .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+  });
+
+  describe('getClaim', () => {
+    it('should read nested claims by dotted path', () => {
+      expect(getClaim({ realm_access: { roles: ['staff'] } }, 'realm_access.roles')).toEqual(['staff']);
+      expect(getClaim({ email: 'a@b.edu' }, 'missing.path')).toBeUndefined();
+      expect(getClaim({ email: 'a@b.edu' }, '')).toBeUndefined();
+    });
+  });
+
+  describe('resolveRole', () => {
+    it('should map the first provisionable role claim value', () => {
+      expect(resolveRole({ groups: ['admins', 'learners'] }, baseConfig)).toBe('student');
+      expect(resolveRole({ groups: 'staff' }, baseConfig)).toBe('facilitator');
+    });
+
+    it('should never provision managers', () => {
+      expect(resolveRole({ groups: ['admins'] }, baseConfig)).toBeNull();
+      expect(resolveRole({}, { ...baseConfig, defaultRole: 'manager' })).toBeNull();
+    });
+
+    it('should fall back to the default role', () => {
+      expect(resolveRole({ groups: ['alumni'] }, { ...baseConfig, defaultRole: 'student' })).toBe('student');
+    });
+  });
+
+  describe('buildProvisioningData', () => {
+    it('should combine profile defaults with mapped claims', () => {
+      const data = buildProvisioningData(
+        { given_name: 'Grace', family_name: 'Hopper', groups: ['staff'], employee_id: 'FAC900' },
+        baseConfig,
+        'grace@example.edu'
+      );
+
+      expect(data).toEqual({
+        email: 'grace@example.edu',
+        firstName: 'Grace',
+        lastName: 'Hopper',
+        role: 'facilitator',
+        profileData: { department: 'Computing', employeeId: 'FAC900' }
+      });
+    });
+
+    it('should split the full name when given and family names are missing', () => {
+      const data = buildProvisioningData({ name: 'Ada King Lovelace', groups: ['learners'] }, baseConfig, 'ada@example.edu');
+
+      expect(data.firstName).toBe('Ada');
+      expect(data.lastName).toBe('King Lovelace');
+      expect(data.profileData).toEqual({});
+    });
+
+    it('should refuse claims that map to no provisionable role', () => {
+      expect(() => buildProvisioningData({ groups: ['admins'] }, baseConfig, 'x@example.edu'))
+        .toThrow('does not map to a facilitator or student role');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  DEFAULT_PASSWORD_POLICY,
+  isCommonPassword,
+  checkPasswordRules,
+  getPasswordExpiry
+} = require('../../services/passwordPolicyService');
+
+describe('Password Policy Service', () => {
+  describe('isCommonPassword', () => {
+    it('should match the bundled list regardless of case', () => {
+      expect(isCommonPassword('password123')).toBe(true);
+      expect(isCommonPassword('PASSWORD123')).toBe(true);
+      expect(isCommonPassword('Summer2024')).toBe(true);
+    });
+
+    it('should not match uncommon passwords', () => {
+      expect(isCommonPassword('Tr1cky-Harbour-42')).toBe(false);
+    });
+  });
+
+  describe('checkPasswordRules', () => {
+    it('should accept a password meeting the default policy', () => {
+      expect(checkPasswordRules('Tr1ckyHarbour', DEFAULT_PASSWORD_POLICY)).toEqual([]);
+    });
+
+    it('should report every rule that is broken', () => {
+      expect(checkPasswordRules('abc', DEFAULT_PASSWORD_POLICY)).toEqual([
+        'Password must be at least 8 characters',
+        'Password must contain an uppercase letter',
+        'Password must contain a number'
+      ]);
+    });
+
+    it('should reject common passwords that otherwise meet the rules', () => {
+      expect(checkPasswordRules('Password123', DEFAULT_PASSWORD_POLICY))
+        .toEqual(['Password is too common or has appeared in a data breach']);
+    });
+
+    it('should only require symbols when configured', () => {
+      const policy = { ...DEFAULT_PASSWORD_POLICY, requireSymbol: true };
+      expect(checkPasswordRules('Tr1ckyHarbour', policy)).toEqual(['Password must contain a symbol']);
+      expect(checkPasswordRules('Tr1cky-Harbour', policy)).toEqual([]);
+    });
+
+    it('should skip the common password check when disabled', () => {
+      const policy = { ...DEFAULT_PASSWORD_POLICY, rejectCommonPasswords: false };
+      expect(checkPasswordRules('Password123', policy)).toEqual([]);
+    });
+
+    it('should reject passwords longer than 128 characters', () => {
+      expect(checkPasswordRules(`Aa1${'x'.repeat(200)}`, DEFAULT_PASSWORD_POLICY))
+        .toEqual(['Password must be at most 128 characters']);
+    });
+  });
+
+  describe('getPasswordExpiry', () => {
+    const changedAt = new Date('2025-01-01T00:00:00Z');
+
+    it('should add the maximum age to the change time', () => {
+      expect(getPasswordExpiry(changedAt, { maxAgeDays: 90 })).toEqual(new Date('2025-04-01T00:00:00Z'));
+    });
+
+    it('should never expire when the maximum age is 0', () => {
+      expect(getPasswordExpiry(changedAt, { maxAgeDays: 0 })).toBeNull();
+    });
+
+    it('should not expire passwords with no recorded change time', () => {
+      expect(getPasswordExpiry(null, { maxAgeDays: 90 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { buildErasedIdentity, scrubChanges, eraseUser } = require('../../services/privacyService');
+
+describe('Privacy Service', () => {
+  describe('buildErasedIdentity', () => {
+    it('should derive a unique, undeliverable placeholder from the user id', () => {
+      expect(buildErasedIdentity(42)).toEqual({
+        email: 'erased-user-42@erased.invalid',
+        firstName: 'Erased',
+        lastName: 'User',
+        profileId: 'ERASED-42'
+      });
+    });
+  });
+
+  describe('scrubChanges', () => {
+    it('should replace personal values and keep everything else', () => {
+      expect(scrubChanges({
+        email: { before: 'jane@example.com', after: 'erased-user-1@erased.invalid' },
+        phoneNumber: { before: '+250788000000', after: null },
+        isActive: { before: true, after: false }
+      })).toEqual({
+        email: { before: '[ERASED]', after: '[ERASED]' },
+        phoneNumber: { before: '[ERASED]', after: null },
+        isActive: { before: true, after: false }
+      });
+    });
+
+    it('should leave empty changes alone', () => {
+      expect(scrubChanges(null)).toBeNull();
+      expect(scrubChanges({})).toEqual({});
+    });
+  });
+
+  describe('eraseUser', () => {
+    it('should refuse to erase the caller', async () => {
+      await expect(eraseUser(7, { id: 7 })).rejects.toThrow('You cannot erase your own account');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { getScheduleSlots, slotsOverlap, findPlanConflicts } = require('../../services/scheduleConflictService');
+
+// A plan as buildSchedulePlan would return it
+const plan = (overrides = {}) => ({
+  id: null,
+  facilitatorId: 1,
+  modeType: 'in-person',
+  location: 'Room 101',
+  startDate: '2025-01-20',
+  endDate: '2025-05-20',
+  sessions: [],
+  exceptions: [],
+  ...overrides
+});
+
+const session = (weekday, startTime, endTime, extra = {}) => ({ weekday, startTime, endTime, timezone: 'Africa/Kigali', ...extra });
+
+describe('Schedule Conflict Service', () => {
+  describe('getScheduleSlots', () => {
+    it('should turn sessions and make-ups into slots with their dates and locations', () => {
+      const slots = getScheduleSlots(plan({
+        sessions: [session('monday', '10:00:00', '12:00:00')],
+        exceptions: [
+          { date: '2025-04-07', type: 'cancelled', startTime: null },
+          { date: '2025-04-12', type: 'makeup', startTime: '10:00', endTime: '12:00', timezone: 'Africa/Kigali', location: 'Lab 2' }
+        ]
+      }));
+
+      expect(slots).toEqual([
+        expect.objectContaining({ kind: 'session', weekday: 'monday', startTime: '10:00', location: 'Room 101', from: '2025-01-20', to: '2025-05-20', cancelledOn: ['2025-04-07'] }),
+        expect.objectContaining({ kind: 'makeup', date: '2025-04-12', weekday: 'saturday', location: 'Lab 2', from: '2025-04-12', to: '2025-04-12' })
+      ]);
+    });
+  });
+
+  describe('slotsOverlap', () => {
+    const [monday] = getScheduleSlots(plan({ sessions: [session('monday', '10:00', '12:00')] }));
+
+    it('should detect overlapping times on the same weekday', () => {
+      const [other] = getScheduleSlots(plan({ sessions: [session('monday', '11:00', '13:00')] }));
+      expect(slotsOverlap(monday, other)).toBe(true);
+    });
+
+    it('should allow back-to-back sessions', () => {
+      const [other] = getScheduleSlots(plan({ sessions: [session('monday', '12:00', '13:00')] }));
+      expect(slotsOverlap(monday, other)).toBe(false);
+    });
+
+    it('should ignore offerings whose dates do not overlap', () => {
+      const [other] = getScheduleSlots(plan({
+        startDate: '2025-06-01',
+        endDate: '2025-09-01',
+        sessions: [session('monday', '10:00', '12:00')]
+      }));
+      expect(slotsOverlap(monday, other)).toBe(false);
+    });
+
+    it('should compare sessions in different time zones at the same instant', () => {
+      // 10:00 in Kigali (UTC+2) is 08:00 UTC
+      const [during] = getScheduleSlots(plan({ sessions: [session('monday', '08:30', '09:00', { timezone: 'UTC' })] }));
+      const [after] = getScheduleSlots(plan({ sessions: [session('monday', '10:30', '11:00', { timezone: 'UTC' })] }));
+
+      expect(slotsOverlap(monday, during)).toBe(true);
+      expect(slotsOverlap(monday, after)).toBe(false);
+    });
+
+    it('should detect clashes across midnight UTC at the end of the week', () => {
+      // Monday 01:00 in Kigali is Sunday 23:00 UTC
+      const [early] = getScheduleSlots(plan({ sessions: [session('monday', '00:30', '01:30')] }));
+      const [sunday] = getScheduleSlots(plan({ sessions: [session('sunday', '22:45', '23:15', { timezone: 'UTC' })] }));
+
+      expect(slotsOverlap(early, sunday)).toBe(true);
+    });
+
+    it('should place make-up sessions on their date only', () => {
+      const [makeup] = getScheduleSlots(plan({
+        exceptions: [{ date: '2025-03-03', type: 'makeup', startTime: '11:00', endTime: '12:00', timezone: 'Africa/Kigali' }]
+      }));
+      const [afterTerm] = getScheduleSlots(plan({
+        exceptions: [{ date: '2025-06-02', type: 'makeup', startTime: '11:00', endTime: '12:00', timezone: 'Africa/Kigali' }]
+      }));
+
+      expect(makeup.weekday).toBe('monday');
+      expect(slotsOverlap(monday, makeup)).toBe(true);
+      expect(slotsOverlap(monday, afterTerm)).toBe(false);
+    });
+
+    it('should not clash a make-up with a weekly session cancelled that day', () => {
+      const [cancelledMonday] = getScheduleSlots(plan({
+        sessions: [session('monday', '10:00', '12:00')],
+        exceptions: [{ date: '2025-03-03', type: 'cancelled', startTime: '10:00' }]
+      }));
+      const [makeup] = getScheduleSlots(plan({
+        exceptions: [{ date: '2025-03-03', type: 'makeup', startTime: '10:00', endTime: '11:00', timezone: 'Africa/Kigali' }]
+      }));
+
+      expect(slotsOverlap(cancelledMonday, makeup)).toBe(false);
+    });
+  });
+
+  describe('findPlanConflicts', () => {
+    const existing = plan({ id: 7, facilitatorId: 2, sessions: [session('tuesday', '10:00', '12:00', { id: 31 })] });
+
+    it('should report facilitator double-booking with both sessions', () => {
+      const conflicts = findPlanConflicts(
+        plan({ facilitatorId: 2, modeType: 'online', location: null, sessions: [session('tuesday', '11:00', '12:30')] }),
+        existing
+      );
+
+      expect(conflicts).toEqual([{
+        type: 'facilitator',
+        session: { kind: 'session', weekday: 'tuesday', startTime: '11:00', endTime: '12:30', timezone: 'Africa/Kigali', location: null },
+        conflictingSession: { kind: 'session', id: 31, weekday: 'tuesday', startTime: '10:00', endTime: '12:00', timezone: 'Africa/Kigali', location: 'Room 101' }
+      }]);
+    });
+
+    it('should report in-person offerings sharing a room, ignoring case and spacing', () => {
+      const conflicts = findPlanConflicts(
+        plan({ facilitatorId: 3, location: ' room 101 ', sessions: [session('tuesday', '10:00', '11:00')] }),
+        existing
+      );
+
+      expect(conflicts.map(conflict => conflict.type)).toEqual(['room']);
+    });
+
+    it('should report both kinds when the same facilitator uses the same room', () => {
+      const conflicts = findPlanConflicts(plan({ facilitatorId: 2, sessions: [session('tuesday', '10:00', '11:00')] }), existing);
+
+      expect(conflicts.map(conflict => conflict.type)).toEqual(['facilitator', 'room']);
+    });
+
+    it('should ignore shared locations unless both offerings are in person', () => {
+      expect(findPlanConflicts(
+        plan({ facilitatorId: 3, modeType: 'hybrid', sessions: [session('tuesday', '10:00', '11:00')] }),
+        existing
+      )).toEqual([]);
+    });
+
+    it('should ignore a session location that differs from the shared offering location', () => {
+      expect(findPlanConflicts(
+        plan({ facilitatorId: 3, sessions: [session('tuesday', '10:00', '11:00', { location: 'Room 202' })] }),
+        existing
+      )).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { Op } = require('sequelize');
+const { CourseOffering, ScheduleSession, ScheduleException } = require('../../models');
+const { courseScheduleRules, checkRecord } = require('../../middleware/validation');
+const { SCHEDULE_INCLUDES, buildScheduleRows, findScheduledSessions } = require('../../services/scheduleService');
+
+describe('Schedule Service', () => {
+  const originalTimezone = process.env.SCHEDULE_TIMEZONE;
+
+  afterEach(() => {
+    if (originalTimezone === undefined) {
+      delete process.env.SCHEDULE_TIMEZONE;
+    } else {
+      process.env.SCHEDULE_TIMEZONE = originalTimezone;
+    }
+  });
+
+  describe('buildScheduleRows', () => {
+    it('should fill in the schedule time zone and store times as TIME values', () => {
+      const { sessions, exceptions } = buildScheduleRows(4, {
+        timezone: 'Africa/Kigali',
+        sessions: [
+          { weekday: 'tuesday', startTime: '10:00', endTime: '12:00', location: 'Room 101' },
+          { weekday: 'thursday', startTime: '10:00', endTime: '12:00', timezone: 'Europe/London' }
+        ],
+        exceptions: [
+          { date: '2025-04-08', type: 'cancelled', reason: 'Public holiday' },
+          { date: '2025-04-12', type: 'makeup', startTime: '09:00', endTime: '11:00' }
+        ]
+      });
+
+      expect(sessions).toEqual([
+        { courseOfferingId: 4, weekday: 'tuesday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'Africa/Kigali', location: 'Room 101' },
+        { courseOfferingId: 4, weekday: 'thursday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'Europe/London', location: null }
+      ]);
+      expect(exceptions).toEqual([
+        { courseOfferingId: 4, date: '2025-04-08', type: 'cancelled', startTime: null, endTime: null, timezone: null, location: null, reason: 'Public holiday' },
+        { courseOfferingId: 4, date: '2025-04-12', type: 'makeup', startTime: '09:00:00', endTime: '11:00:00', timezone: 'Africa/Kigali', location: null, reason: null }
+      ]);
+    });
+
+    it('should fall back to SCHEDULE_TIMEZONE', () => {
+      process.env.SCHEDULE_TIMEZONE = 'Africa/Nairobi';
+
+      const { sessions } = buildScheduleRows(1, { sessions: [{ weekday: 'monday', startTime: '08:00', endTime: '09:00' }] });
+
+      expect(sessions[0].timezone).toBe('Africa/Nairobi');
+    });
+  });
+
+  describe('findScheduledSessions', () => {
+    const courseOffering = { id: 1, status: 'active', location: 'Room 101' };
+    // Rows as the TIME columns return them, with seconds
+    const session = (id, startTime, endTime) => ({
+      id, courseOfferingId: 1, weekday: 'tuesday', startTime, endTime, timezone: 'UTC', location: null, courseOffering
+    });
+    const exception = (id, type, startTime, endTime) => ({
+      id, courseOfferingId: 1, date: '2025-04-08', type, startTime, endTime, timezone: 'UTC', location: null, reason: null, courseOffering
+    });
+
+    const mockSchedule = (sessions, exceptions) => {
+      jest.spyOn(ScheduleSession, 'findAll').mockResolvedValue(sessions);
+      jest.spyOn(ScheduleException, 'findAll').mockResolvedValue(exceptions);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should query regular sessions by weekday and time', async () => {
+      mockSchedule([session(1, '10:00:00', '12:00:00')], []);
+
+      const occurrences = await findScheduledSessions({ weekday: 'tuesday', time: '10:30' });
+
+      expect(ScheduleSession.findAll.mock.calls[0][0].where).toEqual({
+        weekday: 'tuesday',
+        startTime: { [Op.lte]: '10:30:00' },
+        endTime: { [Op.gt]: '10:30:00' }
+      });
+      expect(ScheduleException.findAll).not.toHaveBeenCalled();
+      expect(occurrences.map(occurrence => [occurrence.type, occurrence.id, occurrence.location]))
+        .toEqual([['regular', 1, 'Room 101']]);
+    });
+
+    it('should include make-up sessions running at the time on the date', async () => {
+      mockSchedule([session(1, '10:00:00', '12:00:00')], [
+        exception(2, 'makeup', '09:00:00', '11:00:00'),
+        exception(3, 'makeup', '11:00:00', '13:00:00'),
+        exception(4, 'makeup', '14:00:00', '15:00:00')
+      ]);
+
+      const occurrences = await findScheduledSessions({ date: '2025-04-08', time: '11:00' });
+
+      expect(ScheduleSession.findAll.mock.calls[0][0].where.weekday).toBe('tuesday');
+      expect(occurrences.map(occurrence => [occurrence.type, occurrence.id, occurrence.date]))
+        .toEqual([['regular', 1, '2025-04-08'], ['makeup', 3, '2025-04-08']]);
+    });
+
+    it('should drop cancelled regular sessions on the date', async () => {
+      mockSchedule([session(1, '10:00:00', '12:00:00'), session(5, '14:00:00', '16:00:00')], [
+        exception(2, 'cancelled', '10:00:00', null)
+      ]);
+
+      const occurrences = await findScheduledSessions({ date: '2025-04-08' });
+
+      expect(occurrences.map(occurrence => occurrence.id)).toEqual([5]);
+    });
+  });
+
+  describe('courseScheduleRules', () => {
+    it('should accept a valid schedule and normalise weekdays', async () => {
+      const { values, errors } = await checkRecord(courseScheduleRules, {
+        schedule: {
+          timezone: 'Africa/Kigali',
+          sessions: [{ weekday: 'Tuesday', startTime: '10:00', endTime: '12:00' }],
+          exceptions: [{ date: '2025-04-12', type: 'makeup', startTime: '09:00', endTime: '11:00' }]
+        }
+      });
+
+      expect(errors).toEqual([]);
+      expect(values.schedule.sessions[0].weekday).toBe('tuesday');
+    });
+
+    it('should report invalid sessions and exceptions by path', async () => {
+      const { errors } = await checkRecord(courseScheduleRules, {
+        schedule: {
+          timezone: 'Nowhere/Special',
+          sessions: [
+            { weekday: 'funday', startTime: '10:00', endTime: '25:00' },
+            { weekday: 'monday', startTime: '12:00', endTime: '10:00' }
+          ],
+          exceptions: [{ date: '12/04/2025', type: 'makeup' }]
+        }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        { field: 'schedule.timezone', message: 'Timezone must be a valid IANA time zone, e.g. Africa/Kigali' },
+        { field: 'schedule.sessions[0].weekday', message: 'Weekday must be monday, tuesday, wednesday, thursday, friday, saturday or sunday' },
+        { field: 'schedule.sessions[0].endTime', message: 'End time must be a 24-hour HH:MM time' },
+        { field: 'schedule.sessions[1]', message: 'End time must be after start time' },
+        { field: 'schedule.exceptions[0]', message: 'Make-up sessions need a start and end time' },
+        { field: 'schedule.exceptions[0].date', message: 'Exception date must be a YYYY-MM-DD date' }
+      ]));
+    });
+
+    it('should reject the old free-text format', async () => {
+      const { errors } = await checkRecord(courseScheduleRules, { schedule: 'Monday 10:00-12:00' });
+
+      expect(errors).toEqual([{ field: 'schedule', message: 'Schedule must be an object with sessions and exceptions' }]);
+    });
+
+    it('should allow clearing the schedule with null', async () => {
+      const { errors } = await checkRecord(courseScheduleRules, { schedule: null });
+
+      expect(errors).toEqual([]);
+    });
+  });
+
+  describe('CourseOffering serialisation', () => {
+    it('should return loaded sessions and exceptions as a sorted schedule', () => {
+      const offering = CourseOffering.build({
+        id: 1,
+        moduleId: 1,
+        cohortId: 1,
+        classId: 1,
+        modeId: 1,
+        sessions: [
+          { id: 2, courseOfferingId: 1, weekday: 'thursday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'UTC' },
+          { id: 1, courseOfferingId: 1, weekday: 'tuesday', startTime: '10:00:00', endTime: '12:00:00', timezone: 'UTC' }
+        ],
+        scheduleExceptions: []
+      }, { include: SCHEDULE_INCLUDES });
+
+      const json = JSON.parse(JSON.stringify(offering));
+
+      expect(json.sessions).toBeUndefined();
+      expect(json.scheduleExceptions).toBeUndefined();
+      expect(json.schedule.sessions.map(session => `${session.weekday} ${session.startTime}-${session.endTime}`))
+        .toEqual(['tuesday 10:00-12:00', 'thursday 10:00-12:00']);
+      expect(json.schedule.exceptions).toEqual([]);
+    });
+  });
+});
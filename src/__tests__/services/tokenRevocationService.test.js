@@ -0,0 +1,85 @@
+const redisClient = require('../../config/redis');
+const {
+  revokeToken,
+  revokeAllUserTokens,
+  isTokenRevoked
+} = require('../../services/tokenRevocationService');
+
+describe('Token Revocation Service', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+  });
+
+  describe('revokeToken', () => {
+    it('should revoke a token by its jti', async () => {
+      const decoded = { id: 1, jti: 'token-1', iat: now(), exp: now() + 3600 };
+
+      expect(await isTokenRevoked(decoded)).toBe(false);
+      await revokeToken(decoded);
+      expect(await isTokenRevoked(decoded)).toBe(true);
+    });
+
+    it('should not affect other tokens of the same user', async () => {
+      const revoked = { id: 1, jti: 'token-1', iat: now(), exp: now() + 3600 };
+      const other = { id: 1, jti: 'token-2', iat: now(), exp: now() + 3600 };
+
+      await revokeToken(revoked);
+      expect(await isTokenRevoked(other)).toBe(false);
+    });
+
+    it('should expire the revocation entry with the token', async () => {
+      const decoded = { id: 1, jti: 'token-1', iat: now(), exp: now() + 60 };
+
+      await revokeToken(decoded);
+      const ttl = await redisClient.ttl('revoked_token:token-1');
+      expect(ttl).toBeGreaterThan(0);
+      expect(ttl).toBeLessThanOrEqual(60);
+    });
+
+    it('should ignore tokens without a jti', async () => {
+      expect(await revokeToken({ id: 1 })).toBe(false);
+    });
+  });
+
+  describe('revokeAllUserTokens', () => {
+    it('should revoke tokens issued before the revocation', async () => {
+      const decoded = { id: 5, jti: 'old-token', iat: now() - 10, exp: now() + 3600 };
+
+      await revokeAllUserTokens(5);
+      expect(await isTokenRevoked(decoded)).toBe(true);
+    });
+
+    it('should accept tokens issued after the revocation', async () => {
+      await revokeAllUserTokens(5);
+
+      const decoded = { id: 5, jti: 'new-token', iat: now() + 1, exp: now() + 3600 };
+      expect(await isTokenRevoked(decoded)).toBe(false);
+    });
+
+    it('should revoke a token issued earlier in the same second', async () => {
+      const issuedAt = Date.now();
+      const decoded = { id: 5, jti: 'same-second', iat: Math.floor(issuedAt / 1000), iatMs: issuedAt, exp: now() + 3600 };
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await revokeAllUserTokens(5);
+
+      expect(await isTokenRevoked(decoded)).toBe(true);
+    });
+
+    it('should accept a token issued after the revocation in the same second', async () => {
+      const revokedAt = await revokeAllUserTokens(5);
+
+      const decoded = { id: 5, jti: 'new-login', iat: Math.floor(revokedAt / 1000), iatMs: revokedAt + 1, exp: now() + 3600 };
+      expect(await isTokenRevoked(decoded)).toBe(false);
+    });
+
+    it('should not affect other users', async () => {
+      await revokeAllUserTokens(5);
+
+      const decoded = { id: 6, jti: 'other-user', iat: now() - 10, exp: now() + 3600 };
+      expect(await isTokenRevoked(decoded)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const redisClient = require('../../config/redis');
+const { LOGIN_CHALLENGE_TTL, createLoginChallenge, completeLoginChallenge } = require('../../services/twoFactorService');
+
+describe('Two Factor Service', () => {
+  const challengeKey = (token) => `two_factor_challenge:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+  });
+
+  describe('createLoginChallenge', () => {
+    it('should store the user and the auth method of the first login step', async () => {
+      const token = await createLoginChallenge(7, 'oidc');
+
+      expect(JSON.parse(await redisClient.get(challengeKey(token)))).toEqual({ userId: 7, authMethod: 'oidc' });
+      expect(await redisClient.ttl(challengeKey(token))).toBeLessThanOrEqual(LOGIN_CHALLENGE_TTL);
+    });
+
+    it('should default to a password login', async () => {
+      const token = await createLoginChallenge(7);
+
+      expect(JSON.parse(await redisClient.get(challengeKey(token))).authMethod).toBe('password');
+    });
+  });
+
+  describe('completeLoginChallenge', () => {
+    it('should reject an unknown challenge', async () => {
+      await expect(completeLoginChallenge('unknown', { code: '123456' }))
+        .rejects.toThrow('Two-factor login session expired. Please login again.');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+jest.mock('../../services/notificationService', () => ({
+  queueEmail: jest.fn()
+}));
+
+const { MAX_IMPORT_ROWS, getRequiredColumns, importUsers } = require('../../services/userImportService');
+
+describe('User Import Service', () => {
+  describe('getRequiredColumns', () => {
+    it('should require the profile fields register requires for each role', () => {
+      expect(getRequiredColumns('student')).toEqual(['email', 'firstName', 'lastName', 'studentId', 'cohortId']);
+      expect(getRequiredColumns('facilitator')).toEqual(['email', 'firstName', 'lastName', 'employeeId', 'specialization']);
+      expect(getRequiredColumns('manager')).toEqual(['email', 'firstName', 'lastName', 'department', 'employeeId']);
+    });
+  });
+
+  describe('importUsers', () => {
+    it('should reject files without rows', async () => {
+      await expect(importUsers('email,firstName,lastName\n', { role: 'facilitator' }))
+        .rejects.toThrow('contains no rows');
+    });
+
+    it('should reject files missing required columns', async () => {
+      const csv = 'email,firstName,lastName,studentId\njane@example.com,Jane,Doe,STU001\n';
+      await expect(importUsers(csv, { role: 'student' }))
+        .rejects.toThrow('missing required columns: cohortId');
+    });
+
+    it('should reject columns that do not belong to the role', async () => {
+      const csv = 'email,firstName,lastName,employeeId,specialization,studentId\njane@example.com,Jane,Doe,F1,Math,S1\n';
+      await expect(importUsers(csv, { role: 'facilitator' }))
+        .rejects.toThrow('unknown columns for facilitators: studentId');
+    });
+
+    it('should reject files over the row limit', async () => {
+      const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `user${i}@example.com,Jane,Doe,F${i},Math`);
+      const csv = ['email,firstName,lastName,employeeId,specialization', ...rows].join('\n');
+      await expect(importUsers(csv, { role: 'facilitator' }))
+        .rejects.toThrow(`more than ${MAX_IMPORT_ROWS} rows`);
+    });
+
+    it('should report malformed CSV as a validation error', async () => {
+      await expect(importUsers('email\n"jane@example.com', { role: 'facilitator' }))
+        .rejects.toThrow('unterminated');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { parseCsv } = require('../../utils/csv');
+
+describe('CSV Utilities', () => {
+  describe('parseCsv', () => {
+    it('should key rows by header and record their line numbers', () => {
+      const { headers, rows } = parseCsv('email,firstName\njane@example.com,Jane\njohn@example.com,John\n');
+
+      expect(headers).toEqual(['email', 'firstName']);
+      expect(rows).toEqual([
+        { line: 2, email: 'jane@example.com', firstName: 'Jane' },
+        { line: 3, email: 'john@example.com', firstName: 'John' }
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and line breaks', () => {
+      const { rows } = parseCsv('name,address\r\n"Doe, Jane","12 ""Main"" St\nKigali"\r\n');
+
+      expect(rows).toEqual([
+        { line: 2, name: 'Doe, Jane', address: '12 "Main" St\nKigali' }
+      ]);
+    });
+
+    it('should trim values, omit empty cells and skip blank lines', () => {
+      const { rows } = parseCsv('\uFEFF email , phone \n jane@example.com ,\n\n');
+
+      expect(rows).toEqual([{ line: 2, email: 'jane@example.com' }]);
+    });
+
+    it('should report the line each row starts on after blank lines and multi-line fields', () => {
+      const { rows } = parseCsv('email,address\n\njane@example.com,"12 Main St\r\nKigali\nRwanda"\r\n\njohn@example.com,Huye\n');
+
+      expect(rows).toEqual([
+        { line: 3, email: 'jane@example.com', address: '12 Main St\r\nKigali\nRwanda' },
+        { line: 7, email: 'john@example.com', address: 'Huye' }
+      ]);
+    });
+
+    it('should return no rows for empty input', () => {
+      expect(parseCsv('')).toEqual({ headers: [], rows: [] });
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parseCsv('name\n"Jane')).toThrow('unterminated');
+    });
+  });
+});
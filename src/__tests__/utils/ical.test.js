@@ -0,0 +1,69 @@
+const { escapeText, foldLine, formatDateTime, formatDate, nextDate, buildCalendar } = require('../../utils/ical');
+
+describe('iCalendar Utilities', () => {
+  describe('escapeText', () => {
+    it('should escape backslashes, separators and line breaks', () => {
+      expect(escapeText('Room 1, Block A; bring laptop\\charger\nAsk at reception')).toBe(
+        'Room 1\\, Block A\\; bring laptop\\\\charger\\nAsk at reception'
+      );
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `DESCRIPTION:${'é'.repeat(60)}`;
+      const folded = foldLine(line).split('\r\n');
+
+      expect(folded.length).toBeGreaterThan(1);
+      folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+      expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+      expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+  });
+
+  describe('dates', () => {
+    it('should format UTC date-times, dates and the following day', () => {
+      expect(formatDateTime(new Date('2025-01-20T08:00:00.000Z'))).toBe('20250120T080000Z');
+      expect(formatDate('2025-01-20')).toBe('20250120');
+      expect(nextDate('2025-02-28')).toBe('2025-03-01');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should build a calendar of timed and all-day events with CRLF line endings', () => {
+      const ics = buildCalendar({
+        name: 'Teaching timetable: Jane Doe',
+        stamp: new Date('2025-01-01T00:00:00Z'),
+        events: [
+          {
+            uid: 'session-1-2025-01-20@example',
+            start: new Date('2025-01-20T08:00:00Z'),
+            end: new Date('2025-01-20T10:00:00Z'),
+            summary: 'CS101 Intro',
+            location: 'Room 101'
+          },
+          { uid: 'activity-log-3@example', start: '2025-01-29', allDay: true, summary: 'Activity log due' }
+        ]
+      });
+
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.split('\r\n')).toEqual(expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'X-WR-CALNAME:Teaching timetable: Jane Doe',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'UID:session-1-2025-01-20@example',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250120T080000Z',
+        'DTEND:20250120T100000Z',
+        'LOCATION:Room 101',
+        'DTSTART;VALUE=DATE:20250129',
+        'DTEND;VALUE=DATE:20250130'
+      ]));
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+  });
+});
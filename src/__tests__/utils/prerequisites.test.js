@@ -0,0 +1,105 @@
+const {
+  parsePrerequisites,
+  getUnmetGroups,
+  formatGroup,
+  buildPrerequisiteGraph
+} = require('../../utils/prerequisites');
+
+const catalogueOf = (modules) => new Map(modules.map((module, index) => [
+  module.code,
+  { id: index + 1, name: `${module.code} name`, ...module }
+]));
+
+describe('Prerequisite Utilities', () => {
+  describe('parsePrerequisites', () => {
+    it('should treat empty and "None" as no prerequisites', () => {
+      [null, '', 'None', 'n/a', ' - '].forEach(text => {
+        expect(parsePrerequisites(text)).toEqual({ groups: [], notes: null });
+      });
+    });
+
+    it('should read required modules and alternatives', () => {
+      expect(parsePrerequisites('CS101, MATH101 or MATH102').groups).toEqual([['CS101'], ['MATH101', 'MATH102']]);
+      expect(parsePrerequisites('CS101 and CS102; ENG101/ENG102').groups).toEqual([['CS101'], ['CS102'], ['ENG101', 'ENG102']]);
+    });
+
+    it('should normalise loosely written codes and drop duplicates', () => {
+      expect(parsePrerequisites('cs 101, CS-101 & math101 or MATH101').groups).toEqual([['CS101'], ['MATH101']]);
+    });
+
+    it('should keep clauses that are not module codes as notes', () => {
+      expect(parsePrerequisites('Pre-calculus or equivalent')).toEqual({ groups: [], notes: 'Pre-calculus or equivalent' });
+      expect(parsePrerequisites('CS101, CS102 or work experience')).toEqual({
+        groups: [['CS101']],
+        notes: 'CS102 or work experience'
+      });
+    });
+  });
+
+  describe('getUnmetGroups', () => {
+    it('should return groups with no completed module', () => {
+      const groups = [['CS101'], ['MATH101', 'MATH102'], ['ENG101']];
+
+      expect(getUnmetGroups(groups, new Set(['MATH102', 'ENG101']))).toEqual([['CS101']]);
+      expect(getUnmetGroups(groups, new Set(['CS101', 'MATH101', 'ENG101']))).toEqual([]);
+    });
+  });
+
+  describe('formatGroup', () => {
+    it('should join alternatives with "or"', () => {
+      expect(formatGroup(['MATH101', 'MATH102'])).toBe('MATH101 or MATH102');
+    });
+  });
+
+  describe('buildPrerequisiteGraph', () => {
+    it('should follow prerequisites and mark unknown codes as missing', () => {
+      const graph = buildPrerequisiteGraph('CS301', catalogueOf([
+        { code: 'CS101', prerequisites: 'None' },
+        { code: 'CS201', prerequisites: 'CS101' },
+        { code: 'CS301', prerequisites: 'CS201, MATH101 or STAT999' },
+        { code: 'MATH101', prerequisites: 'Pre-calculus or equivalent' }
+      ]));
+
+      expect(graph.nodes.map(node => node.code)).toEqual(['CS301', 'CS201', 'CS101', 'MATH101', 'STAT999']);
+      expect(graph.nodes.find(node => node.code === 'STAT999').missing).toBe(true);
+      expect(graph.nodes.find(node => node.code === 'MATH101').notes).toBe('Pre-calculus or equivalent');
+      expect(graph.edges).toEqual([
+        { from: 'CS301', to: 'CS201', group: 0 },
+        { from: 'CS201', to: 'CS101', group: 0 },
+        { from: 'CS301', to: 'MATH101', group: 1 },
+        { from: 'CS301', to: 'STAT999', group: 1 }
+      ]);
+      expect(graph.cycles).toEqual([]);
+    });
+
+    it('should leave out modules that are not prerequisites of the root', () => {
+      const graph = buildPrerequisiteGraph('CS201', catalogueOf([
+        { code: 'CS101', prerequisites: null },
+        { code: 'CS201', prerequisites: 'CS101' },
+        { code: 'CS301', prerequisites: 'CS201' }
+      ]));
+
+      expect(graph.nodes.map(node => node.code)).toEqual(['CS201', 'CS101']);
+    });
+
+    it('should detect each cycle once, starting from its smallest code', () => {
+      const graph = buildPrerequisiteGraph('CS401', catalogueOf([
+        { code: 'CS201', prerequisites: 'CS301' },
+        { code: 'CS301', prerequisites: 'CS201 or CS302' },
+        { code: 'CS302', prerequisites: 'CS301' },
+        { code: 'CS401', prerequisites: 'CS302, CS201' }
+      ]));
+
+      expect(graph.cycles).toEqual([
+        ['CS201', 'CS301', 'CS201'],
+        ['CS301', 'CS302', 'CS301']
+      ]);
+    });
+
+    it('should detect a module that requires itself', () => {
+      const graph = buildPrerequisiteGraph('CS101', catalogueOf([{ code: 'CS101', prerequisites: 'CS101' }]));
+
+      expect(graph.cycles).toEqual([['CS101', 'CS101']]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { requestContext, getRequestContext, setRequestActor } = require('../../utils/requestContext');
+
+describe('Request Context', () => {
+  const buildRequest = (headers = {}) => ({
+    ip: '10.0.0.1',
+    get: (name) => headers[name]
+  });
+  const buildResponse = () => ({
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    }
+  });
+
+  it('should generate a request id and expose it inside the request', (done) => {
+    const req = buildRequest();
+    const res = buildResponse();
+
+    requestContext(req, res, async () => {
+      await Promise.resolve();
+      const context = getRequestContext();
+      expect(context.requestId).toBe(req.requestId);
+      expect(context.ipAddress).toBe('10.0.0.1');
+      expect(res.headers['X-Request-Id']).toBe(req.requestId);
+      done();
+    });
+  });
+
+  it('should reuse a well-formed incoming request id', (done) => {
+    requestContext(buildRequest({ 'X-Request-Id': 'proxy-123' }), buildResponse(), () => {
+      expect(getRequestContext().requestId).toBe('proxy-123');
+      done();
+    });
+  });
+
+  it('should replace malformed incoming request ids', (done) => {
+    requestContext(buildRequest({ 'X-Request-Id': 'bad id\n' }), buildResponse(), () => {
+      expect(getRequestContext().requestId).not.toBe('bad id\n');
+      done();
+    });
+  });
+
+  it('should record the actor for later code in the same request', (done) => {
+    requestContext(buildRequest(), buildResponse(), async () => {
+      setRequestActor({ userId: 7, impersonatorId: 2 });
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(getRequestContext()).toMatchObject({ userId: 7, impersonatorId: 2, apiKeyId: null });
+      done();
+    });
+  });
+
+  it('should have no context outside a request', () => {
+    expect(getRequestContext()).toBeUndefined();
+    expect(() => setRequestActor({ userId: 1 })).not.toThrow();
+  });
+});
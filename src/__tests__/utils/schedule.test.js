@@ -0,0 +1,108 @@
+const {
+  isValidTimezone,
+  toTimeColumn,
+  fromTimeColumn,
+  getWeekday,
+  getLocalDate,
+  addDays,
+  daysBetween,
+  toUtcDate,
+  compareSessions,
+  compareExceptions
+} = require('../../utils/schedule');
+
+describe('Schedule utilities', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA time zone names', () => {
+      expect(isValidTimezone('Africa/Kigali')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(3)).toBe(false);
+    });
+  });
+
+  describe('time columns', () => {
+    it('should convert between HH:MM and TIME values', () => {
+      expect(toTimeColumn('09:30')).toBe('09:30:00');
+      expect(toTimeColumn('09:30:15')).toBe('09:30:15');
+      expect(toTimeColumn(null)).toBeNull();
+      expect(fromTimeColumn('09:30:00')).toBe('09:30');
+      expect(fromTimeColumn(null)).toBeNull();
+    });
+  });
+
+  describe('getWeekday', () => {
+    it('should name the weekday of a calendar date', () => {
+      expect(getWeekday('2025-01-20')).toBe('monday');
+      expect(getWeekday('2025-04-12')).toBe('saturday');
+      expect(getWeekday('2025-04-13')).toBe('sunday');
+    });
+  });
+
+  describe('getLocalDate', () => {
+    it('should give the date in the time zone', () => {
+      const instant = new Date('2025-03-02T23:30:00Z');
+      expect(getLocalDate('Africa/Kigali', instant)).toBe('2025-03-03');
+      expect(getLocalDate('America/New_York', instant)).toBe('2025-03-02');
+    });
+  });
+
+  describe('date arithmetic', () => {
+    it('should add days across months and years', () => {
+      expect(addDays('2025-01-30', 3)).toBe('2025-02-02');
+      expect(addDays('2025-01-02', -3)).toBe('2024-12-30');
+      expect(addDays(new Date('2024-02-28'), 1)).toBe('2024-02-29');
+    });
+
+    it('should count the days between dates', () => {
+      expect(daysBetween('2025-01-20', '2025-05-12')).toBe(112);
+      expect(daysBetween('2025-05-12', '2025-01-20')).toBe(-112);
+    });
+  });
+
+  describe('toUtcDate', () => {
+    it('should convert local times using the offset on that date', () => {
+      expect(toUtcDate('2025-03-03', '10:00', 'Africa/Kigali').toISOString()).toBe('2025-03-03T08:00:00.000Z');
+      expect(toUtcDate('2025-01-15', '09:00:00', 'Europe/London').toISOString()).toBe('2025-01-15T09:00:00.000Z');
+      expect(toUtcDate('2025-07-15', '09:00:00', 'Europe/London').toISOString()).toBe('2025-07-15T08:00:00.000Z');
+    });
+
+    it('should handle times whose UTC date is the day before', () => {
+      expect(toUtcDate('2025-03-03', '01:00', 'Africa/Kigali').toISOString()).toBe('2025-03-02T23:00:00.000Z');
+    });
+  });
+
+  describe('sorting', () => {
+    it('should order sessions by weekday then start time', () => {
+      const sessions = [
+        { weekday: 'friday', startTime: '09:00' },
+        { weekday: 'monday', startTime: '14:00' },
+        { weekday: 'monday', startTime: '10:00' }
+      ];
+
+      expect(sessions.sort(compareSessions)).toEqual([
+        { weekday: 'monday', startTime: '10:00' },
+        { weekday: 'monday', startTime: '14:00' },
+        { weekday: 'friday', startTime: '09:00' }
+      ]);
+    });
+
+    it('should order exceptions by date then start time', () => {
+      const exceptions = [
+        { date: '2025-04-12', startTime: '10:00' },
+        { date: '2025-04-07', startTime: null },
+        { date: '2025-04-12', startTime: '08:00' }
+      ];
+
+      expect(exceptions.sort(compareExceptions).map(exception => `${exception.date} ${exception.startTime}`)).toEqual([
+        '2025-04-07 null',
+        '2025-04-12 08:00',
+        '2025-04-12 10:00'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const totp = require('../../utils/totp');
+
+describe('TOTP Utilities', () => {
+  // RFC 6238 test secret ("12345678901234567890" in base32)
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+      expect(totp.base32Encode(bytes)).toBe(rfcSecret);
+      expect(totp.base32Decode(rfcSecret).equals(bytes)).toBe(true);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow();
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(rfcSecret, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1234567890 * 1000;
+
+    it('should accept the current code and return its time step', () => {
+      expect(totp.verifyCode(rfcSecret, '005924', 1, now)).toBe(totp.getTimeStep(now));
+    });
+
+    it('should accept codes from adjacent steps within the window', () => {
+      const previous = totp.generateCode(rfcSecret, totp.getTimeStep(now) - 1);
+      expect(totp.verifyCode(rfcSecret, previous, 1, now)).toBe(totp.getTimeStep(now) - 1);
+      expect(totp.verifyCode(rfcSecret, previous, 0, now)).toBeNull();
+    });
+
+    it('should reject wrong or malformed codes', () => {
+      expect(totp.verifyCode(rfcSecret, '000000', 1, now)).toBeNull();
+      expect(totp.verifyCode(rfcSecret, '12345', 1, now)).toBeNull();
+      expect(totp.verifyCode(rfcSecret, 'abcdef', 1, now)).toBeNull();
+      expect(totp.verifyCode(rfcSecret, undefined, 1, now)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include the secret, issuer and account', () => {
+      const uri = totp.buildOtpauthUri('ABCDEF', 'manager@test.com');
+      expect(uri.startsWith('otpauth://totp/')).toBe(true);
+      expect(uri).toContain('secret=ABCDEF');
+      expect(uri).toContain(encodeURIComponent('manager@test.com'));
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should decrypt what it encrypts without storing the plain secret', () => {
+      const secret = totp.generateSecret();
+      const stored = totp.encryptSecret(secret);
+
+      expect(stored).not.toContain(secret);
+      expect(totp.decryptSecret(stored)).toBe(secret);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { describeUserAgent } = require('../../utils/userAgent');
+
+describe('describeUserAgent', () => {
+  it('should name the browser and operating system', () => {
+    expect(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36'))
+      .toBe('Chrome on Windows');
+    expect(describeUserAgent('Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0'))
+      .toBe('Firefox on Linux');
+    expect(describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari on iOS');
+  });
+
+  it('should recognise browsers built on Chrome before Chrome itself', () => {
+    expect(describeUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0'))
+      .toBe('Edge on macOS');
+    expect(describeUserAgent('Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36 OPR/82.0.0.0'))
+      .toBe('Opera on Android');
+  });
+
+  it('should fall back to the product name for other clients', () => {
+    expect(describeUserAgent('curl/8.5.0')).toBe('curl');
+    expect(describeUserAgent('PostmanRuntime/7.39.0')).toBe('PostmanRuntime');
+  });
+
+  it('should return null without a user agent', () => {
+    expect(describeUserAgent(undefined)).toBeNull();
+    expect(describeUserAgent('')).toBeNull();
+  });
+});
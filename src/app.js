@@ -11,6 +11,10 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
+const impersonationRoutes = require('./routes/impersonationRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
 const courseAllocationRoutes = require('./routes/courseAllocationRoutes');
 const facilitatorActivityRoutes = require('./routes/facilitatorActivityRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
@@ -18,12 +22,19 @@ const cohortRoutes = require('./routes/cohortRoutes');
 const classRoutes = require('./routes/classRoutes');
 const moduleRoutes = require('./routes/moduleRoutes');
 const modeRoutes = require('./routes/modeRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const calendarFeedRoutes = require('./routes/calendarFeedRoutes');
+const enrollmentRoutes = require('./routes/enrollmentRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
 
 // Import middleware
 const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { requestContext } = require('./utils/requestContext');
 
 // Import database and services
 const { sequelize } = require('./models');
+const redisClient = require('./config/redis');
 
 
 const app = express();
@@ -48,6 +59,10 @@ app.use(compression());
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
+
+// Started after body parsing so the context survives into route handlers
+app.use(requestContext);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -74,6 +89,11 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       }
     },
@@ -102,6 +122,10 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/impersonation', impersonationRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/course-allocations', courseAllocationRoutes);
 app.use('/api/facilitator-activities', facilitatorActivityRoutes);
@@ -110,6 +134,11 @@ app.use('/api/cohorts', cohortRoutes);
 app.use('/api/classes', classRoutes);
 app.use('/api/modules', moduleRoutes);
 app.use('/api/modes', modeRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
@@ -125,6 +154,12 @@ const initializeServices = async () => {
     await sequelize.authenticate();
     console.log('Database connection established successfully.');
     console.log('Database models synchronized.');
+
+    // Connect Redis (token revocation, notification logs)
+    if (!redisClient.isOpen) {
+      await redisClient.connect();
+    }
+    console.log('Redis connection established successfully.');
   } catch (error) {
     console.error('Service initialization failed:', error);
     throw error;
@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+// Parse a JSON object from an environment variable, naming the variable on error
+function parseJsonEnv(name, fallback = {}) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+
+  try {
+    const value = JSON.parse(raw);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('expected a JSON object');
+    }
+    return value;
+  } catch (error) {
+    throw new Error(`${name} is not valid: ${error.message}`);
+  }
+}
+
+/**
+ * OpenID Connect single sign-on settings
+ * Read on every call so the environment can change between tests.
+ */
+function getOidcConfig() {
+  const issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+  const clientId = process.env.OIDC_CLIENT_ID || '';
+
+  return {
+    enabled: Boolean(issuer && clientId),
+    issuer,
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+    allowUnverifiedEmail: process.env.OIDC_ALLOW_UNVERIFIED_EMAIL === 'true',
+    // Just-in-time provisioning of users who have no account yet
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING === 'true',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || '',
+    roleMapping: parseJsonEnv('OIDC_ROLE_MAPPING'),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || '',
+    profileClaims: parseJsonEnv('OIDC_PROFILE_CLAIMS'),
+    profileDefaults: parseJsonEnv('OIDC_PROFILE_DEFAULTS')
+  };
+}
+
+module.exports = { getOidcConfig };
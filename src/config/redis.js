@@ -0,0 +1,30 @@
+const { createClient } = require('redis');
+const MemoryStore = require('../utils/memoryStore');
+require('dotenv').config();
+
+/**
+ * Shared Redis client
+ * Tests (and REDIS_DRIVER=memory) use an in-memory stand-in with the same API.
+ */
+const useMemoryStore = process.env.NODE_ENV === 'test' || process.env.REDIS_DRIVER === 'memory';
+
+let redisClient;
+
+if (useMemoryStore) {
+  redisClient = new MemoryStore();
+} else {
+  redisClient = createClient({
+    socket: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT) || 6379
+    },
+    password: process.env.REDIS_PASSWORD || undefined,
+    database: parseInt(process.env.REDIS_DB) || 0
+  });
+
+  redisClient.on('error', (error) => {
+    console.error('Redis client error:', error);
+  });
+}
+
+module.exports = redisClient;
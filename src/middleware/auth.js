@@ -1,5 +1,106 @@
 const jwt = require('jsonwebtoken');
 const { User, Manager, Facilitator, Student } = require('../models');
+const { isTokenRevoked } = require('../services/tokenRevocationService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { isPasswordExpired } = require('../services/passwordPolicyService');
+const { touchSession } = require('../services/sessionService');
+const { isApiKey, getRequiredScope, findUsableApiKey, recordApiKeyUse } = require('../services/apiKeyService');
+const { canImpersonate, recordImpersonatedRequest } = require('../services/impersonationService');
+const { setRequestActor } = require('../utils/requestContext');
+
+// Load a user with every role profile
+const findUserWithProfiles = (userId) => User.findByPk(userId, {
+  include: [
+    { model: Manager, as: 'managerProfile' },
+    { model: Facilitator, as: 'facilitatorProfile' },
+    { model: Student, as: 'studentProfile' }
+  ]
+});
+
+// Whether a token's session signed in with a password rather than single sign-on
+const usedPassword = (decoded) => (decoded.authMethod || 'password') === 'password';
+
+// Add user info and role-specific profile to the request
+const attachUser = (req, user) => {
+  req.user = user;
+  req.userId = user.id;
+  req.userRole = user.role;
+
+  switch (user.role) {
+    case 'manager':
+      req.managerProfile = user.managerProfile;
+      break;
+    case 'facilitator':
+      req.facilitatorProfile = user.facilitatorProfile;
+      break;
+    case 'student':
+      req.studentProfile = user.studentProfile;
+      break;
+  }
+};
+
+// Mark a request as made by an admin impersonating the authenticated user and
+// record it in the impersonation log once the response is sent
+const markImpersonated = (req, res, impersonator) => {
+  req.impersonator = impersonator;
+  res.set('X-Impersonated-By', String(impersonator.id));
+
+  res.on('finish', () => {
+    recordImpersonatedRequest(req.tokenPayload, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress: req.ip
+    }).catch(error => console.error('Failed to record impersonated request:', error));
+  });
+};
+
+/**
+ * Authenticate an integration by API key. The key acts as the manager who
+ * issued it, limited to its scopes and to routers that opted in with allowApiKeys.
+ */
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  if (!req.apiKeyResource) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API keys cannot be used for this endpoint.'
+    });
+  }
+
+  const apiKey = await findUsableApiKey(rawKey);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid, expired or revoked API key.'
+    });
+  }
+
+  const requiredScope = getRequiredScope(req.apiKeyResource, req.method);
+  if (!apiKey.hasScope(requiredScope)) {
+    return res.status(403).json({
+      status: 'error',
+      message: `API key is missing the required scope: ${requiredScope}`
+    });
+  }
+
+  const user = await findUserWithProfiles(apiKey.createdBy);
+
+  if (!user || !user.isActive || user.role !== 'manager') {
+    return res.status(401).json({
+      status: 'error',
+      message: 'The manager who issued this API key is no longer active.'
+    });
+  }
+
+  await recordApiKeyUse(apiKey, req.ip);
+
+  attachUser(req, user);
+  req.apiKey = apiKey;
+  setRequestActor({ userId: user.id, apiKeyId: apiKey.id });
+
+  next();
+};
 
 /**
  * Verify JWT token and authenticate user
@@ -7,6 +108,13 @@ const { User, Manager, Facilitator, Student } = require('../models');
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
+
+    // Integrations send an API key, either in X-API-Key or as the bearer token
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+    const apiKey = req.header('X-API-Key') || (isApiKey(bearerToken) ? bearerToken : null);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
     
     if (!authHeader) {
       return res.status(401).json({
@@ -28,24 +136,29 @@ const authenticate = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Token has been revoked. Please login again.'
+      });
+    }
     
+    // Impersonation tokens stay valid only while the admin who started them is
+    let impersonator = null;
+    if (decoded.impersonatorId) {
+      impersonator = await findUserWithProfiles(decoded.impersonatorId);
+
+      if (!canImpersonate(impersonator)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Impersonation session is no longer valid.'
+        });
+      }
+    }
+
     // Find user with profile information
-    const user = await User.findByPk(decoded.id, {
-      include: [
-        {
-          model: Manager,
-          as: 'managerProfile'
-        },
-        {
-          model: Facilitator,
-          as: 'facilitatorProfile'
-        },
-        {
-          model: Student,
-          as: 'studentProfile'
-        }
-      ]
-    });
+    const user = await findUserWithProfiles(decoded.id);
 
     if (!user) {
       return res.status(401).json({
@@ -61,22 +174,39 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Email address not verified. Please check your inbox for the verification link.'
+      });
+    }
+
+    // Admin managers who must use two-factor may only reach the setup endpoints
+    if (!user.twoFactorEnabled && !req.allowTwoFactorSetup && await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for your account. Please set it up before continuing.'
+      });
+    }
+
+    // Users with an expired password may only change it; impersonating admins and
+    // single sign-on sessions are not held up
+    if (!impersonator && !req.allowPasswordChange && usedPassword(decoded) && await isPasswordExpired(user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Your password has expired. Please change it before continuing.'
+      });
+    }
+
     // Add user info to request object
-    req.user = user;
-    req.userId = user.id;
-    req.userRole = user.role;
-
-    // Add role-specific profile
-    switch (user.role) {
-      case 'manager':
-        req.managerProfile = user.managerProfile;
-        break;
-      case 'facilitator':
-        req.facilitatorProfile = user.facilitatorProfile;
-        break;
-      case 'student':
-        req.studentProfile = user.studentProfile;
-        break;
+    attachUser(req, user);
+    req.tokenPayload = decoded;
+    setRequestActor({ userId: user.id, impersonatorId: impersonator ? impersonator.id : null });
+
+    if (impersonator) {
+      markImpersonated(req, res, impersonator);
+    } else if (decoded.familyId) {
+      await touchSession(decoded.familyId, req.ip);
     }
 
     next();
@@ -103,6 +233,51 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Let API keys authenticate on the following routes. Keys need the
+ * <resource>:read scope for GET requests and <resource>:write otherwise.
+ * @param {string} resource - Scope resource, e.g. 'course_allocations'
+ */
+const allowApiKeys = (resource) => {
+  return (req, res, next) => {
+    req.apiKeyResource = resource;
+    next();
+  };
+};
+
+/**
+ * Reject requests made with an impersonation token. Use after authenticate on
+ * routes that change the user's own credentials or profile.
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This action is not allowed while impersonating another user.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Let the following authenticate call through for users who still have to
+ * set up required two-factor authentication
+ */
+const allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
+/**
+ * Let the following authenticate call through for users whose password has
+ * expired, so they can change it
+ */
+const allowPasswordChange = (req, res, next) => {
+  req.allowPasswordChange = true;
+  next();
+};
+
 /**
  * Check if user has required role(s)
  * @param {string|string[]} roles - Required role(s)
@@ -162,6 +337,40 @@ const requireManagerAccess = (levels) => {
   };
 };
 
+/**
+ * Check if manager has every required permission from Manager.getPermissions
+ * @param {string|string[]} permissions - Required permission(s)
+ */
+const requirePermission = (permissions) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== 'manager') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Manager access required.'
+      });
+    }
+
+    if (!req.managerProfile) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Manager profile not found.'
+      });
+    }
+
+    const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
+    const missing = requiredPermissions.filter(permission => !req.managerProfile.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Insufficient permissions. Required: ${missing.join(', ')}. Your level: ${req.managerProfile.accessLevel}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user can access specific resource
  * For facilitators: can only access their own resources
@@ -246,30 +455,22 @@ const optionalAuth = async (req, res, next) => {
 
     // Try to verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id, {
-      include: [
-        { model: Manager, as: 'managerProfile' },
-        { model: Facilitator, as: 'facilitatorProfile' },
-        { model: Student, as: 'studentProfile' }
-      ]
-    });
+    if (await isTokenRevoked(decoded)) {
+      return next(); // Revoked token, continue without user info
+    }
 
-    if (user && user.isActive) {
-      req.user = user;
-      req.userId = user.id;
-      req.userRole = user.role;
-
-      switch (user.role) {
-        case 'manager':
-          req.managerProfile = user.managerProfile;
-          break;
-        case 'facilitator':
-          req.facilitatorProfile = user.facilitatorProfile;
-          break;
-        case 'student':
-          req.studentProfile = user.studentProfile;
-          break;
-      }
+    if (decoded.impersonatorId) {
+      return next(); // Impersonated requests must go through authenticate so they are audited
+    }
+
+    const user = await findUserWithProfiles(decoded.id);
+
+    const pendingTwoFactorSetup = user && !user.twoFactorEnabled && await isTwoFactorRequired(user);
+    const pendingPasswordChange = user && usedPassword(decoded) && await isPasswordExpired(user);
+
+    if (user && user.isActive && user.isEmailVerified && !pendingTwoFactorSetup && !pendingPasswordChange) {
+      attachUser(req, user);
+      req.tokenPayload = decoded;
     }
 
     next();
@@ -334,8 +535,13 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
 
 module.exports = {
   authenticate,
+  allowApiKeys,
+  denyImpersonation,
+  allowTwoFactorSetup,
+  allowPasswordChange,
   authorize,
   requireManagerAccess,
+  requirePermission,
   requireResourceAccess,
   optionalAuth,
   requireOwnership
@@ -41,6 +41,20 @@ class ConflictError extends AppError {
   }
 }
 
+class ScheduleConflictError extends ConflictError {
+  constructor(message = 'Schedule conflicts found', conflicts = []) {
+    super(message);
+    this.conflicts = conflicts;
+  }
+}
+
+class AccountLockedError extends AppError {
+  constructor(message = 'Account is temporarily locked', lockedUntil = null) {
+    super(message, 423);
+    this.lockedUntil = lockedUntil;
+  }
+}
+
 class InternalServerError extends AppError {
   constructor(message = 'Internal server error') {
     super(message, 500);
@@ -102,6 +116,8 @@ const errorHandler = (err, req, res, next) => {
     status: 'error',
     message: error.message || 'Internal server error',
     ...(error.errors && { errors: error.errors }),
+    ...(error.lockedUntil && { lockedUntil: error.lockedUntil }),
+    ...(error.conflicts && { conflicts: error.conflicts }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -121,6 +137,8 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  ScheduleConflictError,
+  AccountLockedError,
   InternalServerError,
   asyncHandler,
   errorHandler,
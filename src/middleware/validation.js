@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { WEEKDAYS, TIME_PATTERN, SCHEDULE_EXCEPTION_TYPES, isValidTimezone } = require('../utils/schedule');
 
 /**
  * Handle validation errors
@@ -103,18 +104,38 @@ const validateMode = [
 ];
 
 /**
- * User registration validation
+ * Run validation rules against a plain object outside of a request, such as a
+ * row from a bulk import. Returns the sanitized values and any errors.
  */
-const validateUserRegistration = [
+const checkRecord = async (rules, record) => {
+  const req = { body: { ...record } };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path || error.param,
+    message: error.msg
+  }));
+
+  return { values: req.body, errors };
+};
+
+/**
+ * User registration rules, shared by registration and bulk import
+ */
+const userRegistrationRules = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
+  // Strength rules come from the configurable password policy, checked in the service
   body('password')
-    .isLength({ min: 6, max: 128 })
-    .withMessage('Password must be between 6 and 128 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ max: 128 })
+    .withMessage('Password must be at most 128 characters'),
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -127,9 +148,117 @@ const validateUserRegistration = [
     .withMessage('Last name must be between 2 and 50 characters')
     .matches(/^[a-zA-Z\s]+$/)
     .withMessage('Last name can only contain letters and spaces'),
+  // An invitation sets the role, so it is only required without one
   body('role')
+    .if(body('inviteToken').not().exists())
+    .isIn(['manager', 'facilitator', 'student'])
+    .withMessage('Role must be manager, facilitator, or student')
+];
+
+/**
+ * Optional role profile fields, checked per row by bulk import
+ */
+const userProfileRules = {
+  manager: [
+    body('profileData.accessLevel')
+      .optional()
+      .isIn(['standard', 'senior', 'admin'])
+      .withMessage('Access level must be standard, senior, or admin')
+  ],
+  facilitator: [
+    body('profileData.experience')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Experience must be a non-negative integer')
+      .toInt(),
+    body('profileData.maxCourseLoad')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max course load must be a positive integer')
+      .toInt()
+  ],
+  student: [
+    body('profileData.cohortId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Cohort ID must be a positive integer')
+      .toInt(),
+    body('profileData.yearOfStudy')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Year of study must be a positive integer')
+      .toInt(),
+    body('profileData.dateOfBirth')
+      .optional()
+      .isISO8601()
+      .withMessage('Date of birth must be a valid date')
+  ]
+};
+
+/**
+ * User registration validation
+ */
+const validateUserRegistration = [
+  body('inviteToken')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token must be a non-empty string'),
+  ...userRegistrationRules,
+  handleValidationErrors
+];
+
+/**
+ * Invitation validation
+ */
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('role')
+    .isIn(['manager', 'facilitator', 'student'])
+    .withMessage('Role must be manager, facilitator, or student'),
+  body('profileData')
+    .optional()
+    .isObject()
+    .withMessage('profileData must be an object'),
+  handleValidationErrors
+];
+
+/**
+ * Bulk user import options validation
+ */
+const validateUserImport = [
+  query('role')
     .isIn(['manager', 'facilitator', 'student'])
     .withMessage('Role must be manager, facilitator, or student'),
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  query('sendEmails')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmails must be a boolean')
+    .toBoolean(),
+  body()
+    .isString()
+    .withMessage('Request body must be CSV text sent as text/csv'),
+  handleValidationErrors
+];
+
+/**
+ * Admin profile update validation
+ */
+const validateUserProfileUpdate = [
+  body('profileData')
+    .isObject()
+    .withMessage('profileData must be an object'),
+  ...userProfileRules.manager,
+  ...userProfileRules.facilitator,
+  ...userProfileRules.student,
   handleValidationErrors
 ];
 
@@ -155,10 +284,11 @@ const validatePasswordChange = [
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6, max: 128 })
-    .withMessage('New password must be between 6 and 128 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ max: 128 })
+    .withMessage('New password must be at most 128 characters'),
   body('confirmPassword')
     .custom((value, { req }) => {
       if (value !== req.body.newPassword) {
@@ -169,6 +299,402 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+/**
+ * Single sign-on callback validation
+ */
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  handleValidationErrors
+];
+
+/**
+ * Password policy update validation
+ */
+const validatePasswordPolicy = [
+  body('minLength')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('minLength must be between 6 and 128')
+    .toInt(),
+  body(['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'rejectCommonPasswords'])
+    .optional()
+    .isBoolean()
+    .withMessage('Character class and common password settings must be booleans')
+    .toBoolean(),
+  body('historySize')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('historySize must be between 0 and 24')
+    .toInt(),
+  body('maxAgeDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('maxAgeDays must be between 0 and 3650, where 0 means passwords never expire')
+    .toInt(),
+  handleValidationErrors
+];
+
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+/**
+ * Password reset validation
+ */
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ max: 128 })
+    .withMessage('New password must be at most 128 characters'),
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+/**
+ * Email verification validation
+ */
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+/**
+ * Resend verification email validation
+ */
+const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+// Either a TOTP code or a recovery code must accompany a second-factor request
+const requireSecondFactor = body('code')
+  .custom((value, { req }) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error('A two-factor code or recovery code is required');
+    }
+    if (value && !/^\d{6}$/.test(String(value))) {
+      throw new Error('Two-factor code must be 6 digits');
+    }
+    return true;
+  });
+
+/**
+ * Two-factor login validation
+ */
+const validateTwoFactorLogin = [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  requireSecondFactor,
+  handleValidationErrors
+];
+
+/**
+ * Two-factor code validation
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  handleValidationErrors
+];
+
+/**
+ * Two-factor disable validation
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  requireSecondFactor,
+  handleValidationErrors
+];
+
+/**
+ * Two-factor policy validation
+ */
+const validateTwoFactorPolicy = [
+  body('requireForAdmins')
+    .isBoolean()
+    .withMessage('requireForAdmins must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * API key creation validation
+ */
+const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(['course_allocations:read', 'course_allocations:write', 'activities:read', 'activities:write'])
+    .withMessage('Invalid scope value'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date'),
+  handleValidationErrors
+];
+
+/**
+ * Calendar feed validation
+ */
+const validateCalendarFeed = [
+  body('scope')
+    .isIn(['facilitator', 'cohort', 'class'])
+    .withMessage('Scope must be facilitator, cohort or class'),
+  body('targetId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Target ID must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+/**
+ * Enrollment validation
+ */
+const validateEnrollment = [
+  body('allocationId')
+    .isInt({ min: 1 })
+    .withMessage('Allocation ID must be a positive integer')
+    .toInt(),
+  body('studentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Student ID must be a positive integer')
+    .toInt(),
+  body('overridePrerequisites')
+    .optional()
+    .isBoolean()
+    .withMessage('overridePrerequisites must be a boolean')
+    .toBoolean(),
+  body('overrideReason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Override reason must be less than 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Enrollment query validation
+ */
+const validateEnrollmentQuery = [
+  query(['allocationId', 'studentId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Allocation and student IDs must be positive integers')
+    .toInt(),
+  query('status')
+    .optional()
+    .isIn(['enrolled', 'waitlisted', 'dropped'])
+    .withMessage('Status must be enrolled, waitlisted or dropped'),
+  handleValidationErrors
+];
+
+/**
+ * Impersonation start validation
+ */
+const validateImpersonation = [
+  body('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('A reason between 1 and 255 characters is required'),
+  handleValidationErrors
+];
+
+/**
+ * Audit log query validation
+ */
+const validateAuditLogQuery = [
+  query(['userId', 'impersonatorId', 'apiKeyId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User, impersonator and API key IDs must be positive integers'),
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update, or delete'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid dates'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+// Item rules only apply when the schedule has the list, so a malformed schedule reports one error
+const hasScheduleList = (list) => (value, { req }) =>
+  Boolean(req.body.schedule) && Array.isArray(req.body.schedule[list]);
+
+/**
+ * Structured schedule rules, shared by creating and updating course offerings
+ */
+const courseScheduleRules = [
+  body('schedule')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Schedule must be an object with sessions and exceptions'),
+  body('schedule.timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA time zone, e.g. Africa/Kigali'),
+  body('schedule.sessions')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Sessions must be an array of at most 50 sessions'),
+  body('schedule.sessions.*')
+    .if(hasScheduleList('sessions'))
+    .isObject()
+    .withMessage('Each session must be an object')
+    .bail()
+    .custom((session) => {
+      if (TIME_PATTERN.test(session.startTime) && TIME_PATTERN.test(session.endTime) && session.endTime <= session.startTime) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+  body('schedule.sessions.*.weekday')
+    .if(hasScheduleList('sessions'))
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(WEEKDAYS)
+    .withMessage('Weekday must be monday, tuesday, wednesday, thursday, friday, saturday or sunday'),
+  body('schedule.sessions.*.startTime')
+    .if(hasScheduleList('sessions'))
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be a 24-hour HH:MM time'),
+  body('schedule.sessions.*.endTime')
+    .if(hasScheduleList('sessions'))
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be a 24-hour HH:MM time'),
+  body('schedule.sessions.*.timezone')
+    .if(hasScheduleList('sessions'))
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA time zone, e.g. Africa/Kigali'),
+  body('schedule.sessions.*.location')
+    .if(hasScheduleList('sessions'))
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location must be less than 200 characters'),
+  body('schedule.exceptions')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Exceptions must be an array of at most 200 exceptions'),
+  body('schedule.exceptions.*')
+    .if(hasScheduleList('exceptions'))
+    .isObject()
+    .withMessage('Each exception must be an object')
+    .bail()
+    .custom((exception) => {
+      if (exception.type === 'makeup' && (!exception.startTime || !exception.endTime)) {
+        throw new Error('Make-up sessions need a start and end time');
+      }
+      if (TIME_PATTERN.test(exception.startTime) && TIME_PATTERN.test(exception.endTime) && exception.endTime <= exception.startTime) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+  body('schedule.exceptions.*.date')
+    .if(hasScheduleList('exceptions'))
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Exception date must be a YYYY-MM-DD date'),
+  body('schedule.exceptions.*.type')
+    .if(hasScheduleList('exceptions'))
+    .isIn(SCHEDULE_EXCEPTION_TYPES)
+    .withMessage('Exception type must be cancelled or makeup'),
+  body('schedule.exceptions.*.startTime')
+    .if(hasScheduleList('exceptions'))
+    .optional({ values: 'null' })
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be a 24-hour HH:MM time'),
+  body('schedule.exceptions.*.endTime')
+    .if(hasScheduleList('exceptions'))
+    .optional({ values: 'null' })
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be a 24-hour HH:MM time'),
+  body('schedule.exceptions.*.timezone')
+    .if(hasScheduleList('exceptions'))
+    .optional({ values: 'null' })
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA time zone, e.g. Africa/Kigali'),
+  body('schedule.exceptions.*.location')
+    .if(hasScheduleList('exceptions'))
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location must be less than 200 characters'),
+  body('schedule.exceptions.*.reason')
+    .if(hasScheduleList('exceptions'))
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be less than 255 characters')
+];
+
+// Lets a manager save a course offering despite schedule conflicts
+const allowConflictsRule = body('allowConflicts')
+  .optional()
+  .isBoolean()
+  .withMessage('allowConflicts must be a boolean')
+  .toBoolean();
+
 /**
  * Course offering validation
  */
@@ -211,12 +737,10 @@ const validateCourseOffering = [
     .withMessage('Maximum enrollment must be between 1 and 500'),
   body('status')
     .optional()
-    .isIn(['draft', 'scheduled', 'active', 'completed', 'cancelled'])
-    .withMessage('Status must be draft, scheduled, active, completed, or cancelled'),
-  body('schedule')
-    .optional()
-    .isLength({ max: 1000 })
-    .withMessage('Schedule must be less than 1000 characters'),
+    .equals('draft')
+    .withMessage('New course allocations start as draft; use the status endpoints to schedule them'),
+  ...courseScheduleRules,
+  allowConflictsRule,
   body('location')
     .optional()
     .isLength({ max: 200 })
@@ -224,6 +748,124 @@ const validateCourseOffering = [
   handleValidationErrors
 ];
 
+/**
+ * Course offering schedule validation for updates
+ */
+const validateCourseSchedule = [
+  ...courseScheduleRules,
+  allowConflictsRule,
+  handleValidationErrors
+];
+
+/**
+ * Schedule conflict override validation, for changes that keep the schedule
+ */
+const validateAllowConflicts = [
+  allowConflictsRule,
+  handleValidationErrors
+];
+
+/**
+ * Course offering status change validation
+ */
+const validateStatusChange = [
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Facilitator recommendation query validation
+ */
+const validateRecommendationQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('includeIneligible')
+    .optional()
+    .isBoolean()
+    .withMessage('includeIneligible must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * Bulk facilitator assignment validation
+ */
+const validateAutoAssign = [
+  body('assignments')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Assignments must be a list of 1 to 100 allocations'),
+  body(['assignments.*.allocationId', 'assignments.*.facilitatorId'])
+    .isInt({ min: 1 })
+    .withMessage('Each assignment needs a positive integer allocationId and facilitatorId')
+    .toInt(),
+  allowConflictsRule,
+  handleValidationErrors
+];
+
+// Rollover source, target and options, read from the query string for previews and the body to confirm
+const rolloverRules = (location) => [
+  location(['sourceClassId', 'sourceCohortId', 'targetClassId', 'targetCohortId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Class and cohort IDs must be positive integers')
+    .toInt(),
+  location('keepFacilitators')
+    .optional()
+    .isBoolean()
+    .withMessage('keepFacilitators must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Allocation rollover preview validation
+ */
+const validateRolloverQuery = [
+  ...rolloverRules(query),
+  handleValidationErrors
+];
+
+/**
+ * Allocation rollover validation
+ */
+const validateRollover = [
+  ...rolloverRules(body),
+  handleValidationErrors
+];
+
+/**
+ * Scheduled session query validation
+ */
+const validateScheduleQuery = [
+  query('weekday')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(WEEKDAYS)
+    .withMessage('Weekday must be monday, tuesday, wednesday, thursday, friday, saturday or sunday'),
+  query('time')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Time must be a 24-hour HH:MM time'),
+  query('date')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Date must be a YYYY-MM-DD date'),
+  query(['facilitatorId', 'moduleId', 'cohortId', 'classId'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('IDs must be positive integers')
+    .toInt(),
+  handleValidationErrors
+];
+
 /**
  * Activity tracker validation
  */
@@ -368,12 +1010,43 @@ const validateQueryFilters = [
 
 module.exports = {
   handleValidationErrors,
+  checkRecord,
+  userRegistrationRules,
+  userProfileRules,
+  courseScheduleRules,
   validateClass,
   validateMode,
   validateUserRegistration,
+  validateUserImport,
+  validateUserProfileUpdate,
+  validateInvitation,
   validateUserLogin,
   validatePasswordChange,
+  validatePasswordPolicy,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateResendVerification,
+  validateTwoFactorLogin,
+  validateOidcCallback,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  validateApiKey,
+  validateCalendarFeed,
+  validateEnrollment,
+  validateEnrollmentQuery,
+  validateImpersonation,
+  validateAuditLogQuery,
   validateCourseOffering,
+  validateCourseSchedule,
+  validateAllowConflicts,
+  validateStatusChange,
+  validateRecommendationQuery,
+  validateAutoAssign,
+  validateRolloverQuery,
+  validateRollover,
+  validateScheduleQuery,
   validateActivityTracker,
   validateModule,
   validateCohort,
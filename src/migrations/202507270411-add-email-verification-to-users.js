@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'isEmailVerified', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('users', 'emailVerifiedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Accounts created before verification existed are treated as verified
+    await queryInterface.sequelize.query(
+      'UPDATE users SET isEmailVerified = true, emailVerifiedAt = createdAt'
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'emailVerifiedAt');
+    await queryInterface.removeColumn('users', 'isEmailVerified');
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'twoFactorEnabled', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('users', 'twoFactorSecret', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'twoFactorRecoveryCodes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'twoFactorEnabledAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'twoFactorEnabledAt');
+    await queryInterface.removeColumn('users', 'twoFactorRecoveryCodes');
+    await queryInterface.removeColumn('users', 'twoFactorSecret');
+    await queryInterface.removeColumn('users', 'twoFactorEnabled');
+  }
+};
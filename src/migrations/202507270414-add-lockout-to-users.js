@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'failedLoginAttempts', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('users', 'lockedUntil', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['lockedUntil']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', ['lockedUntil']);
+    await queryInterface.removeColumn('users', 'lockedUntil');
+    await queryInterface.removeColumn('users', 'failedLoginAttempts');
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('login_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      ipAddress: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      failureReason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      isNewLocation: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('login_history', ['userId', 'createdAt']);
+    await queryInterface.addIndex('login_history', ['email']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('login_history');
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('impersonation_logs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: Sequelize.STRING(36),
+        allowNull: false
+      },
+      impersonatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      targetUserId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.ENUM('start', 'request', 'stop'),
+        allowNull: false
+      },
+      method: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      path: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      statusCode: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ipAddress: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('impersonation_logs', ['sessionId']);
+    await queryInterface.addIndex('impersonation_logs', ['impersonatorId', 'createdAt']);
+    await queryInterface.addIndex('impersonation_logs', ['targetUserId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('impersonation_logs');
+  }
+};
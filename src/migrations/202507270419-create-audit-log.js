@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Actor columns deliberately have no foreign keys so entries outlive the users they mention
+    await queryInterface.createTable('audit_logs', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      impersonatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      apiKeyId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.ENUM('create', 'update', 'delete'),
+        allowNull: false
+      },
+      entityType: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      ipAddress: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      requestId: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('audit_logs', ['entityType', 'entityId']);
+    await queryInterface.addIndex('audit_logs', ['userId', 'createdAt']);
+    await queryInterface.addIndex('audit_logs', ['requestId']);
+    await queryInterface.addIndex('audit_logs', ['createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('audit_logs');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'passwordChangedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Existing passwords start their maximum age from the deployment
+    await queryInterface.sequelize.query('UPDATE users SET passwordChangedAt = CURRENT_TIMESTAMP');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'passwordChangedAt');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'authMethod', {
+      type: Sequelize.STRING(20),
+      defaultValue: 'password',
+      allowNull: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('user_sessions', 'authMethod');
+  }
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Parse free text such as "Monday, Wednesday 10:00-12:00; Friday 09:00-10:30" into
+// sessions, or return null if any part of it cannot be read
+function parseLegacySchedule(text) {
+  const sessions = [];
+  const parts = String(text).split(/;|\n/).map(part => part.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    const match = part.match(/^(.+?)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const days = match[1].split(/,|&|\band\b/i).map(day => day.trim().toLowerCase()).filter(Boolean);
+    const startTime = `${match[2].padStart(2, '0')}:${match[3]}:00`;
+    const endTime = `${match[4].padStart(2, '0')}:${match[5]}:00`;
+
+    if (days.length === 0 || !days.every(day => WEEKDAYS.includes(day)) || endTime <= startTime || endTime > '23:59:00') {
+      return null;
+    }
+
+    days.forEach(weekday => sessions.push({ weekday, startTime, endTime }));
+  }
+
+  return sessions.length > 0 ? sessions : null;
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('schedule_sessions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      courseOfferingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'course_offerings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      weekday: {
+        type: Sequelize.ENUM(...WEEKDAYS),
+        allowNull: false
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      timezone: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      location: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('schedule_sessions', ['courseOfferingId']);
+    await queryInterface.addIndex('schedule_sessions', ['weekday', 'startTime', 'endTime']);
+
+    await queryInterface.createTable('schedule_exceptions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      courseOfferingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'course_offerings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('cancelled', 'makeup'),
+        allowNull: false
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      timezone: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      location: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('schedule_exceptions', ['courseOfferingId']);
+    await queryInterface.addIndex('schedule_exceptions', ['date', 'type']);
+
+    // Move free-text schedules into sessions; text that cannot be read is kept in the notes
+    const timezone = process.env.SCHEDULE_TIMEZONE || 'UTC';
+    const [offerings] = await queryInterface.sequelize.query(
+      "SELECT id, schedule, location, notes FROM course_offerings WHERE schedule IS NOT NULL AND schedule <> ''"
+    );
+
+    for (const offering of offerings) {
+      const sessions = parseLegacySchedule(offering.schedule);
+
+      if (sessions) {
+        await queryInterface.bulkInsert('schedule_sessions', sessions.map(session => ({
+          ...session,
+          courseOfferingId: offering.id,
+          timezone,
+          location: offering.location,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        })));
+      } else {
+        const notes = [offering.notes, `Schedule: ${offering.schedule}`].filter(Boolean).join('\n');
+        await queryInterface.bulkUpdate('course_offerings', { notes }, { id: offering.id });
+      }
+    }
+
+    await queryInterface.removeColumn('course_offerings', 'schedule');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('course_offerings', 'schedule', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    // Best-effort text version of each weekly schedule, e.g. "Monday 10:00-12:00; Wednesday 10:00-12:00"
+    const [sessions] = await queryInterface.sequelize.query(
+      'SELECT courseOfferingId, weekday, startTime, endTime FROM schedule_sessions ORDER BY courseOfferingId, weekday, startTime'
+    );
+    const schedules = new Map();
+    sessions.forEach(session => {
+      const day = session.weekday.charAt(0).toUpperCase() + session.weekday.slice(1);
+      const entry = `${day} ${String(session.startTime).slice(0, 5)}-${String(session.endTime).slice(0, 5)}`;
+      schedules.set(session.courseOfferingId, [...(schedules.get(session.courseOfferingId) || []), entry]);
+    });
+    for (const [id, entries] of schedules) {
+      await queryInterface.bulkUpdate('course_offerings', { schedule: entries.join('; ') }, { id });
+    }
+
+    await queryInterface.dropTable('schedule_exceptions');
+    await queryInterface.dropTable('schedule_sessions');
+  }
+};
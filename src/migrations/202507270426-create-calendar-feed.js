@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('calendar_feeds', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      scope: {
+        type: Sequelize.ENUM('facilitator', 'cohort', 'class'),
+        allowNull: false
+      },
+      targetId: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      tokenPrefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      lastAccessedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('calendar_feeds', ['userId']);
+    await queryInterface.addIndex('calendar_feeds', ['scope', 'targetId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('calendar_feeds');
+  }
+};
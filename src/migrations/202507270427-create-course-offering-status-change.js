@@ -0,0 +1,74 @@
+'use strict';
+
+const STATUSES = ['draft', 'scheduled', 'active', 'completed', 'cancelled'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('course_offering_status_changes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      courseOfferingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'course_offerings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.ENUM('schedule', 'unschedule', 'activate', 'complete', 'cancel'),
+        allowNull: false
+      },
+      fromStatus: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: false
+      },
+      toStatus: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      changedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      automatic: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('course_offering_status_changes', ['courseOfferingId', 'createdAt']);
+    await queryInterface.addIndex('course_offering_status_changes', ['changedBy']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('course_offering_status_changes');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('enrollments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      courseOfferingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'course_offerings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      studentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'students',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('enrolled', 'waitlisted', 'dropped'),
+        allowNull: false
+      },
+      enrolledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      waitlistedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      droppedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      enrolledBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      droppedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('enrollments', ['courseOfferingId', 'studentId'], {
+      unique: true,
+      name: 'unique_offering_student'
+    });
+    await queryInterface.addIndex('enrollments', ['courseOfferingId', 'status', 'waitlistedAt']);
+    await queryInterface.addIndex('enrollments', ['studentId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('enrollments');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('enrollments', 'waivedPrerequisites', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('enrollments', 'prerequisiteOverrideReason', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('enrollments', 'prerequisiteOverrideReason');
+    await queryInterface.removeColumn('enrollments', 'waivedPrerequisites');
+  }
+};
@@ -376,17 +376,23 @@ module.exports = (sequelize, DataTypes) => {
       });
     };
   
-    ActivityTracker.findOverdue = function() {
+    // Limit a where clause to the given allocation ids; null means no limit
+    const scopeToAllocations = (where, allocationIds) => {
+      if (!allocationIds) return where;
+      return { ...where, allocationId: { [sequelize.Sequelize.Op.in]: allocationIds } };
+    };
+
+    ActivityTracker.findOverdue = function(allocationIds = null) {
       const twoWeeksAgo = new Date();
       twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 16); // Current week + 2 days grace period
       
       return this.findAll({
-        where: {
+        where: scopeToAllocations({
           submittedAt: null,
           createdAt: {
             [sequelize.Sequelize.Op.lt]: twoWeeksAgo
           }
-        },
+        }, allocationIds),
         include: ['allocation', 'facilitator']
       });
     };
@@ -461,10 +467,10 @@ module.exports = (sequelize, DataTypes) => {
       });
     };
   
-    ActivityTracker.getStatistics = async function() {
-      const total = await this.count();
-      const submitted = await this.count({ where: { submittedAt: { [sequelize.Sequelize.Op.ne]: null } } });
-      const overdue = await this.findOverdue();
+    ActivityTracker.getStatistics = async function(allocationIds = null) {
+      const total = await this.count({ where: scopeToAllocations({}, allocationIds) });
+      const submitted = await this.count({ where: scopeToAllocations({ submittedAt: { [sequelize.Sequelize.Op.ne]: null } }, allocationIds) });
+      const overdue = await this.findOverdue(allocationIds);
       
       const taskStats = {};
       const taskFields = [
@@ -478,9 +484,9 @@ module.exports = (sequelize, DataTypes) => {
   
       for (const field of taskFields) {
         taskStats[field] = {
-          done: await this.count({ where: { [field]: 'Done' } }),
-          pending: await this.count({ where: { [field]: 'Pending' } }),
-          notStarted: await this.count({ where: { [field]: 'Not Started' } })
+          done: await this.count({ where: scopeToAllocations({ [field]: 'Done' }, allocationIds) }),
+          pending: await this.count({ where: scopeToAllocations({ [field]: 'Pending' }, allocationIds) }),
+          notStarted: await this.count({ where: scopeToAllocations({ [field]: 'Not Started' }, allocationIds) })
         };
       }
   
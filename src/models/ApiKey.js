@@ -0,0 +1,184 @@
+'use strict';
+
+// Scopes an API key can be granted, as <resource>:<read|write>
+const API_KEY_SCOPES = [
+  'course_allocations:read',
+  'course_allocations:write',
+  'activities:read',
+  'activities:write'
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the API key
+ *         name:
+ *           type: string
+ *           description: Label for the integration using the key
+ *         keyPrefix:
+ *           type: string
+ *           description: Non-secret start of the key, used to identify it
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [course_allocations:read, course_allocations:write, activities:read, activities:write]
+ *         createdBy:
+ *           type: integer
+ *           description: Reference to the manager User id the key acts as
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'API key name is required' }
+      },
+      field: 'name'
+    },
+    keyPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+      field: 'keyPrefix'
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'keyHash'
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      validate: {
+        isValidScopes(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('At least one scope is required');
+          }
+          const invalid = value.filter(scope => !API_KEY_SCOPES.includes(scope));
+          if (invalid.length > 0) {
+            throw new Error(`Invalid scope(s): ${invalid.join(', ')}`);
+          }
+        }
+      },
+      field: 'scopes'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'createdBy'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expiresAt'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'lastUsedAt'
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'lastUsedIp'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revokedAt'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['keyPrefix'] },
+      { unique: true, fields: ['keyHash'] },
+      { fields: ['createdBy'] }
+    ]
+  });
+
+  // Instance methods
+  ApiKey.prototype.isExpired = function() {
+    return Boolean(this.expiresAt) && new Date() >= new Date(this.expiresAt);
+  };
+
+  ApiKey.prototype.isUsable = function() {
+    return !this.revokedAt && !this.isExpired();
+  };
+
+  ApiKey.prototype.hasScope = function(scope) {
+    return (this.scopes || []).includes(scope);
+  };
+
+  // The key hash is a credential and never leaves the server
+  ApiKey.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.keyHash;
+    return values;
+  };
+
+  // Class methods
+  ApiKey.SCOPES = API_KEY_SCOPES;
+
+  ApiKey.findByKeyHash = function(keyHash) {
+    return this.findOne({ where: { keyHash } });
+  };
+
+  // Associations
+  ApiKey.associate = function(models) {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return ApiKey;
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the entry
+ *         userId:
+ *           type: integer
+ *           description: User who made the change, null for unauthenticated or system changes
+ *         impersonatorId:
+ *           type: integer
+ *           description: Admin who made the change while impersonating userId
+ *         apiKeyId:
+ *           type: integer
+ *           description: API key the change was made with
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         entityType:
+ *           type: string
+ *           example: Cohort
+ *         entityId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { before, after } }. Credentials are redacted."
+ *           example:
+ *             facilitatorId:
+ *               before: 3
+ *               after: 7
+ *         ipAddress:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: Matches the X-Request-Id response header of the request that made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'userId'
+    },
+    impersonatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'impersonatorId'
+    },
+    apiKeyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'apiKeyId'
+    },
+    action: {
+      type: DataTypes.ENUM('create', 'update', 'delete'),
+      allowNull: false,
+      field: 'action'
+    },
+    entityType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      field: 'entityType'
+    },
+    entityId: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'entityId'
+    },
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      field: 'changes'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ipAddress'
+    },
+    requestId: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'requestId'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    }
+  }, {
+    tableName: 'audit_logs',
+    // Entries are never edited
+    timestamps: true,
+    updatedAt: false,
+    underscored: false,
+    indexes: [
+      { fields: ['entityType', 'entityId'] },
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['requestId'] },
+      { fields: ['createdAt'] }
+    ]
+  });
+
+  // Associations
+  AuditLog.associate = function(models) {
+    AuditLog.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      constraints: false
+    });
+  };
+
+  return AuditLog;
+};
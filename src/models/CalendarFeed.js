@@ -0,0 +1,152 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// What a feed follows: one facilitator's teaching, or everything taught to a cohort or class
+const CALENDAR_FEED_SCOPES = ['facilitator', 'cohort', 'class'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the calendar feed
+ *         userId:
+ *           type: integer
+ *           description: Reference to the User who created the feed
+ *         scope:
+ *           type: string
+ *           enum: [facilitator, cohort, class]
+ *         targetId:
+ *           type: integer
+ *           description: Id of the facilitator, cohort or class the feed follows
+ *         tokenPrefix:
+ *           type: string
+ *           description: Non-secret start of the feed token, used to identify it
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a calendar app last fetched the feed
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'userId'
+    },
+    scope: {
+      type: DataTypes.ENUM(...CALENDAR_FEED_SCOPES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [CALENDAR_FEED_SCOPES],
+          msg: 'Scope must be facilitator, cohort or class'
+        }
+      },
+      field: 'scope'
+    },
+    targetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'targetId'
+    },
+    tokenPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      field: 'tokenPrefix'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'tokenHash'
+    },
+    lastAccessedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'lastAccessedAt'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revokedAt'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'calendar_feeds',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['tokenHash'] },
+      { fields: ['userId'] },
+      { fields: ['scope', 'targetId'] }
+    ]
+  });
+
+  // Instance methods
+  CalendarFeed.prototype.isUsable = function() {
+    return !this.revokedAt;
+  };
+
+  // The token hash is a credential and never leaves the server
+  CalendarFeed.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.tokenHash;
+    return values;
+  };
+
+  // Class methods
+  CalendarFeed.SCOPES = CALENDAR_FEED_SCOPES;
+
+  CalendarFeed.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  CalendarFeed.findByToken = function(token, options = {}) {
+    return this.findOne({ where: { tokenHash: this.hashToken(token) }, ...options });
+  };
+
+  // Associations
+  CalendarFeed.associate = function(models) {
+    CalendarFeed.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return CalendarFeed;
+};
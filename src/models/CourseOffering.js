@@ -1,3 +1,5 @@
+const { compareSessions, compareExceptions } = require('../utils/schedule');
+
 /**
  * @swagger
  * components:
@@ -44,7 +46,8 @@
  *           description: Maximum number of students for this offering
  *         currentEnrollment:
  *           type: integer
- *           description: Current number of enrolled students
+ *           readOnly: true
+ *           description: Number of enrolled students, counted from enrollments; waitlisted students are not included
  *         status:
  *           type: string
  *           enum: [draft, scheduled, active, completed, cancelled]
@@ -53,8 +56,7 @@
  *           type: boolean
  *           description: Whether the offering is active
  *         schedule:
- *           type: string
- *           description: Class schedule information
+ *           $ref: '#/components/schemas/CourseSchedule'
  *         location:
  *           type: string
  *           description: Physical or virtual location
@@ -67,6 +69,22 @@
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     CourseSchedule:
+ *       type: object
+ *       description: Weekly recurring sessions plus one-off cancellations and make-up sessions
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           description: Default time zone for sessions that do not name one (request only)
+ *           example: Africa/Kigali
+ *         sessions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSession'
+ *         exceptions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleException'
  */
 module.exports = (sequelize, DataTypes) => {
     const CourseOffering = sequelize.define('CourseOffering', {
@@ -205,10 +223,6 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         field: 'isActive'
       },
-      schedule: {
-        type: DataTypes.TEXT,
-        allowNull: true
-      },
       location: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -292,6 +306,23 @@ module.exports = (sequelize, DataTypes) => {
     });
   
     // Instance methods
+
+    // Loaded sessions and exceptions are returned together as schedule
+    CourseOffering.prototype.toJSON = function() {
+      const values = { ...this.get() };
+      const { sessions, scheduleExceptions } = values;
+      delete values.sessions;
+      delete values.scheduleExceptions;
+
+      if (sessions || scheduleExceptions) {
+        values.schedule = {
+          sessions: (sessions || []).map(session => session.toJSON()).sort(compareSessions),
+          exceptions: (scheduleExceptions || []).map(exception => exception.toJSON()).sort(compareExceptions)
+        };
+      }
+      return values;
+    };
+  
     CourseOffering.prototype.getFullDetails = function() {
       return `${this.module?.code} - ${this.module?.name} | ${this.cohort?.name} | ${this.class?.name} | ${this.mode?.name}`;
     };
@@ -362,16 +393,18 @@ module.exports = (sequelize, DataTypes) => {
       return Math.floor(diffDays / 7) + 1;
     };
   
-    CourseOffering.prototype.updateEnrollmentCount = async function() {
+    // currentEnrollment is derived from enrollments; call this after changing them
+    CourseOffering.prototype.updateEnrollmentCount = async function(options = {}) {
       const models = sequelize.models;
-      const studentCount = await models.Student.count({
-        where: { 
-          cohortId: this.cohortId,
-          status: 'active'
-        }
+      const studentCount = await models.Enrollment.count({
+        where: {
+          courseOfferingId: this.id,
+          status: 'enrolled'
+        },
+        transaction: options.transaction
       });
       this.currentEnrollment = studentCount;
-      await this.save();
+      await this.save({ transaction: options.transaction });
       return studentCount;
     };
   
@@ -536,12 +569,39 @@ module.exports = (sequelize, DataTypes) => {
         onDelete: 'RESTRICT'
       });
   
+      // CourseOffering has a weekly schedule of sessions
+      CourseOffering.hasMany(models.ScheduleSession, {
+        foreignKey: 'courseOfferingId',
+        as: 'sessions',
+        onDelete: 'CASCADE'
+      });
+  
+      // CourseOffering can have one-off schedule changes
+      CourseOffering.hasMany(models.ScheduleException, {
+        foreignKey: 'courseOfferingId',
+        as: 'scheduleExceptions',
+        onDelete: 'CASCADE'
+      });
+  
       // CourseOffering can have many ActivityTrackers
       CourseOffering.hasMany(models.ActivityTracker, {
         foreignKey: 'allocationId',
         as: 'activityLogs',
         onDelete: 'CASCADE'
       });
+
+      CourseOffering.hasMany(models.CourseOfferingStatusChange, {
+        foreignKey: 'courseOfferingId',
+        as: 'statusChanges',
+        onDelete: 'CASCADE'
+      });
+
+      // CourseOffering has student enrollments and a waitlist
+      CourseOffering.hasMany(models.Enrollment, {
+        foreignKey: 'courseOfferingId',
+        as: 'enrollments',
+        onDelete: 'CASCADE'
+      });
     };
   
     return CourseOffering;
@@ -0,0 +1,132 @@
+'use strict';
+
+const OFFERING_STATUSES = ['draft', 'scheduled', 'active', 'completed', 'cancelled'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseOfferingStatusChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the status change
+ *         courseOfferingId:
+ *           type: integer
+ *           description: Reference to the CourseOffering id
+ *         action:
+ *           type: string
+ *           enum: [schedule, unschedule, activate, complete, cancel]
+ *         fromStatus:
+ *           type: string
+ *           enum: [draft, scheduled, active, completed, cancelled]
+ *         toStatus:
+ *           type: string
+ *           enum: [draft, scheduled, active, completed, cancelled]
+ *         reason:
+ *           type: string
+ *           description: Required when cancelling; set by the daily job for automatic changes
+ *         changedBy:
+ *           type: integer
+ *           description: Reference to the User id who made the change; null for automatic changes
+ *         automatic:
+ *           type: boolean
+ *           description: Whether the daily job made the change from the offering's dates
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the change was made
+ */
+module.exports = (sequelize, DataTypes) => {
+  const CourseOfferingStatusChange = sequelize.define('CourseOfferingStatusChange', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    courseOfferingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'course_offerings',
+        key: 'id'
+      },
+      field: 'courseOfferingId'
+    },
+    action: {
+      type: DataTypes.ENUM('schedule', 'unschedule', 'activate', 'complete', 'cancel'),
+      allowNull: false,
+      field: 'action'
+    },
+    fromStatus: {
+      type: DataTypes.ENUM(...OFFERING_STATUSES),
+      allowNull: false,
+      field: 'fromStatus'
+    },
+    toStatus: {
+      type: DataTypes.ENUM(...OFFERING_STATUSES),
+      allowNull: false,
+      field: 'toStatus'
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'reason'
+    },
+    changedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'changedBy'
+    },
+    automatic: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'automatic'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'course_offering_status_changes',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['courseOfferingId', 'createdAt'] },
+      { fields: ['changedBy'] }
+    ]
+  });
+
+  // Associations
+  CourseOfferingStatusChange.associate = function(models) {
+    CourseOfferingStatusChange.belongsTo(models.CourseOffering, {
+      foreignKey: 'courseOfferingId',
+      as: 'courseOffering',
+      onDelete: 'CASCADE'
+    });
+
+    CourseOfferingStatusChange.belongsTo(models.User, {
+      foreignKey: 'changedBy',
+      as: 'actor',
+      onDelete: 'SET NULL'
+    });
+  };
+
+  return CourseOfferingStatusChange;
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const ENROLLMENT_STATUSES = ['enrolled', 'waitlisted', 'dropped'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Enrollment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the enrollment
+ *         courseOfferingId:
+ *           type: integer
+ *           description: Reference to the CourseOffering id
+ *         studentId:
+ *           type: integer
+ *           description: Reference to the Student id
+ *         status:
+ *           type: string
+ *           enum: [enrolled, waitlisted, dropped]
+ *           description: Waitlisted students are enrolled in the order they joined the waitlist when a place frees up
+ *         waitlistPosition:
+ *           type: integer
+ *           description: Place on the waitlist, from 1; only set for waitlisted enrollments
+ *         enrolledAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the student took a place, including promotion from the waitlist
+ *         waitlistedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the student joined the waitlist
+ *         droppedAt:
+ *           type: string
+ *           format: date-time
+ *         enrolledBy:
+ *           type: integer
+ *           description: Reference to the User id who enrolled the student, the student or a manager
+ *         droppedBy:
+ *           type: integer
+ *           description: Reference to the User id who dropped the enrollment
+ *         waivedPrerequisites:
+ *           type: array
+ *           description: Prerequisite groups a manager enrolled the student without, each a list of module codes any one of which meets it
+ *           items:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example: [["CS101"], ["MATH101", "MATH102"]]
+ *         prerequisiteOverrideReason:
+ *           type: string
+ *           description: The manager's justification for waiving the prerequisites
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Enrollment = sequelize.define('Enrollment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    courseOfferingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'course_offerings',
+        key: 'id'
+      },
+      field: 'courseOfferingId'
+    },
+    studentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'students',
+        key: 'id'
+      },
+      field: 'studentId'
+    },
+    status: {
+      type: DataTypes.ENUM(...ENROLLMENT_STATUSES),
+      allowNull: false,
+      field: 'status'
+    },
+    enrolledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'enrolledAt'
+    },
+    waitlistedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'waitlistedAt'
+    },
+    droppedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'droppedAt'
+    },
+    enrolledBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'enrolledBy'
+    },
+    droppedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'droppedBy'
+    },
+    waivedPrerequisites: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'waivedPrerequisites'
+    },
+    prerequisiteOverrideReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'prerequisiteOverrideReason'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'enrollments',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['courseOfferingId', 'studentId'], name: 'unique_offering_student' },
+      { fields: ['courseOfferingId', 'status', 'waitlistedAt'] },
+      { fields: ['studentId'] }
+    ]
+  });
+
+  Enrollment.STATUSES = ENROLLMENT_STATUSES;
+
+  // Associations
+  Enrollment.associate = function(models) {
+    Enrollment.belongsTo(models.CourseOffering, {
+      foreignKey: 'courseOfferingId',
+      as: 'courseOffering',
+      onDelete: 'CASCADE'
+    });
+
+    Enrollment.belongsTo(models.Student, {
+      foreignKey: 'studentId',
+      as: 'student',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return Enrollment;
+};
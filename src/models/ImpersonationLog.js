@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImpersonationLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the log entry
+ *         sessionId:
+ *           type: string
+ *           description: Groups every entry made with the same impersonation token
+ *         impersonatorId:
+ *           type: integer
+ *           description: Reference to the admin manager User id
+ *         targetUserId:
+ *           type: integer
+ *           description: Reference to the impersonated User id
+ *         action:
+ *           type: string
+ *           enum: [start, request, stop]
+ *         method:
+ *           type: string
+ *           example: GET
+ *         path:
+ *           type: string
+ *           example: /api/facilitator-activities
+ *         statusCode:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *           description: Why the impersonation was started
+ *         ipAddress:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ImpersonationLog = sequelize.define('ImpersonationLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    sessionId: {
+      type: DataTypes.STRING(36),
+      allowNull: false,
+      field: 'sessionId'
+    },
+    impersonatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'impersonatorId'
+    },
+    targetUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'targetUserId'
+    },
+    action: {
+      type: DataTypes.ENUM('start', 'request', 'stop'),
+      allowNull: false,
+      field: 'action'
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      field: 'method'
+    },
+    path: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'path'
+    },
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'statusCode'
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'reason'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ipAddress'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'impersonation_logs',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['sessionId'] },
+      { fields: ['impersonatorId', 'createdAt'] },
+      { fields: ['targetUserId', 'createdAt'] }
+    ]
+  });
+
+  // Associations
+  ImpersonationLog.associate = function(models) {
+    ImpersonationLog.belongsTo(models.User, {
+      foreignKey: 'impersonatorId',
+      as: 'impersonator',
+      onDelete: 'CASCADE'
+    });
+
+    ImpersonationLog.belongsTo(models.User, {
+      foreignKey: 'targetUserId',
+      as: 'targetUser',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return ImpersonationLog;
+};
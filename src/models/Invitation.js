@@ -0,0 +1,184 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the invitation
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Address the invitation was sent to; registration must use it
+ *         role:
+ *           type: string
+ *           enum: [manager, facilitator, student]
+ *         profileData:
+ *           type: object
+ *           description: Prefilled profile fields that the invitee cannot change
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *         invitedBy:
+ *           type: integer
+ *           description: Reference to the admin manager User id
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedUserId:
+ *           type: integer
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Invitation = sequelize.define('Invitation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: { msg: 'Must be a valid email address' }
+      },
+      set(value) {
+        this.setDataValue('email', value.toLowerCase().trim());
+      },
+      field: 'email'
+    },
+    role: {
+      type: DataTypes.ENUM('manager', 'facilitator', 'student'),
+      allowNull: false,
+      field: 'role'
+    },
+    profileData: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      field: 'profileData'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'tokenHash'
+    },
+    invitedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'invitedBy'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expiresAt'
+    },
+    acceptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'acceptedAt'
+    },
+    acceptedUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'acceptedUserId'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revokedAt'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'invitations',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['tokenHash'] },
+      { fields: ['email'] },
+      { fields: ['invitedBy'] }
+    ]
+  });
+
+  // Instance methods
+  Invitation.prototype.getStatus = function() {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (new Date() >= new Date(this.expiresAt)) return 'expired';
+    return 'pending';
+  };
+
+  Invitation.prototype.isPending = function() {
+    return this.getStatus() === 'pending';
+  };
+
+  // The token hash is a credential and never leaves the server
+  Invitation.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.tokenHash;
+    values.status = this.getStatus();
+    return values;
+  };
+
+  // Class methods
+  Invitation.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  Invitation.findByToken = function(token, options = {}) {
+    return this.findOne({ where: { tokenHash: this.hashToken(token) }, ...options });
+  };
+
+  // Associations
+  Invitation.associate = function(models) {
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'invitedBy',
+      as: 'inviter',
+      onDelete: 'CASCADE'
+    });
+
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'acceptedUserId',
+      as: 'acceptedUser',
+      onDelete: 'SET NULL'
+    });
+  };
+
+  return Invitation;
+};
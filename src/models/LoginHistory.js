@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the login record
+ *         userId:
+ *           type: integer
+ *           description: Reference to the User id, null when the email matched no account
+ *         email:
+ *           type: string
+ *           description: Email address used for the attempt
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         success:
+ *           type: boolean
+ *         failureReason:
+ *           type: string
+ *           enum: [unknown_email, invalid_password, deactivated, locked, refresh_token_reuse]
+ *           description: refresh_token_reuse records a replayed refresh token, after which its session was revoked
+ *         isNewLocation:
+ *           type: boolean
+ *           description: Successful login from an IP address the user had not signed in from before
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LoginHistory = sequelize.define('LoginHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'userId'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'email'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ipAddress'
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'userAgent'
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      field: 'success'
+    },
+    failureReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'failureReason'
+    },
+    isNewLocation: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      field: 'isNewLocation'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'login_history',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['email'] }
+    ]
+  });
+
+  // Class methods
+  LoginHistory.hasSuccessfulLoginFrom = async function(userId, ipAddress) {
+    const count = await this.count({ where: { userId, ipAddress, success: true } });
+    return count > 0;
+  };
+
+  LoginHistory.hasSuccessfulLogin = async function(userId) {
+    const count = await this.count({ where: { userId, success: true } });
+    return count > 0;
+  };
+
+  // Associations
+  LoginHistory.associate = function(models) {
+    LoginHistory.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return LoginHistory;
+};
@@ -30,7 +30,7 @@ module.exports = (sequelize, DataTypes) => {
       field: 'employeeId'
     },
     accessLevel: {
-      type: DataTypes.ENUM('standard', 'admin'),
+      type: DataTypes.ENUM('standard', 'senior', 'admin'),
       allowNull: false,
       defaultValue: 'standard',
       field: 'accessLevel'
@@ -69,19 +69,20 @@ module.exports = (sequelize, DataTypes) => {
   };
 
    // Instance methods
+   // The single department-scoping rule: admins manage every course, other
+   // managers only courses whose module belongs to their own department.
+   // Expects courseOffering.module to be loaded.
    Manager.prototype.canManageCourse = function(courseOffering) {
-    // Admin managers can manage all courses
     if (this.accessLevel === 'admin') {
       return true;
     }
-    
-    // Senior managers can manage courses in their department
-    if (this.accessLevel === 'senior') {
-      return true; // You might want to add department-specific logic here
+
+    const module = courseOffering && courseOffering.module;
+    if (!module || !module.department || !this.department) {
+      return false;
     }
-    
-    // Standard managers have limited access
-    return this.accessLevel === 'standard';
+
+    return module.department.trim().toLowerCase() === this.department.trim().toLowerCase();
   };
 
   Manager.prototype.getPermissions = function() {
@@ -90,15 +91,20 @@ module.exports = (sequelize, DataTypes) => {
     switch (this.accessLevel) {
       case 'admin':
         return [...basePermissions, 'create_course_allocations', 'update_course_allocations', 
-                'delete_course_allocations', 'manage_all_activities', 'manage_users'];
+                'delete_course_allocations', 'manage_all_activities', 'manage_users',
+                'manage_cohorts', 'manage_classes', 'manage_modules', 'manage_modes', 'view_audit_logs'];
       case 'senior':
         return [...basePermissions, 'create_course_allocations', 'update_course_allocations', 
-                'manage_department_activities'];
+                'manage_department_activities', 'manage_cohorts', 'manage_classes', 'manage_modules'];
       default:
         return [...basePermissions, 'create_course_allocations'];
     }
   };
 
+  Manager.prototype.hasPermission = function(permission) {
+    return this.getPermissions().includes(permission);
+  };
+
   // Class methods
   Manager.findByEmployeeId = function(employeeId) {
     return this.findOne({
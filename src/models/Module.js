@@ -26,7 +26,10 @@
  *           description: Number of credit hours
  *         prerequisites:
  *           type: string
- *           description: Required prerequisites
+ *           description: |
+ *             Required prerequisites. Module codes are enforced on enrollment: commas, semicolons
+ *             or "and" separate modules that are all required, "or" and "/" alternatives
+ *             (e.g., "CS101, MATH101 or MATH102"). Other text is informational.
  *         department:
  *           type: string
  *           description: Department offering the module
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PasswordHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the history entry
+ *         userId:
+ *           type: integer
+ *           description: Reference to the User id
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the password stopped being the user's current password
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'userId'
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'passwordHash'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['userId', 'createdAt'] }
+    ]
+  });
+
+  // Never serialize password hashes
+  PasswordHistory.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.passwordHash;
+    return values;
+  };
+
+  // Class methods
+  PasswordHistory.findRecentForUser = function(userId, limit, options = {}) {
+    return this.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      ...options
+    });
+  };
+
+  // Associations
+  PasswordHistory.associate = function(models) {
+    PasswordHistory.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return PasswordHistory;
+};
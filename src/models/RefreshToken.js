@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefreshToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the refresh token record
+ *         userId:
+ *           type: integer
+ *           description: Reference to the User id
+ *         jti:
+ *           type: string
+ *           description: Unique token identifier embedded in the JWT
+ *         familyId:
+ *           type: string
+ *           description: Identifier shared by every token in one rotation chain
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token was exchanged for a new one
+ *         replacedBy:
+ *           type: string
+ *           description: jti of the token issued in exchange
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'userId'
+    },
+    jti: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'jti'
+    },
+    familyId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'familyId'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expiresAt'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'usedAt'
+    },
+    replacedBy: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'replacedBy'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revokedAt'
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'revokedReason'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { unique: true, fields: ['jti'] },
+      { fields: ['familyId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isExpired = function() {
+    return new Date() >= new Date(this.expiresAt);
+  };
+
+  RefreshToken.prototype.isUsable = function() {
+    return !this.usedAt && !this.revokedAt && !this.isExpired();
+  };
+
+  // Class methods
+  RefreshToken.findByJti = function(jti) {
+    return this.findOne({ where: { jti } });
+  };
+
+  RefreshToken.revokeFamily = function(familyId, reason) {
+    return this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { familyId, revokedAt: null } }
+    );
+  };
+
+  RefreshToken.revokeAllForUser = function(userId, reason) {
+    return this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { userId, revokedAt: null } }
+    );
+  };
+
+  // Associations
+  RefreshToken.associate = function(models) {
+    RefreshToken.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return RefreshToken;
+};
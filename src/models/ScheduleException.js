@@ -0,0 +1,160 @@
+'use strict';
+
+const { SCHEDULE_EXCEPTION_TYPES, isValidTimezone, fromTimeColumn } = require('../utils/schedule');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduleException:
+ *       type: object
+ *       required:
+ *         - date
+ *         - type
+ *       properties:
+ *         id:
+ *           type: integer
+ *         courseOfferingId:
+ *           type: integer
+ *           description: Reference to the CourseOffering id
+ *         date:
+ *           type: string
+ *           format: date
+ *         type:
+ *           type: string
+ *           enum: [cancelled, makeup]
+ *           description: |
+ *             cancelled removes the regular sessions on the date (only the one starting at startTime, if given);
+ *             makeup adds a one-off session on the date
+ *         startTime:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "14:00"
+ *         endTime:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "16:00"
+ *         timezone:
+ *           type: string
+ *           example: Africa/Kigali
+ *         location:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           example: Public holiday
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ScheduleException = sequelize.define('ScheduleException', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    courseOfferingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'courseOfferingId',
+      references: {
+        model: 'course_offerings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: {
+          msg: 'Please provide a valid date'
+        }
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...SCHEDULE_EXCEPTION_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [SCHEDULE_EXCEPTION_TYPES],
+          msg: 'Exception type must be cancelled or makeup'
+        }
+      }
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: true,
+      field: 'startTime',
+      get() {
+        return fromTimeColumn(this.getDataValue('startTime'));
+      }
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: true,
+      field: 'endTime',
+      get() {
+        return fromTimeColumn(this.getDataValue('endTime'));
+      }
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      validate: {
+        isTimezone(value) {
+          if (value && !isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA time zone');
+          }
+        }
+      }
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'schedule_exceptions',
+    timestamps: true,
+    indexes: [
+      { fields: ['courseOfferingId'] },
+      { fields: ['date', 'type'] }
+    ],
+    validate: {
+      makeupHasTimes() {
+        if (this.type === 'makeup' && (!this.startTime || !this.endTime)) {
+          throw new Error('Make-up sessions need a start and end time');
+        }
+        if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+          throw new Error('End time must be after start time');
+        }
+      }
+    }
+  });
+
+  // Associations
+  ScheduleException.associate = function(models) {
+    ScheduleException.belongsTo(models.CourseOffering, {
+      foreignKey: 'courseOfferingId',
+      as: 'courseOffering',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return ScheduleException;
+};
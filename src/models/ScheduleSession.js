@@ -0,0 +1,140 @@
+'use strict';
+
+const { WEEKDAYS, isValidTimezone, fromTimeColumn } = require('../utils/schedule');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduleSession:
+ *       type: object
+ *       required:
+ *         - weekday
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         id:
+ *           type: integer
+ *         courseOfferingId:
+ *           type: integer
+ *           description: Reference to the CourseOffering id
+ *         weekday:
+ *           type: string
+ *           enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *         startTime:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "10:00"
+ *           description: Local start time in the session's time zone
+ *         endTime:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "12:00"
+ *         timezone:
+ *           type: string
+ *           example: Africa/Kigali
+ *           description: IANA time zone the times are in
+ *         location:
+ *           type: string
+ *           description: Room or meeting link, overriding the offering's location
+ *           example: Room 101
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ScheduleSession = sequelize.define('ScheduleSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    courseOfferingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'courseOfferingId',
+      references: {
+        model: 'course_offerings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    weekday: {
+      type: DataTypes.ENUM(...WEEKDAYS),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [WEEKDAYS],
+          msg: 'Weekday must be monday to sunday'
+        }
+      }
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+      field: 'startTime',
+      get() {
+        return fromTimeColumn(this.getDataValue('startTime'));
+      }
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: false,
+      field: 'endTime',
+      get() {
+        return fromTimeColumn(this.getDataValue('endTime'));
+      },
+      validate: {
+        isAfterStartTime(value) {
+          if (value && this.startTime && fromTimeColumn(value) <= this.startTime) {
+            throw new Error('End time must be after start time');
+          }
+        }
+      }
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      validate: {
+        isTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA time zone');
+          }
+        }
+      }
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'schedule_sessions',
+    timestamps: true,
+    indexes: [
+      { fields: ['courseOfferingId'] },
+      { fields: ['weekday', 'startTime', 'endTime'] }
+    ]
+  });
+
+  // Associations
+  ScheduleSession.associate = function(models) {
+    ScheduleSession.belongsTo(models.CourseOffering, {
+      foreignKey: 'courseOfferingId',
+      as: 'courseOffering',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return ScheduleSession;
+};
@@ -143,6 +143,13 @@ module.exports = (sequelize, DataTypes) => {
       as: 'cohort',
       onDelete: 'RESTRICT'
     });
+
+    // Student enrolls in course offerings
+    Student.hasMany(models.Enrollment, {
+      foreignKey: 'studentId',
+      as: 'enrollments',
+      onDelete: 'CASCADE'
+    });
   };
 
   return Student;
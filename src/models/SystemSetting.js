@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SystemSetting:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the setting
+ *         key:
+ *           type: string
+ *           description: Unique setting name
+ *         value:
+ *           description: JSON value of the setting
+ *         updatedBy:
+ *           type: integer
+ *           description: Reference to the User id who last changed the setting
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SystemSetting = sequelize.define('SystemSetting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      field: 'id'
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      field: 'key'
+    },
+    value: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'value'
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'updatedBy'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'system_settings',
+    timestamps: true,
+    underscored: false
+  });
+
+  // Class methods
+  SystemSetting.getValue = async function(key, defaultValue = null) {
+    const setting = await this.findOne({ where: { key } });
+    return setting ? setting.value : defaultValue;
+  };
+
+  SystemSetting.setValue = async function(key, value, updatedBy = null) {
+    const [setting] = await this.upsert({ key, value, updatedBy });
+    return setting;
+  };
+
+  // Associations
+  SystemSetting.associate = function(models) {
+    SystemSetting.belongsTo(models.User, {
+      foreignKey: 'updatedBy',
+      as: 'updater',
+      onDelete: 'SET NULL'
+    });
+  };
+
+  return SystemSetting;
+};
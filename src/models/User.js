@@ -36,10 +36,39 @@ const bcrypt = require('bcryptjs');
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
+ *         isEmailVerified:
+ *           type: boolean
+ *           description: Whether the user has verified their email address
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the email address was verified
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether TOTP two-factor authentication is enabled
+ *         twoFactorEnabledAt:
+ *           type: string
+ *           format: date-time
+ *           description: When two-factor authentication was enabled
+ *         failedLoginAttempts:
+ *           type: integer
+ *           description: Consecutive failed login attempts since the last successful login
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Login is refused until this time after repeated failures
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current password was set; used for the password maximum age
  *         lastLogin:
  *           type: string
  *           format: date-time
  *           description: Last login timestamp
+ *         erasedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user's personal data was erased; the account cannot be reactivated
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -94,11 +123,64 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       field: 'isActive'
     },
+    isEmailVerified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      field: 'isEmailVerified'
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'emailVerifiedAt'
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      field: 'twoFactorEnabled'
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'twoFactorSecret'
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'twoFactorRecoveryCodes'
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'twoFactorEnabledAt'
+    },
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      field: 'failedLoginAttempts'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'lockedUntil'
+    },
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'passwordChangedAt'
+    },
     lastLogin: {
       type: DataTypes.DATE,
       allowNull: true,
       field: 'lastLogin'
     },
+    erasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'erasedAt'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
@@ -131,16 +213,37 @@ module.exports = (sequelize, DataTypes) => {
     await this.save();
   };
 
+  User.prototype.isLocked = function() {
+    return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+  };
+
+  User.prototype.markEmailVerified = async function() {
+    this.isEmailVerified = true;
+    this.emailVerifiedAt = new Date();
+    await this.save();
+  };
+
+  // Never serialize credentials or two-factor material into API responses
+  User.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.password;
+    delete values.twoFactorSecret;
+    delete values.twoFactorRecoveryCodes;
+    return values;
+  };
+
   // Hooks
   User.beforeCreate(async (user) => {
     if (user.password) {
       user.password = await bcrypt.hash(user.password, 10);
+      user.passwordChangedAt = new Date();
     }
   });
 
   User.beforeUpdate(async (user) => {
     if (user.changed('password')) {
       user.password = await bcrypt.hash(user.password, 10);
+      user.passwordChangedAt = new Date();
     }
   });
 
@@ -149,6 +252,7 @@ module.exports = (sequelize, DataTypes) => {
     User.hasOne(models.Manager, { foreignKey: 'userId', as: 'managerProfile' });
     User.hasOne(models.Facilitator, { foreignKey: 'userId', as: 'facilitatorProfile' });
     User.hasOne(models.Student, { foreignKey: 'userId', as: 'studentProfile' });
+    User.hasMany(models.LoginHistory, { foreignKey: 'userId', as: 'loginHistory' });
   };
 
     // Instance methods
@@ -0,0 +1,160 @@
+'use strict';
+
+const { Op } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The refresh token family id shared by every token issued to this sign-in
+ *         userId:
+ *           type: integer
+ *           description: Reference to the User id
+ *         device:
+ *           type: string
+ *           description: Browser and operating system read from the user agent
+ *           example: Chrome on Windows
+ *         userAgent:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *           description: IP address of the most recent sign-in or refresh
+ *         authMethod:
+ *           type: string
+ *           enum: [password, oidc]
+ *           description: How the user signed in
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current refresh token expires unless it is used
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *         isCurrent:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+module.exports = (sequelize, DataTypes) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.STRING(36),
+      primaryKey: true,
+      allowNull: false,
+      field: 'id'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      field: 'userId'
+    },
+    device: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'device'
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'userAgent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ipAddress'
+    },
+    authMethod: {
+      type: DataTypes.STRING(20),
+      defaultValue: 'password',
+      allowNull: false,
+      field: 'authMethod'
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'lastSeenAt'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expiresAt'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revokedAt'
+    },
+    revokedReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'revokedReason'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      allowNull: false,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      { fields: ['userId', 'revokedAt'] }
+    ]
+  });
+
+  // Instance methods
+  UserSession.prototype.isActive = function() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  };
+
+  // Class methods
+  UserSession.findActiveForUser = function(userId) {
+    return this.findAll({
+      where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+      order: [['lastSeenAt', 'DESC']]
+    });
+  };
+
+  UserSession.revoke = function(where, reason) {
+    return this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { ...where, revokedAt: null } }
+    );
+  };
+
+  // Associations
+  UserSession.associate = function(models) {
+    UserSession.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return UserSession;
+};
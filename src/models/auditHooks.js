@@ -0,0 +1,106 @@
+'use strict';
+
+const { getRequestContext } = require('../utils/requestContext');
+
+// Models that are logs themselves or token bookkeeping, and are never audited
+const EXCLUDED_MODELS = ['AuditLog', 'LoginHistory', 'ImpersonationLog', 'RefreshToken', 'PasswordHistory', 'UserSession', 'CourseOfferingStatusChange'];
+
+// Fields whose changes alone are not worth an entry
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'lastLogin', 'lastUsedAt', 'lastUsedIp', 'lastAccessedAt', 'passwordChangedAt'];
+
+// Credentials are recorded as changed but never stored
+const REDACTED_FIELDS = ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'keyHash', 'tokenHash'];
+const REDACTED = '[REDACTED]';
+
+function isAudited(model) {
+  return !EXCLUDED_MODELS.includes(model.name);
+}
+
+function auditValue(field, value) {
+  if (REDACTED_FIELDS.includes(field)) {
+    return value === null || value === undefined ? null : REDACTED;
+  }
+  return value === undefined ? null : value;
+}
+
+// Build { field: { before, after } } for the given fields
+function buildChanges(fields, getBefore, getAfter) {
+  const changes = {};
+  fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .forEach(field => {
+      changes[field] = {
+        before: auditValue(field, getBefore(field)),
+        after: auditValue(field, getAfter(field))
+      };
+    });
+  return changes;
+}
+
+// Changes made by a create, update or delete of an instance
+function getInstanceChanges(action, instance) {
+  const attributes = Object.keys(instance.constructor.rawAttributes);
+
+  switch (action) {
+    case 'create':
+      return buildChanges(attributes, () => null, field => instance.get(field));
+    case 'delete':
+      return buildChanges(attributes, field => instance.get(field), () => null);
+    default:
+      return buildChanges(instance.changed() || [], field => instance.previous(field), field => instance.get(field));
+  }
+}
+
+/**
+ * Record every create, update and delete on audited models in audit_logs,
+ * inside the same transaction as the change. The actor, IP address and
+ * request id come from the request context set up by utils/requestContext.
+ */
+module.exports = function registerAuditHooks(db) {
+  const { sequelize, AuditLog } = db;
+
+  const record = async (action, instance, options) => {
+    const model = instance.constructor;
+    if (!isAudited(model)) return;
+
+    const changes = getInstanceChanges(action, instance);
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    const context = getRequestContext() || {};
+    const entityId = instance.get(model.primaryKeyAttribute);
+
+    await AuditLog.create({
+      userId: context.userId || null,
+      impersonatorId: context.impersonatorId || null,
+      apiKeyId: context.apiKeyId || null,
+      action,
+      entityType: model.name,
+      entityId: entityId === null || entityId === undefined ? null : String(entityId),
+      changes,
+      ipAddress: context.ipAddress ? String(context.ipAddress).slice(0, 45) : null,
+      requestId: context.requestId || null
+    }, { transaction: options.transaction });
+  };
+
+  sequelize.addHook('afterCreate', 'audit', (instance, options) => record('create', instance, options));
+  sequelize.addHook('afterUpdate', 'audit', (instance, options) => record('update', instance, options));
+  sequelize.addHook('afterDestroy', 'audit', (instance, options) => record('delete', instance, options));
+
+  // Bulk operations only run per-instance hooks when asked, so always ask for audited models
+  const auditEachInstance = function(options) {
+    if (isAudited(options.model)) {
+      options.individualHooks = true;
+    }
+  };
+  sequelize.addHook('beforeBulkUpdate', 'audit', auditEachInstance);
+  sequelize.addHook('beforeBulkDestroy', 'audit', auditEachInstance);
+  sequelize.addHook('afterBulkCreate', 'audit', async (instances, options) => {
+    // With individualHooks, afterCreate has already recorded each instance
+    if (options.individualHooks) return;
+    for (const instance of instances) {
+      await record('create', instance, options);
+    }
+  });
+};
+
+module.exports.getInstanceChanges = getInstanceChanges;
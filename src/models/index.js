@@ -23,6 +23,20 @@ const Class = require('./Class')(sequelize, Sequelize.DataTypes);
 const Mode = require('./Mode')(sequelize, Sequelize.DataTypes);
 const CourseOffering = require('./CourseOffering')(sequelize, Sequelize.DataTypes);
 const ActivityTracker = require('./ActivityTracker')(sequelize, Sequelize.DataTypes);
+const RefreshToken = require('./RefreshToken')(sequelize, Sequelize.DataTypes);
+const SystemSetting = require('./SystemSetting')(sequelize, Sequelize.DataTypes);
+const LoginHistory = require('./LoginHistory')(sequelize, Sequelize.DataTypes);
+const ApiKey = require('./ApiKey')(sequelize, Sequelize.DataTypes);
+const ImpersonationLog = require('./ImpersonationLog')(sequelize, Sequelize.DataTypes);
+const Invitation = require('./Invitation')(sequelize, Sequelize.DataTypes);
+const AuditLog = require('./AuditLog')(sequelize, Sequelize.DataTypes);
+const PasswordHistory = require('./PasswordHistory')(sequelize, Sequelize.DataTypes);
+const UserSession = require('./UserSession')(sequelize, Sequelize.DataTypes);
+const ScheduleSession = require('./ScheduleSession')(sequelize, Sequelize.DataTypes);
+const ScheduleException = require('./ScheduleException')(sequelize, Sequelize.DataTypes);
+const CalendarFeed = require('./CalendarFeed')(sequelize, Sequelize.DataTypes);
+const CourseOfferingStatusChange = require('./CourseOfferingStatusChange')(sequelize, Sequelize.DataTypes);
+const Enrollment = require('./Enrollment')(sequelize, Sequelize.DataTypes);
 
 // Store models in db object
 const db = {
@@ -38,6 +52,20 @@ const db = {
   Mode,
   CourseOffering,
   ActivityTracker,
+  RefreshToken,
+  SystemSetting,
+  LoginHistory,
+  ApiKey,
+  ImpersonationLog,
+  Invitation,
+  AuditLog,
+  PasswordHistory,
+  UserSession,
+  ScheduleSession,
+  ScheduleException,
+  CalendarFeed,
+  CourseOfferingStatusChange,
+  Enrollment,
   DataTypes
 };
 
@@ -48,4 +76,7 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+// Record every create, update and delete in audit_logs
+require('./auditHooks')(db);
+
 module.exports = db;
\ No newline at end of file
@@ -0,0 +1,147 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateApiKey } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeyService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Scoped API keys for integrations such as registrar and LMS sync scripts
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Issue an API key that acts as the current manager (Manager only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Registrar sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [course_allocations:read, course_allocations:write, activities:read, activities:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to 90 days from now, at most 365 days
+ *     responses:
+ *       201:
+ *         description: API key created. The key is only shown in this response.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKey:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *                     key:
+ *                       type: string
+ *                       description: Send as the X-API-Key header or as a bearer token
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Manager access required
+ */
+router.post('/', authenticate, authorize('manager'), validateApiKey, asyncHandler(async (req, res) => {
+  const result = await createApiKey(req.user.id, req.body);
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created successfully. Store it now, it will not be shown again.',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys issued by the current manager (Manager only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Manager access required
+ */
+router.get('/', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const apiKeys = await listApiKeys(req.user.id);
+  res.json({
+    status: 'success',
+    message: 'API keys retrieved successfully',
+    data: apiKeys
+  });
+}));
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (Manager only)
+ *     description: Managers can revoke their own keys. Managers with manage_users can revoke any key.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       403:
+ *         description: Manager access required
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const canManageAll = Boolean(req.managerProfile && req.managerProfile.hasPermission('manage_users'));
+  const result = await revokeApiKey(parseInt(req.params.id), req.user.id, canManageAll);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { validateAuditLogQuery } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditLogs, getAuditLog } = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Logs
+ *   description: Record of every create, update and delete, with actor and before/after values
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Query the audit log (Admin only)
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: User who made the change
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: apiKeyId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: Model name, e.g. Cohort or CourseOffering
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', authenticate, authorize('manager'), requirePermission('view_audit_logs'), validateAuditLogQuery, asyncHandler(async (req, res) => {
+  const result = await getAuditLogs(req.query);
+  res.json({
+    status: 'success',
+    message: 'Audit log entries retrieved successfully',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/audit-logs/{id}:
+ *   get:
+ *     summary: Get a single audit log entry (Admin only)
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit log entry retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Audit log entry not found
+ */
+router.get('/:id', authenticate, authorize('manager'), requirePermission('view_audit_logs'), asyncHandler(async (req, res) => {
+  const log = await getAuditLog(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    message: 'Audit log entry retrieved successfully',
+    data: log
+  });
+}));
+
+module.exports = router;
@@ -1,17 +1,65 @@
 'use strict';
 
 const express = require('express');
-const { register, login, refreshToken, getCurrentUser, updateProfile, changePassword, activateUser, deactivateUser } = require('../services/authService');
-const { authenticate, authorize } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { register, login, loginWithTwoFactor, refreshToken, logout, getCurrentUser, updateProfile, updateUserProfile, changePassword, forgotPassword, resetPassword, verifyEmail, resendVerificationEmail, activateUser, deactivateUser } = require('../services/authService');
+const { authenticate, allowTwoFactorSetup, allowPasswordChange, denyImpersonation, authorize, requireManagerAccess, requirePermission } = require('../middleware/auth');
 const {
   validateUserRegistration,
+  validateUserImport,
+  validateUserProfileUpdate,
   validateUserLogin,
-  validatePasswordChange
+  validatePasswordChange,
+  validatePasswordPolicy,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateResendVerification,
+  validateTwoFactorLogin
 } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getLockedAccounts, unlockAccount, getLoginHistory } = require('../services/loginSecurityService');
+const { importUsers } = require('../services/userImportService');
+const { exportUserData, eraseUser } = require('../services/privacyService');
+const { getPasswordPolicy, updatePasswordPolicy } = require('../services/passwordPolicyService');
+const { listSessions, revokeSession, signOutAllSessions } = require('../services/sessionService');
 
 const router = express.Router();
 
+// Request details recorded in login history
+const getLoginContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Stricter per-IP limit for password recovery endpoints
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests from this IP, please try again later.'
+});
+
+// Per-IP limit for email verification endpoints
+const emailVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many verification requests from this IP, please try again later.'
+});
+
+// Per-IP limit for personal data exports, which read every table tied to the user
+const dataExportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many data export requests from this IP, please try again later.'
+});
+
+// Per-IP limit for the second login step
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many two-factor attempts from this IP, please try again later.'
+});
+
 /**
  * @swagger
  * tags:
@@ -24,6 +72,10 @@ const router = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       Managers and facilitators need an inviteToken from POST /api/invitations. The invitation sets the role
+ *       and its prefilled profile fields, and the email must match it. Students can register without an
+ *       invitation only when ALLOW_STUDENT_SELF_REGISTRATION is true.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -36,16 +88,18 @@ const router = express.Router();
  *               - password
  *               - firstName
  *               - lastName
- *               - role
  *             properties:
+ *               inviteToken:
+ *                 type: string
+ *                 description: Token from the invitation email
  *               email:
  *                 type: string
  *                 format: email
  *                 example: john.doe@university.edu
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 example: SecurePass123
+ *                 description: Must meet the password policy, see GET /api/auth/password-policy
+ *                 example: Tr1cky-Harbour-42
  *               firstName:
  *                 type: string
  *                 example: John
@@ -55,10 +109,13 @@ const router = express.Router();
  *               role:
  *                 type: string
  *                 enum: [manager, facilitator, student]
+ *                 description: Required without an inviteToken
  *                 example: facilitator
  *               profileData:
  *                 type: object
- *                 description: Role-specific profile data
+ *                 description: |
+ *                   Role-specific profile data. With an inviteToken the invitation's profile is used,
+ *                   and only fields the invitee could edit on their own profile are taken from here.
  *                 example:
  *                   employeeId: "EMP001"
  *                   specialization: "Computer Science"
@@ -90,14 +147,20 @@ const router = express.Router();
  *                       type: string
  *       400:
  *         description: Validation error
+ *       401:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: Registration for this role requires an invitation
  *       409:
  *         description: User already exists
  */
 router.post('/register', validateUserRegistration, asyncHandler(async (req, res) => {
-  const result = await register(req.body);
+  const result = await register(req.body, getLoginContext(req));
   res.status(201).json({
     status: 'success',
-    message: 'User registered successfully',
+    message: result.user.isEmailVerified
+      ? 'User registered successfully'
+      : 'User registered successfully. Please check your email to verify your account.',
     data: result
   });
 }));
@@ -150,12 +213,71 @@ router.post('/register', validateUserRegistration, asyncHandler(async (req, res)
  *                       type: string
  *                     expiresIn:
  *                       type: string
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: When true, no tokens are issued; send twoFactorToken to /api/auth/login/2fa
+ *                     twoFactorToken:
+ *                       type: string
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: When true, the account may only use the two-factor setup endpoints
+ *                     passwordChangeRequired:
+ *                       type: boolean
+ *                       description: When true, the password has expired and the account may only change it
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after repeated failed logins
  */
 router.post('/login', validateUserLogin, asyncHandler(async (req, res) => {
   const { email, password } = req.body;
-  const result = await login(email, password);
+  const result = await login(email, password, getLoginContext(req));
+  res.json({
+    status: 'success',
+    message: result.twoFactorRequired ? 'Two-factor authentication code required' : 'Login successful',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a two-factor code or recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: Current code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-7c2d4
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code or expired two-factor session
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/login/2fa', twoFactorLoginLimiter, validateTwoFactorLogin, asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+  const result = await loginWithTwoFactor(twoFactorToken, { code, recoveryCode }, getLoginContext(req));
   res.json({
     status: 'success',
     message: 'Login successful',
@@ -168,6 +290,7 @@ router.post('/login', validateUserLogin, asyncHandler(async (req, res) => {
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new token pair. Each refresh token can be used once; replaying a used token revokes its whole token family.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -205,17 +328,16 @@ router.post('/login', validateUserLogin, asyncHandler(async (req, res) => {
  *                     expiresIn:
  *                       type: string
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, revoked or reused refresh token
  */
 router.post('/refresh', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
-  if (!refreshToken) {
+  if (!req.body.refreshToken) {
     return res.status(400).json({
       status: 'error',
       message: 'Refresh token is required'
     });
   }
-  const result = await refreshToken(refreshToken);
+  const result = await refreshToken(req.body.refreshToken, getLoginContext(req));
   res.json({
     status: 'success',
     message: 'Token refreshed successfully',
@@ -282,7 +404,12 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
  *                 example: Doe
  *               profileData:
  *                 type: object
- *                 description: Role-specific profile data
+ *                 description: |
+ *                   Role-specific profile data. Managers can change phoneNumber and office;
+ *                   facilitators specialization, qualification, experience and phoneNumber; students
+ *                   program, dateOfBirth, phoneNumber, address and emergencyContact. Any other field,
+ *                   such as accessLevel or department, is rejected; managers with manage_users change
+ *                   those with PATCH /api/auth/users/{id}/profile.
  *                 example:
  *                   phoneNumber: "+1234567890"
  *                   specialization: "Advanced Computer Science"
@@ -302,10 +429,14 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
  *                   example: Profile updated successfully
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: A profile field that cannot be changed on your own profile
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating another user
  */
-router.put('/me', authenticate, asyncHandler(async (req, res) => {
+router.put('/me', authenticate, denyImpersonation, asyncHandler(async (req, res) => {
   const updatedUser = await updateProfile(req.userId, req.body);
   res.json({
     status: 'success',
@@ -314,6 +445,50 @@ router.put('/me', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download all personal data held about the current user
+ *     description: |
+ *       Returns a JSON archive of the account, role profile, login history, sessions, API keys,
+ *       invitations, impersonation sessions and audit trail, plus course offerings and activity
+ *       logs for facilitators or managed courses for managers. Credentials are never included.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON archive sent as a file download
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 formatVersion:
+ *                   type: integer
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 profile:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating another user
+ *       429:
+ *         description: Too many export requests
+ */
+router.get('/me/export', dataExportLimiter, authenticate, denyImpersonation, asyncHandler(async (req, res) => {
+  const archive = await exportUserData(req.userId);
+  const date = archive.exportedAt.slice(0, 10);
+  res.attachment(`personal-data-${req.userId}-${date}.json`);
+  res.type('application/json');
+  res.send(JSON.stringify(archive, null, 2));
+}));
+
 /**
  * @swagger
  * /api/auth/change-password:
@@ -338,8 +513,7 @@ router.put('/me', authenticate, asyncHandler(async (req, res) => {
  *                 description: Current password
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 description: New password
+ *                 description: New password, checked against the password policy and recent passwords
  *               confirmPassword:
  *                 type: string
  *                 description: Confirm new password
@@ -361,8 +535,10 @@ router.put('/me', authenticate, asyncHandler(async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Current password is incorrect
+ *       403:
+ *         description: Not allowed while impersonating another user
  */
-router.post('/change-password', authenticate, validatePasswordChange, asyncHandler(async (req, res) => {
+router.post('/change-password', allowPasswordChange, authenticate, denyImpersonation, validatePasswordChange, asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
   const result = await changePassword(req.userId, currentPassword, newPassword);
   res.json({
@@ -373,15 +549,51 @@ router.post('/change-password', authenticate, validatePasswordChange, asyncHandl
 
 /**
  * @swagger
- * /api/auth/logout:
- *   post:
- *     summary: Logout user (client-side token removal)
+ * components:
+ *   schemas:
+ *     PasswordPolicy:
+ *       type: object
+ *       properties:
+ *         minLength:
+ *           type: integer
+ *           minimum: 6
+ *           maximum: 128
+ *           example: 8
+ *         requireUppercase:
+ *           type: boolean
+ *         requireLowercase:
+ *           type: boolean
+ *         requireNumber:
+ *           type: boolean
+ *         requireSymbol:
+ *           type: boolean
+ *         historySize:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 24
+ *           description: Number of most recent passwords, including the current one, that cannot be reused
+ *           example: 5
+ *         maxAgeDays:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3650
+ *           description: Days before a password must be changed at login; 0 means never
+ *           example: 90
+ *         rejectCommonPasswords:
+ *           type: boolean
+ *           description: Reject passwords on the bundled list of common and breached passwords
+ */
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password policy, so sign-up and change-password forms can show the rules
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Password policy retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -390,56 +602,72 @@ router.post('/change-password', authenticate, validatePasswordChange, asyncHandl
  *                 status:
  *                   type: string
  *                   example: success
- *                 message:
- *                   type: string
- *                   example: Logout successful
+ *                 data:
+ *                   $ref: '#/components/schemas/PasswordPolicy'
  */
-router.post('/logout', authenticate, asyncHandler(async (req, res) => {
-  // Since we're using stateless JWT tokens, logout is handled client-side
-  // The client should remove the token from storage
-  // In a production environment, you might want to implement token blacklisting
+router.get('/password-policy', asyncHandler(async (req, res) => {
+  const policy = await getPasswordPolicy();
   res.json({
     status: 'success',
-    message: 'Logout successful. Please remove the token from client storage.'
+    message: 'Password policy retrieved successfully',
+    data: policy
   });
 }));
 
 /**
  * @swagger
- * /api/auth/users:
- *   get:
- *     summary: Get all users (Admin only)
+ * /api/auth/password-policy:
+ *   put:
+ *     summary: Update the password policy (Admin managers only)
+ *     description: Only the fields sent are changed. New rules apply the next time a password is set.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: role
- *         schema:
- *           type: string
- *           enum: [manager, facilitator, student]
- *         description: Filter by user role
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
- *         description: Filter by active status
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of users per page
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordPolicy'
  *     responses:
  *       200:
- *         description: Users retrieved successfully
+ *         description: Password policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin manager access required
+ */
+router.put('/password-policy', authenticate, authorize('manager'), requireManagerAccess('admin'), validatePasswordPolicy, asyncHandler(async (req, res) => {
+  const policy = await updatePasswordPolicy(req.body, req.user.id);
+  res.json({
+    status: 'success',
+    message: 'Password policy updated successfully',
+    data: policy
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.doe@university.edu
+ *     responses:
+ *       200:
+ *         description: Request accepted. The response is the same whether or not the account exists.
  *         content:
  *           application/json:
  *             schema:
@@ -450,86 +678,59 @@ router.post('/logout', authenticate, asyncHandler(async (req, res) => {
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: Users retrieved successfully
- *                 data:
- *                   type: object
- *                   properties:
- *                     users:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/User'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
- *                         pages:
- *                           type: integer
- *       403:
- *         description: Access denied
+ *                   example: If an account exists for this email, a password reset link has been sent.
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
  */
-router.get('/users', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const { role, isActive, page = 1, limit = 20 } = req.query;
-  const whereClause = {};
-  if (role) whereClause.role = role;
-  if (isActive !== undefined) whereClause.isActive = isActive === 'true';
-  const offset = (page - 1) * limit;
-  const { User, Manager, Facilitator, Student } = require('../models');
-  const { count, rows: users } = await User.findAndCountAll({
-    where: whereClause,
-    include: [
-      { model: Manager, as: 'managerProfile' },
-      { model: Facilitator, as: 'facilitatorProfile' },
-      { model: Student, as: 'studentProfile' }
-    ],
-    limit: parseInt(limit),
-    offset: parseInt(offset),
-    order: [['createdAt', 'DESC']]
-  });
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, asyncHandler(async (req, res) => {
+  const result = await forgotPassword(req.body.email);
   res.json({
     status: 'success',
-    message: 'Users retrieved successfully',
-    data: {
-      users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count,
-        pages: Math.ceil(count / limit)
-      }
-    }
+    ...result
   });
 }));
 
 /**
  * @swagger
- * /api/auth/users/{id}/activate:
- *   patch:
- *     summary: Activate user account (Admin only)
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a single-use reset token
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the emailed link, or the token from an invite link
+ *               newPassword:
+ *                 type: string
+ *                 description: New password, checked against the password policy and recent passwords
+ *               confirmPassword:
+ *                 type: string
+ *                 description: Confirm new password
  *     responses:
  *       200:
- *         description: User activated successfully
- *       403:
- *         description: Access denied
- *       404:
- *         description: User not found
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired reset token
+ *       429:
+ *         description: Too many requests
  */
-router.patch('/users/:id/activate', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const result = await activateUser(parseInt(req.params.id));
+router.post('/reset-password', passwordResetLimiter, validatePasswordReset, asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  const result = await resetPassword(token, newPassword);
   res.json({
     status: 'success',
     ...result
@@ -538,28 +739,710 @@ router.patch('/users/:id/activate', authenticate, authorize('manager'), asyncHan
 
 /**
  * @swagger
- * /api/auth/users/{id}/deactivate:
- *   patch:
- *     summary: Deactivate user account (Admin only)
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the emailed token
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: User ID
- *     responses:
- *       200:
- *         description: User deactivated successfully
- *       403:
- *         description: Access denied
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Verification token from the emailed link
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired verification token
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/verify-email', emailVerificationLimiter, validateEmailVerification, asyncHandler(async (req, res) => {
+  const result = await verifyEmail(req.body.token);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.doe@university.edu
+ *     responses:
+ *       200:
+ *         description: Request accepted. The response is the same whether or not an unverified account exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: If an unverified account exists for this email, a verification link has been sent.
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/resend-verification', emailVerificationLimiter, validateResendVerification, asyncHandler(async (req, res) => {
+  const result = await resendVerificationEmail(req.body.email);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user and revoke the current token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token to revoke along with the access token
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Logout successful
+ */
+router.post('/logout', allowTwoFactorSetup, allowPasswordChange, authenticate, asyncHandler(async (req, res) => {
+  const result = await logout(req.tokenPayload, req.body.refreshToken);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   get:
+ *     summary: Get all users (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [manager, facilitator, student]
+ *         description: Filter by user role
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Users retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         pages:
+ *                           type: integer
+ *       403:
+ *         description: Access denied
+ */
+router.get('/users', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const { role, isActive, page = 1, limit = 20 } = req.query;
+  const whereClause = {};
+  if (role) whereClause.role = role;
+  if (isActive !== undefined) whereClause.isActive = isActive === 'true';
+  const offset = (page - 1) * limit;
+  const { User, Manager, Facilitator, Student } = require('../models');
+  const { count, rows: users } = await User.findAndCountAll({
+    where: whereClause,
+    include: [
+      { model: Manager, as: 'managerProfile' },
+      { model: Facilitator, as: 'facilitatorProfile' },
+      { model: Student, as: 'studentProfile' }
+    ],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['createdAt', 'DESC']]
+  });
+  res.json({
+    status: 'success',
+    message: 'Users retrieved successfully',
+    data: {
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/import:
+ *   post:
+ *     summary: Bulk import users of one role from CSV (Admin only)
+ *     description: |
+ *       The CSV needs a header row with email, firstName and lastName, plus the profile columns
+ *       register requires for the role (manager: department, employeeId; facilitator: employeeId,
+ *       specialization; student: studentId, cohortId). Optional columns are password and the other
+ *       profile fields. Every row is checked against the registration rules. Users are only created
+ *       if all rows are valid, in a single transaction.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [manager, facilitator, student]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only validate the file and report per-row errors
+ *       - in: query
+ *         name: sendEmails
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Email a verification link to users with a password and an invite link to the rest
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               email,firstName,lastName,studentId,cohortId
+ *               jane.doe@example.com,Jane,Doe,STU2025001,1
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: Users imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     valid:
+ *                       type: integer
+ *                     invalid:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                           email:
+ *                             type: string
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                     created:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid file, or rows failed validation (listed in errors)
+ *       403:
+ *         description: Access denied
+ */
+router.post('/users/import', authenticate, authorize('manager'), requirePermission('manage_users'), validateUserImport, asyncHandler(async (req, res) => {
+  const { role, dryRun = false, sendEmails = true } = req.query;
+  const result = await importUsers(req.body, { role, dryRun, sendEmails });
+  res.status(dryRun ? 200 : 201).json({
+    status: 'success',
+    message: dryRun ? 'Import validated. No users were created.' : `${result.created.length} users imported successfully`,
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/locked:
+ *   get:
+ *     summary: Get accounts locked after repeated failed logins (Manager only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of users per page
+ *     responses:
+ *       200:
+ *         description: Locked accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Access denied
+ */
+router.get('/users/locked', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const result = await getLockedAccounts({ page, limit });
+  res.json({
+    status: 'success',
+    message: 'Locked accounts retrieved successfully',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock an account locked after failed logins (Manager only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:id/unlock', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
+  const result = await unlockAccount(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/login-history:
+ *   get:
+ *     summary: Get login history for a user (Manager only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Filter by outcome
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of records per page
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginHistory'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/login-history', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const { success, page = 1, limit = 20 } = req.query;
+  const result = await getLoginHistory(parseInt(req.params.id), { success, page, limit });
+  res.json({
+    status: 'success',
+    message: 'Login history retrieved successfully',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Manager only)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/sessions', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const sessions = await listSessions(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    message: 'Sessions retrieved successfully',
+    data: sessions
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out of every session (Admin only)
+ *     description: Also revokes tokens issued before sessions were tracked.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions signed out successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:id/sessions', authenticate, authorize('manager'), requirePermission('manage_users'), denyImpersonation, asyncHandler(async (req, res) => {
+  const result = await signOutAllSessions(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign a user out of one session (Admin only)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/users/:id/sessions/:sessionId', authenticate, authorize('manager'), requirePermission('manage_users'), denyImpersonation, asyncHandler(async (req, res) => {
+  const result = await revokeSession(parseInt(req.params.id), req.params.sessionId, 'revoked_by_manager');
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/activate:
+ *   patch:
+ *     summary: Activate user account (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User activated successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Erased accounts cannot be reactivated
+ */
+router.patch('/users/:id/activate', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
+  const result = await activateUser(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/profile:
+ *   patch:
+ *     summary: Update a user's profile (Admin only)
+ *     description: |
+ *       Changes role profile fields, including those users cannot change on their own profile:
+ *       a manager's accessLevel, department and employeeId, a facilitator's employeeId and
+ *       maxCourseLoad, and a student's studentId, cohortId and yearOfStudy.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - profileData
+ *             properties:
+ *               profileData:
+ *                 type: object
+ *                 example:
+ *                   department: "Mathematics"
+ *                   accessLevel: "senior"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error, or a field that is not part of the user's profile
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User or profile not found
+ */
+router.patch('/users/:id/profile', authenticate, authorize('manager'), requirePermission('manage_users'), denyImpersonation, validateUserProfileUpdate, asyncHandler(async (req, res) => {
+  const user = await updateUserProfile(parseInt(req.params.id), req.body.profileData);
+  res.json({
+    status: 'success',
+    message: 'Profile updated successfully',
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate user account (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: User not found
  */
-router.patch('/users/:id/deactivate', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.patch('/users/:id/deactivate', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
   const result = await deactivateUser(parseInt(req.params.id));
   res.json({
     status: 'success',
@@ -567,4 +1450,42 @@ router.patch('/users/:id/deactivate', authenticate, authorize('manager'), asyncH
   });
 }));
 
+/**
+ * @swagger
+ * /api/auth/users/{id}/erase:
+ *   post:
+ *     summary: Erase a user's personal data (Admin only)
+ *     description: |
+ *       Anonymises the account and profile in place, deletes login history, revokes sessions and
+ *       API keys, and scrubs personal values from audit entries. The user and profile ids are kept so
+ *       course offerings and activity logs remain intact for reporting. This cannot be undone and
+ *       the account cannot be reactivated.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User erased successfully
+ *       403:
+ *         description: Access denied, or attempting to erase your own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User has already been erased
+ */
+router.post('/users/:id/erase', authenticate, authorize('manager'), requirePermission('manage_users'), denyImpersonation, asyncHandler(async (req, res) => {
+  const result = await eraseUser(parseInt(req.params.id), req.user);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,195 @@
+const express = require('express');
+const { authenticate, authorize, denyImpersonation } = require('../middleware/auth');
+const { validateCalendarFeed } = require('../middleware/validation');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const {
+  createCalendarFeed,
+  listCalendarFeeds,
+  revokeCalendarFeed,
+  findUsableFeed,
+  recordFeedAccess,
+  buildFeedCalendar
+} = require('../services/calendarFeedService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar Feeds
+ *   description: Read-only iCalendar (.ics) feeds of teaching timetables for calendar apps
+ */
+
+/**
+ * @swagger
+ * /api/calendar-feeds:
+ *   post:
+ *     summary: Create a calendar feed for a facilitator, cohort or class
+ *     description: |
+ *       Facilitators can create a feed of their own timetable; managers can create feeds
+ *       for any facilitator, cohort or class. The feed URL contains a secret token and
+ *       works without signing in, so it can be added to any calendar app.
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [facilitator, cohort, class]
+ *               targetId:
+ *                 type: integer
+ *                 description: Facilitator, cohort or class id. Defaults to the facilitator's own id for facilitators.
+ *     responses:
+ *       201:
+ *         description: Calendar feed created. The URL is only shown in this response.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feed:
+ *                       $ref: '#/components/schemas/CalendarFeed'
+ *                     url:
+ *                       type: string
+ *                       example: https://api.example.com/api/calendar-feeds/cal_1a2b3c4d5e6f_x9Yz.ics
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Facilitators can only create a feed for their own timetable
+ *       404:
+ *         description: Facilitator, cohort or class not found
+ */
+router.post('/', authenticate, authorize(['manager', 'facilitator']), denyImpersonation, validateCalendarFeed, asyncHandler(async (req, res) => {
+  const { feed, token } = await createCalendarFeed(req.user, req.body);
+  res.status(201).json({
+    status: 'success',
+    message: 'Calendar feed created successfully. Store the URL now, it will not be shown again.',
+    data: {
+      feed,
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/calendar-feeds:
+ *   get:
+ *     summary: List calendar feeds created by the current user
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feeds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CalendarFeed'
+ */
+router.get('/', authenticate, authorize(['manager', 'facilitator']), asyncHandler(async (req, res) => {
+  const feeds = await listCalendarFeeds(req.user.id);
+  res.json({
+    status: 'success',
+    message: 'Calendar feeds retrieved successfully',
+    data: feeds
+  });
+}));
+
+/**
+ * @swagger
+ * /api/calendar-feeds/{token}.ics:
+ *   get:
+ *     summary: Download a calendar feed
+ *     description: |
+ *       Public, read-only iCalendar feed identified by its secret token. It is built from
+ *       the current course allocations on every request, so calendar apps pick up
+ *       allocation and schedule changes when they refresh. Includes each scheduled
+ *       session, make-up sessions and deadlines for activity logs not yet submitted.
+ *     tags: [Calendar Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token from the URL returned when the feed was created
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar feed not found or revoked
+ */
+router.get('/:token.ics', asyncHandler(async (req, res) => {
+  const feed = await findUsableFeed(req.params.token);
+  const calendar = feed ? await buildFeedCalendar(feed) : null;
+
+  if (!calendar) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  await recordFeedAccess(feed);
+
+  res.set('Cache-Control', 'no-cache');
+  res.type('text/calendar; charset=utf-8');
+  res.send(calendar);
+}));
+
+/**
+ * @swagger
+ * /api/calendar-feeds/{id}:
+ *   delete:
+ *     summary: Revoke a calendar feed
+ *     description: Users can revoke their own feeds. Managers with manage_users can revoke any feed.
+ *     tags: [Calendar Feeds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Calendar feed ID
+ *     responses:
+ *       200:
+ *         description: Calendar feed revoked successfully
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.delete('/:id', authenticate, authorize(['manager', 'facilitator']), asyncHandler(async (req, res) => {
+  const canManageAll = Boolean(req.managerProfile && req.managerProfile.hasPermission('manage_users'));
+  const result = await revokeCalendarFeed(parseInt(req.params.id), req.user.id, canManageAll);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+module.exports = router;
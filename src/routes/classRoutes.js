@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { validateClass, validateQueryFilters } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Class } = require('../models');
@@ -186,7 +186,7 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *       403:
  *         description: Access denied
  */
-router.post('/', authenticate, authorize('manager'), validateClass, asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize('manager'), requirePermission('manage_classes'), validateClass, asyncHandler(async (req, res) => {
   const classData = req.body;
 
   // Check if class with same name already exists
@@ -346,7 +346,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
  *       404:
  *         description: Class not found
  */
-router.put('/:id', authenticate, authorize('manager') , asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize('manager'), requirePermission('manage_classes'), asyncHandler(async (req, res) => {
   const classId = parseInt(req.params.id);
   const updateData = req.body;
 
@@ -415,7 +415,7 @@ router.put('/:id', authenticate, authorize('manager') , asyncHandler(async (req,
  *       404:
  *         description: Class not found
  */
-router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('manage_classes'), asyncHandler(async (req, res) => {
   const classId = parseInt(req.params.id);
 
   const classEntity = await Class.findByPk(classId);
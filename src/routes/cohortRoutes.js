@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { validateCohort, validateQueryFilters } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Cohort, Student } = require('../models');
@@ -188,7 +188,7 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *       403:
  *         description: Access denied
  */
-router.post('/', authenticate, authorize('manager'), validateCohort, asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize('manager'), requirePermission('manage_cohorts'), validateCohort, asyncHandler(async (req, res) => {
   const cohortData = req.body;
 
   // Check if cohort with same code already exists
@@ -357,7 +357,7 @@ router.get('/:id', authenticate,asyncHandler(async (req, res) => {
  *       404:
  *         description: Cohort not found
  */
-router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize('manager'), requirePermission('manage_cohorts'), asyncHandler(async (req, res) => {
   const cohortId = parseInt(req.params.id);
   const updateData = req.body;
 
@@ -426,7 +426,7 @@ router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req,
  *       404:
  *         description: Cohort not found
  */
-router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('manage_cohorts'), asyncHandler(async (req, res) => {
   const cohortId = parseInt(req.params.id);
 
   const cohort = await Cohort.findByPk(cohortId);
@@ -495,7 +495,7 @@ router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (re
  *       404:
  *         description: Cohort not found
  */
-router.patch('/:id/update-enrollment', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.patch('/:id/update-enrollment', authenticate, authorize('manager'), requirePermission('manage_cohorts'), asyncHandler(async (req, res) => {
   const cohortId = parseInt(req.params.id);
 
   const cohort = await Cohort.findByPk(cohortId);
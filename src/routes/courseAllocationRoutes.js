@@ -1,8 +1,27 @@
 const express = require('express');
-const { authenticate, authorize, requireResourceAccess } = require('../middleware/auth');
-const { validateCourseOffering, validateQueryFilters } = require('../middleware/validation');
+const { authenticate, allowApiKeys, authorize, requireResourceAccess, requirePermission } = require('../middleware/auth');
+const {
+  validateCourseOffering,
+  validateCourseSchedule,
+  validateAllowConflicts,
+  validateStatusChange,
+  validateRecommendationQuery,
+  validateAutoAssign,
+  validateRolloverQuery,
+  validateRollover,
+  validateScheduleQuery,
+  validateQueryFilters
+} = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getModuleScope, restrictToScope, assertCanManageCourse } = require('../services/departmentScopeService');
+const { SCHEDULE_INCLUDES, replaceSchedule, findScheduledSessions } = require('../services/scheduleService');
+const { buildSchedulePlan, checkScheduleConflicts } = require('../services/scheduleConflictService');
+const { recommendFacilitators, proposeAssignments, applyAssignments } = require('../services/facilitatorRecommendationService');
+const { transitionOffering, getStatusHistory } = require('../services/courseStatusService');
+const { previewRollover, applyRollover } = require('../services/courseRolloverService');
+const { refillWaitlist } = require('../services/enrollmentService');
 const { 
+  sequelize,
   CourseOffering, 
   Module, 
   Cohort, 
@@ -15,6 +34,9 @@ const {
 
 const router = express.Router();
 
+// Integrations may call these routes with a scoped API key
+router.use(allowApiKeys('course_allocations'));
+
 /**
  * @swagger
  * tags:
@@ -22,6 +44,131 @@ const router = express.Router();
  *   description: Course allocation management
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduleConflict:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [facilitator, room]
+ *           description: facilitator when the same facilitator teaches both; room when two in-person offerings share a location
+ *         session:
+ *           type: object
+ *           description: The session being saved
+ *           properties:
+ *             kind:
+ *               type: string
+ *               enum: [session, makeup]
+ *             date:
+ *               type: string
+ *               format: date
+ *               description: Make-up sessions only
+ *             weekday:
+ *               type: string
+ *             startTime:
+ *               type: string
+ *             endTime:
+ *               type: string
+ *             timezone:
+ *               type: string
+ *             location:
+ *               type: string
+ *         conflictingSession:
+ *           type: object
+ *           description: The overlapping session of the other offering, in the same shape
+ *         courseOffering:
+ *           type: object
+ *           description: The other offering, with its module, cohort, class, mode and facilitator
+ *     ScheduleConflictResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: error
+ *         message:
+ *           type: string
+ *           example: Schedule conflicts with 1 session in other course allocations. Resolve them or resend with allowConflicts set to true.
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleConflict'
+ *     FacilitatorRecommendation:
+ *       type: object
+ *       properties:
+ *         facilitator:
+ *           type: object
+ *           description: The facilitator with their user's name and email
+ *         score:
+ *           type: number
+ *           description: Out of 100
+ *           example: 82.5
+ *         breakdown:
+ *           type: object
+ *           description: Points from each criterion
+ *           properties:
+ *             specialization:
+ *               type: number
+ *               description: Up to 40 for a specialization matching the module's department or name
+ *             load:
+ *               type: number
+ *               description: Up to 30 for spare capacity below maxCourseLoad
+ *             experience:
+ *               type: number
+ *               description: Up to 15, reached at 10 years
+ *             qualification:
+ *               type: number
+ *               description: Up to 15 for a doctorate, less for a master's or bachelor's degree
+ *         eligible:
+ *           type: boolean
+ *           description: False when the facilitator is unavailable, at maximum course load or double-booked
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Why the facilitator is not eligible
+ *         currentLoad:
+ *           type: integer
+ *         maxCourseLoad:
+ *           type: integer
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleConflict'
+ *     AssignmentProposal:
+ *       type: object
+ *       properties:
+ *         allocationId:
+ *           type: integer
+ *         facilitatorId:
+ *           type: integer
+ *         allocation:
+ *           $ref: '#/components/schemas/CourseOffering'
+ *         facilitator:
+ *           type: object
+ *         score:
+ *           type: number
+ *         breakdown:
+ *           type: object
+ *         projectedLoad:
+ *           type: integer
+ *           description: The facilitator's course load after every proposed assignment so far
+ *         maxCourseLoad:
+ *           type: integer
+ *         alternatives:
+ *           type: array
+ *           description: Up to three next-best facilitators
+ *           items:
+ *             type: object
+ *             properties:
+ *               facilitatorId:
+ *                 type: integer
+ *               score:
+ *                 type: number
+ */
+
 /**
  * @swagger
  * /api/course-allocations:
@@ -130,10 +277,13 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
     filters.facilitatorId = req.facilitatorProfile.id;
   }
 
+  // For managers, only show allocations in their department
+  const whereClause = restrictToScope(filters, 'moduleId', await getModuleScope(req.managerProfile));
+
   const offset = (page - 1) * limit;
 
   const { count, rows: allocations } = await CourseOffering.findAndCountAll({
-    where: filters,
+    where: whereClause,
     include: [
       {
         model: Module,
@@ -160,8 +310,10 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
       {
         model: Mode,
         as: 'mode'
-      }
+      },
+      ...SCHEDULE_INCLUDES
     ],
+    distinct: true,
     limit: parseInt(limit),
     offset: parseInt(offset),
     order: [['createdAt', 'DESC']]
@@ -229,8 +381,11 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *                 type: integer
  *                 example: 30
  *               schedule:
- *                 type: string
- *                 example: "Monday, Wednesday, Friday 10:00-12:00"
+ *                 $ref: '#/components/schemas/CourseSchedule'
+ *               allowConflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save despite facilitator or room conflicts, returning them as warnings
  *               location:
  *                 type: string
  *                 example: "Room 101 or Zoom Meeting ID: 123456789"
@@ -259,10 +414,18 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *         description: Unauthorized
  *       403:
  *         description: Access denied
+ *       409:
+ *         description: Facilitator double-booking or room conflict
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflictResponse'
  */
-router.post('/', authenticate, authorize('manager'), validateCourseOffering, asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize('manager'), requirePermission('create_course_allocations'), validateCourseOffering, asyncHandler(async (req, res) => {
+  // currentEnrollment is counted from enrollments, never set directly
+  const { schedule, allowConflicts, currentEnrollment, ...body } = req.body;
   const allocationData = {
-    ...req.body,
+    ...body,
     managerId: req.managerProfile.id
   };
 
@@ -318,6 +481,8 @@ router.post('/', authenticate, authorize('manager'), validateCourseOffering, asy
     });
   }
 
+  await assertCanManageCourse(req.managerProfile, { module });
+
   // If facilitator is specified, verify they exist and are available
   if (allocationData.facilitatorId) {
     const facilitator = await Facilitator.findByPk(allocationData.facilitatorId);
@@ -338,7 +503,19 @@ router.post('/', authenticate, authorize('manager'), validateCourseOffering, asy
     }
   }
 
-  const allocation = await CourseOffering.create(allocationData);
+  // Reject facilitator double-booking and room clashes unless the manager accepts them
+  const conflicts = await checkScheduleConflicts(
+    await buildSchedulePlan(allocationData, schedule),
+    { allowConflicts }
+  );
+
+  const allocation = await sequelize.transaction(async (transaction) => {
+    const created = await CourseOffering.create(allocationData, { transaction });
+    if (schedule) {
+      await replaceSchedule(created.id, schedule, transaction);
+    }
+    return created;
+  });
 
   // Fetch the created allocation with all related data
   const createdAllocation = await CourseOffering.findByPk(allocation.id, {
@@ -356,152 +533,76 @@ router.post('/', authenticate, authorize('manager'), validateCourseOffering, asy
         as: 'manager',
         include: [{ model: User, as: 'user' }]
       },
-      { model: Mode, as: 'mode' }
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
     ]
   });
 
   res.status(201).json({
     status: 'success',
     message: 'Course allocation created successfully',
-    data: createdAllocation
+    data: createdAllocation,
+    ...(conflicts.length > 0 && { conflicts })
   });
 }));
 
 /**
  * @swagger
- * /api/course-allocations/{id}:
+ * /api/course-allocations/unassigned:
  *   get:
- *     summary: Get a specific course allocation
+ *     summary: Get unassigned course allocations (no facilitator)
  *     tags: [Course Allocations]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Course allocation ID
  *     responses:
  *       200:
- *         description: Course allocation retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 message:
- *                   type: string
- *                   example: Course allocation retrieved successfully
- *                 data:
- *                   $ref: '#/components/schemas/CourseOffering'
+ *         description: Unassigned course allocations retrieved successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
- *       404:
- *         description: Course allocation not found
  */
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
-  const allocationId = parseInt(req.params.id);
+router.get('/unassigned', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const filters = { 
+    facilitatorId: null,
+    isActive: true 
+  };
 
-  const allocation = await CourseOffering.findByPk(allocationId, {
+  const allocations = await CourseOffering.findAll({
+    where: restrictToScope(filters, 'moduleId', await getModuleScope(req.managerProfile)),
     include: [
       { model: Module, as: 'module' },
       { model: Cohort, as: 'cohort' },
       { model: Class, as: 'class' },
-      { 
-        model: Facilitator, 
-        as: 'facilitator',
-        include: [{ model: User, as: 'user' }]
-      },
-      { 
-        model: Manager, 
-        as: 'manager',
-        include: [{ model: User, as: 'user' }]
-      },
-      { model: Mode, as: 'mode' }
-    ]
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
+    ],
+    order: [['createdAt', 'DESC']]
   });
 
-  if (!allocation) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'Course allocation not found'
-    });
-  }
-
-  // Check access permissions
-  if (req.user.role === 'facilitator' && 
-      allocation.facilitatorId !== req.facilitatorProfile.id) {
-    return res.status(403).json({
-      status: 'error',
-      message: 'You can only access your own course allocations'
-    });
-  }
-
   res.json({
     status: 'success',
-    message: 'Course allocation retrieved successfully',
-    data: allocation
+    message: 'Unassigned course allocations retrieved successfully',
+    data: allocations
   });
 }));
 
 /**
  * @swagger
- * /api/course-allocations/{id}:
- *   put:
- *     summary: Update a course allocation
+ * /api/course-allocations/unassigned/auto-assign:
+ *   get:
+ *     summary: Propose facilitators for every unassigned allocation (Manager only)
+ *     description: |
+ *       Nothing is saved. Allocations with the fewest eligible facilitators are filled first,
+ *       and each proposal counts towards the facilitator's load and timetable, so work is
+ *       spread across facilitators without double-booking anyone. Review the proposal, change
+ *       it if needed and confirm it with POST.
  *     tags: [Course Allocations]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Course allocation ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               facilitatorId:
- *                 type: integer
- *                 example: 1
- *               startDate:
- *                 type: string
- *                 format: date
- *                 example: "2024-01-15"
- *               endDate:
- *                 type: string
- *                 format: date
- *                 example: "2024-05-15"
- *               maxEnrollment:
- *                 type: integer
- *                 example: 30
- *               status:
- *                 type: string
- *                 enum: [draft, scheduled, active, completed, cancelled]
- *                 example: scheduled
- *               schedule:
- *                 type: string
- *                 example: "Monday, Wednesday, Friday 10:00-12:00"
- *               location:
- *                 type: string
- *                 example: "Room 101 or Zoom Meeting ID: 123456789"
- *               notes:
- *                 type: string
- *                 example: "Updated requirements or information"
  *     responses:
  *       200:
- *         description: Course allocation updated successfully
+ *         description: Assignment proposal built successfully
  *         content:
  *           application/json:
  *             schema:
@@ -510,131 +611,778 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
  *                 status:
  *                   type: string
  *                   example: success
- *                 message:
- *                   type: string
- *                   example: Course allocation updated successfully
  *                 data:
- *                   $ref: '#/components/schemas/CourseOffering'
- *       400:
- *         description: Validation error
+ *                   type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AssignmentProposal'
+ *                     unassigned:
+ *                       type: array
+ *                       description: Allocations no facilitator can take, with the reason
+ *                       items:
+ *                         type: object
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
- *       404:
- *         description: Course allocation not found
  */
-router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const allocationId = parseInt(req.params.id);
-
-  const allocation = await CourseOffering.findByPk(allocationId);
-
-  if (!allocation) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'Course allocation not found'
-    });
-  }
-
-  const updateData = req.body;
-
-  // If updating facilitator, verify they exist and are available
-  if (updateData.facilitatorId && updateData.facilitatorId !== allocation.facilitatorId) {
-    const facilitator = await Facilitator.findByPk(updateData.facilitatorId);
-    
-    if (!facilitator) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Facilitator not found'
-      });
-    }
-
-    const canTakeMore = await facilitator.canTakeMoreCourses();
-    if (!canTakeMore) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Facilitator has reached maximum course load or is not available'
-      });
-    }
-  }
-
-  await allocation.update(updateData);
-
-  // Fetch updated allocation with all related data
-  const updatedAllocation = await CourseOffering.findByPk(allocationId, {
-    include: [
-      { model: Module, as: 'module' },
-      { model: Cohort, as: 'cohort' },
-      { model: Class, as: 'class' },
-      { 
-        model: Facilitator, 
-        as: 'facilitator',
-        include: [{ model: User, as: 'user' }]
-      },
-      { 
-        model: Manager, 
-        as: 'manager',
-        include: [{ model: User, as: 'user' }]
-      },
-      { model: Mode, as: 'mode' }
-    ]
-  });
+router.get('/unassigned/auto-assign', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const proposal = await proposeAssignments(req.managerProfile);
 
   res.json({
     status: 'success',
-    message: 'Course allocation updated successfully',
-    data: updatedAllocation
+    message: `Proposed facilitators for ${proposal.assignments.length} of ${proposal.assignments.length + proposal.unassigned.length} unassigned course allocations`,
+    data: proposal
   });
 }));
 
 /**
  * @swagger
- * /api/course-allocations/{id}:
- *   delete:
- *     summary: Delete a course allocation
+ * /api/course-allocations/unassigned/auto-assign:
+ *   post:
+ *     summary: Confirm facilitator assignments for unassigned allocations (Manager only)
+ *     description: |
+ *       Assigns every facilitator in the list, usually a reviewed proposal, or none of them.
+ *       Each facilitator's load counts the whole list, and sessions are checked against the
+ *       facilitator's existing teaching and the other assignments in the list.
  *     tags: [Course Allocations]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Course allocation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignments
+ *             properties:
+ *               assignments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - allocationId
+ *                     - facilitatorId
+ *                   properties:
+ *                     allocationId:
+ *                       type: integer
+ *                     facilitatorId:
+ *                       type: integer
+ *               allowConflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Assign despite overlapping sessions, returning them as warnings
  *     responses:
  *       200:
- *         description: Course allocation deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 message:
- *                   type: string
- *                   example: Course allocation deleted successfully
+ *         description: Facilitators assigned successfully
+ *       400:
+ *         description: Validation error, or an assignment that cannot be made, listed in errors
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
- *       404:
- *         description: Course allocation not found
+ *       409:
+ *         description: A facilitator would teach overlapping sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflictResponse'
  */
-router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const allocationId = parseInt(req.params.id);
+router.post('/unassigned/auto-assign', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateAutoAssign, asyncHandler(async (req, res) => {
+  const { allocations, conflicts } = await applyAssignments(req.body.assignments, {
+    managerProfile: req.managerProfile,
+    allowConflicts: req.body.allowConflicts
+  });
 
-  const allocation = await CourseOffering.findByPk(allocationId);
+  res.json({
+    status: 'success',
+    message: `Assigned facilitators to ${allocations.length} course allocations`,
+    data: allocations,
+    ...(conflicts.length > 0 && { conflicts })
+  });
+}));
 
-  if (!allocation) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'Course allocation not found'
-    });
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RolloverAllocation:
+ *       type: object
+ *       description: An allocation a rollover creates
+ *       properties:
+ *         sourceId:
+ *           type: integer
+ *           description: Allocation it is cloned from
+ *         moduleId:
+ *           type: integer
+ *         cohortId:
+ *           type: integer
+ *         classId:
+ *           type: integer
+ *         modeId:
+ *           type: integer
+ *         facilitatorId:
+ *           type: integer
+ *           nullable: true
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         schedule:
+ *           $ref: '#/components/schemas/CourseSchedule'
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Facilitator 3 was not kept because they are at maximum course load (4/4)"]
+ *     RolloverSkip:
+ *       type: object
+ *       description: A source allocation a rollover does not clone
+ *       properties:
+ *         sourceId:
+ *           type: integer
+ *         moduleId:
+ *           type: integer
+ *         cohortId:
+ *           type: integer
+ *         classId:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *           example: A course allocation already exists for this module, cohort and class
+ */
+
+/**
+ * @swagger
+ * /api/course-allocations/rollover:
+ *   get:
+ *     summary: Preview rolling allocations over to another class or cohort (Manager only)
+ *     description: |
+ *       Lists the draft allocations a rollover would create from every allocation of the
+ *       source class and/or cohort, and the ones it would skip because the module, cohort
+ *       and class already have an allocation. Dates move by the days between the source
+ *       and target class start dates. Weekly sessions are copied; date-specific exceptions
+ *       are not. Nothing is saved.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sourceClassId
+ *         schema:
+ *           type: integer
+ *         description: Class whose allocations are cloned
+ *       - in: query
+ *         name: sourceCohortId
+ *         schema:
+ *           type: integer
+ *         description: Cohort whose allocations are cloned. With sourceClassId, only that cohort's allocations in the class.
+ *       - in: query
+ *         name: targetClassId
+ *         schema:
+ *           type: integer
+ *         description: Class the clones move to. Omit to keep each allocation's class.
+ *       - in: query
+ *         name: targetCohortId
+ *         schema:
+ *           type: integer
+ *         description: Cohort the clones move to. Omit to keep each allocation's cohort.
+ *       - in: query
+ *         name: keepFacilitators
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep each allocation's facilitator where they can still take it, instead of leaving clones unassigned
+ *     responses:
+ *       200:
+ *         description: Rollover preview built successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     keepFacilitators:
+ *                       type: boolean
+ *                     allocations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolloverAllocation'
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolloverSkip'
+ *       400:
+ *         description: No source or target given
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class or cohort not found
+ */
+router.get('/rollover', authenticate, authorize('manager'), requirePermission('create_course_allocations'), validateRolloverQuery, asyncHandler(async (req, res) => {
+  const preview = await previewRollover(req.query, req.managerProfile);
+
+  res.json({
+    status: 'success',
+    message: `Rollover would create ${preview.allocations.length} course allocations and skip ${preview.skipped.length}`,
+    data: preview
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-allocations/rollover:
+ *   post:
+ *     summary: Roll allocations over to another class or cohort (Manager only)
+ *     description: |
+ *       Creates the allocations the preview lists, all or none, as drafts. Skipped
+ *       allocations are listed again.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sourceClassId:
+ *                 type: integer
+ *                 example: 1
+ *               sourceCohortId:
+ *                 type: integer
+ *               targetClassId:
+ *                 type: integer
+ *                 example: 2
+ *               targetCohortId:
+ *                 type: integer
+ *               keepFacilitators:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Course allocations created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     allocations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sourceId:
+ *                             type: integer
+ *                           allocation:
+ *                             $ref: '#/components/schemas/CourseOffering'
+ *                           warnings:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolloverSkip'
+ *       400:
+ *         description: No source or target given
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Class or cohort not found
+ */
+router.post('/rollover', authenticate, authorize('manager'), requirePermission('create_course_allocations'), validateRollover, asyncHandler(async (req, res) => {
+  const result = await applyRollover(req.body, req.managerProfile);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Created ${result.allocations.length} course allocations, skipped ${result.skipped.length}`,
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-allocations/sessions:
+ *   get:
+ *     summary: Find scheduled sessions by weekday, time or date
+ *     description: |
+ *       Lists the sessions that run at a weekday and/or time, e.g. weekday=tuesday&time=10:00.
+ *       Times are local to each session's time zone. With a date, the weekday is taken from the date,
+ *       only offerings running on that date are included, and the date's cancellations and make-up
+ *       sessions are applied. Facilitators only see their own sessions.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: weekday
+ *         schema:
+ *           type: string
+ *           enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *       - in: query
+ *         name: time
+ *         schema:
+ *           type: string
+ *           example: "10:00"
+ *         description: Only sessions in progress at this HH:MM time
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: facilitatorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cohortId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scheduled sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Scheduled sessions retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [regular, makeup]
+ *                           id:
+ *                             type: integer
+ *                             description: Session id, or exception id for make-up sessions
+ *                           courseOfferingId:
+ *                             type: integer
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           weekday:
+ *                             type: string
+ *                           startTime:
+ *                             type: string
+ *                           endTime:
+ *                             type: string
+ *                           timezone:
+ *                             type: string
+ *                           location:
+ *                             type: string
+ *                           courseOffering:
+ *                             type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, validateScheduleQuery, asyncHandler(async (req, res) => {
+  const { weekday, time, date, facilitatorId, moduleId, cohortId, classId } = req.query;
+
+  const filters = {};
+  if (facilitatorId) filters.facilitatorId = facilitatorId;
+  if (moduleId) filters.moduleId = moduleId;
+  if (cohortId) filters.cohortId = cohortId;
+  if (classId) filters.classId = classId;
+
+  // For facilitators, only show their own sessions
+  if (req.user.role === 'facilitator') {
+    filters.facilitatorId = req.facilitatorProfile.id;
   }
 
+  const sessions = await findScheduledSessions(
+    { weekday, time, date },
+    restrictToScope(filters, 'moduleId', await getModuleScope(req.managerProfile))
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Scheduled sessions retrieved successfully',
+    data: { sessions }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}:
+ *   get:
+ *     summary: Get a specific course allocation
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     responses:
+ *       200:
+ *         description: Course allocation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Course allocation retrieved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/CourseOffering'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ */
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const allocationId = parseInt(req.params.id);
+
+  const allocation = await CourseOffering.findByPk(allocationId, {
+    include: [
+      { model: Module, as: 'module' },
+      { model: Cohort, as: 'cohort' },
+      { model: Class, as: 'class' },
+      { 
+        model: Facilitator, 
+        as: 'facilitator',
+        include: [{ model: User, as: 'user' }]
+      },
+      { 
+        model: Manager, 
+        as: 'manager',
+        include: [{ model: User, as: 'user' }]
+      },
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
+    ]
+  });
+
+  if (!allocation) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Course allocation not found'
+    });
+  }
+
+  // Check access permissions
+  if (req.user.role === 'facilitator' && 
+      allocation.facilitatorId !== req.facilitatorProfile.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only access your own course allocations'
+    });
+  }
+
+  await assertCanManageCourse(req.managerProfile, allocation);
+
+  res.json({
+    status: 'success',
+    message: 'Course allocation retrieved successfully',
+    data: allocation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}:
+ *   put:
+ *     summary: Update a course allocation
+ *     description: |
+ *       Status cannot be changed here; use the status endpoints such as
+ *       /api/course-allocations/{id}/schedule. Scheduled and active allocations must keep
+ *       a facilitator and start and end dates. currentEnrollment is counted from
+ *       enrollments and cannot be set. Raising maxEnrollment enrolls waitlisted students;
+ *       it cannot be lowered below the number already enrolled.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               facilitatorId:
+ *                 type: integer
+ *                 example: 1
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-15"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-05-15"
+ *               maxEnrollment:
+ *                 type: integer
+ *                 example: 30
+ *               schedule:
+ *                 $ref: '#/components/schemas/CourseSchedule'
+ *               allowConflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save despite facilitator or room conflicts, returning them as warnings
+ *               location:
+ *                 type: string
+ *                 example: "Room 101 or Zoom Meeting ID: 123456789"
+ *               notes:
+ *                 type: string
+ *                 example: "Updated requirements or information"
+ *     responses:
+ *       200:
+ *         description: Course allocation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Course allocation updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/CourseOffering'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: Facilitator double-booking or room conflict
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflictResponse'
+ */
+router.put('/:id', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateCourseSchedule, asyncHandler(async (req, res) => {
+  const allocationId = parseInt(req.params.id);
+
+  const allocation = await CourseOffering.findByPk(allocationId, { include: SCHEDULE_INCLUDES });
+
+  if (!allocation) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Course allocation not found'
+    });
+  }
+
+  await assertCanManageCourse(req.managerProfile, allocation);
+
+  const { schedule, allowConflicts, status, currentEnrollment, ...updateData } = req.body;
+
+  // Status changes go through the transition endpoints so their guards apply and they are recorded
+  if (status !== undefined && status !== allocation.status) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Status cannot be changed here. Use the schedule, unschedule, activate, complete or cancel endpoints instead.'
+    });
+  }
+
+  // Scheduled and active allocations must keep a facilitator and dates
+  if (['scheduled', 'active'].includes(allocation.status)) {
+    const missing = ['facilitatorId', 'startDate', 'endDate'].filter(field => field in updateData && !updateData[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot remove ${missing.join(', ')} from a ${allocation.status} course allocation. Unschedule or cancel it first.`
+      });
+    }
+  }
+
+  // Enrolled students keep their places; only the waitlist is affected by capacity changes
+  if (updateData.maxEnrollment && parseInt(updateData.maxEnrollment) < allocation.currentEnrollment) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Maximum enrollment cannot be lower than the ${allocation.currentEnrollment} students already enrolled`
+    });
+  }
+
+  // Moving an allocation to another module needs access to that module too
+  if (updateData.moduleId && parseInt(updateData.moduleId) !== allocation.moduleId) {
+    await assertCanManageCourse(req.managerProfile, { moduleId: parseInt(updateData.moduleId) });
+  }
+
+  // If updating facilitator, verify they exist and are available
+  if (updateData.facilitatorId && updateData.facilitatorId !== allocation.facilitatorId) {
+    const facilitator = await Facilitator.findByPk(updateData.facilitatorId);
+    
+    if (!facilitator) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Facilitator not found'
+      });
+    }
+
+    const canTakeMore = await facilitator.canTakeMoreCourses();
+    if (!canTakeMore) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Facilitator has reached maximum course load or is not available'
+      });
+    }
+  }
+
+  const conflicts = await checkScheduleConflicts(
+    await buildSchedulePlan(
+      { ...allocation.get(), ...updateData, id: allocation.id },
+      schedule === undefined ? allocation.toJSON().schedule : schedule
+    ),
+    { allowConflicts }
+  );
+
+  await sequelize.transaction(async (transaction) => {
+    await allocation.update(updateData, { transaction });
+    // An omitted schedule is left alone; null clears it
+    if (schedule !== undefined) {
+      await replaceSchedule(allocation.id, schedule, transaction);
+    }
+  });
+
+  // A raised maximum enrollment makes room for waitlisted students
+  if (updateData.maxEnrollment) {
+    await refillWaitlist(allocation.id);
+  }
+
+  // Fetch updated allocation with all related data
+  const updatedAllocation = await CourseOffering.findByPk(allocationId, {
+    include: [
+      { model: Module, as: 'module' },
+      { model: Cohort, as: 'cohort' },
+      { model: Class, as: 'class' },
+      { 
+        model: Facilitator, 
+        as: 'facilitator',
+        include: [{ model: User, as: 'user' }]
+      },
+      { 
+        model: Manager, 
+        as: 'manager',
+        include: [{ model: User, as: 'user' }]
+      },
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
+    ]
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Course allocation updated successfully',
+    data: updatedAllocation,
+    ...(conflicts.length > 0 && { conflicts })
+  });
+}));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}:
+ *   delete:
+ *     summary: Delete a course allocation
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     responses:
+ *       200:
+ *         description: Course allocation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Course allocation deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ */
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('delete_course_allocations'), asyncHandler(async (req, res) => {
+  const allocationId = parseInt(req.params.id);
+
+  const allocation = await CourseOffering.findByPk(allocationId);
+
+  if (!allocation) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Course allocation not found'
+    });
+  }
+
+  await assertCanManageCourse(req.managerProfile, allocation);
+
   // Check if allocation has associated activity logs
   const { ActivityTracker } = require('../models');
   const hasActivityLogs = await ActivityTracker.count({
@@ -644,7 +1392,7 @@ router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (re
   if (hasActivityLogs > 0) {
     return res.status(400).json({
       status: 'error',
-      message: 'Cannot delete allocation with existing activity logs. Set status to cancelled instead.'
+      message: 'Cannot delete allocation with existing activity logs. Cancel it instead.'
     });
   }
 
@@ -689,8 +1437,10 @@ router.get('/facilitator/:facilitatorId', authenticate, requireResourceAccess('f
   const facilitatorId = parseInt(req.params.facilitatorId);
   const { status } = req.query;
 
-  const whereClause = { facilitatorId };
-  if (status) whereClause.status = status;
+  const filters = { facilitatorId };
+  if (status) filters.status = status;
+
+  const whereClause = restrictToScope(filters, 'moduleId', await getModuleScope(req.managerProfile));
 
   const allocations = await CourseOffering.findAll({
     where: whereClause,
@@ -698,7 +1448,8 @@ router.get('/facilitator/:facilitatorId', authenticate, requireResourceAccess('f
       { model: Module, as: 'module' },
       { model: Cohort, as: 'cohort' },
       { model: Class, as: 'class' },
-      { model: Mode, as: 'mode' }
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
     ],
     order: [['createdAt', 'DESC']]
   });
@@ -734,6 +1485,8 @@ router.get('/facilitator/:facilitatorId', authenticate, requireResourceAccess('f
 router.get('/module/:moduleId', authenticate, asyncHandler(async (req, res) => {
   const moduleId = parseInt(req.params.moduleId);
 
+  await assertCanManageCourse(req.managerProfile, { moduleId });
+
   const allocations = await CourseOffering.findAll({
     where: { moduleId },
     include: [
@@ -745,7 +1498,8 @@ router.get('/module/:moduleId', authenticate, asyncHandler(async (req, res) => {
         as: 'facilitator',
         include: [{ model: User, as: 'user' }]
       },
-      { model: Mode, as: 'mode' }
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
     ],
     order: [['createdAt', 'DESC']]
   });
@@ -759,39 +1513,377 @@ router.get('/module/:moduleId', authenticate, asyncHandler(async (req, res) => {
 
 /**
  * @swagger
- * /api/course-allocations/unassigned:
+ * /api/course-allocations/{id}/recommendations:
  *   get:
- *     summary: Get unassigned course allocations (no facilitator)
+ *     summary: Rank facilitators for a course allocation (Manager only)
+ *     description: |
+ *       Scores each facilitator out of 100 on specialization match with the module, spare
+ *       capacity (getCurrentCourseLoad against maxCourseLoad), experience and qualification.
+ *       Facilitators who are unavailable, at maximum course load or already teaching at the
+ *       same time are left out unless includeIneligible is true.
  *     tags: [Course Allocations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *       - in: query
+ *         name: includeIneligible
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list ineligible facilitators, after the eligible ones, with the reasons
  *     responses:
  *       200:
- *         description: Unassigned course allocations retrieved successfully
+ *         description: Facilitator recommendations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     allocation:
+ *                       $ref: '#/components/schemas/CourseOffering'
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FacilitatorRecommendation'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
  */
-router.get('/unassigned', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const allocations = await CourseOffering.findAll({
-    where: { 
-      facilitatorId: null,
-      isActive: true 
-    },
-    include: [
-      { model: Module, as: 'module' },
-      { model: Cohort, as: 'cohort' },
-      { model: Class, as: 'class' },
-      { model: Mode, as: 'mode' }
-    ],
-    order: [['createdAt', 'DESC']]
+router.get('/:id/recommendations', authenticate, authorize('manager'), validateRecommendationQuery, asyncHandler(async (req, res) => {
+  const recommendations = await recommendFacilitators(parseInt(req.params.id), {
+    managerProfile: req.managerProfile,
+    limit: req.query.limit,
+    includeIneligible: req.query.includeIneligible
   });
 
   res.json({
     status: 'success',
-    message: 'Unassigned course allocations retrieved successfully',
-    data: allocations
+    message: 'Facilitator recommendations retrieved successfully',
+    data: recommendations
+  });
+}));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatusChangeRequest:
+ *       type: object
+ *       properties:
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *           description: Why the status is changing. Required to cancel.
+ *           example: Not enough students enrolled
+ *     StatusChangeResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: success
+ *         message:
+ *           type: string
+ *           example: Course allocation scheduled successfully
+ *         data:
+ *           type: object
+ *           properties:
+ *             allocation:
+ *               $ref: '#/components/schemas/CourseOffering'
+ *             statusChange:
+ *               $ref: '#/components/schemas/CourseOfferingStatusChange'
+ */
+
+// Handler for a status transition endpoint
+const changeStatus = (action, done) => asyncHandler(async (req, res) => {
+  const { offering, statusChange } = await transitionOffering(parseInt(req.params.id), action, {
+    actor: req.user,
+    managerProfile: req.managerProfile,
+    reason: req.body.reason
+  });
+
+  res.json({
+    status: 'success',
+    message: `Course allocation ${done} successfully`,
+    data: { allocation: offering, statusChange }
+  });
+});
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/schedule:
+ *   post:
+ *     summary: Schedule a draft course allocation
+ *     description: Needs a facilitator and start and end dates, and the allocation must not have ended.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: No facilitator, missing dates or already ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: The allocation's current status does not allow this change
+ */
+router.post('/:id/schedule', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateStatusChange, changeStatus('schedule', 'scheduled'));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/unschedule:
+ *   post:
+ *     summary: Return a scheduled course allocation to draft
+ *     description: Use this to change the facilitator, which can only be assigned to draft allocations.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: The allocation's current status does not allow this change
+ */
+router.post('/:id/unschedule', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateStatusChange, changeStatus('unschedule', 'returned to draft'));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/activate:
+ *   post:
+ *     summary: Activate a scheduled course allocation
+ *     description: Normally done by the daily status job once the start date is reached. Use this to activate it before the job runs that day.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: No facilitator or the start date has not been reached
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: The allocation's current status does not allow this change
+ */
+router.post('/:id/activate', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateStatusChange, changeStatus('activate', 'activated'));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/complete:
+ *   post:
+ *     summary: Complete an active course allocation
+ *     description: Normally done by the daily status job after the end date. Use this to close an allocation early.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: The allocation has not started
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: The allocation's current status does not allow this change
+ */
+router.post('/:id/complete', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateStatusChange, changeStatus('complete', 'completed'));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/cancel:
+ *   post:
+ *     summary: Cancel a course allocation
+ *     description: Draft, scheduled and active allocations can be cancelled. A reason is required and recorded in the status history.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusChangeResponse'
+ *       400:
+ *         description: No reason given
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ *       409:
+ *         description: The allocation's current status does not allow this change
+ */
+router.post('/:id/cancel', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateStatusChange, changeStatus('cancel', 'cancelled'));
+
+/**
+ * @swagger
+ * /api/course-allocations/{id}/status-history:
+ *   get:
+ *     summary: Get the status history of a course allocation
+ *     description: Every status change, oldest first, with who made it and why. Changes made by the daily status job have no actor and are marked automatic.
+ *     tags: [Course Allocations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course allocation ID
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CourseOfferingStatusChange'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation not found
+ */
+router.get('/:id/status-history', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const history = await getStatusHistory(parseInt(req.params.id), req.managerProfile);
+
+  res.json({
+    status: 'success',
+    message: 'Status history retrieved successfully',
+    data: history
   });
 }));
 
@@ -822,6 +1914,10 @@ router.get('/unassigned', authenticate, authorize('manager'), asyncHandler(async
  *               facilitatorId:
  *                 type: integer
  *                 description: Facilitator ID to assign
+ *               allowConflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Assign despite overlapping sessions, returning them as warnings
  *     responses:
  *       200:
  *         description: Facilitator assigned successfully
@@ -833,10 +1929,16 @@ router.get('/unassigned', authenticate, authorize('manager'), asyncHandler(async
  *         description: Access denied
  *       404:
  *         description: Course allocation not found
+ *       409:
+ *         description: The facilitator already teaches an overlapping session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflictResponse'
  */
-router.patch('/:id/assign-facilitator', authenticate, authorize('manager'),asyncHandler(async (req, res) => {
+router.patch('/:id/assign-facilitator', authenticate, authorize('manager'), requirePermission('update_course_allocations'), validateAllowConflicts, asyncHandler(async (req, res) => {
   const allocationId = parseInt(req.params.id);
-  const { facilitatorId } = req.body;
+  const { facilitatorId, allowConflicts } = req.body;
 
   if (!facilitatorId) {
     return res.status(400).json({
@@ -845,7 +1947,7 @@ router.patch('/:id/assign-facilitator', authenticate, authorize('manager'),async
     });
   }
 
-  const allocation = await CourseOffering.findByPk(allocationId);
+  const allocation = await CourseOffering.findByPk(allocationId, { include: SCHEDULE_INCLUDES });
 
   if (!allocation) {
     return res.status(404).json({
@@ -854,6 +1956,8 @@ router.patch('/:id/assign-facilitator', authenticate, authorize('manager'),async
     });
   }
 
+  await assertCanManageCourse(req.managerProfile, allocation);
+
   const facilitator = await Facilitator.findByPk(facilitatorId);
 
   if (!facilitator) {
@@ -871,6 +1975,11 @@ router.patch('/:id/assign-facilitator', authenticate, authorize('manager'),async
     });
   }
 
+  const conflicts = await checkScheduleConflicts(
+    await buildSchedulePlan({ ...allocation.get(), facilitatorId: parseInt(facilitatorId) }, allocation.toJSON().schedule),
+    { allowConflicts }
+  );
+
   await allocation.assignFacilitator(facilitatorId);
 
   // Fetch updated allocation with all related data
@@ -884,14 +1993,16 @@ router.patch('/:id/assign-facilitator', authenticate, authorize('manager'),async
         as: 'facilitator',
         include: [{ model: User, as: 'user' }]
       },
-      { model: Mode, as: 'mode' }
+      { model: Mode, as: 'mode' },
+      ...SCHEDULE_INCLUDES
     ]
   });
 
   res.json({
     status: 'success',
     message: 'Facilitator assigned successfully',
-    data: updatedAllocation
+    data: updatedAllocation,
+    ...(conflicts.length > 0 && { conflicts })
   });
 }));
 
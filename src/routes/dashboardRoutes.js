@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticate, authorize } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { getQueueStats, getRecentNotifications } = require('../services/notificationService');
+const { getModuleScope, getAllocationScope, restrictToScope } = require('../services/departmentScopeService');
 const { Sequelize, Op } = require('sequelize');
 const { 
   User, Manager, Facilitator, Student, Module, Cohort, Class, Mode,
@@ -107,11 +108,15 @@ router.get('/stats', authenticate, asyncHandler(async (req, res) => {
     }
   });
 
+  // Course and activity figures are limited to the manager's department
+  const moduleScope = await getModuleScope(req.managerProfile);
+  const allocationScope = await getAllocationScope(req.managerProfile);
+
   // Get course statistics
   const [totalModules, activeCourseOfferings, unassignedOfferings] = await Promise.all([
-    Module.count({ where: { isActive: true } }),
-    CourseOffering.count({ where: { isActive: true } }),
-    CourseOffering.count({ where: { facilitatorId: null, isActive: true } })
+    Module.count({ where: restrictToScope({ isActive: true }, 'id', moduleScope) }),
+    CourseOffering.count({ where: restrictToScope({ isActive: true }, 'moduleId', moduleScope) }),
+    CourseOffering.count({ where: restrictToScope({ facilitatorId: null, isActive: true }, 'moduleId', moduleScope) })
   ]);
 
   const courses = {
@@ -123,7 +128,7 @@ router.get('/stats', authenticate, asyncHandler(async (req, res) => {
   // Get activity statistics (only for managers)
   let activities = null;
   if (req.user.role === 'manager') {
-    const activityStats = await ActivityTracker.getStatistics();
+    const activityStats = await ActivityTracker.getStatistics(allocationScope);
     activities = activityStats;
   }
 
@@ -159,6 +164,7 @@ router.get('/stats', authenticate, asyncHandler(async (req, res) => {
     });
   } else if (req.user.role === 'manager') {
     recentActivities = await ActivityTracker.findAll({
+      where: restrictToScope({}, 'allocationId', allocationScope),
       include: [
         {
           model: CourseOffering,
@@ -428,6 +434,10 @@ router.get('/facilitator-stats', authenticate, authorize('facilitator'), asyncHa
  *         description: Access denied - Manager only
  */
 router.get('/manager-stats', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  // Course and activity figures are limited to the manager's department
+  const moduleScope = await getModuleScope(req.managerProfile);
+  const allocationScope = await getAllocationScope(req.managerProfile);
+
   // Get facilitator overview
   const facilitators = await Facilitator.findAll({
     include: [
@@ -463,6 +473,7 @@ router.get('/manager-stats', authenticate, authorize('manager'), asyncHandler(as
 
   // Get submission compliance statistics
   const allActivities = await ActivityTracker.findAll({
+    where: restrictToScope({}, 'allocationId', allocationScope),
     include: [
       {
         model: Facilitator,
@@ -506,7 +517,7 @@ router.get('/manager-stats', authenticate, authorize('manager'), asyncHandler(as
 
   // Check for unassigned course offerings
   const unassignedCount = await CourseOffering.count({
-    where: { facilitatorId: null, isActive: true }
+    where: restrictToScope({ facilitatorId: null, isActive: true }, 'moduleId', moduleScope)
   });
 
   if (unassignedCount > 0) {
@@ -542,23 +553,21 @@ router.get('/manager-stats', authenticate, authorize('manager'), asyncHandler(as
   }
 
   // Get department-specific statistics (if manager has department)
+  // Admin managers are not limited to a department, so their figures cover every module
   let departmentStats = null;
   if (req.managerProfile.department) {
-    const departmentFacilitators = await Facilitator.findAll({
-      include: [
-        { 
-          model: User, 
-          as: 'user', 
-          where: { isActive: true }
-        }
-      ],
-      // Note: In a real application, you might want to add department filtering
-      // This is a simplified version
+    const departmentOfferings = await CourseOffering.findAll({
+      where: restrictToScope({ isActive: true }, 'moduleId', moduleScope),
+      attributes: ['facilitatorId']
     });
 
     departmentStats = {
-      facilitators: departmentFacilitators.length,
-      // Add more department-specific metrics as needed
+      department: req.managerProfile.department,
+      modules: await Module.count({ where: restrictToScope({}, 'id', moduleScope) }),
+      activeCourseOfferings: departmentOfferings.length,
+      facilitators: new Set(
+        departmentOfferings.map(offering => offering.facilitatorId).filter(Boolean)
+      ).size
     };
   }
 
@@ -604,6 +613,9 @@ router.get('/manager-stats', authenticate, authorize('manager'), asyncHandler(as
 router.get('/performance-metrics', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
   const { period = 'month' } = req.query;
 
+  // Activity figures are limited to the manager's department
+  const allocationScope = await getAllocationScope(req.managerProfile);
+
   // Calculate date range based on period
   const now = new Date();
   let startDate;
@@ -625,11 +637,11 @@ router.get('/performance-metrics', authenticate, authorize('manager'), asyncHand
       [Sequelize.fn('DATE', Sequelize.col('submittedAt')), 'date'],
       [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
     ],
-    where: {
+    where: restrictToScope({
       submittedAt: {
         [Op.between]: [startDate, now]
       }
-    },
+    }, 'allocationId', allocationScope),
     group: [Sequelize.fn('DATE', Sequelize.col('submittedAt'))],
     order: [[Sequelize.fn('DATE', Sequelize.col('submittedAt')), 'ASC']],
     raw: true
@@ -652,11 +664,11 @@ router.get('/performance-metrics', authenticate, authorize('manager'), asyncHand
         [Sequelize.fn('COUNT', Sequelize.col('id')), 'total'],
         [Sequelize.fn('SUM', Sequelize.literal(`CASE WHEN ${field} = 'Done' THEN 1 ELSE 0 END`)), 'completed']
       ],
-      where: {
+      where: restrictToScope({
         createdAt: {
           [Op.between]: [startDate, now]
         }
-      },
+      }, 'allocationId', allocationScope),
       raw: true
     });
 
@@ -685,11 +697,11 @@ router.get('/performance-metrics', authenticate, authorize('manager'), asyncHand
         attributes: []
       }
     ],
-    where: {
+    where: restrictToScope({
       createdAt: {
         [Op.between]: [startDate, now]
       }
-    },
+    }, 'allocationId', allocationScope),
     group: ['facilitatorId', 'facilitator.id', 'facilitator.user.id'],
     having: Sequelize.literal('COUNT(ActivityTracker.id) > 0'),
     order: [[Sequelize.literal('(SUM(CASE WHEN submittedAt IS NOT NULL THEN 1 ELSE 0 END) / COUNT(ActivityTracker.id))'), 'DESC']],
@@ -0,0 +1,220 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateEnrollment, validateEnrollmentQuery } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { enrollStudent, dropEnrollment, listEnrollments } = require('../services/enrollmentService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Enrollments
+ *   description: Student enrollment in course allocations, with waitlists when they are full
+ */
+
+/**
+ * @swagger
+ * /api/enrollments:
+ *   post:
+ *     summary: Enroll a student in a course allocation
+ *     description: |
+ *       Students enroll themselves in scheduled allocations of their cohort. Managers with
+ *       update_course_allocations can enroll a student on their behalf, including in active
+ *       allocations. When the allocation is at its maximum enrollment the student joins the
+ *       waitlist instead, and is enrolled automatically when a place frees up.
+ *
+ *       The student must have completed the module's prerequisites by being enrolled in a
+ *       completed allocation of each required module. Managers can enroll a student
+ *       without them by setting overridePrerequisites with a reason; the waived
+ *       prerequisites and the reason are recorded on the enrollment.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allocationId
+ *             properties:
+ *               allocationId:
+ *                 type: integer
+ *                 example: 2
+ *               studentId:
+ *                 type: integer
+ *                 description: Student to enroll. Required for managers; students can only enroll themselves.
+ *               overridePrerequisites:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Enroll even if the student has not completed the prerequisites (managers only)
+ *               overrideReason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Justification for the override; required with overridePrerequisites
+ *                 example: Completed the equivalent module at a previous institution
+ *     responses:
+ *       201:
+ *         description: Student enrolled or added to the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Course allocation is full. Student added to the waitlist at position 3.
+ *                 data:
+ *                   $ref: '#/components/schemas/Enrollment'
+ *       400:
+ *         description: Validation error, the student is not in the allocation's cohort, or has not completed the prerequisites
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Course allocation or student not found
+ *       409:
+ *         description: Enrollment is not open, or the student is already enrolled or waitlisted
+ */
+router.post('/', authenticate, authorize(['manager', 'student']), validateEnrollment, asyncHandler(async (req, res) => {
+  const enrollment = await enrollStudent(req.body.allocationId, {
+    user: req.user,
+    managerProfile: req.managerProfile,
+    studentId: req.body.studentId,
+    overridePrerequisites: req.body.overridePrerequisites,
+    overrideReason: req.body.overrideReason
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: enrollment.status === 'waitlisted'
+      ? `Course allocation is full. Student added to the waitlist at position ${enrollment.waitlistPosition}.`
+      : 'Student enrolled successfully',
+    data: enrollment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/enrollments:
+ *   get:
+ *     summary: List enrollments
+ *     description: Students see their own enrollments; managers see those in course allocations they can manage.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: allocationId
+ *         schema:
+ *           type: integer
+ *         description: Filter by course allocation
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: integer
+ *         description: Filter by student (managers only)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [enrolled, waitlisted, dropped]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: Enrollments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Enrollment'
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', authenticate, authorize(['manager', 'student']), validateEnrollmentQuery, asyncHandler(async (req, res) => {
+  const enrollments = await listEnrollments(req.query, {
+    user: req.user,
+    managerProfile: req.managerProfile
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Enrollments retrieved successfully',
+    data: enrollments
+  });
+}));
+
+/**
+ * @swagger
+ * /api/enrollments/{id}:
+ *   delete:
+ *     summary: Drop an enrollment or leave a waitlist
+ *     description: |
+ *       Students can drop their own enrollments; managers with update_course_allocations can
+ *       drop any in allocations they manage. A place given up goes to the first student on
+ *       the waitlist. The enrollment is kept with status dropped.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enrollment ID
+ *     responses:
+ *       200:
+ *         description: Enrollment dropped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrollment:
+ *                       $ref: '#/components/schemas/Enrollment'
+ *                     promoted:
+ *                       type: array
+ *                       description: Waitlisted enrollments that took the place
+ *                       items:
+ *                         $ref: '#/components/schemas/Enrollment'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ *       409:
+ *         description: Already dropped, or the allocation is completed or cancelled
+ */
+router.delete('/:id', authenticate, authorize(['manager', 'student']), asyncHandler(async (req, res) => {
+  const result = await dropEnrollment(parseInt(req.params.id), {
+    user: req.user,
+    managerProfile: req.managerProfile
+  });
+
+  res.json({
+    status: 'success',
+    message: result.promoted.length > 0
+      ? `Enrollment dropped. ${result.promoted.length} student${result.promoted.length === 1 ? '' : 's'} enrolled from the waitlist.`
+      : 'Enrollment dropped successfully',
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
-const { authenticate, authorize, requireResourceAccess } = require('../middleware/auth');
+const { authenticate, allowApiKeys, authorize, requireResourceAccess } = require('../middleware/auth');
 const { validateActivityTracker, validateQueryFilters } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { queueManagerAlert } = require('../services/notificationService');
+const {
+  getAllocationScope,
+  restrictToScope,
+  assertCanManageCourse,
+  assertCanManageActivity
+} = require('../services/departmentScopeService');
 const { 
   ActivityTracker, 
   CourseOffering, 
@@ -15,6 +21,9 @@ const {
 
 const router = express.Router();
 
+// Integrations may call these routes with a scoped API key
+router.use(allowApiKeys('activities'));
+
 /**
  * @swagger
  * tags:
@@ -131,10 +140,13 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
     filters.facilitatorId = req.facilitatorProfile.id;
   }
 
+  // For managers, only show activities for allocations in their department
+  const whereClause = restrictToScope(filters, 'allocationId', await getAllocationScope(req.managerProfile));
+
   const offset = (page - 1) * limit;
 
   const { count, rows: activities } = await ActivityTracker.findAndCountAll({
-    where: filters,
+    where: whereClause,
     include: [
       {
         model: CourseOffering,
@@ -276,6 +288,8 @@ router.post('/', authenticate, authorize(['facilitator', 'manager']), validateAc
     });
   }
 
+  await assertCanManageCourse(req.managerProfile, allocation);
+
   // Check if activity log already exists for this allocation and week
   const existingActivity = await ActivityTracker.findOne({
     where: {
@@ -396,6 +410,8 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
+  await assertCanManageActivity(req.managerProfile, activity);
+
   res.json({
     status: 'success',
     message: 'Activity log retrieved successfully',
@@ -504,6 +520,8 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
+  await assertCanManageActivity(req.managerProfile, activity);
+
   // If already submitted and it's late, trigger alert
   const wasSubmitted = activity.submittedAt !== null;
   
@@ -613,6 +631,8 @@ router.patch('/:id/submit', authenticate, authorize(['facilitator', 'manager']),
     });
   }
 
+  await assertCanManageActivity(req.managerProfile, activity);
+
   if (activity.submittedAt) {
     return res.status(400).json({
       status: 'error',
@@ -703,9 +723,11 @@ router.get('/facilitator/:facilitatorId', authenticate, requireResourceAccess('f
   const facilitatorId = parseInt(req.params.facilitatorId);
   const { weekNumber, allocationId } = req.query;
 
-  const whereClause = { facilitatorId };
-  if (weekNumber) whereClause.weekNumber = parseInt(weekNumber);
-  if (allocationId) whereClause.allocationId = parseInt(allocationId);
+  const filters = { facilitatorId };
+  if (weekNumber) filters.weekNumber = parseInt(weekNumber);
+  if (allocationId) filters.allocationId = parseInt(allocationId);
+
+  const whereClause = restrictToScope(filters, 'allocationId', await getAllocationScope(req.managerProfile));
 
   const activities = await ActivityTracker.findAll({
     where: whereClause,
@@ -771,6 +793,8 @@ router.get('/allocation/:allocationId', authenticate, asyncHandler(async (req, r
     });
   }
 
+  await assertCanManageCourse(req.managerProfile, allocation);
+
   const activities = await ActivityTracker.findAll({
     where: { allocationId },
     include: [
@@ -816,7 +840,7 @@ router.get('/allocation/:allocationId', authenticate, asyncHandler(async (req, r
  *         description: Access denied
  */
 router.get('/overdue', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const overdueActivities = await ActivityTracker.findOverdue();
+  const overdueActivities = await ActivityTracker.findOverdue(await getAllocationScope(req.managerProfile));
 
   res.json({
     status: 'success',
@@ -868,7 +892,7 @@ router.get('/overdue', authenticate, authorize('manager'), asyncHandler(async (r
  *         description: Access denied
  */
 router.get('/statistics', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
-  const statistics = await ActivityTracker.getStatistics();
+  const statistics = await ActivityTracker.getStatistics(await getAllocationScope(req.managerProfile));
 
   res.json({
     status: 'success',
@@ -934,6 +958,8 @@ router.delete('/:id', authenticate, authorize(['facilitator', 'manager']), async
     });
   }
 
+  await assertCanManageActivity(req.managerProfile, activity);
+
   // Don't allow deletion if already submitted (unless manager)
   if (activity.submittedAt && req.user.role === 'facilitator') {
     return res.status(400).json({
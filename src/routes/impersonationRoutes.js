@@ -0,0 +1,177 @@
+const express = require('express');
+const { authenticate, authorize, requireManagerAccess } = require('../middleware/auth');
+const { validateImpersonation } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { startImpersonation, stopImpersonation, getImpersonationLogs } = require('../services/impersonationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Impersonation
+ *   description: Admin "view as" access to facilitator and student accounts, with an audit trail
+ */
+
+/**
+ * @swagger
+ * /api/auth/impersonation:
+ *   post:
+ *     summary: Start impersonating a facilitator or student (Admin managers only)
+ *     description: |
+ *       Returns a 30 minute access token that authenticates as the target user.
+ *       Every request made with it is marked with an X-Impersonated-By header and recorded in the impersonation log.
+ *       Profile and password changes are rejected.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *                 description: User to impersonate
+ *               reason:
+ *                 type: string
+ *                 example: Facilitator reported missing activity logs
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: integer
+ *                       description: Token lifetime in seconds
+ *                     sessionId:
+ *                       type: string
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin manager access required, or the target cannot be impersonated
+ *       404:
+ *         description: User not found
+ */
+router.post('/', authenticate, authorize('manager'), requireManagerAccess('admin'), validateImpersonation, asyncHandler(async (req, res) => {
+  const result = await startImpersonation(req.user, req.body.userId, req.body, req.ip);
+  res.status(201).json({
+    status: 'success',
+    message: 'Impersonation started successfully',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/impersonation/stop:
+ *   post:
+ *     summary: End the current impersonation session
+ *     description: Must be called with the impersonation token, which is revoked.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended successfully
+ *       400:
+ *         description: Not an impersonation token
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/stop', authenticate, asyncHandler(async (req, res) => {
+  const result = await stopImpersonation(req.tokenPayload, req.ip);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/impersonation/logs:
+ *   get:
+ *     summary: Get the impersonation audit trail (Admin managers only)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [start, request, stop]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Impersonation logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImpersonationLog'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Admin manager access required
+ */
+router.get('/logs', authenticate, authorize('manager'), requireManagerAccess('admin'), asyncHandler(async (req, res) => {
+  const { impersonatorId, targetUserId, sessionId, action, page = 1, limit = 20 } = req.query;
+  const result = await getImpersonationLogs({ impersonatorId, targetUserId, sessionId, action, page, limit });
+  res.json({
+    status: 'success',
+    message: 'Impersonation logs retrieved successfully',
+    data: result
+  });
+}));
+
+module.exports = router;
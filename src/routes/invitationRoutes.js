@@ -0,0 +1,260 @@
+const express = require('express');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { validateInvitation } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  createInvitation,
+  listInvitations,
+  getInvitationByToken,
+  resendInvitation,
+  revokeInvitation
+} = require('../services/invitationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Invitation-based onboarding for managers, facilitators and students
+ */
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite someone to register (Admin only)
+ *     description: |
+ *       Emails a single-use link valid for 7 days. The invitee registers through POST /api/auth/register
+ *       with the inviteToken. The role and the prefilled profile fields cannot be changed by the invitee.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, facilitator, student]
+ *               profileData:
+ *                 type: object
+ *                 description: Must include the fields register requires for the role
+ *                 example:
+ *                   employeeId: FAC001
+ *                   specialization: Computer Science
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: User or pending invitation already exists for this email
+ */
+router.post('/', authenticate, authorize('manager'), requirePermission('manage_users'), validateInvitation, asyncHandler(async (req, res) => {
+  const invitation = await createInvitation(req.user, req.body);
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation sent successfully',
+    data: invitation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations (Admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [manager, facilitator, student]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invitation'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
+  const { status, role, page = 1, limit = 20 } = req.query;
+  const result = await listInvitations({ status, role, page, limit });
+  res.json({
+    status: 'success',
+    message: 'Invitations retrieved successfully',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations/lookup:
+ *   get:
+ *     summary: Get the details of a pending invitation to prefill the sign-up form
+ *     tags: [Invitations]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     profileData:
+ *                       type: object
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Invalid or expired invitation
+ */
+router.get('/lookup', asyncHandler(async (req, res) => {
+  const invitation = await getInvitationByToken(String(req.query.token || ''));
+  res.json({
+    status: 'success',
+    message: 'Invitation retrieved successfully',
+    data: invitation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Send a new link for an unaccepted invitation (Admin only)
+ *     description: The previous link stops working and the invitation is valid for another 7 days.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.post('/:id/resend', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
+  const invitation = await resendInvitation(parseInt(req.params.id), req.user);
+  res.json({
+    status: 'success',
+    message: 'Invitation resent successfully',
+    data: invitation
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation (Admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted
+ */
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('manage_users'), asyncHandler(async (req, res) => {
+  const result = await revokeInvitation(parseInt(req.params.id));
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+module.exports = router;
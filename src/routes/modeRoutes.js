@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { validateMode, validateQueryFilters } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Mode, CourseOffering } = require('../models');
@@ -169,7 +169,7 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *       403:
  *         description: Access denied
  */
-router.post('/', authenticate, authorize('manager'), validateMode, asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize('manager'), requirePermission('manage_modes'), validateMode, asyncHandler(async (req, res) => {
   const modeData = req.body;
 
   // Check if mode with same name already exists
@@ -335,7 +335,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
  *       404:
  *         description: Mode not found
  */
-router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize('manager'), requirePermission('manage_modes'), asyncHandler(async (req, res) => {
   const modeId = parseInt(req.params.id);
   const updateData = req.body;
 
@@ -404,7 +404,7 @@ router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req,
  *       404:
  *         description: Mode not found
  */
-router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('manage_modes'), asyncHandler(async (req, res) => {
   const modeId = parseInt(req.params.id);
 
   const mode = await Mode.findByPk(modeId);
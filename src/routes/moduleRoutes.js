@@ -1,8 +1,9 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { validateModule,validateQueryFilters } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Module, CourseOffering } = require('../models');
+const { getPrerequisiteGraph, validateModulePrerequisites } = require('../services/prerequisiteService');
 
 const router = express.Router();
 
@@ -172,7 +173,8 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *                 example: 3
  *               prerequisites:
  *                 type: string
- *                 example: "Basic mathematics"
+ *                 description: Module codes must exist and must not lead back to this module
+ *                 example: "CS101, MATH101 or MATH102"
  *               department:
  *                 type: string
  *                 example: "Computer Science"
@@ -206,7 +208,7 @@ router.get('/', authenticate, validateQueryFilters, asyncHandler(async (req, res
  *       403:
  *         description: Access denied
  */
-router.post('/', authenticate, authorize('manager'), validateModule, asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize('manager'), requirePermission('manage_modules'), validateModule, asyncHandler(async (req, res) => {
   const moduleData = req.body;
 
   // Check if module with same code already exists
@@ -218,6 +220,10 @@ router.post('/', authenticate, authorize('manager'), validateModule, asyncHandle
     });
   }
 
+  if (moduleData.prerequisites) {
+    await validateModulePrerequisites(moduleData);
+  }
+
   const module = await Module.create(moduleData);
 
   res.status(201).json({
@@ -305,6 +311,121 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/modules/{id}/prerequisites:
+ *   get:
+ *     summary: Get a module's prerequisite graph
+ *     description: |
+ *       The module's prerequisites parsed into groups of module codes, and the graph of
+ *       modules they lead back to. Every group must be completed, by any one of its modules.
+ *       Text that is not a module code is returned as notes and is not enforced. Cycles are
+ *       listed as the module codes around them; a module in a cycle cannot be enrolled in
+ *       without a prerequisite override.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Module ID
+ *     responses:
+ *       200:
+ *         description: Prerequisite graph retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       $ref: '#/components/schemas/Module'
+ *                     prerequisites:
+ *                       type: object
+ *                       properties:
+ *                         groups:
+ *                           type: array
+ *                           items:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           example: [["CS101"], ["MATH101", "MATH102"]]
+ *                         notes:
+ *                           type: string
+ *                           nullable: true
+ *                           example: Pre-calculus or equivalent
+ *                     nodes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           id:
+ *                             type: integer
+ *                             nullable: true
+ *                           name:
+ *                             type: string
+ *                             nullable: true
+ *                           groups:
+ *                             type: array
+ *                             items:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                           notes:
+ *                             type: string
+ *                             nullable: true
+ *                           missing:
+ *                             type: boolean
+ *                             description: No module has this code
+ *                     edges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                             example: CS201
+ *                           to:
+ *                             type: string
+ *                             description: A prerequisite of the from module
+ *                             example: CS101
+ *                           group:
+ *                             type: integer
+ *                             description: Index of the group in the from module's prerequisites
+ *                     cycles:
+ *                       type: array
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       example: [["CS201", "CS301", "CS201"]]
+ *                     hasCycles:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Module not found
+ */
+router.get('/:id/prerequisites', authenticate, asyncHandler(async (req, res) => {
+  const graph = await getPrerequisiteGraph(parseInt(req.params.id));
+
+  res.json({
+    status: 'success',
+    message: 'Prerequisite graph retrieved successfully',
+    data: graph
+  });
+}));
+
 /**
  * @swagger
  * /api/modules/{id}:
@@ -341,7 +462,8 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
  *                 example: 4
  *               prerequisites:
  *                 type: string
- *                 example: "Basic mathematics and logic"
+ *                 description: Module codes must exist and must not lead back to this module
+ *                 example: "CS101 and CS102"
  *               department:
  *                 type: string
  *                 example: "Computer Science"
@@ -380,7 +502,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
  *       404:
  *         description: Module not found
  */
-router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize('manager'), requirePermission('manage_modules'), asyncHandler(async (req, res) => {
   const moduleId = parseInt(req.params.id);
   const updateData = req.body;
 
@@ -404,6 +526,13 @@ router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req,
     }
   }
 
+  if (updateData.prerequisites || (updateData.code && module.prerequisites)) {
+    await validateModulePrerequisites({
+      code: updateData.code || module.code,
+      prerequisites: updateData.prerequisites !== undefined ? updateData.prerequisites : module.prerequisites
+    }, module.id);
+  }
+
   await module.update(updateData);
 
   res.json({
@@ -449,7 +578,7 @@ router.put('/:id', authenticate, authorize('manager'), asyncHandler(async (req,
  *       404:
  *         description: Module not found
  */
-router.delete('/:id', authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize('manager'), requirePermission('manage_modules'), asyncHandler(async (req, res) => {
   const moduleId = parseInt(req.params.id);
 
   const module = await Module.findByPk(moduleId);
@@ -0,0 +1,139 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { validateOidcCallback } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createAuthorizationRequest, loginWithOidc } = require('../services/oidcService');
+
+const router = express.Router();
+
+// Per-IP limit for completing single sign-on logins
+const oidcCallbackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many single sign-on attempts from this IP, please try again later.'
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Single Sign-On
+ *   description: OpenID Connect login through the institution's identity provider
+ */
+
+/**
+ * @swagger
+ * /api/auth/oidc/authorize:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: |
+ *       Redirects the browser to the identity provider. After signing in there, the provider redirects to
+ *       OIDC_REDIRECT_URI with code and state, which the frontend posts to /api/auth/oidc/callback.
+ *     tags: [Single Sign-On]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: loginHint
+ *         schema:
+ *           type: string
+ *         description: Email address to prefill at the identity provider
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [redirect, json]
+ *           default: redirect
+ *         description: Use json to get the authorization URL instead of a redirect
+ *     responses:
+ *       200:
+ *         description: Authorization URL (format=json)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *       302:
+ *         description: Redirect to the identity provider
+ *       403:
+ *         description: Single sign-on is not configured
+ *       502:
+ *         description: Identity provider is unavailable
+ */
+router.get('/authorize', asyncHandler(async (req, res) => {
+  const loginHint = typeof req.query.loginHint === 'string' ? req.query.loginHint : undefined;
+  const request = await createAuthorizationRequest({ loginHint });
+
+  if (req.query.format === 'json') {
+    return res.json({
+      status: 'success',
+      message: 'Authorization URL created successfully',
+      data: request
+    });
+  }
+
+  res.redirect(302, request.authorizationUrl);
+}));
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   post:
+ *     summary: Complete a single sign-on login
+ *     description: |
+ *       Exchanges the authorization code with the identity provider and logs in the user whose email matches
+ *       the verified ID token. With OIDC_JIT_PROVISIONING enabled, unknown users are created as facilitators
+ *       or students from the configured claim mappings. The response is the same as POST /api/auth/login.
+ *     tags: [Single Sign-On]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor verification required
+ *       400:
+ *         description: Validation error, or claims do not contain a valid profile
+ *       401:
+ *         description: Invalid or expired request, rejected code, unverified email or no matching account
+ *       403:
+ *         description: Single sign-on is not configured, or the account cannot be provisioned
+ *       423:
+ *         description: Account temporarily locked
+ *       502:
+ *         description: Identity provider is unavailable
+ */
+router.post('/callback', oidcCallbackLimiter, validateOidcCallback, asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+  const result = await loginWithOidc(code, state, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    status: 'success',
+    message: result.twoFactorRequired ? 'Two-factor authentication code required' : 'Login successful',
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const { authenticate, denyImpersonation } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { listSessions, revokeSession, revokeOtherSessions } = require('../services/sessionService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: Devices the user is signed in on, one per login
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     description: Each login starts a session that lasts until logout, revocation or 7 days without a token refresh.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.userId, req.tokenPayload.familyId);
+  res.json({
+    status: 'success',
+    message: 'Sessions retrieved successfully',
+    data: sessions
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out of every other device
+ *     description: The session making the request stays signed in.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating another user
+ */
+router.delete('/', authenticate, denyImpersonation, asyncHandler(async (req, res) => {
+  const result = await revokeOtherSessions(req.userId, req.tokenPayload.familyId);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out of one session
+ *     description: Revokes the session's refresh token and every access token issued to it. Revoking the current session logs out.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating another user
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id', authenticate, denyImpersonation, asyncHandler(async (req, res) => {
+  const result = await revokeSession(req.userId, req.params.id);
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { authenticate, allowTwoFactorSetup, authorize, requireManagerAccess } = require('../middleware/auth');
+const { validateTwoFactorCode, validateTwoFactorDisable, validateTwoFactorPolicy } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disable,
+  getPolicy,
+  updatePolicy
+} = require('../services/twoFactorService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP two-factor authentication for manager accounts
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor status for the current manager
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Manager access required
+ */
+router.get('/', allowTwoFactorSetup, authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const status = await getStatus(req.user.id);
+  res.json({
+    status: 'success',
+    message: 'Two-factor status retrieved successfully',
+    data: status
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment and get a TOTP secret
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated. Add it to an authenticator app, then confirm with /api/auth/2fa/enable.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 TOTP secret
+ *                     otpauthUri:
+ *                       type: string
+ *                       description: otpauth:// URI for QR code display
+ *       403:
+ *         description: Manager access required
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', allowTwoFactorSetup, authenticate, authorize('manager'), asyncHandler(async (req, res) => {
+  const result = await beginEnrollment(req.user.id);
+  res.json({
+    status: 'success',
+    message: 'Two-factor secret generated. Confirm it with a code from your authenticator app.',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a TOTP code and receive recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled. Recovery codes are only shown once.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Validation error or setup not started
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/enable', allowTwoFactorSetup, authenticate, authorize('manager'), validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const result = await confirmEnrollment(req.user.id, req.body.code);
+  res.json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated. Previous codes no longer work.
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', authenticate, authorize('manager'), validateTwoFactorCode, asyncHandler(async (req, res) => {
+  const result = await regenerateRecoveryCodes(req.user.id, req.body.code);
+  res.json({
+    status: 'success',
+    message: 'Recovery codes regenerated',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this account
+ */
+router.post('/disable', authenticate, authorize('manager'), validateTwoFactorDisable, asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const result = await disable(req.user.id, password, { code, recoveryCode });
+  res.json({
+    status: 'success',
+    ...result
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor policy (Admin managers only)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requireForAdmins:
+ *                       type: boolean
+ *       403:
+ *         description: Admin manager access required
+ */
+router.get('/policy', authenticate, authorize('manager'), requireManagerAccess('admin'), asyncHandler(async (req, res) => {
+  const policy = await getPolicy();
+  res.json({
+    status: 'success',
+    message: 'Two-factor policy retrieved successfully',
+    data: policy
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   put:
+ *     summary: Require two-factor authentication for admin managers (Admin managers only)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireForAdmins
+ *             properties:
+ *               requireForAdmins:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin manager access required
+ */
+router.put('/policy', authenticate, authorize('manager'), requireManagerAccess('admin'), validateTwoFactorPolicy, asyncHandler(async (req, res) => {
+  const policy = await updatePolicy(req.body, req.user.id);
+  res.json({
+    status: 'success',
+    message: 'Two-factor policy updated successfully',
+    data: policy
+  });
+}));
+
+module.exports = router;
@@ -1,4 +1,4 @@
-const { sequelize, User, Manager, Facilitator, Student, Module, Cohort, Class, Mode, CourseOffering, ActivityTracker } = require('../models');
+const { sequelize, User, Manager, Facilitator, Student, Module, Cohort, Class, Mode, CourseOffering, ScheduleSession, ScheduleException, Enrollment, ActivityTracker } = require('../models');
 
 async function seedDatabase() {
   try {
@@ -194,7 +194,8 @@ async function seedDatabase() {
         firstName: 'Sarah',
         lastName: 'Johnson',
         role: 'manager',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'manager1@university.edu',
@@ -202,7 +203,8 @@ async function seedDatabase() {
         firstName: 'Michael',
         lastName: 'Brown',
         role: 'manager',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'manager2@university.edu',
@@ -210,7 +212,8 @@ async function seedDatabase() {
         firstName: 'Emily',
         lastName: 'Davis',
         role: 'manager',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       }
     ]);
 
@@ -249,7 +252,8 @@ async function seedDatabase() {
         firstName: 'Jane',
         lastName: 'Smith',
         role: 'facilitator',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'john.doe@university.edu',
@@ -257,7 +261,8 @@ async function seedDatabase() {
         firstName: 'John',
         lastName: 'Doe',
         role: 'facilitator',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'alice.wilson@university.edu',
@@ -265,7 +270,8 @@ async function seedDatabase() {
         firstName: 'Alice',
         lastName: 'Wilson',
         role: 'facilitator',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'bob.taylor@university.edu',
@@ -273,7 +279,8 @@ async function seedDatabase() {
         firstName: 'Bob',
         lastName: 'Taylor',
         role: 'facilitator',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'carol.white@university.edu',
@@ -281,7 +288,8 @@ async function seedDatabase() {
         firstName: 'Carol',
         lastName: 'White',
         role: 'facilitator',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       }
     ]);
 
@@ -346,7 +354,8 @@ async function seedDatabase() {
         firstName: 'David',
         lastName: 'Garcia',
         role: 'student',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'student2@student.university.edu',
@@ -354,7 +363,8 @@ async function seedDatabase() {
         firstName: 'Maria',
         lastName: 'Rodriguez',
         role: 'student',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'student3@student.university.edu',
@@ -362,7 +372,8 @@ async function seedDatabase() {
         firstName: 'James',
         lastName: 'Miller',
         role: 'student',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'student4@student.university.edu',
@@ -370,7 +381,8 @@ async function seedDatabase() {
         firstName: 'Lisa',
         lastName: 'Anderson',
         role: 'student',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       },
       {
         email: 'student5@student.university.edu',
@@ -378,7 +390,8 @@ async function seedDatabase() {
         firstName: 'Kevin',
         lastName: 'Thomas',
         role: 'student',
-        isActive: true
+        isActive: true,
+        isEmailVerified: true
       }
     ]);
 
@@ -465,7 +478,6 @@ async function seedDatabase() {
         maxEnrollment: 30,
         currentEnrollment: 2,
         status: 'active',
-        schedule: 'Monday, Wednesday, Friday 10:00-12:00',
         location: 'CS Building Room 101 / Zoom ID: 123456789',
         notes: 'Introduction course for CS program'
       },
@@ -481,7 +493,6 @@ async function seedDatabase() {
         maxEnrollment: 25,
         currentEnrollment: 0,
         status: 'scheduled',
-        schedule: 'Tuesday, Thursday 14:00-16:00',
         location: 'Zoom Meeting ID: 987654321',
         notes: 'Advanced data structures course'
       },
@@ -497,7 +508,6 @@ async function seedDatabase() {
         maxEnrollment: 35,
         currentEnrollment: 1,
         status: 'active',
-        schedule: 'Monday, Wednesday, Friday 09:00-10:30',
         location: 'Math Building Room 205',
         notes: 'Fundamental calculus course'
       },
@@ -513,7 +523,6 @@ async function seedDatabase() {
         maxEnrollment: 40,
         currentEnrollment: 2,
         status: 'active',
-        schedule: 'Tuesday, Thursday 10:00-12:00',
         location: 'Business Building Room 301 / Zoom ID: 456789123',
         notes: 'Core business management principles'
       },
@@ -529,7 +538,6 @@ async function seedDatabase() {
         maxEnrollment: 25,
         currentEnrollment: 2,
         status: 'active',
-        schedule: 'Monday, Wednesday 16:00-17:30',
         location: 'Zoom Meeting ID: 789123456',
         notes: 'Academic writing skills development'
       },
@@ -545,12 +553,66 @@ async function seedDatabase() {
         maxEnrollment: 20,
         currentEnrollment: 0,
         status: 'draft',
-        schedule: 'TBD',
         location: 'TBD',
         notes: 'Advanced database systems - need facilitator assignment'
       }
     ]);
 
+    // Seed weekly schedules
+    console.log('🗓️ Seeding schedules...');
+    const weekly = (offering, weekdays, startTime, endTime, location) => weekdays.map(weekday => ({
+      courseOfferingId: offering.id,
+      weekday,
+      startTime,
+      endTime,
+      timezone: 'Africa/Kigali',
+      location
+    }));
+
+    await ScheduleSession.bulkCreate([
+      ...weekly(courseOfferings[0], ['monday', 'wednesday', 'friday'], '10:00', '12:00', 'CS Building Room 101'),
+      ...weekly(courseOfferings[1], ['tuesday', 'thursday'], '14:00', '16:00', 'Zoom Meeting ID: 987654321'),
+      ...weekly(courseOfferings[2], ['monday', 'wednesday', 'friday'], '09:00', '10:30', 'Math Building Room 205'),
+      ...weekly(courseOfferings[3], ['tuesday', 'thursday'], '10:00', '12:00', 'Business Building Room 301'),
+      ...weekly(courseOfferings[4], ['monday', 'wednesday'], '16:00', '17:30', 'Zoom Meeting ID: 789123456')
+    ]);
+
+    await ScheduleException.bulkCreate([
+      {
+        courseOfferingId: courseOfferings[0].id,
+        date: '2025-04-07',
+        type: 'cancelled',
+        reason: 'Public holiday'
+      },
+      {
+        courseOfferingId: courseOfferings[0].id,
+        date: '2025-04-12',
+        type: 'makeup',
+        startTime: '10:00',
+        endTime: '12:00',
+        timezone: 'Africa/Kigali',
+        location: 'CS Building Room 101',
+        reason: 'Replaces the 7 April session'
+      }
+    ]);
+
+    // Seed enrollments; each offering's currentEnrollment above matches its enrolled students
+    console.log('🎓 Seeding enrollments...');
+    const enroll = (offering, cohortStudents) => cohortStudents.map(student => ({
+      courseOfferingId: offering.id,
+      studentId: student.id,
+      status: 'enrolled',
+      enrolledAt: new Date(),
+      enrolledBy: managerUsers[0].id
+    }));
+
+    const enrollments = await Enrollment.bulkCreate([
+      ...enroll(courseOfferings[0], [students[0], students[1]]),
+      ...enroll(courseOfferings[2], [students[4]]),
+      ...enroll(courseOfferings[3], [students[2], students[3]]),
+      ...enroll(courseOfferings[4], [students[0], students[1]])
+    ]);
+
     // Seed Activity Trackers
     console.log('📋 Seeding activity trackers...');
     const activityTrackers = await ActivityTracker.bulkCreate([
@@ -653,6 +715,7 @@ async function seedDatabase() {
     console.log(`   Classes: ${classes.length}`);
     console.log(`   Modes: ${modes.length}`);
     console.log(`   Course Offerings: ${courseOfferings.length}`);
+    console.log(`   Enrollments: ${enrollments.length}`);
     console.log(`   Activity Trackers: ${activityTrackers.length}`);
     console.log('');
     console.log('Sample Login Credentials:');
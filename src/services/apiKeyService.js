@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Every key starts with this so it can be told apart from a JWT
+const API_KEY_PREFIX = 'cmp_';
+
+// Expiry settings
+const DEFAULT_API_KEY_LIFETIME_DAYS = 90;
+const MAX_API_KEY_LIFETIME_DAYS = 365;
+
+// Only write last-used details this often to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000; // 1 minute
+
+// Hash a raw key so it is never stored
+function hashApiKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+// Whether a credential looks like one of our API keys
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+// Scope an API key needs for a resource and HTTP method
+function getRequiredScope(resource, method) {
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase()) ? 'read' : 'write';
+  return `${resource}:${access}`;
+}
+
+// Resolve the expiry date for a new key, defaulting to 90 days and capped at a year
+function resolveExpiry(expiresAt) {
+  const now = Date.now();
+  const maxExpiry = now + MAX_API_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+
+  if (!expiresAt) {
+    return new Date(now + DEFAULT_API_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry.getTime()) || expiry.getTime() <= now) {
+    throw new ValidationError('expiresAt must be a future date');
+  }
+
+  if (expiry.getTime() > maxExpiry) {
+    throw new ValidationError(`API keys cannot be valid for more than ${MAX_API_KEY_LIFETIME_DAYS} days`);
+  }
+
+  return expiry;
+}
+
+// Create an API key that acts as the given manager. The raw key is only returned here.
+async function createApiKey(userId, { name, scopes, expiresAt }) {
+  const keyPrefix = `${API_KEY_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  const rawKey = `${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    name: name.trim(),
+    keyPrefix,
+    keyHash: hashApiKey(rawKey),
+    scopes: [...new Set(scopes)],
+    createdBy: userId,
+    expiresAt: resolveExpiry(expiresAt)
+  });
+
+  return {
+    apiKey,
+    key: rawKey
+  };
+}
+
+// List the API keys a manager has issued, newest first
+async function listApiKeys(userId) {
+  return await ApiKey.findAll({
+    where: { createdBy: userId },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+// Revoke an API key. Managers may revoke their own keys; canManageAll allows any key.
+async function revokeApiKey(keyId, userId, canManageAll = false) {
+  const apiKey = await ApiKey.findByPk(keyId);
+
+  if (!apiKey || (!canManageAll && apiKey.createdBy !== userId)) {
+    throw new NotFoundError('API key not found');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  return { message: 'API key revoked successfully' };
+}
+
+// Look up a raw key, returning it only if it is neither revoked nor expired
+async function findUsableApiKey(rawKey) {
+  const apiKey = await ApiKey.findByKeyHash(hashApiKey(rawKey));
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return null;
+  }
+
+  return apiKey;
+}
+
+// Record when and from where a key was last used
+async function recordApiKeyUse(apiKey, ipAddress) {
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL && apiKey.lastUsedIp === ipAddress) {
+    return;
+  }
+
+  apiKey.lastUsedAt = new Date();
+  apiKey.lastUsedIp = ipAddress ? String(ipAddress).slice(0, 45) : null;
+  await apiKey.save();
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  MAX_API_KEY_LIFETIME_DAYS,
+  hashApiKey,
+  isApiKey,
+  getRequiredScope,
+  resolveExpiry,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findUsableApiKey,
+  recordApiKeyUse
+};
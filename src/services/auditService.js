@@ -0,0 +1,78 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Entries are written by the hooks in models/auditHooks.js; this service only reads them
+
+// Paginated audit log entries matching the filters, newest first
+async function getAuditLogs({
+  userId,
+  impersonatorId,
+  apiKeyId,
+  action,
+  entityType,
+  entityId,
+  requestId,
+  from,
+  to,
+  page = 1,
+  limit = 20
+} = {}) {
+  const whereClause = {};
+  if (userId) whereClause.userId = userId;
+  if (impersonatorId) whereClause.impersonatorId = impersonatorId;
+  if (apiKeyId) whereClause.apiKeyId = apiKeyId;
+  if (action) whereClause.action = action;
+  if (entityType) whereClause.entityType = entityType;
+  if (entityId) whereClause.entityId = String(entityId);
+  if (requestId) whereClause.requestId = requestId;
+
+  if (from || to) {
+    whereClause.createdAt = {};
+    if (from) whereClause.createdAt[Op.gte] = new Date(from);
+    if (to) whereClause.createdAt[Op.lte] = new Date(to);
+  }
+
+  const offset = (page - 1) * limit;
+  const { count, rows: logs } = await AuditLog.findAndCountAll({
+    where: whereClause,
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] }
+    ],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  return {
+    logs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+// A single audit log entry
+async function getAuditLog(id) {
+  const log = await AuditLog.findByPk(id, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] }
+    ]
+  });
+
+  if (!log) {
+    throw new NotFoundError('Audit log entry not found');
+  }
+
+  return log;
+}
+
+module.exports = {
+  getAuditLogs,
+  getAuditLog
+};
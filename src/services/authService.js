@@ -1,14 +1,57 @@
 'use strict';
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { User, Manager, Facilitator, Student } = require('../models');
-const { ValidationError, ConflictError, UnauthorizedError, NotFoundError } = require('../middleware/errorHandler');
-
-// Generate JWT token
+const redisClient = require('../config/redis');
+const { User, Manager, Facilitator, Student, RefreshToken, Invitation } = require('../models');
+const { ValidationError, ConflictError, UnauthorizedError, ForbiddenError, NotFoundError, AccountLockedError } = require('../middleware/errorHandler');
+const { queueEmail } = require('./notificationService');
+const {
+  revokeToken,
+  isTokenRevoked
+} = require('./tokenRevocationService');
+const {
+  LOGIN_CHALLENGE_TTL,
+  isTwoFactorRequired,
+  createLoginChallenge,
+  completeLoginChallenge
+} = require('./twoFactorService');
+const {
+  recordRejectedLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('./loginSecurityService');
+const {
+  trackSession,
+  revokeSessionFamily,
+  revokeAllSessions
+} = require('./sessionService');
+const {
+  assertPasswordAllowed,
+  recordPasswordHistory,
+  isPasswordExpired
+} = require('./passwordPolicyService');
+
+// Password reset settings
+const PASSWORD_RESET_TOKEN_TTL = 60 * 60; // 1 hour
+const PASSWORD_RESET_WINDOW = 60 * 60; // 1 hour
+const PASSWORD_RESET_MAX_REQUESTS = 3;
+
+// Email verification settings
+const EMAIL_VERIFICATION_TOKEN_TTL = 24 * 60 * 60; // 24 hours
+const EMAIL_VERIFICATION_WINDOW = 60 * 60; // 1 hour
+const EMAIL_VERIFICATION_MAX_REQUESTS = 3;
+
+// Invitations for imported users
+const INVITE_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// Generate JWT token. iatMs records the issue time to the millisecond, so a token issued
+// in the same second as a revocation of all the user's tokens is still revoked.
 function generateToken(payload, expiresIn = '24h') {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
+  return jwt.sign({ ...payload, iatMs: Date.now() }, process.env.JWT_SECRET, {
     expiresIn,
+    jwtid: crypto.randomUUID(),
     issuer: 'course-management-platform',
     audience: 'course-management-users'
   });
@@ -16,17 +59,219 @@ function generateToken(payload, expiresIn = '24h') {
 
 // Generate refresh token
 function generateRefreshToken(payload) {
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+  return jwt.sign({ ...payload, iatMs: Date.now() }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
     expiresIn: '7d',
+    jwtid: crypto.randomUUID(),
     issuer: 'course-management-platform',
     audience: 'course-management-users'
   });
 }
 
-// Register a new user
-async function register(userData) {
+// Issue an access/refresh token pair, recording the refresh token in its family and
+// the family as a session seen from the request's device and IP address
+async function issueTokens(user, familyId = crypto.randomUUID(), context = {}) {
+  const refreshToken = generateRefreshToken({ id: user.id, familyId });
+  const decoded = jwt.decode(refreshToken);
+  const expiresAt = new Date(decoded.exp * 1000);
+
+  await RefreshToken.create({
+    userId: user.id,
+    jti: decoded.jti,
+    familyId,
+    expiresAt
+  });
+
+  // Refreshed tokens keep the sign-in method the session started with
+  const session = await trackSession(user.id, familyId, expiresAt, context);
+
+  const tokenPayload = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    familyId,
+    authMethod: session.authMethod
+  };
+
+  const token = generateToken(tokenPayload);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: '24h'
+  };
+}
+
+// Flat profile fields each role accepts from imports and invitations
+const PROFILE_FIELDS = {
+  manager: ['department', 'employeeId', 'accessLevel', 'phoneNumber', 'office'],
+  facilitator: ['employeeId', 'specialization', 'qualification', 'experience', 'phoneNumber', 'maxCourseLoad'],
+  student: ['studentId', 'cohortId', 'program', 'yearOfStudy', 'dateOfBirth', 'phoneNumber', 'address']
+};
+
+// Profile fields users can change on their own profile. Access levels, departments,
+// employee IDs, course loads and cohort membership are set through invitations, imports
+// and managers with manage_users.
+const SELF_EDITABLE_PROFILE_FIELDS = {
+  manager: ['phoneNumber', 'office'],
+  facilitator: ['specialization', 'qualification', 'experience', 'phoneNumber'],
+  student: ['program', 'dateOfBirth', 'phoneNumber', 'address', 'emergencyContact']
+};
+
+// Profile fields each role must provide, with the error shown when one is missing
+const REQUIRED_PROFILE_FIELDS = {
+  manager: { fields: ['department', 'employeeId'], message: 'Manager requires department and employeeId' },
+  facilitator: { fields: ['employeeId', 'specialization'], message: 'Facilitator requires employeeId and specialization' },
+  student: { fields: ['studentId', 'cohortId'], message: 'Student requires studentId and cohortId' }
+};
+
+// Error message for a role profile that lacks required fields, or null
+function getProfileRequirementError(role, profileData = {}) {
+  const requirement = REQUIRED_PROFILE_FIELDS[role];
+  if (!requirement) {
+    return null;
+  }
+
+  return requirement.fields.every(field => profileData[field]) ? null : requirement.message;
+}
+
+// Reject profile fields outside those allowed, explaining each with the given reason
+function assertProfileFields(profileData, allowed, reason) {
+  const rejected = Object.keys(profileData).filter(field => !allowed.includes(field));
+
+  if (rejected.length > 0) {
+    throw new ValidationError('Profile fields cannot be changed', rejected.map(field => ({
+      field: `profileData.${field}`,
+      message: `${field} ${reason}`
+    })));
+  }
+
+  return profileData;
+}
+
+// The profile changes a user may make to themselves, rejecting any other field
+function getSelfEditableProfileData(role, profileData = {}) {
+  return assertProfileFields(profileData, SELF_EDITABLE_PROFILE_FIELDS[role] || [], 'cannot be changed on your own profile');
+}
+
+// The profile changes a manager with manage_users may make to another user
+function getAdminEditableProfileData(role, profileData = {}) {
+  const allowed = [...new Set([...(PROFILE_FIELDS[role] || []), ...(SELF_EDITABLE_PROFILE_FIELDS[role] || [])])];
+  return assertProfileFields(profileData, allowed, `is not a ${role} profile field`);
+}
+
+// Create a user and their role-specific profile inside a transaction
+async function createUserWithProfile(userData, transaction) {
   const { email, password, firstName, lastName, role, profileData = {} } = userData;
 
+  const profileError = getProfileRequirementError(role, profileData);
+  if (profileError) {
+    throw new ValidationError(profileError);
+  }
+
+  const user = await User.create({
+    email: email.toLowerCase().trim(),
+    password,
+    firstName: firstName.trim(),
+    lastName: lastName.trim(),
+    role
+  }, { transaction });
+
+  switch (role) {
+    case 'manager':
+      await Manager.create({
+        userId: user.id,
+        department: profileData.department,
+        employeeId: profileData.employeeId,
+        accessLevel: profileData.accessLevel || 'standard',
+        phoneNumber: profileData.phoneNumber,
+        office: profileData.office
+      }, { transaction });
+      break;
+
+    case 'facilitator':
+      await Facilitator.create({
+        userId: user.id,
+        employeeId: profileData.employeeId,
+        specialization: profileData.specialization,
+        qualification: profileData.qualification,
+        experience: profileData.experience || 0,
+        phoneNumber: profileData.phoneNumber,
+        maxCourseLoad: profileData.maxCourseLoad || 5
+      }, { transaction });
+      break;
+
+    case 'student':
+      await Student.create({
+        userId: user.id,
+        studentId: profileData.studentId,
+        cohortId: profileData.cohortId,
+        program: profileData.program,
+        yearOfStudy: profileData.yearOfStudy || 1,
+        dateOfBirth: profileData.dateOfBirth,
+        phoneNumber: profileData.phoneNumber,
+        address: profileData.address,
+        emergencyContact: profileData.emergencyContact
+      }, { transaction });
+      break;
+  }
+
+  return user;
+}
+
+// Students may register without an invitation only when enabled by config
+function isStudentSelfRegistrationEnabled() {
+  return process.env.ALLOW_STUDENT_SELF_REGISTRATION === 'true';
+}
+
+// Find the pending invitation for a token, or throw
+async function findPendingInvitation(inviteToken) {
+  const invitation = await Invitation.findByToken(inviteToken);
+
+  if (!invitation || !invitation.isPending()) {
+    throw new UnauthorizedError('Invalid or expired invitation');
+  }
+
+  return invitation;
+}
+
+// The profile an invitee registers with: the invitation's fields, plus any the invitee could
+// change on their own profile that the invitation left empty. Access level, department,
+// employee ID and every other field come from the invitation only.
+function buildInvitedProfile(invitation, profileData = {}) {
+  const own = {};
+  (SELF_EDITABLE_PROFILE_FIELDS[invitation.role] || []).forEach(field => {
+    if (profileData[field] !== undefined) {
+      own[field] = profileData[field];
+    }
+  });
+
+  return { ...own, ...invitation.profileData };
+}
+
+// Register a new user. Managers and facilitators need an invitation; students may
+// also self-register when enabled. The invitation fixes the role and prefilled profile.
+async function register(userData, context = {}) {
+  const { email, inviteToken } = userData;
+  let invitation = null;
+
+  if (inviteToken) {
+    invitation = await findPendingInvitation(inviteToken);
+
+    if (invitation.email !== email.toLowerCase().trim()) {
+      throw new ValidationError('Email does not match the invitation');
+    }
+
+    userData = {
+      ...userData,
+      role: invitation.role,
+      profileData: buildInvitedProfile(invitation, userData.profileData)
+    };
+  } else if (userData.role !== 'student' || !isStudentSelfRegistrationEnabled()) {
+    throw new ForbiddenError(userData.role === 'student'
+      ? 'Self-registration is disabled. Please ask an administrator for an invitation.'
+      : 'Manager and facilitator accounts require an invitation');
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({
     where: { email: email.toLowerCase().trim() }
@@ -36,172 +281,237 @@ async function register(userData) {
     throw new ConflictError('User with this email already exists');
   }
 
+  await assertPasswordAllowed(userData.password);
+
   // Start transaction
   const transaction = await User.sequelize.transaction();
+  let user;
 
   try {
-    // Create user
-    const user = await User.create({
-      email: email.toLowerCase().trim(),
-      password,
-      firstName: firstName.trim(),
-      lastName: lastName.trim(),
-      role
-    }, { transaction });
-
-    // Create role-specific profile
-    let profile = null;
-    switch (role) {
-      case 'manager':
-        if (!profileData.department || !profileData.employeeId) {
-          throw new ValidationError('Manager requires department and employeeId');
-        }
-        profile = await Manager.create({
-          userId: user.id,
-          department: profileData.department,
-          employeeId: profileData.employeeId,
-          accessLevel: profileData.accessLevel || 'standard',
-          phoneNumber: profileData.phoneNumber,
-          office: profileData.office
-        }, { transaction });
-        break;
-
-      case 'facilitator':
-        if (!profileData.employeeId || !profileData.specialization) {
-          throw new ValidationError('Facilitator requires employeeId and specialization');
-        }
-        profile = await Facilitator.create({
-          userId: user.id,
-          employeeId: profileData.employeeId,
-          specialization: profileData.specialization,
-          qualification: profileData.qualification,
-          experience: profileData.experience || 0,
-          phoneNumber: profileData.phoneNumber,
-          maxCourseLoad: profileData.maxCourseLoad || 5
-        }, { transaction });
-        break;
-
-      case 'student':
-        if (!profileData.studentId || !profileData.cohortId) {
-          throw new ValidationError('Student requires studentId and cohortId');
-        }
-        profile = await Student.create({
-          userId: user.id,
-          studentId: profileData.studentId,
-          cohortId: profileData.cohortId,
-          program: profileData.program,
-          yearOfStudy: profileData.yearOfStudy || 1,
-          dateOfBirth: profileData.dateOfBirth,
-          phoneNumber: profileData.phoneNumber,
-          address: profileData.address,
-          emergencyContact: profileData.emergencyContact
-        }, { transaction });
-        break;
+    user = await createUserWithProfile(userData, transaction);
+
+    // The invitation was emailed, so accepting it proves the address
+    if (invitation) {
+      await user.update({ isEmailVerified: true, emailVerifiedAt: new Date() }, { transaction });
+
+      // Claim the invitation atomically so it cannot be used twice
+      const [claimed] = await Invitation.update(
+        { acceptedAt: new Date(), acceptedUserId: user.id },
+        { where: { id: invitation.id, acceptedAt: null, revokedAt: null }, transaction }
+      );
+      if (claimed === 0) {
+        throw new UnauthorizedError('Invalid or expired invitation');
+      }
     }
 
     await transaction.commit();
-
-    // Generate tokens
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role
-    };
-
-    const token = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ id: user.id });
-
-    // Get user with profile for response
-    const userWithProfile = await getUserWithProfile(user.id);
-
-    return {
-      user: userWithProfile,
-      token,
-      refreshToken,
-      expiresIn: '24h'
-    };
   } catch (error) {
     await transaction.rollback();
     throw error;
   }
+
+  // Self-registered accounts stay unverified until the emailed link is used
+  if (!invitation) {
+    await sendVerificationEmail(user);
+  }
+
+  // Generate tokens
+  const tokens = await issueTokens(user, undefined, context);
+
+  // Get user with profile for response
+  const userWithProfile = await getUserWithProfile(user.id);
+
+  return {
+    user: userWithProfile,
+    ...tokens
+  };
 }
 
-// Login user
-async function login(email, password) {
+// Error for a login attempt against a locked account
+function accountLockedError(user) {
+  return new AccountLockedError(
+    'Account is temporarily locked due to repeated failed login attempts. Please try again later.',
+    user.lockedUntil
+  );
+}
+
+// Login user. context carries the request's ipAddress and userAgent for login history.
+async function login(email, password, context = {}) {
   // Find user with password
   const user = await User.scope('withPassword').findOne({
     where: { email: email.toLowerCase().trim() }
   });
 
   if (!user) {
+    await recordRejectedLogin(email, null, context, 'unknown_email');
     throw new UnauthorizedError('Invalid email or password');
   }
 
   if (!user.isActive) {
+    await recordRejectedLogin(email, user, context, 'deactivated');
     throw new UnauthorizedError('Account is deactivated. Please contact administrator.');
   }
 
+  // Locked accounts are refused before the password is checked
+  if (user.isLocked()) {
+    await recordRejectedLogin(email, user, context, 'locked');
+    throw accountLockedError(user);
+  }
+
   // Check password
   const isValidPassword = await user.checkPassword(password);
   if (!isValidPassword) {
+    await recordFailedLogin(user, context);
+    if (user.isLocked()) {
+      throw accountLockedError(user);
+    }
     throw new UnauthorizedError('Invalid email or password');
   }
 
-  // Update last login
+  // Users with two-factor enabled must exchange a challenge token for real tokens
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      twoFactorToken: await createLoginChallenge(user.id),
+      expiresIn: LOGIN_CHALLENGE_TTL
+    };
+  }
+
+  return completeLogin(user, context);
+}
+
+// Finish a login whose credentials were accepted and issue tokens
+async function completeLogin(user, context) {
+  // Update last login and login history
   await user.updateLastLogin();
+  await recordSuccessfulLogin(user, context);
 
   // Generate tokens
-  const tokenPayload = {
-    id: user.id,
-    email: user.email,
-    role: user.role
-  };
-
-  const token = generateToken(tokenPayload);
-  const refreshToken = generateRefreshToken({ id: user.id });
+  const tokens = await issueTokens(user, undefined, context);
 
   // Get user with profile for response
   const userWithProfile = await getUserWithProfile(user.id);
 
-  return {
+  const result = {
     user: userWithProfile,
-    token,
-    refreshToken,
-    expiresIn: '24h'
+    ...tokens
   };
+
+  // Admin managers who must use two-factor are limited to setting it up
+  if (!user.twoFactorEnabled && await isTwoFactorRequired(user, userWithProfile.managerProfile)) {
+    result.twoFactorSetupRequired = true;
+  }
+
+  // Users whose password has expired are limited to changing it, unless they signed in without it
+  if ((context.authMethod || 'password') === 'password' && await isPasswordExpired(user)) {
+    result.passwordChangeRequired = true;
+  }
+
+  return result;
 }
 
-// Refresh access token
-async function refreshToken(refreshToken) {
+// Log in a user whose identity an external provider has already verified. Deactivation,
+// lockout, two-factor and session rules are the same as for a password login.
+async function loginWithVerifiedIdentity(user, context = {}) {
+  if (!user.isActive) {
+    await recordRejectedLogin(user.email, user, context, 'deactivated');
+    throw new UnauthorizedError('Account is deactivated. Please contact administrator.');
+  }
+
+  if (user.isLocked()) {
+    await recordRejectedLogin(user.email, user, context, 'locked');
+    throw accountLockedError(user);
+  }
+
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      twoFactorToken: await createLoginChallenge(user.id, context.authMethod),
+      expiresIn: LOGIN_CHALLENGE_TTL
+    };
+  }
+
+  return completeLogin(user, context);
+}
+
+// Second login step: verify a TOTP or recovery code against the login challenge.
+// The login completes with the auth method of the first step.
+async function loginWithTwoFactor(twoFactorToken, secondFactor, context = {}) {
+  const { user, authMethod } = await completeLoginChallenge(twoFactorToken, secondFactor);
+  return completeLogin(user, { ...context, authMethod });
+}
+
+// A rotated refresh token being replayed means the family is compromised: revoke it and
+// record the reuse in the owner's login history, unless that was already done
+async function handleRefreshTokenReuse(storedToken, context) {
+  if (storedToken.revokedReason !== 'reuse_detected') {
+    await revokeSessionFamily(storedToken.familyId, 'reuse_detected');
+
+    const owner = await User.findByPk(storedToken.userId, { attributes: ['id', 'email'] });
+    if (owner) {
+      await recordRejectedLogin(owner.email, owner, context, 'refresh_token_reuse');
+    }
+  }
+
+  throw new UnauthorizedError('Refresh token reuse detected. Please login again.');
+}
+
+// Refresh access token, rotating the refresh token
+async function refreshToken(refreshToken, context = {}) {
+  let decoded;
   try {
-    const decoded = jwt.verify(
+    decoded = jwt.verify(
       refreshToken,
       process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
     );
+  } catch (error) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
 
-    const user = await User.findByPk(decoded.id);
+  if (await isTokenRevoked(decoded)) {
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
 
-    if (!user || !user.isActive) {
-      throw new UnauthorizedError('Invalid refresh token');
-    }
+  const storedToken = await RefreshToken.findByJti(decoded.jti);
 
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role
-    };
+  if (!storedToken || storedToken.userId !== decoded.id) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  if (storedToken.usedAt) {
+    await handleRefreshTokenReuse(storedToken, context);
+  }
 
-    const newToken = generateToken(tokenPayload);
-    const newRefreshToken = generateRefreshToken({ id: user.id });
+  // Tokens of sessions that were logged out or revoked simply stop working
+  if (storedToken.revokedAt) {
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
 
-    return {
-      token: newToken,
-      refreshToken: newRefreshToken,
-      expiresIn: '24h'
-    };
-  } catch (error) {
+  const user = await User.findByPk(decoded.id);
+
+  if (!user || !user.isActive) {
     throw new UnauthorizedError('Invalid refresh token');
   }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const [claimed] = await RefreshToken.update(
+    { usedAt: new Date() },
+    { where: { id: storedToken.id, usedAt: null, revokedAt: null } }
+  );
+
+  if (claimed === 0) {
+    // Either a concurrent refresh rotated it first, or the session was revoked meanwhile
+    await storedToken.reload();
+    if (storedToken.usedAt) {
+      await handleRefreshTokenReuse(storedToken, context);
+    }
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
+
+  const tokens = await issueTokens(user, storedToken.familyId, context);
+  await storedToken.update({ replacedBy: jwt.decode(tokens.refreshToken).jti });
+
+  return tokens;
 }
 
 // Get current user profile
@@ -223,11 +533,13 @@ async function updateProfile(userId, updateData) {
     throw new NotFoundError('User not found');
   }
 
+  const { firstName, lastName } = updateData;
+  const profileData = getSelfEditableProfileData(user.role, updateData.profileData);
+
   const transaction = await User.sequelize.transaction();
 
   try {
     // Update user basic info
-    const { firstName, lastName, profileData = {} } = updateData;
 
     if (firstName) user.firstName = firstName.trim();
     if (lastName) user.lastName = lastName.trim();
@@ -290,11 +602,285 @@ async function changePassword(userId, currentPassword, newPassword) {
     throw new ValidationError('New password must be different from current password');
   }
 
-  // Update password
+  await assertPasswordAllowed(newPassword, { user, field: 'newPassword' });
+
+  // Update password, keeping the old one so it cannot be reused
+  await recordPasswordHistory(user);
   user.password = newPassword;
   await user.save();
 
-  return { message: 'Password changed successfully' };
+  // Existing sessions were authenticated with the old password
+  await revokeAllSessions(user.id, 'password_changed');
+
+  return { message: 'Password changed successfully. Please login again.' };
+}
+
+// Logout user by revoking the access token and its refresh token family
+async function logout(accessTokenPayload, refreshToken) {
+  await revokeToken(accessTokenPayload);
+
+  if (accessTokenPayload.familyId) {
+    await revokeSessionFamily(accessTokenPayload.familyId, 'logout');
+  }
+
+  if (refreshToken) {
+    try {
+      const decoded = jwt.verify(
+        refreshToken,
+        process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+      );
+
+      if (decoded.id === accessTokenPayload.id && decoded.familyId !== accessTokenPayload.familyId) {
+        await revokeSessionFamily(decoded.familyId, 'logout');
+      }
+    } catch (error) {
+      // An invalid or expired refresh token cannot be used anyway
+    }
+  }
+
+  return { message: 'Logout successful' };
+}
+
+// Hash a one-time token so the raw value is never stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a single-use token for a purpose, invalidating any earlier one for the user
+async function issueOneTimeToken(purpose, userId, ttl) {
+  const previousTokenHash = await redisClient.get(`${purpose}_user:${userId}`);
+  if (previousTokenHash) {
+    await redisClient.del(`${purpose}:${previousTokenHash}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokenHash = hashToken(token);
+
+  await redisClient.setEx(`${purpose}:${tokenHash}`, ttl, String(userId));
+  await redisClient.setEx(`${purpose}_user:${userId}`, ttl, tokenHash);
+
+  return token;
+}
+
+// User id a single-use token was issued to, or null, without using it up
+async function peekOneTimeToken(purpose, token) {
+  const userId = await redisClient.get(`${purpose}:${hashToken(token)}`);
+  return userId ? parseInt(userId) : null;
+}
+
+// Consume a single-use token, returning the user id it was issued to or null
+async function consumeOneTimeToken(purpose, token) {
+  const tokenHash = hashToken(token);
+  const userId = await redisClient.get(`${purpose}:${tokenHash}`);
+
+  if (!userId) {
+    return null;
+  }
+
+  // Only the request that actually deletes the key may use the token
+  const removed = await redisClient.del(`${purpose}:${tokenHash}`);
+  if (removed === 0) {
+    return null;
+  }
+  await redisClient.del(`${purpose}_user:${userId}`);
+
+  return parseInt(userId);
+}
+
+// Count a request against a per-email limit; returns true once the limit is exceeded
+async function isEmailRateLimited(action, email, maxRequests, windowSeconds) {
+  const attemptsKey = `${action}_attempts:${email}`;
+  const attempts = await redisClient.incr(attemptsKey);
+  if (attempts === 1) {
+    await redisClient.expire(attemptsKey, windowSeconds);
+  }
+  return attempts > maxRequests;
+}
+
+// Build a link into the frontend carrying a one-time token
+function buildFrontendLink(path, token) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/${path}?token=${token}`;
+}
+
+// Request a password reset link. Always resolves the same way so callers
+// cannot tell whether the email belongs to an account.
+async function forgotPassword(email) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const response = {
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  if (await isEmailRateLimited('password_reset', normalizedEmail, PASSWORD_RESET_MAX_REQUESTS, PASSWORD_RESET_WINDOW)) {
+    return response;
+  }
+
+  const user = await User.findOne({ where: { email: normalizedEmail } });
+  if (!user || !user.isActive) {
+    return response;
+  }
+
+  const resetToken = await issueOneTimeToken('password_reset', user.id, PASSWORD_RESET_TOKEN_TTL);
+  const resetUrl = buildFrontendLink('reset-password', resetToken);
+
+  await queueEmail({
+    to: user.email,
+    subject: 'Password Reset Request',
+    text: `
+        Dear ${user.firstName},
+        
+        We received a request to reset the password for your account.
+        
+        Reset your password using the link below. The link expires in 1 hour and can only be used once:
+        
+        ${resetUrl}
+        
+        If you did not request a password reset, you can safely ignore this email.
+        
+        Best regards,
+        Course Management System
+      `,
+    type: 'password-reset'
+  });
+
+  return response;
+}
+
+// Token purposes that let a user set a password. Invites have their own purpose so a
+// password reset request does not invalidate an outstanding invite.
+const SET_PASSWORD_TOKEN_PURPOSES = ['password_reset', 'user_invite'];
+
+// Reset a password using a token from forgotPassword or sendInviteEmail
+async function resetPassword(resetToken, newPassword) {
+  let purpose = null;
+  let userId = null;
+  for (const candidate of SET_PASSWORD_TOKEN_PURPOSES) {
+    userId = await peekOneTimeToken(candidate, resetToken);
+    if (userId) {
+      purpose = candidate;
+      break;
+    }
+  }
+
+  if (!userId) {
+    throw new UnauthorizedError('Invalid or expired password reset token');
+  }
+
+  const user = await User.scope('withPassword').findByPk(userId);
+
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError('Invalid or expired password reset token');
+  }
+
+  // Check the policy before using up the token so a rejected password can be retried
+  await assertPasswordAllowed(newPassword, { user, field: 'newPassword' });
+
+  if (await consumeOneTimeToken(purpose, resetToken) !== userId) {
+    throw new UnauthorizedError('Invalid or expired password reset token');
+  }
+
+  await recordPasswordHistory(user);
+  user.password = newPassword;
+  // The token was delivered by email, so using it proves the address is real
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeAllSessions(user.id, 'password_reset');
+
+  return { message: 'Password has been reset successfully. Please login with your new password.' };
+}
+
+// Email a verification link to a user
+async function sendVerificationEmail(user) {
+  const verificationToken = await issueOneTimeToken('email_verification', user.id, EMAIL_VERIFICATION_TOKEN_TTL);
+  const verificationUrl = buildFrontendLink('verify-email', verificationToken);
+
+  await queueEmail({
+    to: user.email,
+    subject: 'Verify Your Email Address',
+    text: `
+        Dear ${user.firstName},
+        
+        Welcome to the Course Management System. Please confirm your email address using the link below:
+        
+        ${verificationUrl}
+        
+        The link expires in 24 hours. You will not be able to use the platform until your email is verified.
+        
+        Best regards,
+        Course Management System
+      `,
+    type: 'email-verification'
+  });
+}
+
+// Email an invitation to choose a password to a user created by a manager.
+// The link is accepted by resetPassword and also verifies the address.
+async function sendInviteEmail(user) {
+  const inviteToken = await issueOneTimeToken('user_invite', user.id, INVITE_TOKEN_TTL);
+  const inviteUrl = buildFrontendLink('reset-password', inviteToken);
+
+  await queueEmail({
+    to: user.email,
+    subject: 'You Have Been Invited to the Course Management System',
+    text: `
+        Dear ${user.firstName},
+        
+        An account has been created for you on the Course Management System.
+        
+        Choose your password using the link below. The link expires in 7 days and can only be used once:
+        
+        ${inviteUrl}
+        
+        Best regards,
+        Course Management System
+      `,
+    type: 'user-invite'
+  });
+}
+
+// Verify an email address using a token from sendVerificationEmail
+async function verifyEmail(verificationToken) {
+  const userId = await consumeOneTimeToken('email_verification', verificationToken);
+
+  if (!userId) {
+    throw new UnauthorizedError('Invalid or expired verification token');
+  }
+
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new UnauthorizedError('Invalid or expired verification token');
+  }
+
+  if (!user.isEmailVerified) {
+    await user.markEmailVerified();
+  }
+
+  return { message: 'Email verified successfully' };
+}
+
+// Resend the verification email. Responds the same way for unknown or verified emails.
+async function resendVerificationEmail(email) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const response = {
+    message: 'If an unverified account exists for this email, a verification link has been sent.'
+  };
+
+  if (await isEmailRateLimited('email_verification', normalizedEmail, EMAIL_VERIFICATION_MAX_REQUESTS, EMAIL_VERIFICATION_WINDOW)) {
+    return response;
+  }
+
+  const user = await User.findOne({ where: { email: normalizedEmail } });
+  if (!user || !user.isActive || user.isEmailVerified) {
+    return response;
+  }
+
+  await sendVerificationEmail(user);
+
+  return response;
 }
 
 // Get user with profile information
@@ -319,6 +905,8 @@ async function deactivateUser(userId) {
   user.isActive = false;
   await user.save();
 
+  await revokeAllSessions(user.id, 'deactivated');
+
   return { message: 'User account deactivated successfully' };
 }
 
@@ -330,21 +918,67 @@ async function activateUser(userId) {
     throw new NotFoundError('User not found');
   }
 
+  if (user.erasedAt) {
+    throw new ConflictError('Erased accounts cannot be reactivated');
+  }
+
   user.isActive = true;
   await user.save();
 
   return { message: 'User account activated successfully' };
 }
 
+// Change a user's role profile, including the fields they cannot change themselves (Admin only)
+async function updateUserProfile(userId, profileData) {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const changes = getAdminEditableProfileData(user.role, profileData);
+  const Profile = { manager: Manager, facilitator: Facilitator, student: Student }[user.role];
+  const profile = Profile ? await Profile.findOne({ where: { userId } }) : null;
+
+  if (!profile) {
+    throw new NotFoundError('Profile not found');
+  }
+
+  await profile.update(changes);
+
+  return await getUserWithProfile(userId);
+}
+
 module.exports = {
   generateToken,
   generateRefreshToken,
+  issueTokens,
+  buildFrontendLink,
+  isStudentSelfRegistrationEnabled,
+  PROFILE_FIELDS,
+  SELF_EDITABLE_PROFILE_FIELDS,
+  REQUIRED_PROFILE_FIELDS,
+  getSelfEditableProfileData,
+  getAdminEditableProfileData,
+  getProfileRequirementError,
+  buildInvitedProfile,
+  createUserWithProfile,
   register,
   login,
+  loginWithVerifiedIdentity,
+  loginWithTwoFactor,
   refreshToken,
+  logout,
   getCurrentUser,
   updateProfile,
+  updateUserProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  sendVerificationEmail,
+  sendInviteEmail,
+  verifyEmail,
+  resendVerificationEmail,
   getUserWithProfile,
   deactivateUser,
   activateUser
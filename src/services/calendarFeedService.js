@@ -0,0 +1,322 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  CalendarFeed,
+  CourseOffering,
+  ActivityTracker,
+  Module,
+  Cohort,
+  Class,
+  Facilitator,
+  Mode,
+  User,
+  Manager
+} = require('../models');
+const { ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+const { SCHEDULE_INCLUDES } = require('./scheduleService');
+const { planFromOffering, getScheduleSlots } = require('./scheduleConflictService');
+const { getModuleScope } = require('./departmentScopeService');
+const { getWeekday, toDateOnly, toUtcDate } = require('../utils/schedule');
+const { buildCalendar, nextDate } = require('../utils/ical');
+
+// Every feed token starts with this so it can be recognised in logs and URLs
+const FEED_TOKEN_PREFIX = 'cal_';
+
+// Right-hand side of event UIDs, which must be globally unique
+const UID_DOMAIN = 'calendar.course-management-platform';
+
+// Only write last-accessed times this often; calendar apps poll feeds repeatedly
+const LAST_ACCESSED_UPDATE_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// The model each scope's targetId refers to, and the offering column it filters on
+const FEED_TARGETS = {
+  facilitator: { model: Facilitator, field: 'facilitatorId' },
+  cohort: { model: Cohort, field: 'cohortId' },
+  class: { model: Class, field: 'classId' }
+};
+
+// Offering details shown in feed events
+const FEED_OFFERING_INCLUDES = [
+  { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+  { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+  { model: Class, as: 'class', attributes: ['id', 'name', 'startDate', 'endDate'] },
+  { model: Mode, as: 'mode', attributes: ['id', 'name', 'type'] },
+  {
+    model: Facilitator,
+    as: 'facilitator',
+    attributes: ['id', 'employeeId'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+  },
+  ...SCHEDULE_INCLUDES
+];
+
+// Check the feed target exists and the user may follow it. Facilitators may only
+// follow their own timetable; managers may follow any facilitator, cohort or class.
+async function resolveFeedTarget(user, scope, targetId) {
+  if (user.role === 'facilitator') {
+    const ownId = user.facilitatorProfile ? user.facilitatorProfile.id : null;
+    if (scope !== 'facilitator' || !ownId || (targetId && targetId !== ownId)) {
+      throw new ForbiddenError('Facilitators can only create a feed for their own timetable');
+    }
+    return ownId;
+  }
+
+  const { model } = FEED_TARGETS[scope];
+  const target = targetId ? await model.findByPk(targetId) : null;
+  if (!target) {
+    throw new NotFoundError(`${scope.charAt(0).toUpperCase()}${scope.slice(1)} not found`);
+  }
+
+  return target.id;
+}
+
+// Create a feed for a facilitator, cohort or class. The raw token is only returned here.
+async function createCalendarFeed(user, { scope, targetId }) {
+  const resolvedTargetId = await resolveFeedTarget(user, scope, targetId);
+  const tokenPrefix = `${FEED_TOKEN_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  const token = `${tokenPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const feed = await CalendarFeed.create({
+    userId: user.id,
+    scope,
+    targetId: resolvedTargetId,
+    tokenPrefix,
+    tokenHash: CalendarFeed.hashToken(token)
+  });
+
+  return { feed, token };
+}
+
+// List the feeds a user has created, newest first
+async function listCalendarFeeds(userId) {
+  return await CalendarFeed.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+// Revoke a feed. Users may revoke their own feeds; canManageAll allows any feed.
+async function revokeCalendarFeed(feedId, userId, canManageAll = false) {
+  const feed = await CalendarFeed.findByPk(feedId);
+
+  if (!feed || (!canManageAll && feed.userId !== userId)) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  if (!feed.revokedAt) {
+    feed.revokedAt = new Date();
+    await feed.save();
+  }
+
+  return { message: 'Calendar feed revoked successfully' };
+}
+
+// Look up a raw token, returning the feed only if it is not revoked and its creator
+// can still sign in
+async function findUsableFeed(token) {
+  const feed = await CalendarFeed.findByToken(token, {
+    include: [{
+      model: User,
+      as: 'user',
+      include: [{ model: Manager, as: 'managerProfile' }]
+    }]
+  });
+
+  if (!feed || !feed.isUsable() || !feed.user || !feed.user.isActive || feed.user.erasedAt) {
+    return null;
+  }
+
+  return feed;
+}
+
+// Record when a feed was last fetched
+async function recordFeedAccess(feed) {
+  const lastAccessed = feed.lastAccessedAt ? new Date(feed.lastAccessedAt).getTime() : 0;
+  if (Date.now() - lastAccessed < LAST_ACCESSED_UPDATE_INTERVAL) {
+    return;
+  }
+
+  feed.lastAccessedAt = new Date();
+  await feed.save();
+}
+
+// Every YYYY-MM-DD date from one date to another, inclusive
+function eachDate(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = nextDate(date)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+function getFacilitatorName(facilitator) {
+  return facilitator && facilitator.user
+    ? `${facilitator.user.firstName} ${facilitator.user.lastName}`
+    : null;
+}
+
+// Title and details shared by every event of an offering
+function describeOffering(offering) {
+  const title = offering.module ? `${offering.module.code} ${offering.module.name}` : `Course allocation ${offering.id}`;
+  const details = [
+    offering.cohort && `Cohort: ${offering.cohort.name}`,
+    offering.class && `Class: ${offering.class.name}`,
+    offering.mode && `Mode: ${offering.mode.name}`,
+    getFacilitatorName(offering.facilitator) && `Facilitator: ${getFacilitatorName(offering.facilitator)}`
+  ].filter(Boolean);
+
+  return { title, details };
+}
+
+/**
+ * Events for an offering: one per weekly session on each date it runs, skipping
+ * cancellations, and one per make-up session. An offering without sessions is shown
+ * as an all-day event over its dates. Times are converted to UTC from each session's
+ * time zone on the day, so daylight saving changes are honoured.
+ */
+function buildOfferingEvents(offering) {
+  const { title, details } = describeOffering(offering);
+  const startDate = toDateOnly(offering.startDate || (offering.class && offering.class.startDate));
+  const endDate = toDateOnly(offering.endDate || (offering.class && offering.class.endDate));
+  const slots = getScheduleSlots({ ...planFromOffering(offering), startDate, endDate });
+  const lastModified = offering.updatedAt;
+
+  if (slots.length === 0) {
+    return startDate && endDate
+      ? [{
+        uid: `course-allocation-${offering.id}@${UID_DOMAIN}`,
+        start: startDate,
+        end: endDate,
+        allDay: true,
+        summary: title,
+        description: [...details, 'No weekly sessions scheduled'].join('\n'),
+        location: offering.location,
+        lastModified
+      }]
+      : [];
+  }
+
+  return slots.flatMap(slot => {
+    // Weekly sessions need both offering dates to know when they run
+    const dates = slot.kind === 'makeup'
+      ? [slot.date]
+      : slot.from && slot.to
+        ? eachDate(slot.from, slot.to).filter(date => getWeekday(date) === slot.weekday && !slot.cancelledOn.includes(date))
+        : [];
+
+    return dates.map(date => ({
+      uid: `${slot.kind}-${slot.id}-${date}@${UID_DOMAIN}`,
+      start: toUtcDate(date, slot.startTime, slot.timezone),
+      end: toUtcDate(date, slot.endTime, slot.timezone),
+      summary: slot.kind === 'makeup' ? `${title} (make-up session)` : title,
+      description: details.join('\n'),
+      location: slot.location,
+      lastModified
+    }));
+  });
+}
+
+// A Date as a YYYY-MM-DD date in server local time, as ActivityTracker computes deadlines
+function toLocalDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+// All-day events for activity logs still to be submitted, on ActivityTracker.getDeadline
+function buildDeadlineEvents(activities, offerings) {
+  const offeringsById = new Map(offerings.map(offering => [offering.id, offering]));
+
+  return activities.map(activity => {
+    const offering = offeringsById.get(activity.allocationId);
+    const { title, details } = describeOffering(offering);
+
+    return {
+      uid: `activity-log-${activity.id}@${UID_DOMAIN}`,
+      start: toLocalDate(activity.getDeadline()),
+      allDay: true,
+      summary: `Activity log due: ${title}, week ${activity.weekNumber}`,
+      description: details.join('\n'),
+      lastModified: activity.updatedAt
+    };
+  });
+}
+
+// Orders timed and all-day events by when they start
+function getSortKey(event) {
+  return event.start instanceof Date ? event.start.toISOString() : String(event.start);
+}
+
+// Calendar name shown by calendar apps
+async function getFeedName(feed) {
+  const { model } = FEED_TARGETS[feed.scope];
+  const target = await model.findByPk(feed.targetId, feed.scope === 'facilitator'
+    ? { include: [{ model: User, as: 'user', attributes: ['firstName', 'lastName'] }] }
+    : {});
+
+  if (!target) return null;
+
+  return feed.scope === 'facilitator'
+    ? `Teaching timetable: ${getFacilitatorName(target)}`
+    : `${feed.scope === 'cohort' ? 'Cohort' : 'Class'} timetable: ${target.name}`;
+}
+
+/**
+ * The iCalendar document for a feed, built from the current allocations each time it
+ * is fetched so calendar apps pick up changes when they next refresh. Feeds created by
+ * department-scoped managers only include that department's modules.
+ *
+ * @returns {Promise<string|null>} null when the feed's target no longer exists
+ */
+async function buildFeedCalendar(feed) {
+  const name = await getFeedName(feed);
+  if (!name) return null;
+
+  const conditions = [
+    { [FEED_TARGETS[feed.scope].field]: feed.targetId },
+    { isActive: true, status: { [Op.ne]: 'cancelled' } }
+  ];
+
+  const managerProfile = feed.user && feed.user.role === 'manager' ? feed.user.managerProfile : null;
+  const moduleIds = await getModuleScope(managerProfile);
+  if (moduleIds !== null) conditions.push({ moduleId: { [Op.in]: moduleIds } });
+
+  const offerings = await CourseOffering.findAll({
+    where: { [Op.and]: conditions },
+    include: FEED_OFFERING_INCLUDES,
+    order: [['id', 'ASC']]
+  });
+
+  const activities = offerings.length > 0
+    ? await ActivityTracker.findAll({
+      where: {
+        allocationId: { [Op.in]: offerings.map(offering => offering.id) },
+        submittedAt: null,
+        ...(feed.scope === 'facilitator' && { facilitatorId: feed.targetId })
+      },
+      order: [['weekNumber', 'ASC']]
+    })
+    : [];
+
+  const events = [
+    ...offerings.flatMap(buildOfferingEvents),
+    ...buildDeadlineEvents(activities, offerings)
+  ].sort((a, b) => getSortKey(a).localeCompare(getSortKey(b)));
+
+  return buildCalendar({ name, events });
+}
+
+module.exports = {
+  createCalendarFeed,
+  listCalendarFeeds,
+  revokeCalendarFeed,
+  findUsableFeed,
+  recordFeedAccess,
+  buildOfferingEvents,
+  buildDeadlineEvents,
+  buildFeedCalendar
+};
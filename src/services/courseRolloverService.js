@@ -0,0 +1,297 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, CourseOffering, Facilitator, Module, Cohort, Class, User } = require('../models');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { SCHEDULE_INCLUDES, replaceSchedule } = require('./scheduleService');
+const { buildSchedulePlan, findScheduleConflicts, findPlanConflicts } = require('./scheduleConflictService');
+const { getModuleScope, restrictToScope } = require('./departmentScopeService');
+const { toDateOnly, addDays, daysBetween } = require('../utils/schedule');
+
+// Fields copied from a source allocation to its clone
+const COPIED_FIELDS = ['moduleId', 'modeId', 'maxEnrollment', 'location', 'notes'];
+
+// Why a source allocation is not cloned
+const SKIP_REASONS = {
+  unchanged: 'The target is the same module, cohort and class as the source',
+  exists: 'A course allocation already exists for this module, cohort and class',
+  duplicate: 'Another allocation in this rollover already creates this module, cohort and class'
+};
+
+// Matches the unique_module_cohort_class index
+function getAllocationKey({ moduleId, cohortId, classId }) {
+  return `${moduleId}:${cohortId}:${classId}`;
+}
+
+// Weekly sessions of a loaded allocation in the API shape. Exceptions fall on dates of the
+// source term, so they are not copied.
+function copySchedule(offering) {
+  const { schedule } = offering.toJSON ? offering.toJSON() : offering;
+  const sessions = (schedule && schedule.sessions) || [];
+  if (sessions.length === 0) return null;
+
+  return {
+    sessions: sessions.map(({ weekday, startTime, endTime, timezone, location }) => ({
+      weekday, startTime, endTime, timezone, location
+    })),
+    exceptions: []
+  };
+}
+
+/**
+ * The allocations a rollover creates and the source allocations it skips. Each clone
+ * moves to the target class and/or cohort and is a draft. Moving to another class shifts
+ * its dates by the days between the source and target class start dates, so an allocation
+ * that started a week into its term starts a week into the new one.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.offerings - Source allocations with their class and schedule
+ * @param {Object} options.target - { classId, cohortId }; a missing id keeps the source's
+ * @param {Object} [options.targetClass] - Target class with startDate and endDate
+ * @param {Set<string>} options.existingKeys - getAllocationKey of allocations that already exist
+ * @param {boolean} [options.keepFacilitators=false] - Copy facilitators instead of leaving clones unassigned
+ */
+function buildRolloverPlan({ offerings, target, targetClass, existingKeys, keepFacilitators = false }) {
+  const allocations = [];
+  const skipped = [];
+  const planned = new Set();
+
+  offerings.forEach(offering => {
+    const values = {
+      moduleId: offering.moduleId,
+      cohortId: target.cohortId || offering.cohortId,
+      classId: target.classId || offering.classId
+    };
+    const key = getAllocationKey(values);
+    const reason = key === getAllocationKey(offering)
+      ? 'unchanged'
+      : existingKeys.has(key) ? 'exists' : planned.has(key) ? 'duplicate' : null;
+
+    if (reason) {
+      skipped.push({ sourceId: offering.id, ...values, module: offering.module, reason: SKIP_REASONS[reason] });
+      return;
+    }
+    planned.add(key);
+
+    const shift = values.classId !== offering.classId && targetClass && offering.class
+      ? daysBetween(offering.class.startDate, targetClass.startDate)
+      : 0;
+    const [startDate, endDate] = [offering.startDate, offering.endDate]
+      .map(date => date ? addDays(date, shift) : null);
+
+    const warnings = [];
+    if (endDate && targetClass && values.classId === targetClass.id && endDate > toDateOnly(targetClass.endDate)) {
+      warnings.push(`Ends on ${endDate}, after the target class ends on ${toDateOnly(targetClass.endDate)}`);
+    }
+
+    const copied = {};
+    COPIED_FIELDS.forEach(field => { copied[field] = offering[field]; });
+
+    allocations.push({
+      sourceId: offering.id,
+      ...copied,
+      ...values,
+      module: offering.module,
+      facilitatorId: keepFacilitators ? offering.facilitatorId || null : null,
+      startDate,
+      endDate,
+      schedule: copySchedule(offering),
+      warnings
+    });
+  });
+
+  return { allocations, skipped };
+}
+
+// Clashes between a clone's plan and the clones accepted before it in the same rollover,
+// each given as { sourceId, plan }
+function findCloneConflicts(plan, clones) {
+  return clones.flatMap(clone => findPlanConflicts(plan, clone.plan)
+    .map(conflict => ({ ...conflict, sourceId: clone.sourceId })));
+}
+
+// Check each kept facilitator can take the clone: an active, available account with room
+// in their course load and no overlapping session, with existing allocations or earlier
+// clones. Facilitators who cannot are removed with a warning. Room clashes are only warned about.
+async function checkRolloverConflicts(allocations) {
+  const facilitatorIds = [...new Set(allocations.map(allocation => allocation.facilitatorId).filter(Boolean))];
+  const facilitators = await Facilitator.findAll({
+    where: { id: { [Op.in]: facilitatorIds } },
+    include: [{ model: User, as: 'user', attributes: ['id', 'isActive', 'erasedAt'] }]
+  });
+  const loads = new Map(await Promise.all(facilitators.map(async facilitator =>
+    [facilitator.id, await facilitator.getCurrentCourseLoad()]
+  )));
+  const facilitatorsById = new Map(facilitators.map(facilitator => [facilitator.id, facilitator]));
+  const clones = [];
+
+  for (const allocation of allocations) {
+    const plan = allocation.schedule ? await buildSchedulePlan(allocation, allocation.schedule) : null;
+    const conflicts = plan
+      ? [...await findScheduleConflicts(plan), ...findCloneConflicts(plan, clones)]
+      : [];
+
+    conflicts.filter(conflict => conflict.type === 'room').forEach(conflict => {
+      const bookedBy = conflict.courseOffering
+        ? `course allocation ${conflict.courseOffering.id}`
+        : `the clone of course allocation ${conflict.sourceId}`;
+      allocation.warnings.push(`Room ${conflict.session.location} is also booked by ${bookedBy}`);
+    });
+
+    if (allocation.facilitatorId) {
+      const facilitator = facilitatorsById.get(allocation.facilitatorId);
+      const load = loads.get(allocation.facilitatorId) || 0;
+      const teachingConflicts = conflicts.filter(conflict => conflict.type === 'facilitator');
+      let reason = null;
+
+      if (!facilitator || !facilitator.user || !facilitator.user.isActive || facilitator.user.erasedAt) {
+        reason = 'their account is no longer active';
+      } else if (!facilitator.isAvailable) {
+        reason = 'they are not available';
+      } else if (load >= facilitator.maxCourseLoad) {
+        reason = `they are at maximum course load (${load}/${facilitator.maxCourseLoad})`;
+      } else if (teachingConflicts.length > 0) {
+        reason = `they teach ${teachingConflicts.length} overlapping session${teachingConflicts.length === 1 ? '' : 's'}`;
+      }
+
+      if (reason) {
+        allocation.warnings.push(`Facilitator ${allocation.facilitatorId} was not kept because ${reason}`);
+        allocation.facilitatorId = null;
+      } else {
+        loads.set(allocation.facilitatorId, load + 1);
+      }
+    }
+
+    // Later clones are checked against this one, with the facilitator it ends up with
+    if (plan) {
+      clones.push({ sourceId: allocation.sourceId, plan: { ...plan, facilitatorId: allocation.facilitatorId } });
+    }
+  }
+
+  return allocations;
+}
+
+// Look up the source and target of a rollover, which each need a class or cohort
+async function resolveRollover({ sourceClassId, sourceCohortId, targetClassId, targetCohortId }) {
+  const errors = [];
+  if (!sourceClassId && !sourceCohortId) {
+    errors.push({ field: 'sourceClassId', message: 'A source class or cohort is required' });
+  }
+  if (!targetClassId && !targetCohortId) {
+    errors.push({ field: 'targetClassId', message: 'A target class or cohort is required' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid rollover', errors);
+  }
+
+  const [sourceClass, sourceCohort, targetClass, targetCohort] = await Promise.all([
+    sourceClassId ? Class.findByPk(sourceClassId) : null,
+    sourceCohortId ? Cohort.findByPk(sourceCohortId) : null,
+    targetClassId ? Class.findByPk(targetClassId) : null,
+    targetCohortId ? Cohort.findByPk(targetCohortId) : null
+  ]);
+
+  if ((sourceClassId && !sourceClass) || (targetClassId && !targetClass)) {
+    throw new NotFoundError('Class not found');
+  }
+  if ((sourceCohortId && !sourceCohort) || (targetCohortId && !targetCohort)) {
+    throw new NotFoundError('Cohort not found');
+  }
+
+  return { sourceClass, sourceCohort, targetClass, targetCohort };
+}
+
+/**
+ * Preview cloning every allocation of a class and/or cohort into another class and/or
+ * cohort. Cancelled allocations and, for department-scoped managers, other departments'
+ * modules are left out. Nothing is saved.
+ *
+ * @param {Object} options
+ * @param {number} [options.sourceClassId]
+ * @param {number} [options.sourceCohortId]
+ * @param {number} [options.targetClassId]
+ * @param {number} [options.targetCohortId]
+ * @param {boolean} [options.keepFacilitators=false]
+ * @param {Object} [managerProfile]
+ */
+async function previewRollover(options, managerProfile) {
+  const { sourceClass, sourceCohort, targetClass, targetCohort } = await resolveRollover(options);
+
+  const where = { isActive: true, status: { [Op.ne]: 'cancelled' } };
+  if (sourceClass) where.classId = sourceClass.id;
+  if (sourceCohort) where.cohortId = sourceCohort.id;
+
+  const offerings = await CourseOffering.findAll({
+    where: restrictToScope(where, 'moduleId', await getModuleScope(managerProfile)),
+    include: [
+      { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+      { model: Class, as: 'class', attributes: ['id', 'name', 'startDate', 'endDate'] },
+      ...SCHEDULE_INCLUDES
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  const target = { classId: targetClass ? targetClass.id : null, cohortId: targetCohort ? targetCohort.id : null };
+  const existing = offerings.length > 0
+    ? await CourseOffering.findAll({
+      where: {
+        moduleId: { [Op.in]: [...new Set(offerings.map(offering => offering.moduleId))] },
+        cohortId: target.cohortId || { [Op.in]: [...new Set(offerings.map(offering => offering.cohortId))] },
+        classId: target.classId || { [Op.in]: [...new Set(offerings.map(offering => offering.classId))] }
+      },
+      attributes: ['moduleId', 'cohortId', 'classId']
+    })
+    : [];
+
+  const { allocations, skipped } = buildRolloverPlan({
+    offerings,
+    target,
+    targetClass,
+    existingKeys: new Set(existing.map(getAllocationKey)),
+    keepFacilitators: Boolean(options.keepFacilitators)
+  });
+
+  return {
+    source: { class: sourceClass, cohort: sourceCohort },
+    target: { class: targetClass, cohort: targetCohort },
+    keepFacilitators: Boolean(options.keepFacilitators),
+    allocations: await checkRolloverConflicts(allocations),
+    skipped
+  };
+}
+
+/**
+ * Clone the allocations previewRollover lists, all or none, as drafts managed by the
+ * manager. Skipped allocations are returned again so the response matches the preview.
+ */
+async function applyRollover(options, managerProfile) {
+  const preview = await previewRollover(options, managerProfile);
+
+  const created = await sequelize.transaction(async (transaction) => {
+    const offerings = [];
+    for (const allocation of preview.allocations) {
+      const { sourceId, module, schedule, warnings, ...values } = allocation;
+      const offering = await CourseOffering.create({
+        ...values,
+        managerId: managerProfile.id,
+        status: 'draft'
+      }, { transaction });
+
+      if (schedule) {
+        await replaceSchedule(offering.id, schedule, transaction);
+      }
+      offerings.push({ sourceId, allocation: offering, warnings });
+    }
+    return offerings;
+  });
+
+  return { ...preview, allocations: created };
+}
+
+module.exports = {
+  getAllocationKey,
+  buildRolloverPlan,
+  findCloneConflicts,
+  previewRollover,
+  applyRollover
+};
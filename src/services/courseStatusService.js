@@ -0,0 +1,220 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, CourseOffering, CourseOfferingStatusChange, Module, User } = require('../models');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { assertCanManageCourse } = require('./departmentScopeService');
+const { getLocalDate, toDateOnly } = require('../utils/schedule');
+
+/**
+ * Status transitions, by action. Completed and cancelled offerings are final.
+ *
+ *   draft --schedule--> scheduled --activate--> active --complete--> completed
+ *   scheduled --unschedule--> draft
+ *   draft, scheduled or active --cancel--> cancelled
+ */
+const STATUS_ACTIONS = {
+  schedule: { from: ['draft'], to: 'scheduled' },
+  unschedule: { from: ['scheduled'], to: 'draft' },
+  activate: { from: ['scheduled'], to: 'active' },
+  complete: { from: ['active'], to: 'completed' },
+  cancel: { from: ['draft', 'scheduled', 'active'], to: 'cancelled' }
+};
+
+// Reasons recorded for changes made by the daily job
+const AUTOMATIC_REASONS = {
+  activate: 'Start date reached',
+  complete: 'End date passed'
+};
+
+/**
+ * Why an offering cannot take an action, as { field, message } errors; empty when it can.
+ * Scheduling needs a facilitator and dates, activating needs the start date to have been
+ * reached, completing needs the offering to have started, and cancelling needs a reason.
+ *
+ * @param {Object} offering - facilitatorId, startDate and endDate
+ * @param {string} action - A key of STATUS_ACTIONS
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.today] - YYYY-MM-DD, defaults to today in the schedule time zone
+ */
+function getTransitionErrors(offering, action, { reason, today = getLocalDate() } = {}) {
+  const errors = [];
+  const startDate = toDateOnly(offering.startDate);
+  const endDate = toDateOnly(offering.endDate);
+  const check = (condition, field, message) => {
+    if (!condition) errors.push({ field, message });
+  };
+
+  switch (action) {
+    case 'schedule':
+      check(offering.facilitatorId, 'facilitatorId', 'A facilitator must be assigned before scheduling');
+      check(startDate && endDate, 'startDate', 'Start and end dates are required before scheduling');
+      check(!endDate || endDate >= today, 'endDate', 'Cannot schedule a course allocation that has already ended');
+      break;
+    case 'activate':
+      check(offering.facilitatorId, 'facilitatorId', 'A facilitator must be assigned before activating');
+      check(startDate && startDate <= today, 'startDate', `Cannot activate before the start date${startDate ? ` (${startDate})` : ''}`);
+      break;
+    case 'complete':
+      check(startDate && startDate <= today, 'startDate', 'Cannot complete a course allocation that has not started');
+      break;
+    case 'cancel':
+      check(reason && String(reason).trim(), 'reason', 'A reason is required to cancel');
+      break;
+  }
+
+  return errors;
+}
+
+// Actions the daily job takes for an offering on a date, from its start and end dates
+function getAutomaticActions(offering, today = getLocalDate()) {
+  const actions = [];
+  let status = offering.status;
+
+  if (status === 'scheduled' && getTransitionErrors(offering, 'activate', { today }).length === 0) {
+    actions.push('activate');
+    status = 'active';
+  }
+
+  const endDate = toDateOnly(offering.endDate);
+  if (status === 'active' && endDate && endDate < today) {
+    actions.push('complete');
+  }
+
+  return actions;
+}
+
+// Change an offering's status and record who did it and why
+async function recordTransition(offering, action, { changedBy = null, reason = null, automatic = false }, transaction) {
+  const fromStatus = offering.status;
+  offering.status = STATUS_ACTIONS[action].to;
+  await offering.save({ transaction });
+
+  return await CourseOfferingStatusChange.create({
+    courseOfferingId: offering.id,
+    action,
+    fromStatus,
+    toStatus: offering.status,
+    reason: reason ? String(reason).trim() : null,
+    changedBy,
+    automatic
+  }, { transaction });
+}
+
+/**
+ * Move a course allocation to another status, checking the transition is allowed and
+ * its guards pass.
+ *
+ * @param {number} allocationId
+ * @param {string} action - schedule, unschedule, activate, complete or cancel
+ * @param {Object} options
+ * @param {Object} options.actor - User making the change
+ * @param {Object} [options.managerProfile] - Restricts department-scoped managers to their modules
+ * @param {string} [options.reason] - Required to cancel
+ */
+async function transitionOffering(allocationId, action, { actor, managerProfile, reason }) {
+  const { offering, statusChange } = await sequelize.transaction(async (transaction) => {
+    // Lock the row so concurrent requests check the status one at a time
+    const offering = await CourseOffering.findByPk(allocationId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!offering) {
+      throw new NotFoundError('Course allocation not found');
+    }
+
+    await assertCanManageCourse(managerProfile, offering);
+
+    const { from, to } = STATUS_ACTIONS[action];
+    if (!from.includes(offering.status)) {
+      throw new ConflictError(`Cannot ${action} a course allocation that is ${offering.status}`);
+    }
+
+    const errors = getTransitionErrors(offering, action, { reason });
+    if (errors.length > 0) {
+      throw new ValidationError(`Course allocation cannot be moved to ${to}`, errors);
+    }
+
+    return {
+      offering,
+      statusChange: await recordTransition(offering, action, { changedBy: actor.id, reason }, transaction)
+    };
+  });
+
+  await offering.reload({ include: [{ model: Module, as: 'module' }] });
+
+  return { offering, statusChange };
+}
+
+// Status changes of a course allocation, oldest first
+async function getStatusHistory(allocationId, managerProfile) {
+  const offering = await CourseOffering.findByPk(allocationId, {
+    include: [{ model: Module, as: 'module' }]
+  });
+
+  if (!offering) {
+    throw new NotFoundError('Course allocation not found');
+  }
+
+  await assertCanManageCourse(managerProfile, offering);
+
+  return await CourseOfferingStatusChange.findAll({
+    where: { courseOfferingId: offering.id },
+    include: [{ model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+/**
+ * The daily job: activate scheduled offerings whose start date has been reached and
+ * complete active offerings whose end date has passed. A scheduled offering that has
+ * already ended is activated and completed in one run. Each offering is changed in its
+ * own transaction so one failure does not hold up the rest.
+ *
+ * @param {string} [today] - YYYY-MM-DD, defaults to today in the schedule time zone
+ * @returns {Promise<{activated: number, completed: number, failed: number}>}
+ */
+async function applyScheduledTransitions(today = getLocalDate()) {
+  const offerings = await CourseOffering.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { status: 'scheduled', startDate: { [Op.lte]: today } },
+        { status: 'active', endDate: { [Op.lt]: today } }
+      ]
+    },
+    attributes: ['id'],
+    order: [['id', 'ASC']]
+  });
+
+  const summary = { activated: 0, completed: 0, failed: 0 };
+
+  for (const { id } of offerings) {
+    try {
+      // Lock and re-check each offering, in case a manager changed it since it was listed
+      const actions = await sequelize.transaction(async (transaction) => {
+        const offering = await CourseOffering.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        const due = offering ? getAutomaticActions(offering, today) : [];
+        for (const action of due) {
+          await recordTransition(offering, action, { reason: AUTOMATIC_REASONS[action], automatic: true }, transaction);
+        }
+        return due;
+      });
+      if (actions.includes('activate')) summary.activated++;
+      if (actions.includes('complete')) summary.completed++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Error updating status of course allocation ${id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  STATUS_ACTIONS,
+  getTransitionErrors,
+  getAutomaticActions,
+  transitionOffering,
+  getStatusHistory,
+  applyScheduledTransitions
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, Module, CourseOffering } = require('../models');
+const { ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+
+// Access checks go through Manager.canManageCourse. The scopes below apply the same
+// rule in SQL, matching departments trimmed and case-insensitively, so scoped queries
+// filter in the database instead of loading every id first.
+
+// Subquery selecting the ids of a department's modules
+function departmentModulesQuery(department) {
+  return `SELECT id FROM modules WHERE LOWER(TRIM(department)) = ${sequelize.escape(department.trim().toLowerCase())}`;
+}
+
+// Modules a manager may manage, as a subquery or list for Op.in, or null when the manager
+// is unrestricted (admins) or the requester is not a manager
+async function getModuleScope(managerProfile) {
+  // Only an unrestricted manager can manage a course without a known module
+  if (!managerProfile || managerProfile.canManageCourse({ module: null })) {
+    return null;
+  }
+
+  // A manager without a department manages no modules
+  if (!managerProfile.department || !managerProfile.department.trim()) {
+    return [];
+  }
+
+  return sequelize.literal(`(${departmentModulesQuery(managerProfile.department)})`);
+}
+
+// Course allocations a manager may manage, as a subquery or list for Op.in, or null when unrestricted
+async function getAllocationScope(managerProfile) {
+  const moduleScope = await getModuleScope(managerProfile);
+  if (moduleScope === null || Array.isArray(moduleScope)) {
+    return moduleScope;
+  }
+
+  return sequelize.literal(`(SELECT id FROM course_offerings WHERE moduleId IN (${departmentModulesQuery(managerProfile.department)}))`);
+}
+
+// Restrict a where clause so field must be in a scope; a null scope leaves it unchanged
+function restrictToScope(where, field, scope) {
+  if (scope === null) {
+    return where;
+  }
+
+  return {
+    [Op.and]: [where, { [field]: { [Op.in]: scope } }]
+  };
+}
+
+// Throw unless the manager may manage the allocation. Loads the module when needed.
+async function assertCanManageCourse(managerProfile, allocation) {
+  if (!managerProfile) {
+    return;
+  }
+
+  const courseOffering = allocation.module
+    ? allocation
+    : { module: await Module.findByPk(allocation.moduleId) };
+
+  if (!managerProfile.canManageCourse(courseOffering)) {
+    throw new ForbiddenError('You can only access course allocations for modules in your department');
+  }
+}
+
+// Throw unless the manager may manage the allocation an activity log belongs to
+async function assertCanManageActivity(managerProfile, activity) {
+  if (!managerProfile) {
+    return;
+  }
+
+  const allocation = activity.allocation && activity.allocation.module
+    ? activity.allocation
+    : await CourseOffering.findByPk(activity.allocationId, {
+      include: [{ model: Module, as: 'module' }]
+    });
+
+  if (!allocation) {
+    throw new NotFoundError('Course allocation not found');
+  }
+
+  await assertCanManageCourse(managerProfile, allocation);
+}
+
+module.exports = {
+  getModuleScope,
+  getAllocationScope,
+  restrictToScope,
+  assertCanManageCourse,
+  assertCanManageActivity
+};
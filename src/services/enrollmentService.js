@@ -0,0 +1,354 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, Enrollment, CourseOffering, Student, Module, Cohort, Class, User } = require('../models');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../middleware/errorHandler');
+const { getAllocationScope, restrictToScope, assertCanManageCourse } = require('./departmentScopeService');
+const { getUnmetPrerequisites } = require('./prerequisiteService');
+const { formatGroup } = require('../utils/prerequisites');
+
+// Offering statuses students can enroll themselves in
+const SELF_ENROLLMENT_STATUSES = ['scheduled'];
+
+// Offering statuses managers can enroll students in, including late additions once teaching has started
+const MANAGER_ENROLLMENT_STATUSES = ['scheduled', 'active'];
+
+// Offering statuses that still take students off the waitlist when places free up
+const WAITLIST_STATUSES = ['scheduled', 'active'];
+
+// Offering and student details returned with enrollments
+const ENROLLMENT_INCLUDES = [
+  {
+    model: CourseOffering,
+    as: 'courseOffering',
+    attributes: ['id', 'status', 'startDate', 'endDate', 'maxEnrollment', 'currentEnrollment'],
+    include: [
+      { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+      { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+      { model: Class, as: 'class', attributes: ['id', 'name'] }
+    ]
+  },
+  {
+    model: Student,
+    as: 'student',
+    attributes: ['id', 'studentId', 'cohortId'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+  }
+];
+
+// Why an offering cannot take a new enrollment, or null when it can
+function getEnrollmentError(offering, { byManager = false } = {}) {
+  const statuses = byManager ? MANAGER_ENROLLMENT_STATUSES : SELF_ENROLLMENT_STATUSES;
+
+  if (!offering.isActive || !statuses.includes(offering.status)) {
+    return `Enrollment is not open for a course allocation that is ${offering.isActive ? offering.status : 'inactive'}`;
+  }
+
+  return null;
+}
+
+// Whether a new enrollment takes a place or joins the waitlist
+function getEnrollmentStatus(offering, enrolledCount) {
+  return !offering.maxEnrollment || enrolledCount < offering.maxEnrollment ? 'enrolled' : 'waitlisted';
+}
+
+// Waitlisted enrollments in the order they are promoted: first to join, first in
+function sortWaitlist(waitlisted) {
+  return [...waitlisted].sort((a, b) =>
+    new Date(a.waitlistedAt) - new Date(b.waitlistedAt) || a.id - b.id
+  );
+}
+
+// Waitlisted enrollments that take the places free in an offering
+function getPromotions(offering, enrolledCount, waitlisted) {
+  const ordered = sortWaitlist(waitlisted);
+  if (!offering.maxEnrollment) return ordered;
+
+  return ordered.slice(0, Math.max(offering.maxEnrollment - enrolledCount, 0));
+}
+
+// Waitlist position of each waitlisted enrollment by id, from 1, per offering
+function getWaitlistPositions(waitlisted) {
+  const positions = new Map();
+  const byOffering = new Map();
+
+  waitlisted.forEach(enrollment => {
+    byOffering.set(enrollment.courseOfferingId, [...(byOffering.get(enrollment.courseOfferingId) || []), enrollment]);
+  });
+  byOffering.forEach(enrollments => {
+    sortWaitlist(enrollments).forEach((enrollment, index) => positions.set(enrollment.id, index + 1));
+  });
+
+  return positions;
+}
+
+// Enrollments as JSON, with waitlist positions for waitlisted ones
+async function withWaitlistPositions(enrollments, transaction) {
+  const offeringIds = [...new Set(enrollments
+    .filter(enrollment => enrollment.status === 'waitlisted')
+    .map(enrollment => enrollment.courseOfferingId))];
+
+  const waitlisted = offeringIds.length > 0
+    ? await Enrollment.findAll({
+      where: { courseOfferingId: { [Op.in]: offeringIds }, status: 'waitlisted' },
+      attributes: ['id', 'courseOfferingId', 'waitlistedAt'],
+      transaction
+    })
+    : [];
+  const positions = getWaitlistPositions(waitlisted);
+
+  return enrollments.map(enrollment => ({
+    ...enrollment.toJSON(),
+    waitlistPosition: positions.get(enrollment.id) || null
+  }));
+}
+
+// Managers need update_course_allocations to change enrollments
+function assertCanChangeEnrollments(user, managerProfile) {
+  if (user.role === 'manager' && !(managerProfile && managerProfile.hasPermission('update_course_allocations'))) {
+    throw new ForbiddenError('Insufficient permissions. Required: update_course_allocations');
+  }
+}
+
+// The student being enrolled: students enroll themselves, managers name the student
+async function resolveStudent(user, studentId) {
+  if (user.role === 'student') {
+    const ownId = user.studentProfile ? user.studentProfile.id : null;
+    if (!ownId || (studentId && studentId !== ownId)) {
+      throw new ForbiddenError('Students can only enroll themselves');
+    }
+    return user.studentProfile;
+  }
+
+  if (!studentId) {
+    throw new ValidationError('Student is required', [{ field: 'studentId', message: 'Student ID is required when enrolling on a student\'s behalf' }]);
+  }
+
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new NotFoundError('Student not found');
+  }
+  return student;
+}
+
+// Only managers can waive prerequisites, and they must say why
+function getPrerequisiteOverride(user, { overridePrerequisites, overrideReason }) {
+  if (!overridePrerequisites) return null;
+
+  if (user.role !== 'manager') {
+    throw new ForbiddenError('Only managers can override prerequisites');
+  }
+  if (!overrideReason || !overrideReason.trim()) {
+    throw new ValidationError('Override reason is required', [
+      { field: 'overrideReason', message: 'A justification is required when overriding prerequisites' }
+    ]);
+  }
+  return overrideReason.trim();
+}
+
+// Load an offering inside a transaction, locking it so enrollments are counted one at a time
+async function lockOffering(allocationId, transaction) {
+  const offering = await CourseOffering.findByPk(allocationId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!offering) {
+    throw new NotFoundError('Course allocation not found');
+  }
+  return offering;
+}
+
+// Move waitlisted students into free places and refresh currentEnrollment
+async function fillFromWaitlist(offering, transaction) {
+  if (!offering.isActive || !WAITLIST_STATUSES.includes(offering.status)) {
+    return [];
+  }
+
+  const [enrolledCount, waitlisted] = await Promise.all([
+    Enrollment.count({ where: { courseOfferingId: offering.id, status: 'enrolled' }, transaction }),
+    Enrollment.findAll({ where: { courseOfferingId: offering.id, status: 'waitlisted' }, transaction })
+  ]);
+
+  const promoted = getPromotions(offering, enrolledCount, waitlisted);
+  for (const enrollment of promoted) {
+    await enrollment.update({ status: 'enrolled', enrolledAt: new Date() }, { transaction });
+  }
+
+  if (promoted.length > 0) {
+    await offering.updateEnrollmentCount({ transaction });
+  }
+  return promoted;
+}
+
+/**
+ * Enroll a student in a course allocation, or add them to its waitlist when it is full.
+ * Students enroll themselves while the allocation is scheduled; managers can also enroll
+ * a student of the allocation's cohort once it is active. A student who dropped can
+ * enroll again, joining the back of the waitlist if the allocation has filled up.
+ *
+ * The student must have completed the module's prerequisites. A manager can enroll them
+ * anyway by overriding with a reason, which is recorded with the groups that were waived.
+ *
+ * @param {number} allocationId
+ * @param {Object} options
+ * @param {Object} options.user - The student, or the manager enrolling on their behalf
+ * @param {Object} [options.managerProfile]
+ * @param {number} [options.studentId] - Required for managers
+ * @param {boolean} [options.overridePrerequisites=false] - Managers only
+ * @param {string} [options.overrideReason] - Required with overridePrerequisites
+ */
+async function enrollStudent(allocationId, { user, managerProfile, studentId, overridePrerequisites = false, overrideReason }) {
+  assertCanChangeEnrollments(user, managerProfile);
+  const override = getPrerequisiteOverride(user, { overridePrerequisites, overrideReason });
+  const student = await resolveStudent(user, studentId);
+
+  return await sequelize.transaction(async (transaction) => {
+    const offering = await lockOffering(allocationId, transaction);
+
+    if (user.role === 'manager') {
+      await assertCanManageCourse(managerProfile, offering);
+    }
+
+    const error = getEnrollmentError(offering, { byManager: user.role === 'manager' });
+    if (error) {
+      throw new ConflictError(error);
+    }
+
+    if (student.cohortId !== offering.cohortId) {
+      throw new ValidationError('Student is not in this course allocation\'s cohort', [
+        { field: 'studentId', message: 'Only students of the allocation\'s cohort can enroll' }
+      ]);
+    }
+
+    const existing = await Enrollment.findOne({
+      where: { courseOfferingId: offering.id, studentId: student.id },
+      transaction
+    });
+    if (existing && existing.status !== 'dropped') {
+      throw new ConflictError(`Student is already ${existing.status} in this course allocation`);
+    }
+
+    const module = await Module.findByPk(offering.moduleId, { attributes: ['id', 'code', 'prerequisites'], transaction });
+    const unmet = await getUnmetPrerequisites(student.id, module, transaction);
+    if (unmet.length > 0 && !override) {
+      throw new ValidationError(`Prerequisites not completed for ${module.code}`, unmet.map(group => ({
+        field: 'prerequisites',
+        message: `Requires ${formatGroup(group)}`,
+        value: group
+      })));
+    }
+
+    const enrolledCount = await Enrollment.count({ where: { courseOfferingId: offering.id, status: 'enrolled' }, transaction });
+    const status = getEnrollmentStatus(offering, enrolledCount);
+    const now = new Date();
+    const values = {
+      status,
+      enrolledAt: status === 'enrolled' ? now : null,
+      waitlistedAt: status === 'waitlisted' ? now : null,
+      droppedAt: null,
+      droppedBy: null,
+      enrolledBy: user.id,
+      waivedPrerequisites: unmet.length > 0 ? unmet : null,
+      prerequisiteOverrideReason: unmet.length > 0 ? override : null
+    };
+
+    const saved = existing
+      ? await existing.update(values, { transaction })
+      : await Enrollment.create({ courseOfferingId: offering.id, studentId: student.id, ...values }, { transaction });
+
+    if (status === 'enrolled') {
+      await offering.updateEnrollmentCount({ transaction });
+    }
+
+    const [result] = await withWaitlistPositions([saved], transaction);
+    return result;
+  });
+}
+
+/**
+ * Drop an enrollment or leave the waitlist. A place given up goes to the first student
+ * on the waitlist while the allocation is scheduled or active.
+ *
+ * @returns {Promise<{enrollment: Object, promoted: Array<Object>}>}
+ */
+async function dropEnrollment(enrollmentId, { user, managerProfile }) {
+  assertCanChangeEnrollments(user, managerProfile);
+
+  const found = await Enrollment.findByPk(enrollmentId);
+  const ownId = user.studentProfile ? user.studentProfile.id : null;
+  if (!found || (user.role === 'student' && found.studentId !== ownId)) {
+    throw new NotFoundError('Enrollment not found');
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const offering = await lockOffering(found.courseOfferingId, transaction);
+
+    if (user.role === 'manager') {
+      await assertCanManageCourse(managerProfile, offering);
+    }
+
+    if (['completed', 'cancelled'].includes(offering.status)) {
+      throw new ConflictError(`Cannot drop from a course allocation that is ${offering.status}`);
+    }
+
+    const enrollment = await Enrollment.findByPk(enrollmentId, { transaction });
+    if (enrollment.status === 'dropped') {
+      throw new ConflictError('Enrollment has already been dropped');
+    }
+
+    const heldPlace = enrollment.status === 'enrolled';
+    await enrollment.update({ status: 'dropped', droppedAt: new Date(), droppedBy: user.id }, { transaction });
+
+    let promoted = [];
+    if (heldPlace) {
+      await offering.updateEnrollmentCount({ transaction });
+      promoted = await fillFromWaitlist(offering, transaction);
+    }
+
+    return { enrollment, promoted };
+  });
+}
+
+// Promote waitlisted students after an allocation's maximum enrollment is raised
+async function refillWaitlist(allocationId) {
+  return await sequelize.transaction(async (transaction) => {
+    const offering = await lockOffering(allocationId, transaction);
+    return await fillFromWaitlist(offering, transaction);
+  });
+}
+
+/**
+ * Enrollments visible to a user, newest first: students see their own, managers those in
+ * course allocations they can manage.
+ *
+ * @param {Object} filters - allocationId, studentId and status
+ * @param {Object} options - user and managerProfile
+ */
+async function listEnrollments({ allocationId, studentId, status } = {}, { user, managerProfile }) {
+  const where = {};
+  if (allocationId) where.courseOfferingId = allocationId;
+  if (status) where.status = status;
+
+  if (user.role === 'student') {
+    where.studentId = user.studentProfile ? user.studentProfile.id : null;
+  } else if (studentId) {
+    where.studentId = studentId;
+  }
+
+  const scope = user.role === 'manager' ? await getAllocationScope(managerProfile) : null;
+  const enrollments = await Enrollment.findAll({
+    where: restrictToScope(where, 'courseOfferingId', scope),
+    include: ENROLLMENT_INCLUDES,
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  return await withWaitlistPositions(enrollments);
+}
+
+module.exports = {
+  getEnrollmentError,
+  getEnrollmentStatus,
+  getPromotions,
+  getWaitlistPositions,
+  enrollStudent,
+  dropEnrollment,
+  refillWaitlist,
+  listEnrollments
+};
@@ -0,0 +1,460 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { sequelize, CourseOffering, Facilitator, Module, Cohort, Class, Mode, User } = require('../models');
+const { ValidationError, NotFoundError, ScheduleConflictError } = require('../middleware/errorHandler');
+const { SCHEDULE_INCLUDES } = require('./scheduleService');
+const { buildSchedulePlan, planFromOffering, findPlanConflicts } = require('./scheduleConflictService');
+const { getModuleScope, restrictToScope, assertCanManageCourse } = require('./departmentScopeService');
+
+// How much each criterion contributes to a score out of 100
+const SCORE_WEIGHTS = {
+  specialization: 40,
+  load: 30,
+  experience: 15,
+  qualification: 15
+};
+
+// Years of experience after which more makes no difference
+const MAX_EXPERIENCE_YEARS = 10;
+
+// Highest degree named in a qualification, strongest first
+const QUALIFICATION_LEVELS = [
+  { pattern: /\b(phd|ph\.d|doctor(ate)?|dphil|edd)\b/i, value: 1 },
+  { pattern: /\b(master'?s?|msc|m\.sc|ma|mba|meng|med|mphil)\b/i, value: 0.75 },
+  { pattern: /\b(bachelor'?s?|bsc|b\.sc|ba|beng|bed)\b/i, value: 0.5 }
+];
+const OTHER_QUALIFICATION_VALUE = 0.25;
+
+// Words that say nothing about a subject
+const STOP_WORDS = ['a', 'an', 'and', 'for', 'in', 'of', 'on', 'the', 'to', 'with', 'introduction', 'intro', 'i', 'ii', 'iii'];
+
+// Offerings in these states no longer occupy a facilitator's timetable
+const INACTIVE_STATUSES = ['cancelled', 'completed'];
+
+// Offering details returned with recommendations and proposals
+const ALLOCATION_INCLUDES = [
+  { model: Module, as: 'module', attributes: ['id', 'code', 'name', 'department', 'level'] },
+  { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+  { model: Class, as: 'class', attributes: ['id', 'name'] },
+  { model: Mode, as: 'mode', attributes: ['id', 'name', 'type'] },
+  ...SCHEDULE_INCLUDES
+];
+
+// Lowercase subject words, e.g. "Introduction to Computer Science" -> computer, science
+function getSubjectWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.includes(word));
+}
+
+/**
+ * How well a facilitator's specialization matches a module, from 0 to 1. Matching the
+ * module's department exactly scores 1; otherwise the share of specialization words found
+ * in the module's department or name, e.g. "English Literature" for department "English"
+ * scores 0.5.
+ */
+function getSpecializationMatch(specialization, module) {
+  const words = getSubjectWords(specialization);
+  if (words.length === 0 || !module) return 0;
+
+  const department = getSubjectWords(module.department);
+  if (department.length > 0 && department.join(' ') === words.join(' ')) return 1;
+
+  const moduleWords = new Set([...department, ...getSubjectWords(module.name)]);
+  return words.filter(word => moduleWords.has(word)).length / words.length;
+}
+
+// Strength of the highest degree in a qualification, from 0 to 1
+function getQualificationLevel(qualification) {
+  if (!qualification || !String(qualification).trim()) return 0;
+
+  const level = QUALIFICATION_LEVELS.find(({ pattern }) => pattern.test(qualification));
+  return level ? level.value : OTHER_QUALIFICATION_VALUE;
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Score a candidate for an allocation out of 100, with each criterion's points, and
+ * whether they can take it: unavailable facilitators, facilitators at their maximum course
+ * load and facilitators already teaching at the same time are not eligible.
+ *
+ * @param {Object} candidate
+ * @param {Object} candidate.facilitator - Facilitator with specialization, qualification, experience, isAvailable and maxCourseLoad
+ * @param {Object} candidate.module - Module of the allocation
+ * @param {number} candidate.currentLoad - Active allocations the facilitator already has
+ * @param {Array<Object>} [candidate.conflicts] - Facilitator conflicts with the allocation's schedule
+ */
+function scoreCandidate({ facilitator, module, currentLoad, conflicts = [] }) {
+  const maxCourseLoad = facilitator.maxCourseLoad || 0;
+  const spareCapacity = maxCourseLoad > 0 ? Math.max(maxCourseLoad - currentLoad, 0) / maxCourseLoad : 0;
+
+  const breakdown = {
+    specialization: round(SCORE_WEIGHTS.specialization * getSpecializationMatch(facilitator.specialization, module)),
+    load: round(SCORE_WEIGHTS.load * spareCapacity),
+    experience: round(SCORE_WEIGHTS.experience * Math.min(Math.max(facilitator.experience || 0, 0), MAX_EXPERIENCE_YEARS) / MAX_EXPERIENCE_YEARS),
+    qualification: round(SCORE_WEIGHTS.qualification * getQualificationLevel(facilitator.qualification))
+  };
+
+  const reasons = [];
+  if (!facilitator.isAvailable) reasons.push('Facilitator is not available');
+  if (currentLoad >= maxCourseLoad) reasons.push(`Facilitator is at maximum course load (${currentLoad}/${maxCourseLoad})`);
+  if (conflicts.length > 0) reasons.push(`Facilitator teaches ${conflicts.length} overlapping session${conflicts.length === 1 ? '' : 's'}`);
+
+  return {
+    score: round(Object.values(breakdown).reduce((total, points) => total + points, 0)),
+    breakdown,
+    eligible: reasons.length === 0,
+    reasons
+  };
+}
+
+// Eligible candidates first, then by score, then the least loaded
+function compareCandidates(a, b) {
+  return Number(b.eligible) - Number(a.eligible) ||
+    b.score - a.score ||
+    a.currentLoad - b.currentLoad ||
+    a.facilitator.id - b.facilitator.id;
+}
+
+// Facilitators whose accounts are active, with their current course load
+async function loadFacilitators() {
+  const facilitators = await Facilitator.findAll({
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'email'],
+      where: { isActive: true, erasedAt: null }
+    }],
+    order: [['id', 'ASC']]
+  });
+
+  return await Promise.all(facilitators.map(async facilitator => ({
+    facilitator,
+    currentLoad: await facilitator.getCurrentCourseLoad()
+  })));
+}
+
+// Schedule plans of every allocation a facilitator is teaching, grouped by facilitator id
+async function loadTeachingPlans() {
+  const offerings = await CourseOffering.findAll({
+    where: {
+      facilitatorId: { [Op.ne]: null },
+      isActive: true,
+      status: { [Op.notIn]: INACTIVE_STATUSES }
+    },
+    include: [{ model: Mode, as: 'mode', attributes: ['id', 'type'] }, ...SCHEDULE_INCLUDES]
+  });
+
+  const plans = new Map();
+  offerings.forEach(offering => {
+    const plan = planFromOffering(offering);
+    plans.set(plan.facilitatorId, [...(plans.get(plan.facilitatorId) || []), plan]);
+  });
+  return plans;
+}
+
+// The allocation's plan as if taught by the facilitator
+function withFacilitator(plan, facilitatorId) {
+  return { ...plan, facilitatorId };
+}
+
+// Sessions of a plan that clash with another allocation the same facilitator teaches
+function findTeachingConflicts(plan, teachingPlans) {
+  return (teachingPlans.get(plan.facilitatorId) || [])
+    .filter(other => other.id !== plan.id)
+    .flatMap(other => findPlanConflicts(plan, other)
+      .filter(conflict => conflict.type === 'facilitator')
+      .map(conflict => ({ ...conflict, courseOfferingId: other.id })));
+}
+
+// The schedule plan of a loaded allocation
+function buildAllocationPlan(allocation) {
+  return buildSchedulePlan(allocation.get(), allocation.toJSON().schedule);
+}
+
+// A candidate for an allocation, scored against its module and schedule
+function rankCandidate(allocation, plan, { facilitator, currentLoad }, teachingPlans) {
+  const conflicts = findTeachingConflicts(withFacilitator(plan, facilitator.id), teachingPlans);
+
+  return {
+    facilitator,
+    currentLoad,
+    maxCourseLoad: facilitator.maxCourseLoad,
+    ...scoreCandidate({ facilitator, module: allocation.module, currentLoad, conflicts }),
+    conflicts
+  };
+}
+
+/**
+ * Facilitators ranked for an allocation, best first. Ineligible facilitators are only
+ * included when asked for, after every eligible one.
+ *
+ * @param {number} allocationId
+ * @param {Object} [options]
+ * @param {Object} [options.managerProfile] - Restricts department-scoped managers to their modules
+ * @param {number} [options.limit=10]
+ * @param {boolean} [options.includeIneligible=false]
+ */
+async function recommendFacilitators(allocationId, { managerProfile, limit = 10, includeIneligible = false } = {}) {
+  const allocation = await CourseOffering.findByPk(allocationId, { include: ALLOCATION_INCLUDES });
+
+  if (!allocation) {
+    throw new NotFoundError('Course allocation not found');
+  }
+
+  await assertCanManageCourse(managerProfile, allocation);
+
+  const [plan, facilitators, teachingPlans] = await Promise.all([
+    buildAllocationPlan(allocation),
+    loadFacilitators(),
+    loadTeachingPlans()
+  ]);
+
+  const candidates = facilitators
+    .filter(({ facilitator }) => facilitator.id !== allocation.facilitatorId)
+    .map(candidate => rankCandidate(allocation, plan, candidate, teachingPlans))
+    .filter(candidate => includeIneligible || candidate.eligible)
+    .sort(compareCandidates);
+
+  return {
+    allocation,
+    candidates: candidates.slice(0, limit)
+  };
+}
+
+// Draft allocations without a facilitator that the manager may manage
+async function findUnassignedAllocations(managerProfile) {
+  const where = restrictToScope(
+    { facilitatorId: null, isActive: true, status: 'draft' },
+    'moduleId',
+    await getModuleScope(managerProfile)
+  );
+
+  return await CourseOffering.findAll({
+    where,
+    include: ALLOCATION_INCLUDES,
+    order: [['id', 'ASC']]
+  });
+}
+
+/**
+ * Choose a facilitator for each allocation. The allocations with the fewest eligible
+ * candidates are filled first, and each choice counts towards the facilitator's load and
+ * timetable, so work is spread across facilitators and nobody is double-booked by the
+ * proposal itself. Nothing is loaded or saved.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} input.allocations - Allocations with their module
+ * @param {Map<number, Object>} input.plans - Schedule plan of each allocation by id
+ * @param {Array<{facilitator: Object, currentLoad: number}>} input.facilitators
+ * @param {Map<number, Array<Object>>} input.teachingPlans - Plans each facilitator already teaches; updated in place
+ */
+function buildProposal({ allocations, plans, facilitators, teachingPlans }) {
+  const loads = new Map(facilitators.map(({ facilitator, currentLoad }) => [facilitator.id, currentLoad]));
+
+  const rankAll = allocation => facilitators
+    .map(({ facilitator }) => rankCandidate(allocation, plans.get(allocation.id), { facilitator, currentLoad: loads.get(facilitator.id) }, teachingPlans))
+    .filter(candidate => candidate.eligible)
+    .sort(compareCandidates);
+
+  const candidateCounts = new Map(allocations.map(allocation => [allocation.id, rankAll(allocation).length]));
+  const order = [...allocations].sort((a, b) => candidateCounts.get(a.id) - candidateCounts.get(b.id) || a.id - b.id);
+  const assignments = [];
+  const unassigned = [];
+
+  order.forEach(allocation => {
+    const [best, ...alternatives] = rankAll(allocation);
+
+    if (!best) {
+      unassigned.push({ allocation, reason: 'No available facilitator has spare capacity and a free timetable' });
+      return;
+    }
+
+    assignments.push({
+      allocationId: allocation.id,
+      facilitatorId: best.facilitator.id,
+      allocation,
+      facilitator: best.facilitator,
+      score: best.score,
+      breakdown: best.breakdown,
+      projectedLoad: best.currentLoad + 1,
+      maxCourseLoad: best.maxCourseLoad,
+      alternatives: alternatives.slice(0, 3).map(candidate => ({
+        facilitatorId: candidate.facilitator.id,
+        score: candidate.score
+      }))
+    });
+
+    loads.set(best.facilitator.id, best.currentLoad + 1);
+    const plan = withFacilitator(plans.get(allocation.id), best.facilitator.id);
+    teachingPlans.set(best.facilitator.id, [...(teachingPlans.get(best.facilitator.id) || []), plan]);
+  });
+
+  return {
+    assignments: assignments.sort((a, b) => a.allocationId - b.allocationId),
+    unassigned
+  };
+}
+
+// Propose a facilitator for every unassigned allocation the manager may manage, without saving
+async function proposeAssignments(managerProfile) {
+  const [allocations, facilitators, teachingPlans] = await Promise.all([
+    findUnassignedAllocations(managerProfile),
+    loadFacilitators(),
+    loadTeachingPlans()
+  ]);
+
+  const plans = new Map(await Promise.all(
+    allocations.map(async allocation => [allocation.id, await buildAllocationPlan(allocation)])
+  ));
+
+  return buildProposal({ allocations, plans, facilitators, teachingPlans });
+}
+
+// Why an allocation cannot take a facilitator, or null
+function getAllocationError(allocation) {
+  if (!allocation) return 'Course allocation not found';
+  if (allocation.facilitatorId) return 'Course allocation already has a facilitator';
+  if (allocation.status !== 'draft') return 'Can only assign facilitator to draft offerings';
+  return null;
+}
+
+// Why an assignment in a batch cannot be made, or null. load includes this assignment.
+async function getAssignmentError(allocation, facilitator, load, managerProfile) {
+  if (!allocation) return 'Course allocation not found';
+  if (!facilitator) return 'Facilitator not found';
+
+  try {
+    await assertCanManageCourse(managerProfile, allocation);
+  } catch (error) {
+    return error.message;
+  }
+
+  const allocationError = getAllocationError(allocation);
+  if (allocationError) return allocationError;
+  if (!facilitator.isAvailable) return 'Facilitator is not available';
+  if (load > facilitator.maxCourseLoad) {
+    return `Facilitator would exceed maximum course load (${load}/${facilitator.maxCourseLoad})`;
+  }
+
+  return null;
+}
+
+/**
+ * Assign facilitators to unassigned allocations, usually a confirmed proposal, all or
+ * nothing. Each facilitator's load counts the whole batch, and sessions are checked
+ * against their existing teaching and the other assignments in the batch.
+ *
+ * @param {Array<{allocationId: number, facilitatorId: number}>} assignments
+ * @param {Object} [options]
+ * @param {Object} [options.managerProfile]
+ * @param {boolean} [options.allowConflicts=false] - Assign despite overlapping sessions
+ * @returns {Promise<{allocations: Array<Object>, conflicts: Array<Object>}>}
+ */
+async function applyAssignments(assignments, { managerProfile, allowConflicts = false } = {}) {
+  const allocationIds = assignments.map(assignment => assignment.allocationId);
+  if (new Set(allocationIds).size !== allocationIds.length) {
+    throw new ValidationError('Each course allocation can only be assigned once');
+  }
+
+  const [allocations, facilitators, teachingPlans] = await Promise.all([
+    CourseOffering.findAll({ where: { id: { [Op.in]: allocationIds } }, include: ALLOCATION_INCLUDES }),
+    Facilitator.findAll({ where: { id: { [Op.in]: assignments.map(assignment => assignment.facilitatorId) } } }),
+    loadTeachingPlans()
+  ]);
+  const allocationsById = new Map(allocations.map(allocation => [allocation.id, allocation]));
+  const facilitatorsById = new Map(facilitators.map(facilitator => [facilitator.id, facilitator]));
+  const loads = new Map(await Promise.all(
+    facilitators.map(async facilitator => [facilitator.id, await facilitator.getCurrentCourseLoad()])
+  ));
+
+  const errors = [];
+  const conflicts = [];
+
+  for (const [index, { allocationId, facilitatorId }] of assignments.entries()) {
+    const allocation = allocationsById.get(allocationId);
+    const facilitator = facilitatorsById.get(facilitatorId);
+    const load = facilitator ? loads.get(facilitatorId) + 1 : 0;
+    const message = await getAssignmentError(allocation, facilitator, load, managerProfile);
+
+    if (message) {
+      errors.push({ index, allocationId, facilitatorId, message });
+      continue;
+    }
+
+    loads.set(facilitatorId, load);
+    const plan = withFacilitator(await buildAllocationPlan(allocation), facilitatorId);
+    findTeachingConflicts(plan, teachingPlans).forEach(conflict => conflicts.push({ allocationId, facilitatorId, ...conflict }));
+    teachingPlans.set(facilitatorId, [...(teachingPlans.get(facilitatorId) || []), plan]);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Some assignments cannot be made. Nothing was assigned.', errors);
+  }
+
+  if (conflicts.length > 0 && !allowConflicts) {
+    throw new ScheduleConflictError(
+      `Assignments create ${conflicts.length} overlapping session${conflicts.length === 1 ? '' : 's'} for facilitators. Resolve them or resend with allowConflicts set to true.`,
+      conflicts
+    );
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    // Lock the allocations and check them again, so an assignment or status change made
+    // since they were read is not overwritten
+    const locked = await CourseOffering.findAll({
+      where: { id: { [Op.in]: allocationIds } },
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const lockedById = new Map(locked.map(allocation => [allocation.id, allocation]));
+
+    const changed = assignments
+      .map(({ allocationId, facilitatorId }, index) => ({
+        index,
+        allocationId,
+        facilitatorId,
+        message: getAllocationError(lockedById.get(allocationId))
+      }))
+      .filter(error => error.message);
+    if (changed.length > 0) {
+      throw new ValidationError('Some assignments cannot be made. Nothing was assigned.', changed);
+    }
+
+    for (const { allocationId, facilitatorId } of assignments) {
+      const allocation = lockedById.get(allocationId);
+      allocation.facilitatorId = facilitatorId;
+      await allocation.save({ transaction });
+    }
+  });
+
+  const updated = await CourseOffering.findAll({
+    where: { id: { [Op.in]: allocationIds } },
+    include: [
+      ...ALLOCATION_INCLUDES,
+      {
+        model: Facilitator,
+        as: 'facilitator',
+        include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+      }
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  return { allocations: updated, conflicts };
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  getSpecializationMatch,
+  getQualificationLevel,
+  scoreCandidate,
+  buildProposal,
+  recommendFacilitators,
+  proposeAssignments,
+  applyAssignments
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+const { User, ImpersonationLog } = require('../models');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+const { generateToken } = require('./authService');
+const { revokeToken } = require('./tokenRevocationService');
+
+// Impersonation tokens are short-lived and cannot be refreshed
+const IMPERSONATION_TOKEN_TTL = 30 * 60; // 30 minutes
+
+// Managers are never impersonated, so impersonation cannot be used to gain permissions
+const IMPERSONATABLE_ROLES = ['facilitator', 'student'];
+
+// Trim an IP address to what fits in impersonation_logs
+function normalizeIp(ipAddress) {
+  return ipAddress ? String(ipAddress).slice(0, 45) : null;
+}
+
+// Whether a user may impersonate others: active admin managers only
+function canImpersonate(user) {
+  return Boolean(user)
+    && user.isActive
+    && user.role === 'manager'
+    && Boolean(user.managerProfile)
+    && user.managerProfile.accessLevel === 'admin';
+}
+
+// Issue an impersonation token that authenticates as the target user
+async function startImpersonation(impersonator, targetUserId, { reason }, ipAddress) {
+  if (impersonator.id === targetUserId) {
+    throw new ValidationError('You cannot impersonate yourself');
+  }
+
+  const targetUser = await User.findByPk(targetUserId);
+
+  if (!targetUser) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!IMPERSONATABLE_ROLES.includes(targetUser.role)) {
+    throw new ForbiddenError('Only facilitator and student accounts can be impersonated');
+  }
+
+  if (!targetUser.isActive || !targetUser.isEmailVerified) {
+    throw new ValidationError('Only active, verified accounts can be impersonated');
+  }
+
+  const sessionId = crypto.randomUUID();
+  const token = generateToken({
+    id: targetUser.id,
+    email: targetUser.email,
+    role: targetUser.role,
+    impersonatorId: impersonator.id,
+    impersonationSessionId: sessionId
+  }, IMPERSONATION_TOKEN_TTL);
+
+  await ImpersonationLog.create({
+    sessionId,
+    impersonatorId: impersonator.id,
+    targetUserId: targetUser.id,
+    action: 'start',
+    reason: reason.trim(),
+    ipAddress: normalizeIp(ipAddress)
+  });
+
+  return {
+    token,
+    expiresIn: IMPERSONATION_TOKEN_TTL,
+    sessionId,
+    user: targetUser
+  };
+}
+
+// Record a request made with an impersonation token
+async function recordImpersonatedRequest(tokenPayload, { method, path, statusCode, ipAddress }) {
+  await ImpersonationLog.create({
+    sessionId: tokenPayload.impersonationSessionId,
+    impersonatorId: tokenPayload.impersonatorId,
+    targetUserId: tokenPayload.id,
+    action: 'request',
+    method,
+    path: path.slice(0, 512),
+    statusCode,
+    ipAddress: normalizeIp(ipAddress)
+  });
+}
+
+// End an impersonation session by revoking its token
+async function stopImpersonation(tokenPayload, ipAddress) {
+  if (!tokenPayload || !tokenPayload.impersonatorId) {
+    throw new ValidationError('This request is not using an impersonation token');
+  }
+
+  await revokeToken(tokenPayload);
+
+  await ImpersonationLog.create({
+    sessionId: tokenPayload.impersonationSessionId,
+    impersonatorId: tokenPayload.impersonatorId,
+    targetUserId: tokenPayload.id,
+    action: 'stop',
+    ipAddress: normalizeIp(ipAddress)
+  });
+
+  return { message: 'Impersonation ended successfully' };
+}
+
+// Paginated impersonation audit trail, newest first
+async function getImpersonationLogs({ impersonatorId, targetUserId, sessionId, action, page = 1, limit = 20 } = {}) {
+  const whereClause = {};
+  if (impersonatorId) whereClause.impersonatorId = impersonatorId;
+  if (targetUserId) whereClause.targetUserId = targetUserId;
+  if (sessionId) whereClause.sessionId = sessionId;
+  if (action) whereClause.action = action;
+
+  const offset = (page - 1) * limit;
+  const { count, rows: logs } = await ImpersonationLog.findAndCountAll({
+    where: whereClause,
+    include: [
+      { model: User, as: 'impersonator', attributes: ['id', 'firstName', 'lastName', 'email'] },
+      { model: User, as: 'targetUser', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] }
+    ],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['createdAt', 'DESC']]
+  });
+
+  return {
+    logs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+module.exports = {
+  IMPERSONATION_TOKEN_TTL,
+  canImpersonate,
+  startImpersonation,
+  recordImpersonatedRequest,
+  stopImpersonation,
+  getImpersonationLogs
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Invitation } = require('../models');
+const { ValidationError, ConflictError, NotFoundError, UnauthorizedError } = require('../middleware/errorHandler');
+const { checkRecord, userProfileRules } = require('../middleware/validation');
+const { queueEmail } = require('./notificationService');
+const { PROFILE_FIELDS, getProfileRequirementError, buildFrontendLink } = require('./authService');
+
+// Invitations stay valid for a week and can be resent once expired
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Keep only the profile fields the role accepts
+function pickProfileFields(role, profileData = {}) {
+  const picked = {};
+  PROFILE_FIELDS[role].forEach(field => {
+    if (profileData[field] !== undefined && profileData[field] !== null && profileData[field] !== '') {
+      picked[field] = profileData[field];
+    }
+  });
+  return picked;
+}
+
+// Where clause matching invitations in a given status
+function statusWhere(status) {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } };
+    case 'accepted':
+      return { acceptedAt: { [Op.ne]: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { [Op.ne]: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } };
+    default:
+      return {};
+  }
+}
+
+// Give an invitation a fresh token and expiry, returning the raw token
+function assignToken(invitation) {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = Invitation.hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL);
+  return token;
+}
+
+// Email the invitation link
+async function sendInvitationEmail(invitation, token, inviter) {
+  const inviteUrl = buildFrontendLink('accept-invite', token);
+
+  await queueEmail({
+    to: invitation.email,
+    subject: 'You Have Been Invited to the Course Management System',
+    text: `
+        Hello,
+
+        ${inviter.firstName} ${inviter.lastName} has invited you to join the Course Management System as a ${invitation.role}.
+
+        Create your account using the link below. The link expires in 7 days and can only be used once:
+
+        ${inviteUrl}
+
+        Best regards,
+        Course Management System
+      `,
+    type: 'invitation'
+  });
+}
+
+// Create an invitation with prefilled profile data and email it
+async function createInvitation(inviter, { email, role, profileData }) {
+  const { values, errors } = await checkRecord(userProfileRules[role], {
+    profileData: pickProfileFields(role, profileData)
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid profile data', errors);
+  }
+
+  const profileError = getProfileRequirementError(role, values.profileData);
+  if (profileError) {
+    throw new ValidationError(profileError);
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  if (await User.findOne({ where: { email: normalizedEmail } })) {
+    throw new ConflictError('User with this email already exists');
+  }
+
+  const pending = await Invitation.findOne({
+    where: { email: normalizedEmail, ...statusWhere('pending') }
+  });
+  if (pending) {
+    throw new ConflictError('A pending invitation already exists for this email');
+  }
+
+  const invitation = Invitation.build({
+    email: normalizedEmail,
+    role,
+    profileData: values.profileData,
+    invitedBy: inviter.id
+  });
+  const token = assignToken(invitation);
+  await invitation.save();
+
+  await sendInvitationEmail(invitation, token, inviter);
+
+  return invitation;
+}
+
+// Paginated invitations, newest first
+async function listInvitations({ status, role, page = 1, limit = 20 } = {}) {
+  const whereClause = statusWhere(status);
+  if (role) whereClause.role = role;
+
+  const offset = (page - 1) * limit;
+  const { count, rows: invitations } = await Invitation.findAndCountAll({
+    where: whereClause,
+    include: [
+      { model: User, as: 'inviter', attributes: ['id', 'firstName', 'lastName', 'email'] }
+    ],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['createdAt', 'DESC']]
+  });
+
+  return {
+    invitations,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+// Public details of a pending invitation, used to prefill the sign-up form
+async function getInvitationByToken(token) {
+  const invitation = await Invitation.findByToken(token);
+
+  if (!invitation || !invitation.isPending()) {
+    throw new UnauthorizedError('Invalid or expired invitation');
+  }
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    profileData: invitation.profileData,
+    expiresAt: invitation.expiresAt
+  };
+}
+
+// Send a new link for an invitation, replacing the old one
+async function resendInvitation(invitationId, inviter) {
+  const invitation = await Invitation.findByPk(invitationId);
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new ConflictError(`Invitation has already been ${invitation.getStatus()}`);
+  }
+
+  const token = assignToken(invitation);
+  await invitation.save();
+
+  await sendInvitationEmail(invitation, token, inviter);
+
+  return invitation;
+}
+
+// Revoke a pending invitation so its link stops working
+async function revokeInvitation(invitationId) {
+  const invitation = await Invitation.findByPk(invitationId);
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  if (invitation.acceptedAt) {
+    throw new ConflictError('Invitation has already been accepted');
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  return { message: 'Invitation revoked successfully' };
+}
+
+module.exports = {
+  pickProfileFields,
+  createInvitation,
+  listInvitations,
+  getInvitationByToken,
+  resendInvitation,
+  revokeInvitation
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { User, LoginHistory } = require('../models');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { queueEmail } = require('./notificationService');
+
+// Lockout settings: every LOCKOUT_THRESHOLD consecutive failures locks the
+// account, doubling the lock each time up to LOCKOUT_MAX_DURATION
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_DURATION = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_MAX_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+// Lock duration after a given number of consecutive failures, or 0 if no lock applies
+function getLockoutDuration(failedAttempts) {
+  if (failedAttempts < LOCKOUT_THRESHOLD || failedAttempts % LOCKOUT_THRESHOLD !== 0) {
+    return 0;
+  }
+
+  const lockouts = failedAttempts / LOCKOUT_THRESHOLD;
+  return Math.min(LOCKOUT_BASE_DURATION * 2 ** (lockouts - 1), LOCKOUT_MAX_DURATION);
+}
+
+// Trim request details to what fits in login_history
+function normalizeContext(context = {}) {
+  return {
+    ipAddress: context.ipAddress ? String(context.ipAddress).slice(0, 45) : null,
+    userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null
+  };
+}
+
+// Record a failed attempt that did not reach the password check
+async function recordRejectedLogin(email, user, context, failureReason) {
+  await LoginHistory.create({
+    userId: user ? user.id : null,
+    email: email.toLowerCase().trim(),
+    ...normalizeContext(context),
+    success: false,
+    failureReason
+  });
+}
+
+// Record a wrong password, locking the account once the threshold is reached. The lock
+// itself is recorded in the audit log as a change to the user's lockedUntil.
+async function recordFailedLogin(user, context) {
+  await user.increment('failedLoginAttempts');
+  await user.reload();
+
+  const lockDuration = getLockoutDuration(user.failedLoginAttempts);
+  if (lockDuration > 0) {
+    user.lockedUntil = new Date(Date.now() + lockDuration);
+    await user.save();
+  }
+
+  await LoginHistory.create({
+    userId: user.id,
+    email: user.email,
+    ...normalizeContext(context),
+    success: false,
+    failureReason: 'invalid_password'
+  });
+
+  return user;
+}
+
+// Record a successful login, clearing failure counters and flagging unfamiliar IP addresses
+async function recordSuccessfulLogin(user, context) {
+  const { ipAddress, userAgent } = normalizeContext(context);
+
+  // The first ever login has nothing to compare against
+  const isNewLocation = Boolean(ipAddress)
+    && await LoginHistory.hasSuccessfulLogin(user.id)
+    && !await LoginHistory.hasSuccessfulLoginFrom(user.id, ipAddress);
+
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+  }
+
+  const entry = await LoginHistory.create({
+    userId: user.id,
+    email: user.email,
+    ipAddress,
+    userAgent,
+    success: true,
+    isNewLocation
+  });
+
+  if (isNewLocation) {
+    await queueEmail({
+      to: user.email,
+      subject: 'New Sign-in to Your Account',
+      text: `
+        Dear ${user.firstName},
+
+        Your account was just signed in to from a new location:
+
+        IP address: ${ipAddress}
+        Device: ${userAgent || 'Unknown'}
+        Time: ${entry.createdAt.toISOString()}
+
+        If this was you, no action is needed. If not, change your password immediately.
+
+        Best regards,
+        Course Management System
+      `,
+      type: 'new-location-login'
+    });
+  }
+
+  return entry;
+}
+
+// List accounts that are currently locked
+async function getLockedAccounts({ page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  const { count, rows: users } = await User.findAndCountAll({
+    where: { lockedUntil: { [Op.gt]: new Date() } },
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['lockedUntil', 'DESC']]
+  });
+
+  return {
+    users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+// Unlock an account and reset its failure counter
+async function unlockAccount(userId) {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  await user.save();
+
+  return { message: 'User account unlocked successfully' };
+}
+
+// Paginated login history for a user, newest first
+async function getLoginHistory(userId, { success, page = 1, limit = 20 } = {}) {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const whereClause = { userId };
+  if (success !== undefined) whereClause.success = success === 'true' || success === true;
+
+  const offset = (page - 1) * limit;
+  const { count, rows: history } = await LoginHistory.findAndCountAll({
+    where: whereClause,
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['createdAt', 'DESC']]
+  });
+
+  return {
+    history,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLockoutDuration,
+  recordRejectedLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getLockedAccounts,
+  unlockAccount,
+  getLoginHistory
+};
@@ -0,0 +1,329 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redisClient = require('../config/redis');
+const { getOidcConfig } = require('../config/oidc');
+const { User } = require('../models');
+const { AppError, ForbiddenError, UnauthorizedError, ValidationError } = require('../middleware/errorHandler');
+const { checkRecord, userProfileRules } = require('../middleware/validation');
+const { recordRejectedLogin } = require('./loginSecurityService');
+const {
+  getProfileRequirementError,
+  createUserWithProfile,
+  loginWithVerifiedIdentity
+} = require('./authService');
+
+// A login must come back from the identity provider within this time
+const OIDC_STATE_TTL = 10 * 60; // 10 minutes
+
+// Discovery documents and signing keys are cached for this long
+const METADATA_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+// Only these roles can be provisioned from identity provider claims
+const PROVISIONABLE_ROLES = ['facilitator', 'student'];
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function assertEnabled(config) {
+  if (!config.enabled) {
+    throw new ForbiddenError('Single sign-on is not configured');
+  }
+}
+
+// Fetch JSON from the identity provider, turning network and HTTP errors into a 502
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new AppError(`Identity provider is unreachable: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, body };
+}
+
+// Read a cached value, or load and cache it
+async function cached(cache, key, load, refresh = false) {
+  const entry = cache.get(key);
+  if (!refresh && entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + METADATA_CACHE_TTL });
+  return value;
+}
+
+// The provider's discovery document
+function getProviderMetadata(config) {
+  return cached(metadataCache, config.issuer, async () => {
+    const { ok, body } = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+    if (!ok || !body.authorization_endpoint || !body.token_endpoint || !body.jwks_uri) {
+      throw new AppError('Identity provider discovery document is invalid', 502);
+    }
+    return body;
+  });
+}
+
+// Public key for an ID token's key id, refetching the key set once if it has rotated
+async function getSigningKey(metadata, kid) {
+  const findKey = (jwks) => (jwks.keys || []).find(key => !kid || key.kid === kid);
+  const loadJwks = async () => {
+    const { ok, body } = await fetchJson(metadata.jwks_uri);
+    if (!ok) {
+      throw new AppError('Identity provider signing keys are unavailable', 502);
+    }
+    return body;
+  };
+
+  let jwk = findKey(await cached(jwksCache, metadata.jwks_uri, loadJwks));
+  if (!jwk) {
+    jwk = findKey(await cached(jwksCache, metadata.jwks_uri, loadJwks, true));
+  }
+  if (!jwk) {
+    throw new UnauthorizedError('ID token is signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Random URL-safe value for state, nonce and the PKCE verifier
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// PKCE S256 challenge for a verifier
+function getCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+// Start a login: remember the state, nonce and PKCE verifier, and build the provider URL
+async function createAuthorizationRequest({ loginHint } = {}) {
+  const config = getOidcConfig();
+  assertEnabled(config);
+
+  const metadata = await getProviderMetadata(config);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  await redisClient.setEx(`oidc_state:${state}`, OIDC_STATE_TTL, JSON.stringify({ nonce, codeVerifier }));
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: getCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    ...(loginHint && { login_hint: loginHint })
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state };
+}
+
+// Use up a login state, returning what was stored for it or null
+async function consumeState(state) {
+  const key = `oidc_state:${state}`;
+  const stored = await redisClient.get(key);
+
+  if (!stored || await redisClient.del(key) === 0) {
+    return null;
+  }
+
+  return JSON.parse(stored);
+}
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce
+async function verifyIdToken(idToken, metadata, config, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new UnauthorizedError('Identity provider returned an invalid ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw new UnauthorizedError(`Identity provider returned an invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new UnauthorizedError('ID token nonce does not match the login request');
+  }
+
+  return claims;
+}
+
+// Exchange an authorization code for the user's verified ID token claims
+async function redeemAuthorizationCode(code, state) {
+  const config = getOidcConfig();
+  assertEnabled(config);
+
+  const login = await consumeState(state);
+  if (!login) {
+    throw new UnauthorizedError('Invalid or expired single sign-on request. Please start again.');
+  }
+
+  const metadata = await getProviderMetadata(config);
+  const { ok, body } = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code_verifier: login.codeVerifier
+    }).toString()
+  });
+
+  if (!ok || !body.id_token) {
+    throw new UnauthorizedError(`Identity provider rejected the login${body.error ? `: ${body.error}` : ''}`);
+  }
+
+  return verifyIdToken(body.id_token, metadata, config, login.nonce);
+}
+
+// Read a claim, allowing dotted paths into nested objects such as realm_access.roles
+function getClaim(claims, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), claims);
+}
+
+// Role for a new user from the role claim and mapping, falling back to the default role
+function resolveRole(claims, config) {
+  const values = [].concat(getClaim(claims, config.roleClaim) ?? []).map(String);
+  const mapped = values.map(value => config.roleMapping[value]).find(role => PROVISIONABLE_ROLES.includes(role));
+
+  if (mapped) return mapped;
+  return PROVISIONABLE_ROLES.includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+// First and last name from the standard claims, splitting the full name if needed
+function resolveName(claims, email) {
+  const [first, ...rest] = String(claims.name || '').trim().split(/\s+/);
+  const firstName = claims.given_name || first || email.split('@')[0];
+  const lastName = claims.family_name || rest.join(' ') || firstName;
+
+  return {
+    firstName: String(firstName).trim().slice(0, 50),
+    lastName: String(lastName).trim().slice(0, 50)
+  };
+}
+
+// The user data register would receive for someone provisioned from these claims
+function buildProvisioningData(claims, config, email) {
+  const role = resolveRole(claims, config);
+  if (!role) {
+    throw new ForbiddenError('Your identity provider account does not map to a facilitator or student role');
+  }
+
+  const profileData = { ...(config.profileDefaults[role] || {}) };
+  Object.entries(config.profileClaims[role] || {}).forEach(([field, claim]) => {
+    const value = getClaim(claims, claim);
+    if (value !== undefined && value !== null && value !== '') {
+      profileData[field] = value;
+    }
+  });
+
+  return {
+    email,
+    ...resolveName(claims, email),
+    role,
+    profileData
+  };
+}
+
+// Create a facilitator or student for a first-time single sign-on user
+async function provisionUser(claims, config, email) {
+  const userData = buildProvisioningData(claims, config, email);
+
+  const { values, errors } = await checkRecord(userProfileRules[userData.role], { profileData: userData.profileData });
+  if (errors.length > 0) {
+    throw new ValidationError('Identity provider claims do not contain a valid profile', errors);
+  }
+
+  const profileError = getProfileRequirementError(userData.role, values.profileData);
+  if (profileError) {
+    throw new ForbiddenError(`Your account cannot be created automatically: ${profileError}`);
+  }
+
+  return User.sequelize.transaction(async (transaction) => {
+    const user = await createUserWithProfile({
+      ...userData,
+      profileData: values.profileData,
+      // Single sign-on users never see this password; they can set one with a reset if needed
+      password: `Aa1${crypto.randomBytes(24).toString('base64url')}`
+    }, transaction);
+
+    await user.update({ isEmailVerified: true, emailVerifiedAt: new Date() }, { transaction });
+    return user;
+  });
+}
+
+// Finish a single sign-on login: verify the code, find or provision the user and issue our tokens
+async function loginWithOidc(code, state, context = {}) {
+  const config = getOidcConfig();
+  const claims = await redeemAuthorizationCode(code, state);
+
+  const rawEmail = getClaim(claims, config.emailClaim);
+  if (!rawEmail || typeof rawEmail !== 'string') {
+    throw new UnauthorizedError('Identity provider did not return an email address');
+  }
+
+  const email = rawEmail.toLowerCase().trim();
+
+  if (!config.allowUnverifiedEmail && claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw new UnauthorizedError('Identity provider has not verified this email address');
+  }
+
+  let user = await User.findOne({ where: { email } });
+
+  if (!user) {
+    if (!config.jitProvisioning) {
+      await recordRejectedLogin(email, null, context, 'unknown_email');
+      throw new UnauthorizedError('No account exists for this email address. Please ask an administrator for an invitation.');
+    }
+    user = await provisionUser(claims, config, email);
+  } else if (!user.isEmailVerified && user.isActive) {
+    // The identity provider has verified the address
+    await user.markEmailVerified();
+  }
+
+  return loginWithVerifiedIdentity(user, { ...context, authMethod: 'oidc' });
+}
+
+// Forget cached provider metadata and keys
+function clearProviderCache() {
+  metadataCache.clear();
+  jwksCache.clear();
+}
+
+module.exports = {
+  OIDC_STATE_TTL,
+  getCodeChallenge,
+  getClaim,
+  resolveRole,
+  buildProvisioningData,
+  createAuthorizationRequest,
+  redeemAuthorizationCode,
+  loginWithOidc,
+  clearProviderCache
+};
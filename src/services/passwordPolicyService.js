@@ -0,0 +1,181 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { SystemSetting, PasswordHistory } = require('../models');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const PASSWORD_POLICY_SETTING = 'password_policy';
+
+// Hard limits the configurable policy must stay within
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_PASSWORD_HISTORY = 24;
+const MAX_PASSWORD_AGE_DAYS = 3650;
+
+// Policy used until an admin changes it. historySize counts the current password;
+// maxAgeDays of 0 means passwords never expire.
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  historySize: 5,
+  maxAgeDays: 90,
+  rejectCommonPasswords: true
+};
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+let commonPasswords = null;
+
+// Bundled list of common and breached passwords, loaded on first use
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+// Whether a password appears in the common and breached password list
+function isCommonPassword(password) {
+  return getCommonPasswords().has(String(password).toLowerCase());
+}
+
+// Current policy, with defaults for anything not configured
+async function getPasswordPolicy() {
+  const stored = await SystemSetting.getValue(PASSWORD_POLICY_SETTING, {});
+  return { ...DEFAULT_PASSWORD_POLICY, ...stored };
+}
+
+// Update some or all of the policy settings
+async function updatePasswordPolicy(changes, updatedBy) {
+  const policy = await getPasswordPolicy();
+  Object.keys(DEFAULT_PASSWORD_POLICY)
+    .filter(key => changes[key] !== undefined)
+    .forEach(key => {
+      policy[key] = changes[key];
+    });
+
+  await SystemSetting.setValue(PASSWORD_POLICY_SETTING, policy, updatedBy);
+  return policy;
+}
+
+// Messages for every rule a password breaks, ignoring history
+function checkPasswordRules(password, policy = DEFAULT_PASSWORD_POLICY) {
+  const value = String(password || '');
+  const errors = [];
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (value.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.rejectCommonPasswords && isCommonPassword(value)) {
+    errors.push('Password is too common or has appeared in a data breach');
+  }
+
+  return errors;
+}
+
+// Whether the password matches the user's current one or any of their recent ones
+async function isRecentlyUsedPassword(user, password, policy) {
+  if (policy.historySize < 1) {
+    return false;
+  }
+
+  if (user.password && await bcrypt.compare(password, user.password)) {
+    return true;
+  }
+
+  const previous = await PasswordHistory.findRecentForUser(user.id, policy.historySize - 1);
+  for (const entry of previous) {
+    if (await bcrypt.compare(password, entry.passwordHash)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Throw a ValidationError listing every policy rule the password breaks. Pass the
+// user (loaded with the withPassword scope) to also check reuse.
+async function assertPasswordAllowed(password, { user = null, field = 'password' } = {}) {
+  const policy = await getPasswordPolicy();
+  const messages = checkPasswordRules(password, policy);
+
+  if (user && messages.length === 0 && await isRecentlyUsedPassword(user, password, policy)) {
+    messages.push(`Password cannot be the same as any of your last ${policy.historySize} passwords`);
+  }
+
+  if (messages.length > 0) {
+    throw new ValidationError('Password does not meet the password policy', messages.map(message => ({ field, message })));
+  }
+}
+
+// Keep the user's outgoing password hash so it cannot be reused, pruning old entries
+async function recordPasswordHistory(user, transaction) {
+  if (!user.password) return;
+
+  await PasswordHistory.create({ userId: user.id, passwordHash: user.password }, { transaction });
+
+  const stale = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    offset: MAX_PASSWORD_HISTORY,
+    attributes: ['id'],
+    transaction
+  });
+  if (stale.length > 0) {
+    await PasswordHistory.destroy({ where: { id: stale.map(entry => entry.id) }, transaction });
+  }
+}
+
+// When a password set at the given time expires, or null if it never does
+function getPasswordExpiry(passwordChangedAt, policy) {
+  if (!passwordChangedAt || !policy.maxAgeDays) {
+    return null;
+  }
+  return new Date(new Date(passwordChangedAt).getTime() + policy.maxAgeDays * 24 * 60 * 60 * 1000);
+}
+
+// Whether the user's password is older than the policy allows
+async function isPasswordExpired(user) {
+  const expiry = getPasswordExpiry(user.passwordChangedAt, await getPasswordPolicy());
+  return Boolean(expiry) && expiry <= new Date();
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  MAX_PASSWORD_HISTORY,
+  MAX_PASSWORD_AGE_DAYS,
+  DEFAULT_PASSWORD_POLICY,
+  isCommonPassword,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  checkPasswordRules,
+  assertPasswordAllowed,
+  recordPasswordHistory,
+  getPasswordExpiry,
+  isPasswordExpired
+};
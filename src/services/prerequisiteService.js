@@ -0,0 +1,112 @@
+'use strict';
+
+const { Enrollment, CourseOffering, Module } = require('../models');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const {
+  parsePrerequisites,
+  getPrerequisiteCodes,
+  getUnmetGroups,
+  buildPrerequisiteGraph
+} = require('../utils/prerequisites');
+
+// Every module by code, with what the prerequisite graph needs
+async function loadModuleCatalogue() {
+  const modules = await Module.findAll({ attributes: ['id', 'code', 'name', 'prerequisites'] });
+  return new Map(modules.map(module => [module.code, module.toJSON()]));
+}
+
+/**
+ * A module's parsed prerequisites, the modules they lead back to, and any cycles among
+ * them. A cycle means none of its modules can ever be enrolled in without an override.
+ */
+async function getPrerequisiteGraph(moduleId) {
+  const module = await Module.findByPk(moduleId, { attributes: ['id', 'code', 'name', 'prerequisites'] });
+  if (!module) {
+    throw new NotFoundError('Module not found');
+  }
+
+  const graph = buildPrerequisiteGraph(module.code, await loadModuleCatalogue());
+
+  return {
+    module,
+    prerequisites: parsePrerequisites(module.prerequisites),
+    ...graph,
+    hasCycles: graph.cycles.length > 0
+  };
+}
+
+/**
+ * Check the prerequisites a module is created or updated with: every module code must
+ * exist, and must not lead back to the module itself.
+ *
+ * @param {Object} values - code and prerequisites as they will be saved
+ * @param {number} [moduleId] - The module being updated
+ */
+async function validateModulePrerequisites({ code, prerequisites }, moduleId = null) {
+  const { groups } = parsePrerequisites(prerequisites);
+  if (groups.length === 0) return;
+
+  const catalogue = await loadModuleCatalogue();
+  const existing = moduleId ? [...catalogue.values()].find(module => module.id === moduleId) : null;
+  if (existing) catalogue.delete(existing.code);
+
+  const moduleCode = String(code || (existing && existing.code)).toUpperCase().trim();
+  catalogue.set(moduleCode, { id: moduleId, code: moduleCode, name: null, prerequisites });
+
+  const codes = getPrerequisiteCodes(groups);
+  const errors = [];
+
+  if (codes.includes(moduleCode)) {
+    errors.push({ field: 'prerequisites', message: 'A module cannot be its own prerequisite', value: moduleCode });
+  }
+  codes.filter(prerequisite => !catalogue.has(prerequisite)).forEach(prerequisite => {
+    errors.push({ field: 'prerequisites', message: `Module ${prerequisite} does not exist`, value: prerequisite });
+  });
+
+  if (errors.length === 0) {
+    buildPrerequisiteGraph(moduleCode, catalogue).cycles
+      .filter(cycle => cycle.includes(moduleCode))
+      .forEach(cycle => {
+        errors.push({ field: 'prerequisites', message: `Prerequisites form a cycle: ${cycle.join(' -> ')}`, value: cycle });
+      });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid prerequisites', errors);
+  }
+}
+
+// Codes of the modules a student has completed: those of completed allocations they were enrolled in
+async function getCompletedModuleCodes(studentId, transaction) {
+  const enrollments = await Enrollment.findAll({
+    where: { studentId, status: 'enrolled' },
+    include: [{
+      model: CourseOffering,
+      as: 'courseOffering',
+      where: { status: 'completed' },
+      attributes: ['id'],
+      include: [{ model: Module, as: 'module', attributes: ['code'] }]
+    }],
+    transaction
+  });
+
+  return new Set(enrollments
+    .map(enrollment => enrollment.courseOffering.module)
+    .filter(Boolean)
+    .map(module => module.code));
+}
+
+// Prerequisite groups of a module that a student has not met
+async function getUnmetPrerequisites(studentId, module, transaction) {
+  const { groups } = parsePrerequisites(module.prerequisites);
+  if (groups.length === 0) return [];
+
+  return getUnmetGroups(groups, await getCompletedModuleCodes(studentId, transaction));
+}
+
+module.exports = {
+  getPrerequisiteGraph,
+  validateModulePrerequisites,
+  getCompletedModuleCodes,
+  getUnmetPrerequisites
+};
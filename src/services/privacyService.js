@@ -0,0 +1,302 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Cohort,
+  Module,
+  Class,
+  Mode,
+  CourseOffering,
+  ActivityTracker,
+  Enrollment,
+  LoginHistory,
+  UserSession,
+  ApiKey,
+  CalendarFeed,
+  Invitation,
+  ImpersonationLog,
+  AuditLog,
+  PasswordHistory
+} = require('../models');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+const { getUserWithProfile } = require('./authService');
+const { revokeAllSessions } = require('./sessionService');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Personal fields cleared on each profile; ids, cohort and teaching details are kept for reporting
+const PROFILE_PERSONAL_FIELDS = {
+  manager: ['phoneNumber', 'office'],
+  facilitator: ['phoneNumber', 'qualification'],
+  student: ['dateOfBirth', 'phoneNumber', 'address', 'emergencyContact']
+};
+
+const PROFILE_ALIASES = {
+  manager: 'managerProfile',
+  facilitator: 'facilitatorProfile',
+  student: 'studentProfile'
+};
+
+const PROFILE_MODEL_NAMES = {
+  manager: 'Manager',
+  facilitator: 'Facilitator',
+  student: 'Student'
+};
+
+// Fields scrubbed from audit log entries about an erased user or their profile
+const AUDITED_PERSONAL_FIELDS = [
+  'email',
+  'firstName',
+  'lastName',
+  'employeeId',
+  'studentId',
+  'profileData',
+  ...new Set(Object.values(PROFILE_PERSONAL_FIELDS).flat())
+];
+const ERASED = '[ERASED]';
+
+// Placeholder identity that replaces an erased user's name, email and profile ids
+function buildErasedIdentity(userId) {
+  return {
+    email: `erased-user-${userId}@erased.invalid`,
+    firstName: 'Erased',
+    lastName: 'User',
+    profileId: `ERASED-${userId}`
+  };
+}
+
+// Replace the before/after values of personal fields in an audit entry's changes
+function scrubChanges(changes, fields = AUDITED_PERSONAL_FIELDS) {
+  if (!changes) return changes;
+
+  const scrubbed = { ...changes };
+  Object.keys(scrubbed)
+    .filter(field => fields.includes(field))
+    .forEach(field => {
+      const { before, after } = scrubbed[field] || {};
+      scrubbed[field] = {
+        before: before === null || before === undefined ? null : ERASED,
+        after: after === null || after === undefined ? null : ERASED
+      };
+    });
+  return scrubbed;
+}
+
+// Course offerings and activity logs for a facilitator or manager profile, enrollments for a student
+async function getTeachingRecords(user) {
+  const offeringIncludes = [
+    { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+    { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+    { model: Class, as: 'class', attributes: ['id', 'name'] },
+    { model: Mode, as: 'mode', attributes: ['id', 'name'] }
+  ];
+
+  if (user.role === 'facilitator' && user.facilitatorProfile) {
+    const facilitatorId = user.facilitatorProfile.id;
+    return {
+      courseOfferings: await CourseOffering.findAll({
+        where: { facilitatorId },
+        include: offeringIncludes,
+        order: [['createdAt', 'ASC']]
+      }),
+      activityLogs: await ActivityTracker.findAll({
+        where: { facilitatorId },
+        order: [['createdAt', 'ASC']]
+      })
+    };
+  }
+
+  if (user.role === 'student' && user.studentProfile) {
+    return {
+      enrollments: await Enrollment.findAll({
+        where: { studentId: user.studentProfile.id },
+        include: [{ model: CourseOffering, as: 'courseOffering', include: offeringIncludes }],
+        order: [['createdAt', 'ASC']]
+      })
+    };
+  }
+
+  if (user.role === 'manager' && user.managerProfile) {
+    return {
+      managedCourses: await CourseOffering.findAll({
+        where: { managerId: user.managerProfile.id },
+        include: offeringIncludes,
+        order: [['createdAt', 'ASC']]
+      })
+    };
+  }
+
+  return {};
+}
+
+// Everything stored about a user, as one JSON-serialisable archive
+async function exportUserData(userId) {
+  const user = await getUserWithProfile(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const profile = user[PROFILE_ALIASES[user.role]] || null;
+  const cohort = user.role === 'student' && profile && profile.cohortId
+    ? await Cohort.findByPk(profile.cohortId)
+    : null;
+
+  const [loginHistory, sessions, apiKeys, calendarFeeds, invitationsReceived, invitationsSent, impersonations, auditTrail, teaching] = await Promise.all([
+    LoginHistory.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+    UserSession.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+    ApiKey.findAll({ where: { createdBy: userId }, order: [['createdAt', 'ASC']] }),
+    CalendarFeed.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+    Invitation.findAll({ where: { [Op.or]: [{ acceptedUserId: userId }, { email: user.email }] }, order: [['createdAt', 'ASC']] }),
+    Invitation.findAll({ where: { invitedBy: userId }, order: [['createdAt', 'ASC']] }),
+    ImpersonationLog.findAll({ where: { targetUserId: userId }, order: [['createdAt', 'ASC']] }),
+    AuditLog.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+    getTeachingRecords(user)
+  ]);
+
+  const { managerProfile, facilitatorProfile, studentProfile, ...account } = user.toJSON();
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: account,
+    profile,
+    cohort,
+    ...teaching,
+    loginHistory,
+    sessions,
+    apiKeys,
+    calendarFeeds,
+    invitations: {
+      received: invitationsReceived,
+      sent: invitationsSent
+    },
+    impersonations,
+    auditTrail
+  };
+}
+
+// Anonymise a user in place. The account, profile row and ids stay so course offerings,
+// activity logs and other reports keep pointing at them; every personal value is replaced
+// or cleared, login history is deleted and the account can no longer sign in.
+async function eraseUser(userId, actor) {
+  if (actor && actor.id === userId) {
+    throw new ForbiddenError('You cannot erase your own account');
+  }
+
+  const user = await getUserWithProfile(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.erasedAt) {
+    throw new ConflictError('User has already been erased');
+  }
+
+  const originalEmail = user.email;
+  const identity = buildErasedIdentity(user.id);
+  const profile = user[PROFILE_ALIASES[user.role]] || null;
+  const erasedAt = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    Object.assign(user, {
+      email: identity.email,
+      firstName: identity.firstName,
+      lastName: identity.lastName,
+      password: crypto.randomBytes(32).toString('hex'),
+      isActive: false,
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorEnabledAt: null,
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLogin: null,
+      erasedAt
+    });
+    await user.save({ transaction });
+
+    if (profile) {
+      PROFILE_PERSONAL_FIELDS[user.role].forEach(field => {
+        profile[field] = null;
+      });
+      if (user.role === 'student') {
+        profile.studentId = identity.profileId;
+      } else {
+        profile.employeeId = identity.profileId;
+      }
+      if (user.role === 'facilitator') {
+        profile.isAvailable = false;
+      }
+      await profile.save({ transaction });
+    }
+
+    await LoginHistory.destroy({
+      where: { [Op.or]: [{ userId: user.id }, { email: originalEmail }] },
+      transaction
+    });
+    await PasswordHistory.destroy({ where: { userId: user.id }, transaction });
+    await UserSession.destroy({ where: { userId: user.id }, transaction });
+
+    await ApiKey.update(
+      { revokedAt: erasedAt },
+      { where: { createdBy: user.id, revokedAt: null }, transaction }
+    );
+    await CalendarFeed.update(
+      { revokedAt: erasedAt },
+      { where: { userId: user.id, revokedAt: null }, transaction }
+    );
+
+    const invitations = await Invitation.findAll({
+      where: { [Op.or]: [{ acceptedUserId: user.id }, { email: originalEmail }] },
+      transaction
+    });
+    for (const invitation of invitations) {
+      invitation.email = identity.email;
+      invitation.profileData = {};
+      if (!invitation.acceptedAt && !invitation.revokedAt) {
+        invitation.revokedAt = erasedAt;
+      }
+      await invitation.save({ transaction });
+    }
+
+    // Audit entries keep the fact that records changed, but not the personal values,
+    // including the entries written by the anonymisation above
+    const auditedEntities = [{ entityType: 'User', entityId: String(user.id) }];
+    if (profile) {
+      auditedEntities.push({ entityType: PROFILE_MODEL_NAMES[user.role], entityId: String(profile.id) });
+    }
+    invitations.forEach(invitation => {
+      auditedEntities.push({ entityType: 'Invitation', entityId: String(invitation.id) });
+    });
+
+    const entries = await AuditLog.findAll({ where: { [Op.or]: auditedEntities }, transaction });
+    for (const entry of entries) {
+      entry.changes = scrubChanges(entry.changes);
+      await entry.save({ transaction });
+    }
+
+    await AuditLog.update({ ipAddress: null }, { where: { userId: user.id }, transaction });
+  });
+
+  await revokeAllSessions(user.id, 'erased');
+
+  return {
+    message: 'User erased successfully',
+    data: {
+      id: user.id,
+      role: user.role,
+      erasedAt
+    }
+  };
+}
+
+module.exports = {
+  buildErasedIdentity,
+  scrubChanges,
+  exportUserData,
+  eraseUser
+};
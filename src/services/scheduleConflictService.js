@@ -0,0 +1,285 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { CourseOffering, Module, Cohort, Class, Facilitator, Mode, User } = require('../models');
+const { ScheduleConflictError } = require('../middleware/errorHandler');
+const { SCHEDULE_INCLUDES, buildScheduleRows } = require('./scheduleService');
+const {
+  WEEKDAYS,
+  getWeekday,
+  toMinutes,
+  toDateOnly,
+  fromTimeColumn,
+  getTimezoneOffset,
+  dateRangesOverlap
+} = require('../utils/schedule');
+
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+// Offerings in these states no longer use their timetable
+const INACTIVE_STATUSES = ['cancelled', 'completed'];
+
+// Rooms are only booked by offerings taught in person
+const ROOM_MODE_TYPE = 'in-person';
+
+function normalizeLocation(location) {
+  const value = location ? String(location).trim().toLowerCase() : '';
+  return value || null;
+}
+
+/**
+ * Everything conflict checks need to know about an offering's timetable, from the
+ * offering's values merged with any pending changes. A schedule of undefined keeps
+ * the offering's loaded schedule.
+ *
+ * @param {Object} values - id, classId, modeId, facilitatorId, location, startDate and endDate
+ * @param {Object} [schedule] - Schedule in the API shape: { timezone, sessions, exceptions }
+ */
+async function buildSchedulePlan(values, schedule) {
+  let { startDate, endDate } = values;
+
+  if ((!startDate || !endDate) && values.classId) {
+    const classInstance = await Class.findByPk(values.classId);
+    if (classInstance) {
+      startDate = startDate || classInstance.startDate;
+      endDate = endDate || classInstance.endDate;
+    }
+  }
+
+  const mode = values.modeId ? await Mode.findByPk(values.modeId) : null;
+  const { sessions, exceptions } = buildScheduleRows(values.id || null, schedule || {});
+
+  return {
+    id: values.id || null,
+    facilitatorId: values.facilitatorId ? parseInt(values.facilitatorId) : null,
+    modeType: mode ? mode.type : null,
+    location: values.location || null,
+    startDate: toDateOnly(startDate),
+    endDate: toDateOnly(endDate),
+    sessions,
+    exceptions
+  };
+}
+
+// The plan for an offering loaded with its mode and schedule
+function planFromOffering(offering) {
+  const { schedule = {} } = offering.toJSON();
+
+  return {
+    id: offering.id,
+    facilitatorId: offering.facilitatorId,
+    modeType: offering.mode ? offering.mode.type : null,
+    location: offering.location,
+    startDate: toDateOnly(offering.startDate),
+    endDate: toDateOnly(offering.endDate),
+    sessions: schedule.sessions || [],
+    exceptions: schedule.exceptions || []
+  };
+}
+
+/**
+ * The times a plan occupies: one slot per weekly session over the offering's dates,
+ * and one per make-up session on its date. Weekly slots remember the dates they are
+ * cancelled on.
+ */
+function getScheduleSlots(plan) {
+  const cancellations = plan.exceptions.filter(exception => exception.type === 'cancelled');
+
+  const weekly = plan.sessions.map(session => ({
+    kind: 'session',
+    id: session.id || null,
+    weekday: session.weekday,
+    startTime: fromTimeColumn(session.startTime),
+    endTime: fromTimeColumn(session.endTime),
+    timezone: session.timezone,
+    location: session.location || plan.location || null,
+    from: plan.startDate,
+    to: plan.endDate,
+    cancelledOn: cancellations
+      .filter(exception => !exception.startTime || fromTimeColumn(exception.startTime) === fromTimeColumn(session.startTime))
+      .map(exception => toDateOnly(exception.date))
+  }));
+
+  const makeups = plan.exceptions
+    .filter(exception => exception.type === 'makeup')
+    .map(exception => ({
+      kind: 'makeup',
+      id: exception.id || null,
+      date: toDateOnly(exception.date),
+      weekday: getWeekday(toDateOnly(exception.date)),
+      startTime: fromTimeColumn(exception.startTime),
+      endTime: fromTimeColumn(exception.endTime),
+      timezone: exception.timezone,
+      location: exception.location || plan.location || null,
+      from: toDateOnly(exception.date),
+      to: toDateOnly(exception.date),
+      cancelledOn: []
+    }));
+
+  return [...weekly, ...makeups];
+}
+
+// A slot's minutes within a UTC week, using the time zone offset on the reference date
+function toWeekRange(slot, referenceDate) {
+  const offset = getTimezoneOffset(slot.timezone, referenceDate);
+  const dayStart = WEEKDAYS.indexOf(slot.weekday) * 24 * 60 - offset;
+  return [dayStart + toMinutes(slot.startTime), dayStart + toMinutes(slot.endTime)];
+}
+
+// Whether two slots run at the same time on at least one day
+function slotsOverlap(a, b) {
+  if (!dateRangesOverlap(a.from, a.to, b.from, b.to)) {
+    return false;
+  }
+
+  // A make-up session does not clash with a weekly session cancelled that day
+  if ((a.kind === 'makeup' && b.cancelledOn.includes(a.date)) || (b.kind === 'makeup' && a.cancelledOn.includes(b.date))) {
+    return false;
+  }
+
+  const from = [a.from, b.from].filter(Boolean).sort().pop();
+  const referenceDate = from ? new Date(`${from}T12:00:00Z`) : new Date();
+  const [startA, endA] = toWeekRange(a, referenceDate);
+  const [startB, endB] = toWeekRange(b, referenceDate);
+
+  // Times near midnight UTC can wrap into the previous or next week
+  return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+    startA < endB + shift && startB + shift < endA
+  );
+}
+
+// How a slot is described in a conflict
+function describeSlot(slot) {
+  return {
+    kind: slot.kind,
+    ...(slot.id && { id: slot.id }),
+    ...(slot.kind === 'makeup' ? { date: slot.date } : {}),
+    weekday: slot.weekday,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    timezone: slot.timezone,
+    location: slot.location
+  };
+}
+
+/**
+ * Clashes between two plans. A facilitator conflict is the same facilitator teaching
+ * both; a room conflict is two in-person offerings using the same location.
+ */
+function findPlanConflicts(plan, other) {
+  const sameFacilitator = Boolean(plan.facilitatorId) && plan.facilitatorId === other.facilitatorId;
+  const bothInPerson = plan.modeType === ROOM_MODE_TYPE && other.modeType === ROOM_MODE_TYPE;
+
+  if (!sameFacilitator && !bothInPerson) {
+    return [];
+  }
+
+  const conflicts = [];
+  const otherSlots = getScheduleSlots(other);
+
+  getScheduleSlots(plan).forEach(slot => {
+    otherSlots.forEach(otherSlot => {
+      if (!slotsOverlap(slot, otherSlot)) return;
+
+      const sameRoom = bothInPerson &&
+        normalizeLocation(slot.location) !== null &&
+        normalizeLocation(slot.location) === normalizeLocation(otherSlot.location);
+
+      const types = [...(sameFacilitator ? ['facilitator'] : []), ...(sameRoom ? ['room'] : [])];
+      types.forEach(type => conflicts.push({
+        type,
+        session: describeSlot(slot),
+        conflictingSession: describeSlot(otherSlot)
+      }));
+    });
+  });
+
+  return conflicts;
+}
+
+// Summary of the offering a conflict is with
+function describeOffering(offering) {
+  return {
+    id: offering.id,
+    status: offering.status,
+    startDate: offering.startDate,
+    endDate: offering.endDate,
+    location: offering.location,
+    module: offering.module,
+    cohort: offering.cohort,
+    class: offering.class,
+    mode: offering.mode,
+    facilitator: offering.facilitator
+  };
+}
+
+// Every facilitator and room clash between a plan and the other active offerings
+async function findScheduleConflicts(plan) {
+  const sharing = [];
+  if (plan.facilitatorId) sharing.push({ facilitatorId: plan.facilitatorId });
+  if (plan.modeType === ROOM_MODE_TYPE) sharing.push({ '$mode.type$': ROOM_MODE_TYPE });
+
+  if (sharing.length === 0 || getScheduleSlots(plan).length === 0) {
+    return [];
+  }
+
+  const conditions = [
+    { [Op.or]: sharing },
+    { isActive: true, status: { [Op.notIn]: INACTIVE_STATUSES } }
+  ];
+  if (plan.id) conditions.push({ id: { [Op.ne]: plan.id } });
+  if (plan.endDate) conditions.push({ [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: plan.endDate } }] });
+  if (plan.startDate) conditions.push({ [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: plan.startDate } }] });
+
+  const offerings = await CourseOffering.findAll({
+    where: { [Op.and]: conditions },
+    include: [
+      { model: Mode, as: 'mode', attributes: ['id', 'name', 'type'] },
+      { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+      { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+      { model: Class, as: 'class', attributes: ['id', 'name'] },
+      {
+        model: Facilitator,
+        as: 'facilitator',
+        attributes: ['id', 'employeeId'],
+        include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+      },
+      ...SCHEDULE_INCLUDES
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  return offerings.flatMap(offering =>
+    findPlanConflicts(plan, planFromOffering(offering)).map(conflict => ({
+      ...conflict,
+      courseOffering: describeOffering(offering)
+    }))
+  );
+}
+
+/**
+ * Reject a plan that clashes with another offering, unless the manager accepts the
+ * conflicts, in which case they are returned as warnings.
+ */
+async function checkScheduleConflicts(plan, { allowConflicts = false } = {}) {
+  const conflicts = await findScheduleConflicts(plan);
+
+  if (conflicts.length > 0 && !allowConflicts) {
+    throw new ScheduleConflictError(
+      `Schedule conflicts with ${conflicts.length} session${conflicts.length === 1 ? '' : 's'} in other course allocations. Resolve them or resend with allowConflicts set to true.`,
+      conflicts
+    );
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  buildSchedulePlan,
+  planFromOffering,
+  getScheduleSlots,
+  slotsOverlap,
+  findPlanConflicts,
+  findScheduleConflicts,
+  checkScheduleConflicts
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const {
+  CourseOffering,
+  ScheduleSession,
+  ScheduleException,
+  Module,
+  Cohort,
+  Class,
+  Facilitator,
+  Mode,
+  User
+} = require('../models');
+const { getDefaultTimezone, getWeekday, toTimeColumn, compareSessions } = require('../utils/schedule');
+
+// Includes that load an offering's schedule, serialised as offering.schedule
+const SCHEDULE_INCLUDES = [
+  { model: ScheduleSession, as: 'sessions' },
+  { model: ScheduleException, as: 'scheduleExceptions' }
+];
+
+// Offering details returned with each scheduled session
+const OFFERING_SUMMARY_INCLUDES = [
+  { model: Module, as: 'module', attributes: ['id', 'code', 'name'] },
+  { model: Cohort, as: 'cohort', attributes: ['id', 'name'] },
+  { model: Class, as: 'class', attributes: ['id', 'name'] },
+  { model: Mode, as: 'mode', attributes: ['id', 'name', 'type'] },
+  {
+    model: Facilitator,
+    as: 'facilitator',
+    attributes: ['id', 'employeeId'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+  }
+];
+
+// Rows for a validated schedule, filling in the default time zone
+function buildScheduleRows(courseOfferingId, schedule) {
+  const timezone = schedule.timezone || getDefaultTimezone();
+
+  const sessions = (schedule.sessions || []).map(session => ({
+    courseOfferingId,
+    weekday: session.weekday,
+    startTime: toTimeColumn(session.startTime),
+    endTime: toTimeColumn(session.endTime),
+    timezone: session.timezone || timezone,
+    location: session.location || null
+  }));
+
+  const exceptions = (schedule.exceptions || []).map(exception => ({
+    courseOfferingId,
+    date: exception.date,
+    type: exception.type,
+    startTime: toTimeColumn(exception.startTime),
+    endTime: toTimeColumn(exception.endTime),
+    timezone: exception.type === 'makeup' ? exception.timezone || timezone : exception.timezone || null,
+    location: exception.location || null,
+    reason: exception.reason || null
+  }));
+
+  return { sessions, exceptions };
+}
+
+// Replace an offering's sessions and exceptions. A null schedule clears it.
+async function replaceSchedule(courseOfferingId, schedule, transaction) {
+  await ScheduleSession.destroy({ where: { courseOfferingId }, transaction });
+  await ScheduleException.destroy({ where: { courseOfferingId }, transaction });
+
+  if (!schedule) return;
+
+  const { sessions, exceptions } = buildScheduleRows(courseOfferingId, schedule);
+  await ScheduleSession.bulkCreate(sessions, { validate: true, transaction });
+  await ScheduleException.bulkCreate(exceptions, { validate: true, transaction });
+}
+
+// Whether a cancellation removes a regular session
+function cancels(exception, session) {
+  return exception.courseOfferingId === session.courseOfferingId &&
+    (!exception.startTime || exception.startTime === session.startTime);
+}
+
+// One scheduled occurrence, with the offering it belongs to
+function toOccurrence(record, type, date) {
+  const offering = record.courseOffering;
+
+  return {
+    type,
+    id: record.id,
+    courseOfferingId: record.courseOfferingId,
+    date: date || null,
+    weekday: type === 'makeup' ? getWeekday(record.date) : record.weekday,
+    startTime: record.startTime,
+    endTime: record.endTime,
+    timezone: record.timezone,
+    location: record.location || offering.location || null,
+    ...(type === 'makeup' && { reason: record.reason }),
+    courseOffering: {
+      id: offering.id,
+      status: offering.status,
+      module: offering.module,
+      cohort: offering.cohort,
+      class: offering.class,
+      mode: offering.mode,
+      facilitator: offering.facilitator
+    }
+  };
+}
+
+/**
+ * Sessions running at a weekday and/or time, e.g. every session on Tuesday at 10:00.
+ * Times are local to each session's time zone. With a date, the weekday comes from the
+ * date, only offerings running on it are included and cancellations and make-up
+ * sessions for that date are applied.
+ *
+ * @param {Object} criteria
+ * @param {string} [criteria.weekday] - monday to sunday
+ * @param {string} [criteria.time] - HH:MM that must fall within the session
+ * @param {string} [criteria.date] - YYYY-MM-DD
+ * @param {Object} [offeringWhere] - Extra conditions on the course offering, e.g. facilitatorId
+ */
+async function findScheduledSessions({ weekday, time, date } = {}, offeringWhere = {}) {
+  const day = date ? getWeekday(date) : weekday;
+  const timeValue = toTimeColumn(time);
+  const timeWhere = time
+    ? { startTime: { [Op.lte]: timeValue }, endTime: { [Op.gt]: timeValue } }
+    : {};
+
+  const offeringConditions = [offeringWhere, { isActive: true }];
+  if (date) {
+    offeringConditions.push(
+      { status: { [Op.ne]: 'cancelled' } },
+      { [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: date } }] },
+      { [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: date } }] }
+    );
+  }
+
+  const offeringInclude = {
+    model: CourseOffering,
+    as: 'courseOffering',
+    where: { [Op.and]: offeringConditions },
+    include: OFFERING_SUMMARY_INCLUDES
+  };
+
+  const sessions = await ScheduleSession.findAll({
+    where: { ...(day && { weekday: day }), ...timeWhere },
+    include: [offeringInclude]
+  });
+
+  if (!date) {
+    return sessions.map(session => toOccurrence(session, 'regular')).sort(compareSessions);
+  }
+
+  const exceptions = await ScheduleException.findAll({
+    where: { date },
+    include: [offeringInclude]
+  });
+  const cancellations = exceptions.filter(exception => exception.type === 'cancelled');
+  const makeups = exceptions.filter(exception =>
+    exception.type === 'makeup' &&
+    (!time || (exception.startTime <= timeValue && exception.endTime > timeValue))
+  );
+
+  return [
+    ...sessions
+      .filter(session => !cancellations.some(exception => cancels(exception, session)))
+      .map(session => toOccurrence(session, 'regular', date)),
+    ...makeups.map(exception => toOccurrence(exception, 'makeup', date))
+  ].sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+module.exports = {
+  SCHEDULE_INCLUDES,
+  buildScheduleRows,
+  replaceSchedule,
+  findScheduledSessions
+};
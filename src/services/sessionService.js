@@ -0,0 +1,146 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { User, RefreshToken, UserSession } = require('../models');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { revokeTokenFamily, revokeAllUserTokens } = require('./tokenRevocationService');
+const { describeUserAgent } = require('../utils/userAgent');
+
+// lastSeenAt is refreshed at most this often, so busy sessions do not write on every request
+const LAST_SEEN_INTERVAL = 60 * 1000; // 1 minute
+
+// Trim request details to what fits in user_sessions
+function normalizeContext(context = {}) {
+  return {
+    ipAddress: context.ipAddress ? String(context.ipAddress).slice(0, 45) : null,
+    userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null
+  };
+}
+
+// Start a session for a new refresh token family, or record a refresh of an existing one.
+// context.authMethod records how a new session signed in.
+async function trackSession(userId, familyId, expiresAt, context = {}) {
+  const { ipAddress, userAgent } = normalizeContext(context);
+  const now = new Date();
+  const session = await UserSession.findByPk(familyId);
+
+  if (!session) {
+    return UserSession.create({
+      id: familyId,
+      userId,
+      device: describeUserAgent(userAgent),
+      userAgent,
+      ipAddress,
+      authMethod: context.authMethod || 'password',
+      lastSeenAt: now,
+      expiresAt
+    });
+  }
+
+  session.lastSeenAt = now;
+  session.expiresAt = expiresAt;
+  if (ipAddress) session.ipAddress = ipAddress;
+  if (userAgent) {
+    session.userAgent = userAgent;
+    session.device = describeUserAgent(userAgent);
+  }
+  return session.save();
+}
+
+// Record that a session's access token was used
+async function touchSession(familyId, ipAddress) {
+  const now = new Date();
+  const changes = { lastSeenAt: now };
+  if (ipAddress) changes.ipAddress = String(ipAddress).slice(0, 45);
+
+  await UserSession.update(changes, {
+    where: {
+      id: familyId,
+      revokedAt: null,
+      lastSeenAt: { [Op.lt]: new Date(now.getTime() - LAST_SEEN_INTERVAL) }
+    }
+  });
+}
+
+// Revoke one session: its refresh tokens, and every access token issued to it
+async function revokeSessionFamily(familyId, reason) {
+  await RefreshToken.revokeFamily(familyId, reason);
+  await UserSession.revoke({ id: familyId }, reason);
+  await revokeTokenFamily(familyId);
+}
+
+// Revoke every session and token belonging to a user
+async function revokeAllSessions(userId, reason) {
+  await RefreshToken.revokeAllForUser(userId, reason);
+  await UserSession.revoke({ userId }, reason);
+  await revokeAllUserTokens(userId);
+}
+
+// A user's active sessions, most recently used first, flagging the one making the request
+async function listSessions(userId, currentSessionId = null) {
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const sessions = await UserSession.findActiveForUser(userId);
+
+  return sessions.map(session => ({
+    ...session.toJSON(),
+    isCurrent: session.id === currentSessionId
+  }));
+}
+
+// Sign a user out of one of their active sessions
+async function revokeSession(userId, sessionId, reason = 'signed_out') {
+  const session = await UserSession.findOne({ where: { id: sessionId, userId } });
+
+  if (!session || !session.isActive()) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await revokeSessionFamily(session.id, reason);
+
+  return { message: 'Session signed out successfully' };
+}
+
+// Sign a user out of every active session except, optionally, the one making the request
+async function revokeOtherSessions(userId, currentSessionId, reason = 'signed_out') {
+  const sessions = await listSessions(userId, currentSessionId);
+  const others = sessions.filter(session => !session.isCurrent);
+
+  for (const session of others) {
+    await revokeSessionFamily(session.id, reason);
+  }
+
+  return {
+    message: `${others.length} session${others.length === 1 ? '' : 's'} signed out successfully`,
+    data: { revoked: others.length }
+  };
+}
+
+// Sign a user out everywhere, including tokens issued before sessions were tracked
+async function signOutAllSessions(userId, reason = 'revoked_by_manager') {
+  const user = await User.findByPk(userId, { attributes: ['id'] });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await revokeAllSessions(userId, reason);
+
+  return { message: 'All sessions signed out successfully' };
+}
+
+module.exports = {
+  LAST_SEEN_INTERVAL,
+  trackSession,
+  touchSession,
+  revokeSessionFamily,
+  revokeAllSessions,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  signOutAllSessions
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const redisClient = require('../config/redis');
+
+// Longest lifetime of any token we issue (refresh tokens, 7 days)
+const MAX_TOKEN_LIFETIME = 7 * 24 * 60 * 60;
+
+// Seconds remaining until a decoded token expires
+function getRemainingLifetime(decoded) {
+  if (!decoded || !decoded.exp) return MAX_TOKEN_LIFETIME;
+  return Math.max(1, decoded.exp - Math.floor(Date.now() / 1000));
+}
+
+// Revoke a single token by its jti until it would have expired anyway
+async function revokeToken(decoded) {
+  if (!decoded || !decoded.jti) return false;
+
+  await redisClient.setEx(
+    `revoked_token:${decoded.jti}`,
+    getRemainingLifetime(decoded),
+    String(decoded.id || '')
+  );
+
+  return true;
+}
+
+// Revoke every token carrying a refresh token family id
+async function revokeTokenFamily(familyId) {
+  if (!familyId) return false;
+
+  await redisClient.setEx(`revoked_family:${familyId}`, MAX_TOKEN_LIFETIME, '1');
+
+  return true;
+}
+
+// Revoke every token issued to a user before now, to the millisecond
+async function revokeAllUserTokens(userId) {
+  const revokedAt = Date.now();
+
+  await redisClient.setEx(
+    `user_tokens_revoked_at:${userId}`,
+    MAX_TOKEN_LIFETIME,
+    String(revokedAt)
+  );
+
+  return revokedAt;
+}
+
+// Check a decoded token against the jti, family and per-user revocation lists
+async function isTokenRevoked(decoded) {
+  if (!decoded) return true;
+
+  if (decoded.jti && await redisClient.exists(`revoked_token:${decoded.jti}`)) {
+    return true;
+  }
+
+  if (decoded.familyId && await redisClient.exists(`revoked_family:${decoded.familyId}`)) {
+    return true;
+  }
+
+  if (decoded.id && (decoded.iatMs || decoded.iat)) {
+    const revokedAt = await redisClient.get(`user_tokens_revoked_at:${decoded.id}`);
+    // Tokens without iatMs only know the second they were issued, so one issued in the
+    // same second as the revocation counts as issued before it
+    const issuedAt = decoded.iatMs || decoded.iat * 1000;
+    if (revokedAt && issuedAt < parseInt(revokedAt)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  MAX_TOKEN_LIFETIME,
+  revokeToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  isTokenRevoked
+};
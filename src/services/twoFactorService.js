@@ -0,0 +1,313 @@
+'use strict';
+
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+const { User, Manager, SystemSetting } = require('../models');
+const { ValidationError, ConflictError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+const totp = require('../utils/totp');
+
+// Setting that forces every admin-level manager to use two-factor authentication
+const REQUIRE_FOR_ADMINS_SETTING = 'two_factor_required_for_admins';
+
+// Login challenge settings
+const LOGIN_CHALLENGE_TTL = 5 * 60; // 5 minutes
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Recovery code settings
+const RECOVERY_CODE_COUNT = 10;
+
+// Hash a challenge token or recovery code so the raw value is never stored
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Normalize a recovery code so dashes and case do not matter
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Generate a fresh set of recovery codes, returning the raw codes and their hashes
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => hashValue(normalizeRecoveryCode(code)))
+  };
+}
+
+// Whether admin-level managers must use two-factor authentication
+async function isRequiredForAdmins() {
+  return Boolean(await SystemSetting.getValue(REQUIRE_FOR_ADMINS_SETTING, false));
+}
+
+// Whether the policy requires two-factor authentication for this user
+async function isTwoFactorRequired(user, managerProfile = user.managerProfile) {
+  if (user.role !== 'manager') {
+    return false;
+  }
+
+  const profile = managerProfile || await Manager.findOne({ where: { userId: user.id } });
+  if (!profile || profile.accessLevel !== 'admin') {
+    return false;
+  }
+
+  return isRequiredForAdmins();
+}
+
+// Get the current two-factor policy
+async function getPolicy() {
+  return {
+    requireForAdmins: await isRequiredForAdmins()
+  };
+}
+
+// Update the two-factor policy
+async function updatePolicy({ requireForAdmins }, updatedBy) {
+  await SystemSetting.setValue(REQUIRE_FOR_ADMINS_SETTING, Boolean(requireForAdmins), updatedBy);
+  return getPolicy();
+}
+
+// Two-factor status for a user
+async function getStatus(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+    required: await isTwoFactorRequired(user)
+  };
+}
+
+// Check a TOTP code for a user, rejecting a code that was already used
+async function verifyTotpCode(user, code) {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(totp.decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    return false;
+  }
+
+  // Each time step can only be used once per user
+  const claimed = await redisClient.set(
+    `totp_used:${user.id}:${step}`,
+    '1',
+    { EX: totp.TOTP_PERIOD * 3, NX: true }
+  );
+
+  return claimed !== null;
+}
+
+// Use up a recovery code for a user
+async function consumeRecoveryCode(user, recoveryCode) {
+  const hash = hashValue(normalizeRecoveryCode(recoveryCode));
+  const remaining = user.twoFactorRecoveryCodes || [];
+
+  if (!remaining.includes(hash)) {
+    return false;
+  }
+
+  user.twoFactorRecoveryCodes = remaining.filter(stored => stored !== hash);
+  await user.save();
+
+  return true;
+}
+
+// Verify the second factor for a user: a TOTP code or a one-time recovery code
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (!user.twoFactorEnabled) {
+    return false;
+  }
+
+  if (code) {
+    return verifyTotpCode(user, code);
+  }
+
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+
+  return false;
+}
+
+// Start enrollment by generating a new secret for the user
+async function beginEnrollment(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorSecret = totp.encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri(secret, user.email)
+  };
+}
+
+// Finish enrollment by confirming a code from the authenticator app
+async function confirmEnrollment(userId, code) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new ValidationError('Two-factor setup has not been started');
+  }
+
+  if (!await verifyTotpCode(user, code)) {
+    throw new UnauthorizedError('Invalid two-factor authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  return { recoveryCodes: codes };
+}
+
+// Replace the user's recovery codes after confirming a current TOTP code
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!await verifyTotpCode(user, code)) {
+    throw new UnauthorizedError('Invalid two-factor authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  return { recoveryCodes: codes };
+}
+
+// Turn off two-factor authentication after confirming the password and a second factor
+async function disable(userId, password, secondFactor) {
+  const user = await User.scope('withPassword').findByPk(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    throw new ForbiddenError('Two-factor authentication is required for admin managers and cannot be disabled');
+  }
+
+  if (!await user.checkPassword(password)) {
+    throw new UnauthorizedError('Password is incorrect');
+  }
+
+  if (!await verifySecondFactor(user, secondFactor)) {
+    throw new UnauthorizedError('Invalid two-factor authentication code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = null;
+  user.twoFactorSecret = null;
+  user.twoFactorRecoveryCodes = null;
+  await user.save();
+
+  return { message: 'Two-factor authentication disabled' };
+}
+
+// Create a short-lived challenge that a login with verified credentials exchanges for tokens.
+// authMethod records how the first step signed in, so the session keeps it.
+async function createLoginChallenge(userId, authMethod = 'password') {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+
+  await redisClient.setEx(
+    `two_factor_challenge:${hashValue(challengeToken)}`,
+    LOGIN_CHALLENGE_TTL,
+    JSON.stringify({ userId, authMethod })
+  );
+
+  return challengeToken;
+}
+
+// Verify a login challenge and its second factor, returning the user and the first step's
+// auth method on success. The challenge is discarded after too many wrong codes.
+async function completeLoginChallenge(challengeToken, secondFactor) {
+  const challengeKey = `two_factor_challenge:${hashValue(challengeToken)}`;
+  const attemptsKey = `${challengeKey}:attempts`;
+
+  const challenge = await redisClient.get(challengeKey);
+  if (!challenge) {
+    throw new UnauthorizedError('Two-factor login session expired. Please login again.');
+  }
+
+  const { userId, authMethod } = JSON.parse(challenge);
+  const user = await User.findByPk(userId);
+  if (!user || !user.isActive) {
+    await redisClient.del([challengeKey, attemptsKey]);
+    throw new UnauthorizedError('Two-factor login session expired. Please login again.');
+  }
+
+  if (!await verifySecondFactor(user, secondFactor)) {
+    const attempts = await redisClient.incr(attemptsKey);
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, LOGIN_CHALLENGE_TTL);
+    }
+    if (attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+      await redisClient.del([challengeKey, attemptsKey]);
+    }
+    throw new UnauthorizedError('Invalid two-factor authentication code');
+  }
+
+  // Only the request that actually deletes the challenge may complete the login
+  const removed = await redisClient.del(challengeKey);
+  await redisClient.del(attemptsKey);
+  if (removed === 0) {
+    throw new UnauthorizedError('Two-factor login session expired. Please login again.');
+  }
+
+  return { user, authMethod };
+}
+
+module.exports = {
+  LOGIN_CHALLENGE_TTL,
+  RECOVERY_CODE_COUNT,
+  isTwoFactorRequired,
+  getPolicy,
+  updatePolicy,
+  getStatus,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disable,
+  createLoginChallenge,
+  completeLoginChallenge
+};
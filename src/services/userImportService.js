@@ -0,0 +1,282 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Manager, Facilitator, Student, Cohort } = require('../models');
+const { ValidationError } = require('../middleware/errorHandler');
+const { checkRecord, userRegistrationRules, userProfileRules } = require('../middleware/validation');
+const { parseCsv } = require('../utils/csv');
+const {
+  PROFILE_FIELDS,
+  REQUIRED_PROFILE_FIELDS,
+  getProfileRequirementError,
+  createUserWithProfile,
+  sendVerificationEmail,
+  sendInviteEmail
+} = require('./authService');
+const { getPasswordPolicy, checkPasswordRules } = require('./passwordPolicyService');
+
+// Largest file accepted in one import; every row is hashed with bcrypt
+const MAX_IMPORT_ROWS = 500;
+
+// Columns read from the CSV for every user
+const USER_COLUMNS = ['email', 'password', 'firstName', 'lastName'];
+
+// Profile column that must be unique for each role
+const UNIQUE_PROFILE_COLUMN = {
+  manager: 'employeeId',
+  facilitator: 'employeeId',
+  student: 'studentId'
+};
+
+const PROFILE_MODELS = {
+  manager: Manager,
+  facilitator: Facilitator,
+  student: Student
+};
+
+// A random password meeting the registration rules, for users who will set their own via an invite
+function generatePlaceholderPassword() {
+  return `Aa1${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Turn a CSV row into the userData shape accepted by register
+function buildUserData(row, role) {
+  const profileData = {};
+  PROFILE_FIELDS[role].forEach(column => {
+    if (row[column] !== undefined) profileData[column] = row[column];
+  });
+
+  return {
+    email: row.email,
+    password: row.password,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    role,
+    profileData
+  };
+}
+
+// Columns a file must have for a role
+function getRequiredColumns(role) {
+  return ['email', 'firstName', 'lastName', ...REQUIRED_PROFILE_FIELDS[role].fields];
+}
+
+// Validate every row with the registration rules plus duplicate, existing-account and
+// cohort capacity checks. Returns one report entry per row.
+async function validateRows(rows, role) {
+  const report = [];
+  const passwordPolicy = await getPasswordPolicy();
+
+  for (const row of rows) {
+    const userData = buildUserData(row, role);
+    const { values, errors } = await checkRecord([...userRegistrationRules, ...userProfileRules[role]], {
+      ...userData,
+      password: userData.password || generatePlaceholderPassword()
+    });
+
+    if (userData.password) {
+      checkPasswordRules(userData.password, passwordPolicy).forEach(message => {
+        errors.push({ field: 'password', message });
+      });
+    }
+
+    const profileError = getProfileRequirementError(role, userData.profileData);
+    if (profileError) {
+      errors.push({ field: 'profile', message: profileError });
+    }
+
+    report.push({
+      line: row.line,
+      email: values.email || row.email || null,
+      userData: { ...values, password: userData.password },
+      errors
+    });
+  }
+
+  const uniqueColumn = UNIQUE_PROFILE_COLUMN[role];
+  const emails = report.map(entry => entry.userData.email).filter(Boolean);
+  const profileIds = report.map(entry => entry.userData.profileData[uniqueColumn]).filter(Boolean);
+
+  // Duplicates within the file
+  const seenEmails = new Set();
+  const seenProfileIds = new Set();
+  report.forEach(entry => {
+    const email = entry.userData.email;
+    const profileId = entry.userData.profileData[uniqueColumn];
+
+    if (email && seenEmails.has(email)) {
+      entry.errors.push({ field: 'email', message: 'Email appears more than once in the file' });
+    }
+    if (profileId && seenProfileIds.has(profileId)) {
+      entry.errors.push({ field: uniqueColumn, message: `${uniqueColumn} appears more than once in the file` });
+    }
+
+    if (email) seenEmails.add(email);
+    if (profileId) seenProfileIds.add(profileId);
+  });
+
+  // Accounts that already exist
+  const existingUsers = emails.length > 0
+    ? await User.findAll({ where: { email: { [Op.in]: emails } }, attributes: ['email'] })
+    : [];
+  const existingEmails = new Set(existingUsers.map(user => user.email));
+
+  const existingProfiles = profileIds.length > 0
+    ? await PROFILE_MODELS[role].findAll({ where: { [uniqueColumn]: { [Op.in]: profileIds } }, attributes: [uniqueColumn] })
+    : [];
+  const existingProfileIds = new Set(existingProfiles.map(profile => profile[uniqueColumn]));
+
+  report.forEach(entry => {
+    if (existingEmails.has(entry.userData.email)) {
+      entry.errors.push({ field: 'email', message: 'User with this email already exists' });
+    }
+    if (existingProfileIds.has(entry.userData.profileData[uniqueColumn])) {
+      entry.errors.push({ field: uniqueColumn, message: `${uniqueColumn} already exists` });
+    }
+  });
+
+  if (role === 'student') {
+    await validateCohorts(report);
+  }
+
+  return report;
+}
+
+// Check students' cohorts exist and have room for every row assigned to them
+async function validateCohorts(report) {
+  const cohortIds = [...new Set(report.map(entry => parseInt(entry.userData.profileData.cohortId)).filter(Boolean))];
+  const cohorts = cohortIds.length > 0 ? await Cohort.findAll({ where: { id: { [Op.in]: cohortIds } } }) : [];
+  const cohortsById = new Map(cohorts.map(cohort => [cohort.id, cohort]));
+  const assigned = new Map();
+
+  report.forEach(entry => {
+    const rawCohortId = entry.userData.profileData.cohortId;
+    if (!rawCohortId) return;
+
+    const cohort = cohortsById.get(parseInt(rawCohortId));
+    if (!cohort) {
+      entry.errors.push({ field: 'cohortId', message: 'Cohort not found' });
+      return;
+    }
+
+    const count = (assigned.get(cohort.id) || 0) + 1;
+    assigned.set(cohort.id, count);
+
+    if (cohort.currentEnrollment + count > cohort.maxCapacity) {
+      entry.errors.push({ field: 'cohortId', message: `Cohort ${cohort.name} is full (capacity ${cohort.maxCapacity})` });
+    }
+  });
+}
+
+// Create every user in one transaction and add students to their cohorts' enrollment
+async function createUsers(report) {
+  const transaction = await User.sequelize.transaction();
+  const created = [];
+
+  try {
+    const enrollments = new Map();
+
+    for (const entry of report) {
+      const { userData } = entry;
+      const user = await createUserWithProfile({
+        ...userData,
+        password: userData.password || generatePlaceholderPassword()
+      }, transaction);
+      created.push({ user, hasPassword: Boolean(userData.password) });
+
+      if (userData.role === 'student') {
+        const cohortId = parseInt(userData.profileData.cohortId);
+        enrollments.set(cohortId, (enrollments.get(cohortId) || 0) + 1);
+      }
+    }
+
+    for (const [cohortId, count] of enrollments) {
+      await Cohort.increment('currentEnrollment', { by: count, where: { id: cohortId }, transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return created;
+}
+
+// Import users of one role from CSV text. A dry run only reports per-row errors.
+// A real import creates nothing unless every row is valid.
+async function importUsers(csvText, { role, dryRun = false, sendEmails = true }) {
+  let parsed;
+  try {
+    parsed = parseCsv(csvText);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const { headers, rows } = parsed;
+
+  if (rows.length === 0) {
+    throw new ValidationError('CSV file contains no rows');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`CSV file cannot contain more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const missingColumns = getRequiredColumns(role).filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ValidationError(`CSV file is missing required columns: ${missingColumns.join(', ')}`);
+  }
+
+  const unknownColumns = headers.filter(header => header && ![...USER_COLUMNS, ...PROFILE_FIELDS[role]].includes(header));
+  if (unknownColumns.length > 0) {
+    throw new ValidationError(`CSV file has unknown columns for ${role}s: ${unknownColumns.join(', ')}`);
+  }
+
+  const report = await validateRows(rows, role);
+  const invalidRows = report
+    .filter(entry => entry.errors.length > 0)
+    .map(({ line, email, errors }) => ({ line, email, errors }));
+
+  const summary = {
+    role,
+    dryRun,
+    total: report.length,
+    valid: report.length - invalidRows.length,
+    invalid: invalidRows.length,
+    errors: invalidRows
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  if (invalidRows.length > 0) {
+    throw new ValidationError('Import failed validation. No users were created.', invalidRows);
+  }
+
+  const created = await createUsers(report);
+
+  // Users with a password get the usual verification email; the rest are invited to choose one
+  if (sendEmails) {
+    for (const { user, hasPassword } of created) {
+      if (hasPassword) {
+        await sendVerificationEmail(user);
+      } else {
+        await sendInviteEmail(user);
+      }
+    }
+  }
+
+  return {
+    ...summary,
+    created: created.map(({ user }) => ({ id: user.id, email: user.email }))
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  getRequiredColumns,
+  importUsers
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+// Split CSV text into records of raw field values, each with the line it starts on
+// (RFC 4180: quoted fields, doubled quotes, commas and line breaks inside quotes,
+// CRLF or LF endings)
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  // Ignore a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+          line++;
+        }
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV contains an unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  // Blank lines carry no data
+  return records.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * Each row also gets the line number in the file it starts on as `line`, for error reports.
+ * Values are trimmed and empty cells are left out.
+ */
+function parseCsv(text) {
+  const records = parseRecords(text);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[0].fields.map(header => header.trim());
+
+  const rows = records.slice(1).map(({ line, fields }) => {
+    const row = { line };
+    headers.forEach((header, column) => {
+      const value = (fields[column] || '').trim();
+      if (header && value !== '') {
+        row[header] = value;
+      }
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+module.exports = {
+  parseCsv
+};
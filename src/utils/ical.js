@@ -0,0 +1,133 @@
+'use strict';
+
+// Product identifier written into every calendar
+const PRODID = '-//Course Management Platform//Calendar Feeds//EN';
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value: backslashes, semicolons, commas and line breaks
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line into chunks of at most 75 octets, continuing with a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+// A moment as a UTC DATE-TIME, e.g. 20250120T080000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// A YYYY-MM-DD calendar date as a DATE, e.g. 20250120
+function formatDate(date) {
+  return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+// The day after a YYYY-MM-DD date; all-day events end on the following day
+function nextDate(date) {
+  const next = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Content lines for one VEVENT. Timed events take Date start and end values and are
+ * written in UTC; all-day events take YYYY-MM-DD dates and end is inclusive.
+ *
+ * @param {Object} event
+ * @param {string} event.uid - Stable across feed refreshes so clients update the event
+ * @param {Date|string} event.start
+ * @param {Date|string} [event.end] - Defaults to the start
+ * @param {boolean} [event.allDay]
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {Date} [event.lastModified]
+ * @param {Date} stamp - When the feed was generated
+ */
+function buildEventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(nextDate(event.end || event.start))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end || event.start)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  lines.push(event.allDay ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE');
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * A complete iCalendar (RFC 5545) document with CRLF line endings.
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the calendar's name
+ * @param {Array<Object>} calendar.events - See buildEventLines
+ * @param {string} [calendar.refreshInterval] - ISO 8601 duration clients should poll at, e.g. PT1H
+ * @param {Date} [calendar.stamp]
+ */
+function buildCalendar({ name, events, refreshInterval = 'PT1H', stamp = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `NAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+    `X-PUBLISHED-TTL:${refreshInterval}`,
+    ...events.flatMap(event => buildEventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  nextDate,
+  buildCalendar
+};
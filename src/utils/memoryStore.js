@@ -0,0 +1,137 @@
+/**
+ * In-memory stand-in for the Redis client
+ * Implements the subset of the node-redis v4 API used by the application so
+ * that tests and local development can run without a Redis server.
+ */
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    return this;
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.isReady = false;
+    return 'OK';
+  }
+
+  on() {
+    return this;
+  }
+
+  // Return the stored entry, dropping it if it has expired
+  getEntry(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  setEntry(key, value, ttlSeconds = null) {
+    this.data.set(key, {
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.getEntry(key)) {
+      return null;
+    }
+    this.setEntry(key, String(value), options.EX || null);
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    this.setEntry(key, String(value), seconds);
+    return 'OK';
+  }
+
+  async del(keys) {
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    let removed = 0;
+    keyList.forEach(key => {
+      if (this.getEntry(key)) {
+        this.data.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  async exists(key) {
+    return this.getEntry(key) ? 1 : 0;
+  }
+
+  async incr(key) {
+    const entry = this.getEntry(key);
+    const value = (entry ? parseInt(entry.value) : 0) + 1;
+    this.data.set(key, {
+      value: String(value),
+      expiresAt: entry ? entry.expiresAt : null
+    });
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.getEntry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return true;
+  }
+
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async lPush(key, value) {
+    const entry = this.getEntry(key);
+    const list = entry ? entry.value : [];
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach(item => list.unshift(String(item)));
+    if (!entry) this.setEntry(key, list);
+    return list.length;
+  }
+
+  async lTrim(key, start, stop) {
+    const entry = this.getEntry(key);
+    if (!entry) return 'OK';
+    const end = stop < 0 ? entry.value.length + stop + 1 : stop + 1;
+    entry.value = entry.value.slice(start, end);
+    return 'OK';
+  }
+
+  async lRange(key, start, stop) {
+    const entry = this.getEntry(key);
+    if (!entry) return [];
+    const end = stop < 0 ? entry.value.length + stop + 1 : stop + 1;
+    return entry.value.slice(start, end);
+  }
+
+  async flushAll() {
+    this.data.clear();
+    return 'OK';
+  }
+}
+
+module.exports = MemoryStore;
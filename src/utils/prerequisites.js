@@ -0,0 +1,132 @@
+'use strict';
+
+// Module codes as Module.code stores them, e.g. CS101
+const MODULE_CODE_PATTERN = /^[A-Z]{2,4}[0-9]{2,4}$/;
+
+// Values that mean a module has no prerequisites
+const NO_PREREQUISITES = ['', 'none', 'n/a', 'na', '-'];
+
+// A module code written loosely, e.g. "cs 101" or "CS-101" -> CS101; null for anything else
+function toModuleCode(value) {
+  const code = String(value).trim().toUpperCase().replace(/^([A-Z]{2,4})[\s-]*([0-9]{2,4})$/, '$1$2');
+  return MODULE_CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Module.prerequisites text as groups of module codes. Every group must be met, and a
+ * group is met by completing any one of its modules, so "CS101, MATH101 or MATH102" is
+ * [['CS101'], ['MATH101', 'MATH102']]. Clauses are separated by commas, semicolons or
+ * "and"; alternatives by "or" or a slash. Clauses that are not module codes, such as
+ * "Pre-calculus or equivalent", are returned as notes and not enforced.
+ *
+ * @param {string} [text]
+ * @returns {{groups: Array<Array<string>>, notes: string|null}}
+ */
+function parsePrerequisites(text) {
+  const value = String(text || '').trim();
+  if (NO_PREREQUISITES.includes(value.toLowerCase())) {
+    return { groups: [], notes: null };
+  }
+
+  const groups = [];
+  const notes = [];
+
+  value.split(/[,;&]|\band\b/i)
+    .map(clause => clause.trim())
+    .filter(Boolean)
+    .forEach(clause => {
+      const codes = clause.split(/\bor\b|\//i).map(toModuleCode);
+
+      if (codes.every(Boolean)) {
+        const group = [...new Set(codes)];
+        if (!groups.some(existing => existing.join() === group.join())) groups.push(group);
+      } else {
+        notes.push(clause);
+      }
+    });
+
+  return { groups, notes: notes.length > 0 ? notes.join(', ') : null };
+}
+
+// Every module code a set of groups refers to
+function getPrerequisiteCodes(groups) {
+  return [...new Set(groups.flat())];
+}
+
+// Groups not met by a set of completed module codes
+function getUnmetGroups(groups, completedCodes) {
+  return groups.filter(group => !group.some(code => completedCodes.has(code)));
+}
+
+// A group as text, e.g. "MATH101 or MATH102"
+function formatGroup(group) {
+  return group.join(' or ');
+}
+
+// Cycles are compared by their members in order from the smallest code, so each is listed once
+function normalizeCycle(cycle) {
+  const members = cycle.slice(0, -1);
+  const start = members.indexOf([...members].sort()[0]);
+  const rotated = [...members.slice(start), ...members.slice(0, start)];
+  return [...rotated, rotated[0]];
+}
+
+/**
+ * A module's prerequisites and theirs, as nodes and edges, and every cycle among them.
+ * Edges point from a module to a prerequisite. Codes with no module in the catalogue are
+ * nodes marked missing. A cycle is listed as the codes around it, ending where it starts,
+ * e.g. ['CS201', 'CS301', 'CS201'].
+ *
+ * @param {string} rootCode
+ * @param {Map<string, Object>} catalogue - Modules by code, each with id, code, name and prerequisites
+ */
+function buildPrerequisiteGraph(rootCode, catalogue) {
+  const nodes = new Map();
+  const edges = [];
+  const cycles = new Map();
+  const onPath = [];
+  const done = new Set();
+
+  const visit = (code) => {
+    if (onPath.includes(code)) {
+      const cycle = normalizeCycle([...onPath.slice(onPath.indexOf(code)), code]);
+      cycles.set(cycle.join('>'), cycle);
+      return;
+    }
+    if (done.has(code)) return;
+
+    const module = catalogue.get(code);
+    const { groups, notes } = parsePrerequisites(module ? module.prerequisites : null);
+    nodes.set(code, module
+      ? { code, id: module.id, name: module.name, groups, notes, missing: false }
+      : { code, id: null, name: null, groups: [], notes: null, missing: true });
+
+    onPath.push(code);
+    groups.forEach((group, index) => {
+      group.forEach(prerequisite => {
+        edges.push({ from: code, to: prerequisite, group: index });
+        visit(prerequisite);
+      });
+    });
+    onPath.pop();
+    done.add(code);
+  };
+
+  visit(rootCode);
+
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    cycles: [...cycles.values()]
+  };
+}
+
+module.exports = {
+  MODULE_CODE_PATTERN,
+  toModuleCode,
+  parsePrerequisites,
+  getPrerequisiteCodes,
+  getUnmetGroups,
+  formatGroup,
+  buildPrerequisiteGraph
+};
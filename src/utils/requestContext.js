@@ -0,0 +1,46 @@
+'use strict';
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request details (request id, IP, acting user) that code deep in the call
+// stack, such as Sequelize hooks, can read without threading req through
+const storage = new AsyncLocalStorage();
+
+// Longest client-supplied request id we keep
+const MAX_REQUEST_ID_LENGTH = 64;
+
+/**
+ * Express middleware that starts a context for each request. Reuses a sane
+ * X-Request-Id header from a proxy, otherwise generates one, and echoes it back.
+ */
+function requestContext(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && /^[\w.-]+$/.test(incomingId) && incomingId.length <= MAX_REQUEST_ID_LENGTH
+    ? incomingId
+    : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+
+  storage.run({ requestId, ipAddress: req.ip, userId: null, impersonatorId: null, apiKeyId: null }, next);
+}
+
+// The current request's context, or undefined outside a request
+function getRequestContext() {
+  return storage.getStore();
+}
+
+// Record the authenticated actor on the current request's context
+function setRequestActor({ userId = null, impersonatorId = null, apiKeyId = null }) {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(context, { userId, impersonatorId, apiKeyId });
+  }
+}
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  setRequestActor
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+// Weekdays in the order a timetable lists them
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// 24-hour HH:MM
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Exceptions either cancel regular sessions on a date or add a make-up session
+const SCHEDULE_EXCEPTION_TYPES = ['cancelled', 'makeup'];
+
+// Time zone used when a schedule does not name one
+function getDefaultTimezone() {
+  return process.env.SCHEDULE_TIMEZONE || 'UTC';
+}
+
+// Whether a value is an IANA time zone name the runtime knows, e.g. Africa/Kigali
+function isValidTimezone(value) {
+  if (typeof value !== 'string' || !value) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// HH:MM or HH:MM:SS as stored in a TIME column, e.g. 10:00 -> 10:00:00
+function toTimeColumn(value) {
+  if (!value) return null;
+  return value.length === 5 ? `${value}:00` : value;
+}
+
+// A TIME column value as HH:MM
+function fromTimeColumn(value) {
+  return value ? String(value).slice(0, 5) : value;
+}
+
+// Weekday of a YYYY-MM-DD calendar date
+function getWeekday(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return WEEKDAYS[(day + 6) % 7];
+}
+
+// Calendar date at a moment in a time zone as YYYY-MM-DD, e.g. today in the schedule time zone
+function getLocalDate(timezone = getDefaultTimezone(), date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Minutes since midnight for HH:MM or HH:MM:SS
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// A DATEONLY value or Date as YYYY-MM-DD
+function toDateOnly(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// A YYYY-MM-DD date a number of days later, or earlier when negative
+function addDays(date, days) {
+  const moved = new Date(`${toDateOnly(date)}T00:00:00Z`);
+  moved.setUTCDate(moved.getUTCDate() + days);
+  return moved.toISOString().slice(0, 10);
+}
+
+// Whole days from one YYYY-MM-DD date to another, negative when the second is earlier
+function daysBetween(from, to) {
+  return Math.round((new Date(`${toDateOnly(to)}T00:00:00Z`) - new Date(`${toDateOnly(from)}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// Minutes a time zone is ahead of UTC at a moment, e.g. 120 for Africa/Kigali
+function getTimezoneOffset(timezone, date = new Date()) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// The moment a local YYYY-MM-DD date and HH:MM time occur in a time zone,
+// re-checking the offset at that moment so daylight saving changes are honoured
+function toUtcDate(date, time, timezone) {
+  const local = new Date(`${toDateOnly(date)}T${fromTimeColumn(time)}:00Z`).getTime();
+  const guess = local - getTimezoneOffset(timezone, new Date(local)) * 60 * 1000;
+  return new Date(local - getTimezoneOffset(timezone, new Date(guess)) * 60 * 1000);
+}
+
+// Whether two date ranges share a day; a missing bound is open-ended
+function dateRangesOverlap(aFrom, aTo, bFrom, bTo) {
+  const [startA, endA, startB, endB] = [aFrom, aTo, bFrom, bTo].map(toDateOnly);
+  return (!startA || !endB || startA <= endB) && (!startB || !endA || startB <= endA);
+}
+
+// Sort key for a session: weekday, then start time
+function compareSessions(a, b) {
+  return WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday) ||
+    String(a.startTime).localeCompare(String(b.startTime));
+}
+
+// Sort key for an exception: date, then start time
+function compareExceptions(a, b) {
+  return String(a.date).localeCompare(String(b.date)) ||
+    String(a.startTime || '').localeCompare(String(b.startTime || ''));
+}
+
+module.exports = {
+  WEEKDAYS,
+  TIME_PATTERN,
+  SCHEDULE_EXCEPTION_TYPES,
+  getDefaultTimezone,
+  isValidTimezone,
+  toTimeColumn,
+  fromTimeColumn,
+  getWeekday,
+  getLocalDate,
+  toMinutes,
+  toDateOnly,
+  addDays,
+  daysBetween,
+  getTimezoneOffset,
+  toUtcDate,
+  dateRangesOverlap,
+  compareSessions,
+  compareExceptions
+};
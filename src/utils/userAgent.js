@@ -0,0 +1,43 @@
+'use strict';
+
+// Checked in order, so browsers built on Chrome come before Chrome itself
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+function match(list, userAgent) {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+}
+
+/**
+ * Short human-readable description of the device behind a User-Agent header,
+ * e.g. "Firefox on Linux". Returns null when nothing is recognised.
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return null;
+
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || String(userAgent).split(/[\s/]/)[0].slice(0, 100) || null;
+}
+
+module.exports = {
+  describeUserAgent
+};